@@ -28,6 +28,387 @@ function csvName(stem) {
     return `${stem}_DepMap${DEPMAP_VERSION}_${date}.csv`;
 }
 
+// Correlation methods selectable on the Set Parameters panel. `symbol` is what
+// tables, tooltips and plot subtitles print in place of "r".
+const CORRELATION_METHODS = {
+    pearson:  { label: 'Pearson', symbol: 'r' },
+    spearman: { label: 'Spearman', symbol: 'ρ' },
+    bicor:    { label: 'Biweight midcorrelation', symbol: 'bicor' }
+};
+
+// Centred scores for one complete (NaN-free) vector, chosen so that the
+// cosine of two score vectors is the requested correlation:
+//   pearson  → x − mean
+//   spearman → average rank − mean rank (ties share their mean rank)
+//   bicor    → Tukey-biweighted deviations from the median, u = (x − med)/(9·MAD);
+//              falls back to Pearson scores when MAD is 0 (as WGCNA does)
+// Module-level so the scan worker carries the same code (see _getCorrelationWorkerUrl).
+function correlationScores(values, method) {
+    const n = values.length;
+    const out = new Float64Array(n);
+    if (method === 'spearman') {
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+        for (let i = 0; i < n;) {
+            let j = i;
+            while (j + 1 < n && values[order[j + 1]] === values[order[i]]) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) out[order[k]] = rank;
+            i = j + 1;
+        }
+        const meanRank = (n + 1) / 2;
+        for (let i = 0; i < n; i++) out[i] -= meanRank;
+        return out;
+    }
+    if (method === 'bicor') {
+        const med = (arr) => {
+            const s = Float64Array.from(arr).sort();
+            const m = s.length >> 1;
+            return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+        };
+        const center = med(values);
+        const mad = med(Array.from(values, v => Math.abs(v - center)));
+        if (mad > 0) {
+            for (let i = 0; i < n; i++) {
+                const u = (values[i] - center) / (9 * mad);
+                const w = Math.abs(u) < 1 ? (1 - u * u) * (1 - u * u) : 0;
+                out[i] = (values[i] - center) * w;
+            }
+            return out;
+        }
+    }
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += values[i];
+    mean /= n;
+    for (let i = 0; i < n; i++) out[i] = values[i] - mean;
+    return out;
+}
+
+// Cosine of two equal-length score vectors (NaN when either is constant).
+function scoreCosine(a, b) {
+    let ab = 0, aa = 0, bb = 0;
+    for (let i = 0; i < a.length; i++) { ab += a[i] * b[i]; aa += a[i] * a[i]; bb += b[i] * b[i]; }
+    return aa === 0 || bb === 0 ? NaN : ab / Math.sqrt(aa * bb);
+}
+
+// {correlation, slope, n} over complete pairs of x and y. `slope` is always the
+// least-squares slope of raw y on raw x, so the min-slope filter and regression
+// lines mean the same thing whichever correlation method is selected.
+function correlateVectors(x, y, method = 'pearson') {
+    const xs = [], ys = [];
+    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+    for (let i = 0; i < x.length; i++) {
+        if (!isNaN(x[i]) && !isNaN(y[i])) {
+            xs.push(x[i]); ys.push(y[i]);
+            sumX += x[i]; sumY += y[i]; sumXY += x[i] * y[i]; sumX2 += x[i] * x[i];
+        }
+    }
+    const n = xs.length;
+    if (n < 3) return { correlation: NaN, slope: NaN, n: 0 };
+    const ssX = sumX2 - sumX * sumX / n;
+    const slope = ssX === 0 ? NaN : (sumXY - sumX * sumY / n) / ssX;
+    const correlation = scoreCosine(correlationScores(xs, method), correlationScores(ys, method));
+    return { correlation, slope, n };
+}
+
+// Within-group centring for lineage-adjusted (partial) correlation: subtract
+// each covariate group's mean (over its non-NaN values) from its members.
+// groups[i] is the group index of column i. Correlating two residual vectors
+// gives the correlation with the categorical covariate regressed out. NaNs stay NaN.
+function residualizeByGroup(values, groups, nGroups) {
+    const sums = new Float64Array(nGroups), counts = new Int32Array(nGroups);
+    for (let i = 0; i < values.length; i++) {
+        if (!isNaN(values[i])) { sums[groups[i]] += values[i]; counts[groups[i]]++; }
+    }
+    const out = new Float64Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        out[i] = isNaN(values[i]) ? NaN : values[i] - sums[groups[i]] / counts[groups[i]];
+    }
+    return out;
+}
+
+// Two-sided p-value for correlation r over n complete pairs: Student t with
+// df = n − 2 − nCovariates (lineage-adjusted runs lose one df per extra group).
+// For Spearman and bicor this is the usual large-sample approximation.
+// Since t² = r²·df / (1 − r²), the two-sided tail is I_{1−r²}(df/2, 1/2).
+// Kept at module level, with its beta/gamma helpers, so the scan worker has it.
+function correlationPValue(r, n, nCovariates = 0) {
+    const df = n - 2 - nCovariates;
+    if (!(df > 0) || isNaN(r)) return NaN;
+    if (Math.abs(r) >= 1) return 0;
+    return regularizedIncompleteBeta(1 - r * r, df / 2, 0.5);
+}
+
+// I_x(a, b) by Lentz's continued fraction (same scheme as
+// CorrelationExplorer.incompleteBeta / betaCF).
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const logGamma = (z) => {
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+        z -= 1;
+        let sum = c[0];
+        for (let i = 1; i < 9; i++) sum += c[i] / (z + i);
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    };
+    const contFrac = (x, a, b) => {
+        const tiny = 1e-300;
+        let c = 1, d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let h = d;
+        for (let m = 1; m <= 300; m++) {
+            const m2 = 2 * m;
+            let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            h *= d * c;
+            aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + aa * d; if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + aa / c; if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const del = d * c;
+            h *= del;
+            if (Math.abs(del - 1) < 1e-12) break;
+        }
+        return h;
+    };
+    const logBt = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+    if (x < (a + 1) / (a + b + 2)) return Math.exp(logBt) * contFrac(x, a, b) / a;
+    return 1 - Math.exp(logBt) * contFrac(1 - x, b, a) / b;
+}
+
+// Body of the Design-mode correlation scan worker. Never called on the main
+// thread: CorrelationExplorer._getCorrelationWorkerUrl() stringifies it, with
+// the correlation kernels above, into a Blob URL so the app stays a single
+// static file. It cannot see anything else in this file.
+//
+// Messages in:
+//   {type:'scan',  matrix, nCols, rowStart, rowEnd, targetNames, queries, queryNames, method, groups, nGroups, minN, cutoff, minSlope}
+//       correlate every query vector against matrix rows [rowStart, rowEnd)
+//   {type:'pairs', matrix, nCols, names, rows, method, groups, nGroups, minN, cutoff, minSlope}
+//       correlate each listed row i against every row j > i of matrix
+//   {type:'top',   matrix, nCols, rowStart, rowEnd, targetNames, queries, queryNames, k, minN}
+//       keep the k strongest positive Pearson partners of each query among
+//       matrix rows [rowStart, rowEnd); hits[q] is [{gene, r}], r descending
+//   {type:'diff',  matrixA, nColsA, groupsA, nGroupsA, matrixB, nColsB, groupsB, nGroupsB, names, rows, method, minN}
+//       two-cohort pass for the differential network: for each listed row i
+//       and every j > i, hits[k] holds {gene1, gene2, rA, rB, nA, nB} for pairs
+//       with at least minN complete lines in both cohorts (each matrix
+//       residualised by its own groups when given)
+//   {type:'rank',  matrix, nCols, rowStart, rowEnd, targetNames, queries, queryNames, probes, method, minN}
+//       correlate every query against matrix rows [rowStart, rowEnd) but keep
+//       only summaries: hits[q] is {probes: [{gene, r, n, pValue}] for the rows
+//       named in probes[q], rs: every r (descending), ps: every non-NaN p
+//       (ascending)}, so ranks and BH q-values can be merged across workers
+// `groups` (optional, Int32Array per column) switches on lineage adjustment:
+// the cutoff applies to the residualised correlation and hits also carry
+// rawCorrelation / adjustedCorrelation.
+// Messages out: {type:'progress', done} … then {type:'done', hits, pValues}, where
+// hits[k] is the list of passing {gene1, gene2, correlation, slope, n, pValue}
+// for the k-th query (scan) or k-th listed row (pairs), in target order, and
+// pValues (Float64Array) holds the p of every pair tested with n >= minN, for
+// BH on the main thread. A scan skips the reverse of query–query pairs.
+function correlationScanWorker() {
+    const pearsonWithSlope = (x, xOff, y, yOff, nCols) => {
+        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0, n = 0;
+        for (let i = 0; i < nCols; i++) {
+            const a = x[xOff + i], b = y[yOff + i];
+            if (a === a && b === b) {
+                sumX += a; sumY += b; sumXY += a * b; sumX2 += a * a; sumY2 += b * b; n++;
+            }
+        }
+        if (n < 3) return { correlation: NaN, slope: NaN, n: 0 };
+        const meanX = sumX / n, meanY = sumY / n;
+        const numerator = sumXY - n * meanX * meanY;
+        const ssX = sumX2 - n * meanX * meanX;
+        const denom = Math.sqrt(ssX) * Math.sqrt(sumY2 - n * meanY * meanY);
+        return {
+            correlation: denom === 0 ? NaN : numerator / denom,
+            slope: ssX === 0 ? NaN : numerator / ssX,
+            n
+        };
+    };
+    // Method scores for a complete row (null if it has NaNs — those pairs go
+    // through correlateVectors on their complete cases instead).
+    const rowScores = (data, off, nCols, method) => {
+        const v = data.subarray(off, off + nCols);
+        for (let i = 0; i < nCols; i++) if (v[i] !== v[i]) return null;
+        return correlationScores(v, method);
+    };
+    const correlate = (x, xOff, xScores, y, yOff, yScores, nCols, method) => {
+        if (method === 'pearson') return pearsonWithSlope(x, xOff, y, yOff, nCols);
+        if (!xScores || !yScores) return correlateVectors(x.subarray(xOff, xOff + nCols), y.subarray(yOff, yOff + nCols), method);
+        const r = pearsonWithSlope(x, xOff, y, yOff, nCols);
+        if (r.n) r.correlation = scoreCosine(xScores, yScores);
+        return r;
+    };
+    const PROGRESS_EVERY = 250;
+    // Residualise every row of a row-major matrix (lineage adjustment)
+    const residualizeRows = (data, nRows, nCols, groups, nGroups) => {
+        const out = new Float64Array(nRows * nCols);
+        for (let r = 0; r < nRows; r++) out.set(residualizeByGroup(data.subarray(r * nCols, (r + 1) * nCols), groups, nGroups), r * nCols);
+        return out;
+    };
+
+    self.onmessage = (e) => {
+        const p = e.data;
+        const method = p.method || 'pearson';
+        const usesScores = method !== 'pearson';
+        const matrix = new Float32Array(p.matrix);
+        const nCols = p.nCols;
+        const groups = p.groups ? new Int32Array(p.groups) : null;
+        const nCovariates = groups ? p.nGroups - 1 : 0;
+        const hits = [];
+        let pValues = new Float64Array(1024);
+        let nTests = 0;
+
+        // r is the (adjusted, if grouping) correlation; rawFn computes the
+        // unadjusted one, only needed once the cutoff has passed.
+        const makeHit = (gene1, gene2, r, rawFn, countTest = true) => {
+            if (r.n < p.minN || isNaN(r.correlation)) return null;
+            const pValue = correlationPValue(r.correlation, r.n, nCovariates);
+            if (countTest && !isNaN(pValue)) {
+                if (nTests === pValues.length) {
+                    const grown = new Float64Array(pValues.length * 2);
+                    grown.set(pValues);
+                    pValues = grown;
+                }
+                pValues[nTests++] = pValue;
+            }
+            if (!(Math.abs(r.correlation) >= p.cutoff)) return null;
+            if (!groups) return Math.abs(r.slope) >= p.minSlope ? { gene1, gene2, correlation: r.correlation, slope: r.slope, n: r.n, pValue } : null;
+            const raw = rawFn();
+            if (!(Math.abs(raw.slope) >= p.minSlope)) return null;
+            return { gene1, gene2, correlation: r.correlation, adjustedCorrelation: r.correlation, rawCorrelation: raw.correlation, slope: raw.slope, n: r.n, pValue };
+        };
+
+        if (p.type === 'scan') {
+            const queries = new Float32Array(p.queries);
+            const nQ = p.queryNames.length;
+            const qBase = groups ? residualizeRows(queries, nQ, nCols, groups, p.nGroups) : queries;
+            const queryScores = p.queryNames.map((_, q) => usesScores ? rowScores(qBase, q * nCols, nCols, method) : null);
+            const queryIndex = new Map(p.queryNames.map((name, q) => [name, q]));
+            p.queryNames.forEach(() => hits.push([]));
+            let sinceReport = 0;
+            for (let row = p.rowStart; row < p.rowEnd; row++) {
+                const gene2 = p.targetNames[row - p.rowStart];
+                const rowBase = groups ? residualizeByGroup(matrix.subarray(row * nCols, (row + 1) * nCols), groups, p.nGroups) : matrix;
+                const rowOff = groups ? 0 : row * nCols;
+                const targetScores = usesScores ? rowScores(rowBase, rowOff, nCols, method) : null;
+                const targetQuery = queryIndex.has(gene2) ? queryIndex.get(gene2) : -1;
+                for (let q = 0; q < nQ; q++) {
+                    const gene1 = p.queryNames[q];
+                    if (gene1 === gene2) continue;
+                    const r = correlate(qBase, q * nCols, queryScores[q], rowBase, rowOff, targetScores, nCols, method);
+                    const hit = makeHit(gene1, gene2, r, () => correlate(queries, q * nCols, null, matrix, row * nCols, null, nCols, method), targetQuery < 0 || targetQuery > q);
+                    if (hit) hits[q].push(hit);
+                }
+                if (++sinceReport === PROGRESS_EVERY) {
+                    self.postMessage({ type: 'progress', done: sinceReport });
+                    sinceReport = 0;
+                }
+            }
+            if (sinceReport) self.postMessage({ type: 'progress', done: sinceReport });
+        } else if (p.type === 'pairs') {
+            const nRows = p.names.length;
+            const base = groups ? residualizeRows(matrix, nRows, nCols, groups, p.nGroups) : matrix;
+            const scores = p.names.map((_, i) => usesScores ? rowScores(base, i * nCols, nCols, method) : null);
+            for (const i of p.rows) {
+                const rowHits = [];
+                for (let j = i + 1; j < nRows; j++) {
+                    const r = correlate(base, i * nCols, scores[i], base, j * nCols, scores[j], nCols, method);
+                    const hit = makeHit(p.names[i], p.names[j], r, () => correlate(matrix, i * nCols, null, matrix, j * nCols, null, nCols, method));
+                    if (hit) rowHits.push(hit);
+                }
+                hits.push(rowHits);
+                self.postMessage({ type: 'progress', done: 1 });
+            }
+        } else if (p.type === 'top') {
+            const queries = new Float32Array(p.queries);
+            const nQ = p.queryNames.length;
+            p.queryNames.forEach(() => hits.push([]));
+            let sinceReport = 0;
+            for (let row = p.rowStart; row < p.rowEnd; row++) {
+                const gene = p.targetNames[row - p.rowStart];
+                for (let q = 0; q < nQ; q++) {
+                    if (p.queryNames[q] === gene) continue;
+                    const r = pearsonWithSlope(queries, q * nCols, matrix, row * nCols, nCols);
+                    if (r.n < p.minN || !(r.correlation > 0)) continue;
+                    const top = hits[q];
+                    if (top.length === p.k && r.correlation <= top[p.k - 1].r) continue;
+                    top.push({ gene, r: r.correlation });
+                    top.sort((a, b) => b.r - a.r);
+                    if (top.length > p.k) top.pop();
+                }
+                if (++sinceReport === PROGRESS_EVERY) {
+                    self.postMessage({ type: 'progress', done: sinceReport });
+                    sinceReport = 0;
+                }
+            }
+            if (sinceReport) self.postMessage({ type: 'progress', done: sinceReport });
+        } else if (p.type === 'diff') {
+            const nRows = p.names.length;
+            const cohort = (buf, n, g, nG) => {
+                const m = new Float32Array(buf);
+                return g ? residualizeRows(m, nRows, n, new Int32Array(g), nG) : m;
+            };
+            const A = cohort(p.matrixA, p.nColsA, p.groupsA, p.nGroupsA);
+            const B = cohort(p.matrixB, p.nColsB, p.groupsB, p.nGroupsB);
+            const rowOf = (m, n, i) => m.subarray(i * n, (i + 1) * n);
+            for (const i of p.rows) {
+                const rowHits = [];
+                for (let j = i + 1; j < nRows; j++) {
+                    const a = correlateVectors(rowOf(A, p.nColsA, i), rowOf(A, p.nColsA, j), method);
+                    if (a.n < p.minN || isNaN(a.correlation)) continue;
+                    const b = correlateVectors(rowOf(B, p.nColsB, i), rowOf(B, p.nColsB, j), method);
+                    if (b.n < p.minN || isNaN(b.correlation)) continue;
+                    rowHits.push({ gene1: p.names[i], gene2: p.names[j], rA: a.correlation, rB: b.correlation, nA: a.n, nB: b.n });
+                }
+                hits.push(rowHits);
+                self.postMessage({ type: 'progress', done: 1 });
+            }
+        } else if (p.type === 'rank') {
+            const queries = new Float32Array(p.queries);
+            const nQ = p.queryNames.length;
+            const nRows = p.rowEnd - p.rowStart;
+            const queryScores = p.queryNames.map((_, q) => usesScores ? rowScores(queries, q * nCols, nCols, method) : null);
+            const probes = p.probes.map(genes => new Set(genes));
+            const rs = p.queryNames.map(() => new Float64Array(nRows));
+            const ps = p.queryNames.map(() => new Float64Array(nRows));
+            const nR = new Int32Array(nQ), nP = new Int32Array(nQ);
+            p.queryNames.forEach(() => hits.push({ probes: [] }));
+            let sinceReport = 0;
+            for (let row = p.rowStart; row < p.rowEnd; row++) {
+                const gene = p.targetNames[row - p.rowStart];
+                const targetScores = usesScores ? rowScores(matrix, row * nCols, nCols, method) : null;
+                for (let q = 0; q < nQ; q++) {
+                    const r = correlate(queries, q * nCols, queryScores[q], matrix, row * nCols, targetScores, nCols, method);
+                    if (r.n < p.minN || isNaN(r.correlation)) continue;
+                    const pValue = correlationPValue(r.correlation, r.n, 0);
+                    rs[q][nR[q]++] = r.correlation;
+                    if (!isNaN(pValue)) ps[q][nP[q]++] = pValue;
+                    if (probes[q].has(gene)) hits[q].probes.push({ gene, r: r.correlation, n: r.n, pValue });
+                }
+                if (++sinceReport === PROGRESS_EVERY) {
+                    self.postMessage({ type: 'progress', done: sinceReport });
+                    sinceReport = 0;
+                }
+            }
+            if (sinceReport) self.postMessage({ type: 'progress', done: sinceReport });
+            hits.forEach((h, q) => {
+                h.rs = rs[q].slice(0, nR[q]).sort().reverse();
+                h.ps = ps[q].slice(0, nP[q]).sort();
+            });
+        }
+        const testedP = pValues.slice(0, nTests);
+        self.postMessage({ type: 'done', hits, pValues: testedP }, [testedP.buffer]);
+    };
+}
+
 class CorrelationExplorer {
     static CATEGORY_COLORS = [
         '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4',
@@ -36,6 +417,38 @@ class CorrelationExplorer {
         '#000075', '#a9a9a9', '#e6beff', '#ffe119', '#ffd8b1'
     ];
 
+    // Label of the growth-rate pseudo-gene that can join a correlation run
+    static GROWTH_RATE_LABEL = '⚡ Growth Rate';
+
+    // Numeric globalSignatures fields offered as Inspect axes, with axis titles
+    static SIGNATURE_AXES = {
+        MSIScore: 'MSI Score', Ploidy: 'Ploidy', CIN: 'Chromosomal Instability (CIN)',
+        LoHFraction: 'LoH Fraction', Aneuploidy: 'Aneuploidy Score'
+    };
+
+    // PRISM target annotations that are not plain gene symbols, mapped to the
+    // genes they name. [] = no single-gene target (DNA damage, pan-kinase, ...).
+    static DRUG_TARGET_GENES = {
+        'BRAF V600': ['BRAF'], 'MEK1/2': ['MAP2K1', 'MAP2K2'], 'EGFR T790M': ['EGFR'],
+        'EGFR/HER2': ['EGFR', 'ERBB2'], 'HER2/EGFR': ['ERBB2', 'EGFR'], 'HER2': ['ERBB2'],
+        'MET/VEGFR/RET': ['MET', 'KDR', 'RET'], 'FGFR1-4': ['FGFR1', 'FGFR2', 'FGFR3', 'FGFR4'],
+        'TRKA/B/C': ['NTRK1', 'NTRK2', 'NTRK3'], 'BCR-ABL': ['ABL1'], 'BCR-ABL T315I': ['ABL1'],
+        'BCR-ABL/KIT': ['ABL1', 'KIT'], 'BCR-ABL/SRC': ['ABL1', 'SRC'],
+        'VEGFR/PDGFR': ['KDR', 'PDGFRA', 'PDGFRB'], 'VEGFR/FGFR': ['KDR', 'FGFR1'],
+        'BCL-2': ['BCL2'], 'BCL-2/BCL-xL': ['BCL2', 'BCL2L1'],
+        'PI3K pan': ['PIK3CA', 'PIK3CB', 'PIK3CD'], 'PI3Kalpha': ['PIK3CA'], 'AKT1/2/3': ['AKT1', 'AKT2', 'AKT3'],
+        'mTORC1': ['MTOR'], 'CDK4/6': ['CDK4', 'CDK6'], 'PARP1/2': ['PARP1', 'PARP2'], 'JAK1/2': ['JAK1', 'JAK2'],
+        'IDH1 mutant': ['IDH1'], 'IDH2 mutant': ['IDH2'], 'DNMT': ['DNMT1'],
+        'TYMS/DHFR': ['TYMS', 'DHFR'], 'TYMS (prodrug)': ['TYMS'], 'dNTP pool': ['RRM1'],
+        'proteasome': ['PSMB5'], 'tubulin': ['TUBB'], 'HDAC1/2': ['HDAC1', 'HDAC2'], 'HDAC pan': ['HDAC1', 'HDAC2', 'HDAC3'],
+        'ER': ['ESR1'], 'aromatase': ['CYP19A1'],
+        'multi-kinase': [], 'DNA crosslink': [], 'DNA alkyl': [], 'nucleoside': [], 'dNTP / pol': []
+    };
+
+    // Suffix on expression-layer node ids, so one gene can appear in both
+    // layers of a cross-modality network (KRAS and KRAS (expr))
+    static EXPR_NODE_SUFFIX = ' (expr)';
+
     static PRIORITY_FUSION_GENES = new Set([
         'BCR','ABL1','ALK','EML4','EWSR1','FLI1','MYC','KMT2A','PML','RARA',
         'RET','ROS1','NTRK1','NTRK2','NTRK3','ETV6','RUNX1','BRAF','FGFR1',
@@ -55,6 +468,8 @@ class CorrelationExplorer {
         this.globalSignatures = null;
         this.corumPartners = null;
         this.reactomePartners = null;
+        this.hallmarkGeneSets = null; // loaded on first local enrichment run
+        this.userGeneSetLibraries = []; // GMTs uploaded this session: [{ key, label, sets }]
         this.hlaCn = null;
         this.lehmannTnbc = null;
         this.clinicalCn = null;
@@ -144,6 +559,12 @@ class CorrelationExplorer {
         this.exprCorrelatesSortCol = 'absR';
         this.exprCorrelatesSortAsc = false;
 
+        // Correlation method for every correlation in the app: 'pearson' | 'spearman' | 'bicor'
+        this.correlationMethod = 'pearson';
+        // Network clustering: 'components' | 'louvain' (|r|-weighted, at clusterResolution)
+        this.clusterMethod = 'components';
+        this.clusterResolution = 1;
+
         // Cell Line Browser state
         this._clbSelectedCellLines = new Set();
         this._clbInspectedCellLine = null;
@@ -745,6 +1166,15 @@ class CorrelationExplorer {
             <option value="2">Only 2 mutations (n=${n2})</option>
             <option value="1+2">Only mutated 1+2 (n=${nMut})</option>
         `;
+
+        // Specific variants / codons from the inferred hotspot calls
+        const variants = this.getHotspotVariants(gene, cl =>
+            (!lineageFilter || this.cellLineMetadata?.lineage?.[cl] === lineageFilter) &&
+            (!subLineageFilter || this.cellLineMetadata?.primaryDisease?.[cl] === subLineageFilter));
+        if (variants.length) {
+            levelSelect.innerHTML += `<optgroup label="Variant / codon">${variants.map(v =>
+                `<option value="var:${v.variant}">Only ${v.variant}${v.codon ? ' (codon)' : ''} (n=${v.n})</option>`).join('')}</optgroup>`;
+        }
     }
 
     populateParamTranslocationFilter() {
@@ -863,11 +1293,17 @@ class CorrelationExplorer {
         const isMutationMode = mode === 'mutation';
         const isDesignMode = mode === 'design';
         const isSynonymMode = mode === 'synonym';
+        const isDrugMode = mode === 'drug';
 
-        // Toggle visibility of correlation/slope params (hide for mutation and synonym modes)
-        const hideParams = isMutationMode || isSynonymMode;
+        // Toggle visibility of correlation/slope params (hide for mutation, drug and synonym modes)
+        const hideParams = isMutationMode || isSynonymMode || isDrugMode;
         document.getElementById('correlationParams').style.display = hideParams ? 'none' : 'block';
         document.getElementById('slopeParams').style.display = hideParams ? 'none' : 'block';
+        // Correlation method also drives Inspect / expression correlates, so it stays visible in mutation mode
+        document.getElementById('correlationMethodGroup').style.display = isSynonymMode ? 'none' : 'block';
+        document.getElementById('lineageAdjustGroup').style.display = hideParams ? 'none' : 'block';
+        document.getElementById('clusterMethodGroup').style.display = hideParams ? 'none' : 'block';
+        document.getElementById('dataLayerGroup').style.display = hideParams ? 'none' : 'block';
         /* growthRateOption removed in v.54 */
 
         // Hide min cell lines, filters, exclude tissues, and find synonyms button for synonym mode
@@ -896,7 +1332,9 @@ class CorrelationExplorer {
 
         // Toggle visibility of mutation-specific params
         document.getElementById('mutationHotspotGroup').style.display = isMutationMode ? 'block' : 'none';
-        document.getElementById('pValueThresholdGroup').style.display = isMutationMode ? 'block' : 'none';
+        document.getElementById('drugModeGroup').style.display = isDrugMode ? 'block' : 'none';
+        document.getElementById('pValueThresholdGroup').style.display = isMutationMode || isDrugMode ? 'block' : 'none';
+        document.getElementById('maxQValueGroup').style.display = hideParams ? 'none' : 'block';
 
         // Show/hide design mode hint
         document.getElementById('designModeHint').style.display = isDesignMode ? 'block' : 'none';
@@ -906,24 +1344,28 @@ class CorrelationExplorer {
 
         // Show/hide mutation tab
         document.getElementById('mutationTab').style.display = isMutationMode ? 'inline-block' : 'none';
+        document.getElementById('drugTab').style.display = isDrugMode ? 'inline-block' : 'none';
 
         // Show/hide synonyms tab
         document.getElementById('synonymsTab').style.display = isSynonymMode ? 'inline-block' : 'none';
+        document.getElementById('heatmapTab').style.display = mode === 'analysis' ? 'inline-block' : 'none';
+        document.getElementById('diffNetTab').style.display = mode === 'analysis' || isDesignMode ? 'inline-block' : 'none';
 
-        // Disable/enable gene input elements for mutation mode (not needed, but keep Run button active)
+        // Disable/enable gene input elements for mutation and drug modes (not needed, but keep Run button active)
+        const noGeneInput = isMutationMode || isDrugMode;
         const geneInputElements = document.querySelectorAll('#geneTextarea, #manualStatsTextarea, #statsFileInput, .input-tab, .stats-sub-tab, #loadTestGenes, #clearGenes, #loadManualStatsBtn, #loadTestStats, #downloadSampleStats');
         geneInputElements.forEach(el => {
             if (el) {
-                el.disabled = isMutationMode;
-                el.style.opacity = isMutationMode ? '0.5' : '1';
-                el.style.pointerEvents = isMutationMode ? 'none' : 'auto';
+                el.disabled = noGeneInput;
+                el.style.opacity = noGeneInput ? '0.5' : '1';
+                el.style.pointerEvents = noGeneInput ? 'none' : 'auto';
             }
         });
         // Grey out the input panels but not the Run button
         const inputPanels = document.querySelectorAll('.input-panel, .input-tabs');
         inputPanels.forEach(el => {
             if (el) {
-                el.style.opacity = isMutationMode ? '0.5' : '1';
+                el.style.opacity = noGeneInput ? '0.5' : '1';
             }
         });
 
@@ -937,15 +1379,24 @@ class CorrelationExplorer {
         } else {
             minCellLinesInput.value = '25';
         }
+        if (isDrugMode) this._populateDrugCompoundList();
     }
 
     updateMutAnalysisTypeUI() {
         const subType = document.querySelector('input[name="mutAnalysisType"]:checked')?.value || 'hotspot';
         const isTranslocation = subType === 'translocation';
         const isDamaging = subType === 'damaging';
-        document.getElementById('hotspotAnalysisControls').style.display = (!isTranslocation && !isDamaging) ? '' : 'none';
+        const isCn = subType === 'cn';
+        const isBiomarker = subType === 'biomarker';
+        const isComut = subType === 'comutation';
+        document.getElementById('hotspotAnalysisControls').style.display = (!isTranslocation && !isDamaging && !isCn && !isBiomarker && !isComut) ? '' : 'none';
+        document.getElementById('biomarkerAnalysisControls').style.display = isBiomarker ? '' : 'none';
+        document.getElementById('comutAnalysisControls').style.display = isComut ? '' : 'none';
+        document.getElementById('mutLineageMetaControls').style.display = (!isTranslocation && !isComut) ? '' : 'none';
+        if (isComut) this._populateCoMutGeneList();
         document.getElementById('translocationAnalysisControls').style.display = isTranslocation ? '' : 'none';
         document.getElementById('damagingAnalysisControls').style.display = isDamaging ? '' : 'none';
+        document.getElementById('cnAnalysisControls').style.display = isCn ? '' : 'none';
         // Hide type selector if no extra data types
         if (!this.translocations?.geneData && !this.damagingMutations?.geneData) {
             document.getElementById('mutAnalysisTypeSelector').style.display = 'none';
@@ -954,6 +1405,17 @@ class CorrelationExplorer {
         if (isDamaging && this.damagingMutations?.genes) {
             this._populateDamagingMutationList();
         }
+        // CN matrix (~40 MB) is fetched the first time the CN sub-type is picked
+        if (isCn) {
+            this._populateCnGeneList();
+            this.loadCnData().then(() => this._updateCnTissueButton()).catch(e => console.warn('CN load failed', e));
+        }
+    }
+
+    _updateCnTissueButton() {
+        const btn = document.getElementById('cnTissueBreakdownBtn');
+        const gene = document.getElementById('cnHotspotSelect')?.value.trim().toUpperCase();
+        if (btn) btn.style.display = this.cnLoaded && gene && this.cnGeneIndex.has(gene) ? '' : 'none';
     }
 
     _populateDamagingMutationList() {
@@ -1039,6 +1501,7 @@ class CorrelationExplorer {
         });
 
         if (currentValue) select.value = currentValue;
+        this._populateMutationVariantSelect();
     }
 
     populateTranslocationHotspotSelector() {
@@ -1398,6 +1861,266 @@ class CorrelationExplorer {
         return Object.values(tissueMap).sort((a, b) => b.nMut - a.nMut);
     }
 
+    getTissueBreakdownForCn(gene) {
+        if (!this.cnLoaded || !this.cnGeneIndex.has(gene) || !this.cellLineMetadata?.lineage) return [];
+        const direction = document.getElementById('cnDirection')?.value || 'amp';
+        const calls = this.buildCnMutationSource([gene], direction, this._readCnThresholds()).geneData[gene].mutations;
+        const tissueMap = {};
+
+        Object.entries(calls).forEach(([cl, level]) => {
+            const lineage = this.cellLineMetadata.lineage[cl];
+            if (!lineage) return;
+            if (!tissueMap[lineage]) tissueMap[lineage] = { lineage, nMut: 0, nWT: 0 };
+            if (level > 0) tissueMap[lineage].nMut++;
+            else tissueMap[lineage].nWT++;
+        });
+
+        return Object.values(tissueMap).sort((a, b) => b.nMut - a.nMut);
+    }
+
+    // Data source behind a Mutation Analysis result: hotspot, damaging or
+    // fusion calls, or a per-run groupSource for copy-number and biomarker
+    // groups (buildCnMutationSource / buildBiomarkerMutationSource).
+    _mutationResultSource(mr) {
+        if (mr?.isTranslocation) return this.translocations;
+        if (mr?.groupSource) return mr.groupSource;
+        if (mr?.isDamaging) return this.damagingMutations;
+        return this.mutations;
+    }
+
+    // Lowercase name of what a Mutation Analysis result stratifies by
+    _mutationResultKind(mr) {
+        if (mr?.isTranslocation) return 'fusion';
+        if (mr?.isCopyNumber) return mr.cnDirection === 'del' ? 'copy-number deletion' : 'copy-number amplification';
+        if (mr?.isBiomarker) return `${mr.biomarker.layer === 'expr' ? 'expression' : 'gene effect'} group (${this._biomarkerGroupText(mr.biomarker)})`;
+        if (mr?.isDamaging) return 'damaging mutation';
+        if (mr?.isVariant) return `hotspot variant (${this._variantGroupText(mr.variant)})`;
+        return 'hotspot mutation';
+    }
+
+    // CN-derived sources only call lines with a CN value in the tested
+    // direction; every other source treats a missing entry as WT.
+    _isUncalled(mutationData, cellLine) {
+        return !!mutationData?.calledOnly && !(cellLine in mutationData.mutations);
+    }
+
+    // Relative CN thresholds (1.0 = the line's own baseline). Deletion and
+    // amplification defaults come from clinical_cn.json.
+    _cnThresholdDefaults() {
+        const t = this.clinicalCn?.thresholds || {};
+        return { deepDel: t.deep_del ?? 0.3, loss: t.del ?? 0.5, gain: 1.5, amp: t.amp ?? 3.0 };
+    }
+
+    _readCnThresholds() {
+        const d = this._cnThresholdDefaults();
+        const read = (id, def) => {
+            const v = parseFloat(document.getElementById(id)?.value);
+            return v > 0 ? v : def;
+        };
+        return { deepDel: read('cnThrDeepDel', d.deepDel), loss: read('cnThrLoss', d.loss), gain: read('cnThrGain', d.gain), amp: read('cnThrAmp', d.amp) };
+    }
+
+    // Relative CN of a gene in one cell line from the CN matrix, falling back
+    // to the clinicalCn anchor call for lines the matrix doesn't cover.
+    _cnValueForCellLine(gene, cellLine) {
+        const gi = this.cnGeneIndex?.get(gene);
+        const ci = this.cnCellLineIndex?.get(cellLine);
+        if (gi !== undefined && ci !== undefined) {
+            const v = this.cnData[gi * this.cnMetadata.nCellLines + ci];
+            if (!isNaN(v)) return v;
+        }
+        const entry = this.clinicalCn?.byCellLine?.[cellLine];
+        const call = [...(entry?.amplifications || []), ...(entry?.deletions || [])].find(e => e.gene.toUpperCase() === gene);
+        return typeof call?.cn === 'number' ? call.cn : NaN;
+    }
+
+    // Mutation-style source from copy number, shaped like this.mutations so
+    // calculateMutationAnalysis and the inspect views can use it unchanged:
+    // 2 = amplification / deep deletion, 1 = gain / loss, 0 = neutral. Lines
+    // altered in the other direction or without a CN value stay uncalled.
+    buildCnMutationSource(genes, direction, thr) {
+        const geneData = {};
+        genes.forEach(gene => {
+            const mutations = {};
+            for (const cl of this.metadata.cellLines) {
+                const v = this._cnValueForCellLine(gene, cl);
+                if (isNaN(v)) continue;
+                if (direction === 'del') {
+                    if (v <= thr.deepDel) mutations[cl] = 2;
+                    else if (v <= thr.loss) mutations[cl] = 1;
+                    else if (v < thr.gain) mutations[cl] = 0;
+                } else {
+                    if (v >= thr.amp) mutations[cl] = 2;
+                    else if (v >= thr.gain) mutations[cl] = 1;
+                    else if (v > thr.loss) mutations[cl] = 0;
+                }
+            }
+            geneData[gene] = { mutations, calledOnly: true };
+        });
+        return { genes: [...genes], geneData, direction, thresholds: thr };
+    }
+
+    // Biomarker definition from the Mutation Analysis controls. Quantile
+    // cut-offs are percentiles (0–100) of the biomarker over eligible lines.
+    _readBiomarkerDefinition() {
+        const gene = document.getElementById('biomarkerGene').value.trim().toUpperCase();
+        const layer = document.getElementById('biomarkerLayer').value === 'ge' ? 'ge' : 'expr';
+        const mode = document.getElementById('biomarkerCutMode').value === 'absolute' ? 'absolute' : 'quantile';
+        const high = parseFloat(document.getElementById('biomarkerHighCut').value);
+        const low = parseFloat(document.getElementById('biomarkerLowCut').value);
+        return { gene, layer, mode, high, low };
+    }
+
+    // "top 25% vs bottom 25%", "≥ 5.2 vs ≤ 1.0" etc., with the resolved
+    // values once the source has been built
+    _biomarkerGroupText(def) {
+        const f = (v) => Number.isFinite(v) ? v.toFixed(2) : 'n/a';
+        if (def.mode === 'absolute') return `high ≥ ${def.high} vs low ≤ ${def.low}`;
+        const resolved = def.cutHigh !== undefined ? ` (${f(def.cutHigh)} / ${f(def.cutLow)})` : '';
+        return `high ≥ ${def.high}th vs low ≤ ${def.low}th percentile${resolved}`;
+    }
+
+    // Mutation-style source from a continuous biomarker (expression or gene
+    // effect of def.gene): 1 = high, 0 = low. Lines between the cut-offs or
+    // without a value stay uncalled. isEligible(cellLine) limits the lines the
+    // quantiles are taken over to those the analysis will use.
+    buildBiomarkerMutationSource(def, isEligible) {
+        const geneIdx = this.geneIndex.get(def.gene);
+        const values = this.metadata.cellLines.map((cl, i) => def.layer === 'expr'
+            ? this.getExpressionValueByGEIndex(def.gene, i)
+            : this.geneEffects[geneIdx * this.nCellLines + i]);
+        let cutHigh = def.high, cutLow = def.low;
+        if (def.mode === 'quantile') {
+            const pool = values.filter((v, i) => !isNaN(v) && isEligible(this.metadata.cellLines[i])).sort((a, b) => a - b);
+            if (pool.length < 2) throw new Error(`Not enough ${def.gene} values to set quantile cut-offs`);
+            const quantile = (pct) => {
+                const pos = (pool.length - 1) * Math.min(100, Math.max(0, pct)) / 100;
+                const lo = Math.floor(pos);
+                return pool[lo] + (pool[Math.min(lo + 1, pool.length - 1)] - pool[lo]) * (pos - lo);
+            };
+            cutHigh = quantile(def.high);
+            cutLow = quantile(def.low);
+        }
+        const mutations = {};
+        this.metadata.cellLines.forEach((cl, i) => {
+            const v = values[i];
+            if (isNaN(v)) return;
+            if (v >= cutHigh) mutations[cl] = 1;
+            else if (v <= cutLow) mutations[cl] = 0;
+        });
+        return {
+            genes: [def.gene],
+            geneData: { [def.gene]: { mutations, calledOnly: true } },
+            definition: { ...def, cutHigh, cutLow }
+        };
+    }
+
+    // Variant / codon calls of one gene from the inferredSubtypes hotspot
+    // strings ("KRAS p.G12D", "KRAS p.G12"): variant → Set of cell lines.
+    // A specific call implies its codon call, so codon sets are supersets.
+    // The bare ALK "Hotspot" column isn't a variant and is skipped.
+    getHotspotVariantCalls(gene) {
+        if (!this._hotspotVariantCache) this._hotspotVariantCache = new Map();
+        if (this._hotspotVariantCache.has(gene)) return this._hotspotVariantCache.get(gene);
+        const calls = {};
+        const prefix = `${gene} `;
+        for (const [cl, sub] of Object.entries(this.inferredSubtypes?.byCellLine || {})) {
+            for (const h of (sub.hotspots || [])) {
+                if (!h.startsWith(prefix)) continue;
+                const variant = h.slice(prefix.length);
+                if (variant === 'Hotspot') continue;
+                (calls[variant] ||= new Set()).add(cl);
+            }
+        }
+        this._hotspotVariantCache.set(gene, calls);
+        return calls;
+    }
+
+    // Variants of a gene for selectors: [{ variant, n, codon }], codon-level
+    // calls after the specific variants they contain. isEligible limits n.
+    getHotspotVariants(gene, isEligible = null) {
+        const calls = this.getHotspotVariantCalls(gene);
+        return Object.entries(calls).map(([variant, set]) => ({
+            variant,
+            n: isEligible ? [...set].filter(isEligible).length : set.size,
+            codon: /^p\.[A-Z]\d+$/.test(variant)
+        })).sort((a, b) => (a.codon - b.codon) || (b.n - a.n) || a.variant.localeCompare(b.variant));
+    }
+
+    // Most specific variant called for a line ('p.G12D' over 'p.G12'), or null
+    _hotspotVariantOf(gene, cellLine) {
+        let best = null;
+        for (const [variant, set] of Object.entries(this.getHotspotVariantCalls(gene))) {
+            if (set.has(cellLine) && (!best || set.size < best.size)) best = { variant, size: set.size };
+        }
+        return best?.variant || null;
+    }
+
+    // Hotspot level filter: 'all' | '0' | '1' | '2' | '1+2', or 'var:<variant>'
+    // to keep only lines carrying that variant / codon of the gene
+    _passesHotspotLevel(gene, cellLine, level, mutLevel) {
+        if (level.startsWith('var:')) return !!this.getHotspotVariantCalls(gene)[level.slice(4)]?.has(cellLine);
+        if (level === '0') return mutLevel === 0;
+        if (level === '1') return mutLevel === 1;
+        if (level === '2') return mutLevel >= 2;
+        if (level === '1+2') return mutLevel >= 1;
+        return true;
+    }
+
+    _hotspotLevelText(level) {
+        if (level.startsWith('var:')) return level.slice(4);
+        return { '0': 'WT', '1': '1 mut', '2': '2 mut', '1+2': 'Mut' }[level] || level;
+    }
+
+    // Mutation-style source splitting a hotspot gene by variant: carriers keep
+    // their hotspot level (at least 1); the reference group (level 0) is WT
+    // lines, or the gene's other mutants when reference is 'other'. Lines in
+    // neither group stay uncalled.
+    buildVariantMutationSource(gene, variant, reference) {
+        const carriers = this.getHotspotVariantCalls(gene)[variant] || new Set();
+        const levels = this.mutations?.geneData?.[gene]?.mutations || {};
+        const mutations = {};
+        for (const cl of this.metadata.cellLines) {
+            const level = levels[cl] || 0;
+            if (carriers.has(cl)) mutations[cl] = Math.max(1, level);
+            else if (reference === 'other' ? level > 0 : level === 0) mutations[cl] = 0;
+        }
+        return {
+            genes: [gene],
+            geneData: { [gene]: { mutations, calledOnly: true } },
+            definition: { gene, variant, reference }
+        };
+    }
+
+    _variantGroupText(def) {
+        return `${def.variant} vs ${def.reference === 'other' ? `other ${def.gene} mutants` : 'WT'}`;
+    }
+
+    // Variant selector under the Mutation Analysis hotspot gene; hidden for
+    // genes without variant calls
+    _populateMutationVariantSelect() {
+        const gene = document.getElementById('mutationHotspotSelect').value;
+        const select = document.getElementById('mutationVariantSelect');
+        const row = document.getElementById('mutationVariantControls');
+        if (!select || !row) return;
+        const variants = gene ? this.getHotspotVariants(gene) : [];
+        const current = select.value;
+        select.innerHTML = `<option value="">All ${gene} mutants</option>` + variants.map(v =>
+            `<option value="${v.variant}">${v.variant}${v.codon ? ' (codon)' : ''} · n=${v.n}</option>`).join('');
+        if (variants.some(v => v.variant === current)) select.value = current;
+        row.style.display = variants.length ? 'flex' : 'none';
+    }
+
+    _populateCnGeneList() {
+        const datalist = document.getElementById('cnHotspotList');
+        if (!datalist || datalist.options.length || !this.clinicalCn) return;
+        const panel = [
+            ...(this.clinicalCn.amplificationPanel || []).map(e => ({ ...e, kind: 'amp' })),
+            ...(this.clinicalCn.deletionPanel || []).map(e => ({ ...e, kind: 'del' }))
+        ].sort((a, b) => a.gene.localeCompare(b.gene));
+        datalist.innerHTML = panel.map(e => `<option value="${e.gene}">${e.kind === 'amp' ? '▲ amp' : '▼ del'} · ${(e.context || '').split('.')[0]}</option>`).join('');
+    }
+
     getTissueBreakdownForTranslocation(gene) {
         if (!this.translocations?.geneData?.[gene] || !this.cellLineMetadata?.lineage) return [];
         const translocations = this.translocations.geneData[gene].translocations;
@@ -1422,29 +2145,35 @@ class CorrelationExplorer {
         this.hideTissueBreakdownPopup();
         const isTransloc = type === 'translocation';
         const isDamaging = type === 'damaging';
+        const isCn = type === 'cn';
         const gene = isTransloc
             ? document.getElementById('translocationHotspotSelect').value
             : isDamaging
                 ? document.getElementById('damagingHotspotSelect').value
-                : document.getElementById('mutationHotspotSelect').value;
+                : isCn
+                    ? document.getElementById('cnHotspotSelect').value.trim().toUpperCase()
+                    : document.getElementById('mutationHotspotSelect').value;
         if (!gene) return;
 
+        const cnDirection = document.getElementById('cnDirection')?.value || 'amp';
         const breakdown = isTransloc
             ? this.getTissueBreakdownForTranslocation(gene)
             : isDamaging
                 ? this.getTissueBreakdownForDamaging(gene)
-                : this.getTissueBreakdownForHotspot(gene);
+                : isCn
+                    ? this.getTissueBreakdownForCn(gene)
+                    : this.getTissueBreakdownForHotspot(gene);
         if (breakdown.length === 0) return;
 
         const currentLineage = document.getElementById('lineageFilter').value;
-        const mutLabel = isTransloc ? 'Fused' : isDamaging ? 'Dmg' : 'Mut';
+        const mutLabel = isTransloc ? 'Fused' : isDamaging ? 'Dmg' : isCn ? (cnDirection === 'del' ? 'Del' : 'Amp') : 'Mut';
 
         const popup = document.createElement('div');
         popup.id = 'tissueBreakdownPopup';
         popup.style.cssText = 'position: fixed; z-index: 10000; background: white; border: 1px solid #d1d5db; border-radius: 8px; box-shadow: 0 8px 24px rgba(0,0,0,0.15); padding: 0; min-width: 340px; max-width: 420px; display: flex; flex-direction: column;';
 
         // Position near the button, clamped to viewport
-        const btn = document.getElementById(isTransloc ? 'translocationTissueBreakdownBtn' : isDamaging ? 'damagingTissueBreakdownBtn' : 'tissueBreakdownBtn');
+        const btn = document.getElementById(isTransloc ? 'translocationTissueBreakdownBtn' : isDamaging ? 'damagingTissueBreakdownBtn' : isCn ? 'cnTissueBreakdownBtn' : 'tissueBreakdownBtn');
         const rect = btn.getBoundingClientRect();
         const vw = window.innerWidth;
         const vh = window.innerHeight;
@@ -1493,9 +2222,11 @@ class CorrelationExplorer {
             const cellLines = this.metadata.cellLines;
             const mutSource = isTransloc ? this.translocations?.geneData?.[gene]?.translocations
                 : isDamaging ? this.damagingMutations?.geneData?.[gene]?.mutations
+                : isCn ? this.buildCnMutationSource([gene], cnDirection, this._readCnThresholds()).geneData[gene].mutations
                 : this.mutations?.geneData?.[gene]?.mutations;
             if (mutSource) {
                 cellLines.forEach(cl => {
+                    if (isCn && !(cl in mutSource)) return;
                     const lin = this.cellLineMetadata.lineage?.[cl];
                     const sub = this.cellLineMetadata.primaryDisease?.[cl];
                     if (!lin || !sub) return;
@@ -1634,7 +2365,7 @@ class CorrelationExplorer {
         setTimeout(() => {
             this._tbOutsideHandler = (e) => {
                 const p = document.getElementById('tissueBreakdownPopup');
-                if (p && !p.contains(e.target) && e.target.id !== 'tissueBreakdownBtn' && e.target.id !== 'translocationTissueBreakdownBtn' && e.target.id !== 'damagingTissueBreakdownBtn') {
+                if (p && !p.contains(e.target) && e.target.id !== 'tissueBreakdownBtn' && e.target.id !== 'translocationTissueBreakdownBtn' && e.target.id !== 'damagingTissueBreakdownBtn' && e.target.id !== 'cnTissueBreakdownBtn') {
                     this.hideTissueBreakdownPopup();
                 }
             };
@@ -1688,10 +2419,7 @@ class CorrelationExplorer {
                 }
                 if (paramHotspotMuts) {
                     const level = paramHotspotMuts[cl] || 0;
-                    if (paramHotspotLevel === '0' && level !== 0) return false;
-                    if (paramHotspotLevel === '1+2' && level < 1) return false;
-                    if (paramHotspotLevel === '1' && level !== 1) return false;
-                    if (paramHotspotLevel === '2' && level < 2) return false;
+                    if (!this._passesHotspotLevel(paramHotspot, cl, paramHotspotLevel, level)) return false;
                 }
                 if (paramTransMuts) {
                     const level = paramTransMuts[cl] || 0;
@@ -1702,7 +2430,7 @@ class CorrelationExplorer {
             });
             const filterParts = [];
             if (lineageFilter) filterParts.push(lineageFilter);
-            if (paramHotspot && paramHotspotLevel !== 'all') filterParts.push(`${paramHotspot} ${paramHotspotLevel === '0' ? 'WT' : 'Mut'}`);
+            if (paramHotspot && paramHotspotLevel !== 'all') filterParts.push(`${paramHotspot} ${this._hotspotLevelText(paramHotspotLevel)}`);
             filterLabel = filterParts.join(' · ');
             if (!filterLabel && this.excludedTissues && this.excludedTissues.size > 0) filterLabel = 'filtered tissues';
         }
@@ -1723,8 +2451,8 @@ class CorrelationExplorer {
             if (n > 0) geneCounts.push({ gene, n, muts });
         }
         geneCounts.sort((a, b) => b.n - a.n);
-        const topGenes = geneCounts.slice(0, maxGenes);
-        if (topGenes.length === 0) return;
+        const geneRows = geneCounts.slice(0, maxGenes);
+        if (geneRows.length === 0) return;
 
         // Initialize gene filter states: 'none' | 'mut' | 'wt'
         if (!this._oncoprintFilters) this._oncoprintFilters = {};
@@ -1733,13 +2461,27 @@ class CorrelationExplorer {
         const clMutCounts = new Map();
         for (const cl of clsToShow) {
             let count = 0;
-            for (const { muts } of topGenes) {
+            for (const { muts } of geneRows) {
                 if (muts[cl] > 0) count++;
             }
             clMutCounts.set(cl, count);
         }
         const sortedCLs = [...clsToShow].sort((a, b) => clMutCounts.get(b) - clMutCounts.get(a));
 
+        // Optional variant / codon sub-rows under each gene (inferred hotspot
+        // calls). Row keys like "KRAS p.G12D" double as oncoprint filter keys.
+        const topGenes = [];
+        for (const g of geneRows) {
+            topGenes.push(g);
+            if (!this._oncoprintSplitVariants) continue;
+            for (const [variant, set] of Object.entries(this.getHotspotVariantCalls(g.gene))) {
+                const muts = {};
+                let n = 0;
+                for (const cl of clsToShow) if (set.has(cl)) { muts[cl] = 1; n++; }
+                if (n > 0) topGenes.push({ gene: `${g.gene} ${variant}`, n, muts, variant });
+            }
+        }
+
         // Build the oncoprint grid
         const cellW = Math.max(3, Math.min(8, Math.floor(500 / sortedCLs.length)));
         const cellH = 14;
@@ -1766,12 +2508,12 @@ class CorrelationExplorer {
 
         // Draggable header
         let html = `<div id="oncoprintDragHandle" style="display:flex; justify-content:space-between; align-items:center; padding:6px 10px; background:#f0fdf4; border-radius:8px 8px 0 0; cursor:move; user-select:none;">`;
-        html += `<span style="font-weight:600; font-size:12px;">Oncoprint — Top ${topGenes.length} hotspot genes</span>`;
+        html += `<span style="font-weight:600; font-size:12px;">Oncoprint — Top ${geneRows.length} hotspot genes</span>`;
         html += `<span style="font-size:10px; color:#6b7280;">${sortedCLs.length} cell lines${filterLabel ? ' · ' + filterLabel : ''}${filteredCLs.length > maxCLs ? ` (showing ${maxCLs} of ${filteredCLs.length})` : ''}</span>`;
         html += `<button onclick="document.getElementById('oncoprintPopup').remove()" style="background:none;border:none;font-size:16px;cursor:pointer;color:#999;">&times;</button>`;
         html += `</div>`;
         html += `<div style="padding:6px 10px; overflow:auto; flex:1;">`;
-        html += `<div style="font-size:9px; color:#9ca3af; margin-bottom:4px;"><span style="color:#16a34a;">■</span> include · <span style="color:#dc2626;">■</span> exclude · <span style="display:inline-block;width:8px;height:8px;background:#3b82f6;vertical-align:middle;"></span> 1 mut · <span style="display:inline-block;width:8px;height:8px;background:#1e40af;vertical-align:middle;"></span> 2 mut · <span style="display:inline-block;width:8px;height:8px;background:#f3f4f6;border:1px solid #d1d5db;vertical-align:middle;"></span> WT</div>`;
+        html += `<div style="font-size:9px; color:#9ca3af; margin-bottom:4px;"><span style="color:#16a34a;">■</span> include · <span style="color:#dc2626;">■</span> exclude · <span style="display:inline-block;width:8px;height:8px;background:#3b82f6;vertical-align:middle;"></span> 1 mut · <span style="display:inline-block;width:8px;height:8px;background:#1e40af;vertical-align:middle;"></span> 2 mut · <span style="display:inline-block;width:8px;height:8px;background:#f3f4f6;border:1px solid #d1d5db;vertical-align:middle;"></span> WT${this._oncoprintSplitVariants ? ' · <span style="display:inline-block;width:8px;height:8px;background:#7c3aed;vertical-align:middle;"></span> variant' : ''}</div>`;
         html += `<canvas id="oncoprintCanvas" width="${totalW}" height="${totalH}" style="cursor:pointer;"></canvas>`;
         html += `<div id="oncoprintStatus" style="font-size:10px; margin-top:4px; display:flex; gap:6px; align-items:center; flex-wrap:wrap;"></div>`;
         html += `</div>`; // close inner padding div
@@ -1782,6 +2524,7 @@ class CorrelationExplorer {
         html += `<span style="border-left:1px solid #d1d5db;height:16px;margin:0 2px;"></span>`;
         html += `<select id="upsetGeneCount" style="font-size:10px;padding:1px 2px;border:1px solid #d1d5db;border-radius:4px;width:36px;" title="Number of top genes for UpSet"><option value="3">3</option><option value="5" selected>5</option><option value="7">7</option><option value="10">10</option></select>`;
         html += `<button onclick="app._showUpsetPlot()" style="font-size:10px;padding:2px 8px;border:1px solid #d1d5db;border-radius:4px;cursor:pointer;background:#f0fdf4;color:#16a34a;font-weight:500;">UpSet</button>`;
+        html += `<label style="font-size:10px;display:inline-flex;align-items:center;gap:3px;margin-left:4px;cursor:pointer;" title="Add variant / codon rows (e.g. KRAS p.G12D, p.G13) under each gene"><input type="checkbox" ${this._oncoprintSplitVariants ? 'checked' : ''} onchange="app._oncoprintToggleVariants(this.checked)"> Variants</label>`;
         html += `</div>`;
         popup.innerHTML = html;
         document.body.appendChild(popup);
@@ -1857,10 +2600,10 @@ class CorrelationExplorer {
                 // Gene label
                 const hasFilter = filterState !== 'none';
                 ctx.fillStyle = isSelected ? '#5a9f4a' : filterState === 'mut' ? '#16a34a' : filterState === 'wt' ? '#dc2626' : '#374151';
-                ctx.font = (isSelected || hasFilter) ? 'bold 10px Arial' : '10px Arial';
+                ctx.font = g.variant ? ((hasFilter ? 'bold ' : '') + '9px Arial') : (isSelected || hasFilter) ? 'bold 10px Arial' : '10px Arial';
                 ctx.textAlign = 'right';
                 ctx.textBaseline = 'middle';
-                ctx.fillText(g.gene, boxAreaW + labelW - 4, y + cellH / 2);
+                ctx.fillText(g.variant || g.gene, boxAreaW + labelW - 4, y + cellH / 2);
 
                 // Count
                 ctx.fillStyle = '#9ca3af';
@@ -1873,7 +2616,7 @@ class CorrelationExplorer {
                     const x = boxAreaW + labelW + colIdx * cellW;
                     const mutLevel = g.muts[cl] || 0;
                     if (mutLevel > 0) {
-                        ctx.fillStyle = mutLevel >= 2 ? '#1e40af' : '#3b82f6';
+                        ctx.fillStyle = g.variant ? '#7c3aed' : mutLevel >= 2 ? '#1e40af' : '#3b82f6';
                     } else {
                         ctx.fillStyle = '#f3f4f6';
                     }
@@ -2040,6 +2783,11 @@ class CorrelationExplorer {
         if (currentVal) select.value = currentVal;
     }
 
+    _oncoprintToggleVariants(on) {
+        this._oncoprintSplitVariants = on;
+        this.showOncoprint(this._oncoprintContext);
+    }
+
     _oncoprintClearGene(gene) {
         delete this._oncoprintFilters[gene];
         this._oncoprintSyncFilters();
@@ -2072,7 +2820,10 @@ class CorrelationExplorer {
         if (!this._activeOncoprintFilters || this._activeOncoprintFilters.length === 0) return true;
         for (const { gene, state } of this._activeOncoprintFilters) {
             const muts = this.mutations?.geneData?.[gene]?.mutations;
-            const isMut = muts && muts[cellLine] > 0;
+            // Variant rows are keyed "GENE variant"
+            const sp = gene.indexOf(' ');
+            const isMut = muts ? muts[cellLine] > 0
+                : sp > 0 && !!this.getHotspotVariantCalls(gene.slice(0, sp))[gene.slice(sp + 1)]?.has(cellLine);
             if (state === 'mut' && !isMut) return false;
             if (state === 'wt' && isMut) return false;
         }
@@ -2129,14 +2880,14 @@ class CorrelationExplorer {
                     svg += `<rect x="${2 + bw + bg}" y="${y + 2}" width="${bw}" height="${cH - 4}" fill="${fs === 'wt' ? '#dc2626' : '#e5e7eb'}" stroke="#9ca3af" stroke-width="0.5"/>\n`;
                     // Gene label
                     const labelColor = fs === 'mut' ? '#16a34a' : fs === 'wt' ? '#dc2626' : '#374151';
-                    svg += `<text x="${baw + lw - 4}" y="${y + cH / 2}" text-anchor="end" dominant-baseline="central" font-family="Arial" font-size="10" fill="${labelColor}" ${fs !== 'none' ? 'font-weight="bold"' : ''}>${g.gene}</text>\n`;
+                    svg += `<text x="${baw + lw - 4}" y="${y + cH / 2}" text-anchor="end" dominant-baseline="central" font-family="Arial" font-size="${g.variant ? 9 : 10}" fill="${labelColor}" ${fs !== 'none' ? 'font-weight="bold"' : ''}>${g.variant || g.gene}</text>\n`;
                     // Count
                     svg += `<text x="${baw + lw + cls.length * cellW + 2}" y="${y + cH / 2}" font-family="Arial" font-size="8" fill="#9ca3af" dominant-baseline="central">${g.n}</text>\n`;
                     // Grid
                     cls.forEach((cl, colIdx) => {
                         const x = baw + lw + colIdx * cellW;
                         const mutLevel = g.muts[cl] || 0;
-                        svg += `<rect x="${x}" y="${y + 1}" width="${cellW - 1}" height="${cH - 2}" fill="${mutLevel >= 2 ? '#1e40af' : mutLevel > 0 ? '#3b82f6' : '#f3f4f6'}"/>\n`;
+                        svg += `<rect x="${x}" y="${y + 1}" width="${cellW - 1}" height="${cH - 2}" fill="${mutLevel > 0 && g.variant ? '#7c3aed' : mutLevel >= 2 ? '#1e40af' : mutLevel > 0 ? '#3b82f6' : '#f3f4f6'}"/>\n`;
                     });
                 });
             }
@@ -2927,6 +3678,46 @@ class CorrelationExplorer {
         return this.geneEffects.subarray(start, start + this.nCellLines);
     }
 
+    isExpressionNode(node) {
+        return typeof node === 'string' && node.endsWith(CorrelationExplorer.EXPR_NODE_SUFFIX);
+    }
+
+    // Gene symbol of a network node id (drops the expression-layer suffix)
+    nodeGene(node) {
+        return this.isExpressionNode(node) ? node.slice(0, -CorrelationExplorer.EXPR_NODE_SUFFIX.length) : node;
+    }
+
+    layerNode(gene, layer) {
+        return layer === 'expr' ? gene + CorrelationExplorer.EXPR_NODE_SUFFIX : gene;
+    }
+
+    /**
+     * Full-length vector in GE cell-line order for a network node of either
+     * layer. Expression values are mapped through expressionCellLineMap
+     * (NaN for cell lines without expression data).
+     */
+    getNodeData(node) {
+        if (!this.isExpressionNode(node)) return this.getGeneData(this.geneIndex.get(node));
+        const exprIdx = this.expressionGeneIndex.get(this.nodeGene(node));
+        const nExprCellLines = this.expressionMetadata.nCellLines;
+        const out = new Float32Array(this.nCellLines);
+        for (let i = 0; i < this.nCellLines; i++) {
+            const j = this.expressionCellLineMap[i];
+            out[i] = j === -1 ? NaN : this.expressionData[exprIdx * nExprCellLines + j];
+        }
+        return out;
+    }
+
+    // Node ids of one data layer ('ge' | 'expr'): the given genes that exist
+    // in that layer, or every gene of the layer when genes is null.
+    _layerNodes(layer, genes = null) {
+        if (layer === 'expr') {
+            const pool = genes || Array.from(this.expressionGeneIndex.keys());
+            return pool.filter(g => this.expressionGeneIndex.has(g)).map(g => this.layerNode(g, 'expr'));
+        }
+        return genes ? genes.filter(g => this.geneIndex.has(g)) : Array.from(this.geneIndex.keys());
+    }
+
     /**
      * Get expression value for a gene at a given GE cell-line index.
      * Returns NaN if expression data is not loaded or the gene/cell line is missing.
@@ -2951,9 +3742,50 @@ class CorrelationExplorer {
         if (type === 'geneset') return this.getGeneSetScoreByGEIndex(geCellLineIndex);
         if (type === 'growth') return this.getGrowthRateByGEIndex(geCellLineIndex);
         if (type === 'expr') return this.getExpressionValueByGEIndex(gene, geCellLineIndex);
+        if (type === 'cn') return this.getCnValueByGEIndex(gene, geCellLineIndex);
+        if (type === 'drug') return this.getDrugAucByGEIndex(gene, geCellLineIndex);
+        if (type === 'signature') return this.getSignatureByGEIndex(gene, geCellLineIndex);
         return geData ? geData[geCellLineIndex] : NaN;
     }
 
+    /**
+     * Get relative copy number for a gene at a given GE cell-line index.
+     * Returns NaN if the CN matrix is not loaded or the gene/cell line is missing.
+     */
+    getCnValueByGEIndex(gene, geCellLineIndex) {
+        if (!this.cnLoaded) return NaN;
+        const gi = this.cnGeneIndex.get(gene.toUpperCase());
+        const ci = this.cnCellLineIndex.get(this.metadata.cellLines[geCellLineIndex]);
+        if (gi === undefined || ci === undefined) return NaN;
+        return this.cnData[gi * this.cnMetadata.nCellLines + ci];
+    }
+
+    /**
+     * Get PRISM AUC of a compound (name or ID) at a given GE cell-line index.
+     */
+    getDrugAucByGEIndex(compoundName, geCellLineIndex) {
+        if (this._axisDrugKey !== compoundName) {
+            this._axisDrugKey = compoundName;
+            this._axisDrug = this._findDrugCompound(compoundName);
+        }
+        const v = this._axisDrug?.auc?.[this.metadata.cellLines[geCellLineIndex]];
+        return v === undefined || v === null ? NaN : v;
+    }
+
+    /**
+     * Get a genome-wide signature (MSIScore, Ploidy, ...) at a given GE cell-line index.
+     */
+    getSignatureByGEIndex(signature, geCellLineIndex) {
+        const v = this.globalSignatures?.byCellLine?.[this.metadata.cellLines[geCellLineIndex]]?.[signature];
+        return typeof v === 'number' ? v : NaN;
+    }
+
+    // Canonical signature key for free-text input, or null
+    _resolveSignatureAxis(name) {
+        const q = (name || '').trim().toUpperCase();
+        return Object.keys(CorrelationExplorer.SIGNATURE_AXES).find(k => k.toUpperCase() === q) || null;
+    }
+
     /**
      * Get axis label for a gene and type.
      */
@@ -2961,6 +3793,9 @@ class CorrelationExplorer {
         if (type === 'geneset') return this._geneSetLabel ? `${this._geneSetLabel}` : 'Gene Set Score';
         if (type === 'growth') return 'Growth Rate';
         if (type === 'expr') return `${gene} Expression (log2 TPM+1)`;
+        if (type === 'cn') return `${gene} Copy Number (relative)`;
+        if (type === 'drug') return `${gene} AUC`;
+        if (type === 'signature') return CorrelationExplorer.SIGNATURE_AXES[gene] || gene;
         return `${gene} Gene Effect`;
     }
 
@@ -2971,6 +3806,9 @@ class CorrelationExplorer {
         if (type === 'geneset') return 'Set';
         if (type === 'growth') return 'Growth';
         if (type === 'expr') return 'Expr';
+        if (type === 'cn') return 'CN';
+        if (type === 'drug') return 'AUC';
+        if (type === 'signature') return 'Sig';
         return 'Effect';
     }
 
@@ -2998,6 +3836,62 @@ class CorrelationExplorer {
             document.getElementById('slopeValue').textContent = parseFloat(e.target.value).toFixed(2);
         });
 
+        // Correlation method applies app-wide (network, tables, Inspect, compare
+        // tables); an open scatter is redrawn so its r/ρ/bicor stays in sync.
+        const methodSelect = document.getElementById('correlationMethod');
+        if (methodSelect) {
+            // Browsers may restore the last choice on reload — pick it up
+            if (CORRELATION_METHODS[methodSelect.value]) this.correlationMethod = methodSelect.value;
+            methodSelect.addEventListener('change', (e) => {
+                this.correlationMethod = CORRELATION_METHODS[e.target.value] ? e.target.value : 'pearson';
+                if (this.currentInspect && document.getElementById('inspectModal')?.classList.contains('active')) {
+                    this.updateInspectPlot();
+                }
+            });
+        }
+
+        // Clustered heatmap renders lazily when its tab is opened
+        document.getElementById('heatmapTab')?.addEventListener('click', () => this.renderCorrelationHeatmap());
+        document.getElementById('heatmapLinkage')?.addEventListener('change', () => this.renderCorrelationHeatmap());
+        document.getElementById('heatmapGroups')?.addEventListener('change', () => this.renderCorrelationHeatmap());
+        document.getElementById('heatmapDownloadPNG')?.addEventListener('click', () => this.exportHeatmap('png'));
+        document.getElementById('heatmapDownloadSVG')?.addEventListener('click', () => this.exportHeatmap('svg'));
+        document.getElementById('heatmapDownloadCSV')?.addEventListener('click', () => this.downloadHeatmapCSV());
+
+        // Drug Response mode
+        document.getElementById('drugCompoundSelect')?.addEventListener('input', () => this._updateDrugCompoundInfo());
+        document.getElementById('drugCorrelateLayer')?.addEventListener('change', () => { if (this.drugResults) this._renderDrugCorrelatesTable(); });
+        document.getElementById('drugEnrichrPositive')?.addEventListener('click', () => this.enrichrDrugCorrelates(1));
+        document.getElementById('drugEnrichrNegative')?.addEventListener('click', () => this.enrichrDrugCorrelates(-1));
+        document.getElementById('drugMutationCSV')?.addEventListener('click', () => this.downloadDrugCSV('mutations'));
+        document.getElementById('drugCorrelatesCSV')?.addEventListener('click', () => this.downloadDrugCSV('correlates'));
+        document.getElementById('drugTissueCSV')?.addEventListener('click', () => this.downloadDrugCSV('tissues'));
+        document.getElementById('drugTab')?.addEventListener('click', () => this._populateOnTargetLineages());
+        document.getElementById('runOnTarget')?.addEventListener('click', () => this.runDrugOnTargetConcordance());
+        document.getElementById('onTargetCSV')?.addEventListener('click', () => this.downloadDrugOnTargetCSV());
+
+        // Differential co-essentiality network between two cohorts
+        document.getElementById('diffNetTab')?.addEventListener('click', () => this._syncDiffNetControls());
+        document.getElementById('diffSplitBy')?.addEventListener('change', () => this._syncDiffNetControls());
+        document.getElementById('runDiffNetwork')?.addEventListener('click', () => this.runDifferentialNetwork());
+        document.getElementById('diffDownloadCSV')?.addEventListener('click', () => this.downloadDiffNetCSV());
+
+        // Clustering is post-processing on the passing edges, so changing it
+        // re-clusters the current network in place.
+        const clusterSelect = document.getElementById('clusterMethod');
+        const resolutionInput = document.getElementById('clusterResolution');
+        if (clusterSelect && resolutionInput) {
+            const readClusterSettings = () => {
+                this.clusterMethod = clusterSelect.value === 'louvain' ? 'louvain' : 'components';
+                const res = parseFloat(resolutionInput.value);
+                this.clusterResolution = res > 0 ? res : 1;
+                document.getElementById('clusterResolutionRow').style.display = this.clusterMethod === 'louvain' ? 'block' : 'none';
+            };
+            readClusterSettings();
+            clusterSelect.addEventListener('change', () => { readClusterSettings(); this.reclusterResults(); });
+            resolutionInput.addEventListener('change', () => { readClusterSettings(); this.reclusterResults(); });
+        }
+
         // Gene textarea
         document.getElementById('geneTextarea').addEventListener('input', () => this.updateGeneCount());
 
@@ -3007,6 +3901,18 @@ class CorrelationExplorer {
             this.updateGeneCount();
         });
 
+        // Screen triage of the uploaded hits
+        document.getElementById('openScreenTriage')?.addEventListener('click', () => this.openScreenTriage());
+        document.getElementById('openScreenSimilarity')?.addEventListener('click', () => this.openScreenSimilarity());
+        document.getElementById('triageLineage')?.addEventListener('change', () => this.computeScreenTriage());
+        document.getElementById('triageExprMin')?.addEventListener('change', () => this.computeScreenTriage());
+        document.getElementById('triageSearch')?.addEventListener('input', () => this.renderScreenTriage());
+        document.getElementById('triageHidePanLethal')?.addEventListener('change', () => this.renderScreenTriage());
+        document.getElementById('triageCSV')?.addEventListener('click', () => this.downloadScreenTriageCSV());
+        document.getElementById('triageClose')?.addEventListener('click', () => {
+            document.getElementById('screenTriageModal').style.display = 'none';
+        });
+
         // Clear stats genes
         document.getElementById('clearStatsGenes')?.addEventListener('click', () => {
             document.getElementById('manualStatsTextarea').value = 'Gene\tLFC\tFDR\n';
@@ -3117,6 +4023,7 @@ class CorrelationExplorer {
         document.getElementById('mutationHotspotSelect').addEventListener('change', () => {
             const hasVal = document.getElementById('mutationHotspotSelect').value;
             document.getElementById('tissueBreakdownBtn').style.display = hasVal ? 'inline-block' : 'none';
+            this._populateMutationVariantSelect();
         });
 
         // Tissue breakdown button (translocations)
@@ -3129,6 +4036,8 @@ class CorrelationExplorer {
 
         // Tissue breakdown button (damaging mutations)
         document.getElementById('damagingTissueBreakdownBtn')?.addEventListener('click', () => this.showTissueBreakdownPopup('damaging'));
+        document.getElementById('cnTissueBreakdownBtn')?.addEventListener('click', () => this.showTissueBreakdownPopup('cn'));
+        document.getElementById('cnHotspotSelect')?.addEventListener('input', () => this._updateCnTissueButton());
         document.getElementById('damagingHotspotSelect')?.addEventListener('input', () => {
             const btn = document.getElementById('damagingTissueBreakdownBtn');
             const val = document.getElementById('damagingHotspotSelect').value.trim();
@@ -3142,6 +4051,9 @@ class CorrelationExplorer {
         document.querySelectorAll('input[name="mutAnalysisType"]').forEach(radio => {
             radio.addEventListener('change', () => this.updateMutAnalysisTypeUI());
         });
+        document.getElementById('mutLineageMeta')?.addEventListener('change', (e) => {
+            document.getElementById('mutLineageMetaOptions').style.display = e.target.checked ? '' : 'none';
+        });
 
         // Parameter translocation filter
         document.getElementById('paramTranslocationGene')?.addEventListener('input', () => {
@@ -3163,6 +4075,15 @@ class CorrelationExplorer {
         document.getElementById('downloadMutationResults').addEventListener('click', () => {
             this.downloadMutationResults();
         });
+
+        // Co-mutation results
+        document.getElementById('coMutSearch')?.addEventListener('input', () => this.displayCoMutationResults());
+        document.getElementById('coMutFilterStat')?.addEventListener('change', () => this.displayCoMutationResults());
+        document.getElementById('downloadCoMutResults')?.addEventListener('click', () => this.downloadCoMutationResults());
+        document.getElementById('copyCoMutGenes')?.addEventListener('click', () => this.copyGeneColumn('coMutationTable'));
+        document.getElementById('coMutInspectClose')?.addEventListener('click', () => {
+            document.getElementById('coMutInspectPanel').style.display = 'none';
+        });
         document.getElementById('exportMutTablePNG')?.addEventListener('click', () => this._exportMutationTable('png'));
         document.getElementById('exportMutTableSVG')?.addEventListener('click', () => this._exportMutationTable('svg'));
 
@@ -3250,6 +4171,7 @@ class CorrelationExplorer {
             if (e.target.checked) {
                 document.getElementById('colorByStats').checked = false;
                 document.getElementById('colorStatsOptions').style.display = 'none';
+                document.getElementById('colorByCluster').checked = false;
             }
             document.getElementById('colorGEOptions').style.display = e.target.checked ? 'block' : 'none';
             // Hide/show Node Type legend
@@ -3262,6 +4184,18 @@ class CorrelationExplorer {
         document.querySelectorAll('input[name="colorGEType"]').forEach(radio => {
             radio.addEventListener('change', () => this.updateNetworkColors());
         });
+        // Color by cluster (mutually exclusive with GE and stats)
+        document.getElementById('colorByCluster')?.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                document.getElementById('colorByGeneEffect').checked = false;
+                document.getElementById('colorGEOptions').style.display = 'none';
+                document.getElementById('colorByStats').checked = false;
+                document.getElementById('colorStatsOptions').style.display = 'none';
+            } else {
+                document.getElementById('legendNodeColor').style.display = 'none';
+            }
+            this.updateNetworkColors();
+        });
 
         document.getElementById('downloadNetworkPNG').addEventListener('click', () => this.downloadNetworkPNG());
         document.getElementById('downloadNetworkSVG').addEventListener('click', () => this.downloadNetworkSVG());
@@ -3273,6 +4207,7 @@ class CorrelationExplorer {
             if (e.target.checked) {
                 document.getElementById('colorByGeneEffect').checked = false;
                 document.getElementById('colorGEOptions').style.display = 'none';
+                document.getElementById('colorByCluster').checked = false;
             }
             document.getElementById('colorStatsOptions').style.display = e.target.checked ? 'block' : 'none';
             document.getElementById('legendNodeColor').style.display = e.target.checked ? 'block' : 'none';
@@ -3293,8 +4228,8 @@ class CorrelationExplorer {
         document.getElementById('showUncorrelatedGenes').addEventListener('change', () => {
             if (this.results) {
                 this.displayNetwork();
-                // Re-apply colors after network rebuild if color by GE is active
-                if (document.getElementById('colorByGeneEffect').checked) {
+                // Re-apply colors after network rebuild if color by GE / cluster is active
+                if (document.getElementById('colorByGeneEffect').checked || document.getElementById('colorByCluster')?.checked) {
                     setTimeout(() => this.updateNetworkColors(), 100);
                 }
             }
@@ -3320,6 +4255,10 @@ class CorrelationExplorer {
 
         // Download buttons
         document.getElementById('downloadCorrelations').addEventListener('click', () => this.downloadCSV('correlations'));
+        document.getElementById('corrTableDisplay')?.addEventListener('change', (e) => this.setCorrelationDisplay(e.target.value));
+        document.querySelectorAll('input[name="edgeCorrDisplay"]').forEach(radio => {
+            radio.addEventListener('change', (e) => { if (e.target.checked) this.setCorrelationDisplay(e.target.value); });
+        });
         document.getElementById('downloadClusters').addEventListener('click', () => this.downloadCSV('clusters'));
         document.getElementById('downloadSummary').addEventListener('click', () => this.downloadSummary());
 
@@ -3489,10 +4428,17 @@ class CorrelationExplorer {
         });
         document.getElementById('translocationFilterLevel')?.addEventListener('change', () => this.updateInspectPlot());
 
-        // Axis data type selectors (GE / Expression / Growth / Gene Set)
+        // Axis data type selectors (GE / Expression / CN / Drug / Signature / Growth / Gene Set).
+        // Drug and signature axes take a compound or signature name in the gene box.
         const handleAxisTypeChange = (e, inputId, defaultPlaceholder) => {
             const geneInput = document.getElementById(inputId);
             const val = e.target.value;
+            if (val === 'drug') this._populateDrugCompoundList();
+            const list = val === 'drug' ? 'drugCompoundList' : val === 'signature' ? 'inspectSignatureList' : null;
+            if (list) geneInput.setAttribute('list', list); else geneInput.removeAttribute('list');
+            if (!geneInput.disabled) {
+                geneInput.placeholder = val === 'drug' ? 'Compound' : val === 'signature' ? 'Signature' : defaultPlaceholder;
+            }
             if (val === 'growth' || val === 'geneset') {
                 geneInput.dataset.savedGene = geneInput.value;
                 geneInput.value = '';
@@ -3501,7 +4447,7 @@ class CorrelationExplorer {
             } else if (geneInput.disabled) {
                 geneInput.value = geneInput.dataset.savedGene || '';
                 geneInput.disabled = false;
-                geneInput.placeholder = defaultPlaceholder;
+                geneInput.placeholder = val === 'drug' ? 'Compound' : val === 'signature' ? 'Signature' : defaultPlaceholder;
             }
             if (val !== 'geneset') this.updateInspectGenes();
         };
@@ -3602,6 +4548,18 @@ class CorrelationExplorer {
             }
         });
         document.getElementById('enrichrDownloadBtn')?.addEventListener('click', () => this.downloadEnrichrCSV());
+        document.getElementById('enrichmentEngine')?.addEventListener('change', () => {
+            if (!this._enrichrLastGenes) return;
+            const content = document.getElementById('enrichrContent');
+            content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Re-running enrichment...</div>';
+            this.submitToEnrichr(this._enrichrLastGenes).catch(err => {
+                content.innerHTML = `<div style="text-align:center; padding:60px; color:#ef4444;">Enrichment failed.<br><small style="color:#888;">${err.message}</small></div>`;
+            });
+        });
+        document.getElementById('enrichrGmtInput')?.addEventListener('change', async (e) => {
+            for (const file of e.target.files) await this.loadUserGmt(file);
+            e.target.value = '';
+        });
 
         // Infographic modal
         document.getElementById('showInfoGraphic')?.addEventListener('click', () => {
@@ -3733,13 +4691,7 @@ class CorrelationExplorer {
         document.getElementById('geHotspotGeneSelect')?.addEventListener('change', () => {
             if (this.geneEffectViewMode === 'mutation' && this.currentGeneEffectGene && this.mutationResults) {
                 const newHotspot = document.getElementById('geHotspotGeneSelect').value;
-                const isTransloc = this.mutationResults.isTranslocation;
-                const isDmg = this.mutationResults.isDamaging;
-                const hasData = isTransloc
-                    ? this.translocations?.geneData?.[newHotspot]
-                    : isDmg
-                        ? this.damagingMutations?.geneData?.[newHotspot]
-                        : this.mutations?.geneData?.[newHotspot];
+                const hasData = this._mutationResultSource(this.mutationResults)?.geneData?.[newHotspot];
                 if (newHotspot && hasData) {
                     this.mutationResults.hotspotGene = newHotspot;
                     this.showGeneEffectDistribution(this.currentGeneEffectGene);
@@ -3802,6 +4754,42 @@ class CorrelationExplorer {
         document.getElementById('mutCompareByTissueBtn')?.addEventListener('click', () => this.showMutationCompareByTissue());
         document.getElementById('mutCompareByHotspotBtn')?.addEventListener('click', () => this.showMutationCompareByHotspot());
         document.getElementById('mutCompareByFusionBtn')?.addEventListener('click', () => this.showMutationCompareByFusion());
+
+        // Volcano plot (mutation results and both gate comparisons)
+        document.getElementById('mutVolcanoBtn')?.addEventListener('click', () => this.openVolcanoPlot('mutation'));
+        document.getElementById('gateVolcanoBtn')?.addEventListener('click', () => this.openVolcanoPlot('gate', this._currentGateTab));
+        document.getElementById('geGateVolcanoBtn')?.addEventListener('click', () => this.openVolcanoPlot('geGate', this._currentGEGateTab));
+        document.getElementById('volcanoContrast')?.addEventListener('change', () => this.renderVolcanoPlot(true));
+        document.getElementById('volcanoYStat')?.addEventListener('change', () => this.renderVolcanoPlot());
+        document.getElementById('volcanoClearLabels')?.addEventListener('click', () => {
+            this._volcano?.labels.clear();
+            this.renderVolcanoPlot();
+        });
+        document.getElementById('volcanoTextSettingsBtn')?.addEventListener('click', () => this.openTextSettings('volcanoPlot'));
+        document.getElementById('volcanoExportPNG')?.addEventListener('click', () => this.exportVolcanoPlot('png'));
+        document.getElementById('volcanoExportSVG')?.addEventListener('click', () => this.exportVolcanoPlot('svg'));
+        document.getElementById('volcanoSelEnrichr')?.addEventListener('click', () => this.volcanoSelectionToEnrichr());
+        document.getElementById('volcanoSelGeneInput')?.addEventListener('click', () => this.volcanoSelectionToGeneInput());
+        document.getElementById('volcanoSelCSV')?.addEventListener('click', () => this.downloadVolcanoCSV());
+        document.getElementById('volcanoModalClose')?.addEventListener('click', () => {
+            document.getElementById('volcanoModal').style.display = 'none';
+        });
+
+        // Preranked GSEA (mutation, gate and correlate rankings)
+        document.getElementById('mutGseaBtn')?.addEventListener('click', () => this.openGsea('mutation'));
+        document.getElementById('gateGseaBtn')?.addEventListener('click', () => this.openGsea('gate', this._currentGateTab));
+        document.getElementById('geGateGseaBtn')?.addEventListener('click', () => this.openGsea('geGate', this._currentGEGateTab));
+        document.getElementById('exprCorrelatesGseaBtn')?.addEventListener('click', () => this.openGsea('exprCorrelates'));
+        document.getElementById('gseaRunBtn')?.addEventListener('click', () => this.runGseaFromModal());
+        document.getElementById('gseaTextSettingsBtn')?.addEventListener('click', () => this.openTextSettings('gseaPlot'));
+        document.getElementById('gseaExportPNG')?.addEventListener('click', () => this.exportGseaPlot('png'));
+        document.getElementById('gseaExportSVG')?.addEventListener('click', () => this.exportGseaPlot('svg'));
+        document.getElementById('gseaCSV')?.addEventListener('click', () => this.downloadGseaCSV());
+        document.getElementById('gseaLeEnrichr')?.addEventListener('click', () => this.gseaLeadingEdgeToEnrichr());
+        document.getElementById('gseaLeGeneInput')?.addEventListener('click', () => this.gseaLeadingEdgeToGeneInput());
+        document.getElementById('gseaModalClose')?.addEventListener('click', () => {
+            document.getElementById('gseaModal').style.display = 'none';
+        });
         document.getElementById('mutCompareModalClose')?.addEventListener('click', () => {
             document.getElementById('mutCompareModal').style.display = 'none';
         });
@@ -4404,6 +5392,21 @@ class CorrelationExplorer {
 
         // Parse header
         const headers = firstLine.split(delimiter).map(h => h.trim().replace(/^"|"$/g, ''));
+        // Known screen-analysis outputs get their own importer: the gene,
+        // LFC and FDR columns come from the format, and the user picks the
+        // comparison / selection direction instead.
+        let format = this._detectScreenFormat(headers);
+        // R's write.table() leaves the row-name column out of the header
+        // (CRISPRcleanR gene-level fold changes). Shift the header only when
+        // that makes a format that keys on row names; other uploads with a
+        // ragged first row keep their columns as written.
+        if (!format && lines[1] && lines[1].split(delimiter).length === headers.length + 1) {
+            const withRowNames = this._detectScreenFormat(['rowname', ...headers]);
+            if (withRowNames?.rowNames) {
+                headers.unshift('rowname');
+                format = withRowNames;
+            }
+        }
         this.statsFileData = {
             headers: headers,
             rows: []
@@ -4432,6 +5435,20 @@ class CorrelationExplorer {
             fdrColSelect.innerHTML += `<option value="${idx}">${h}</option>`;
         });
 
+        this.statsFileData.format = format;
+        document.getElementById('statsGenericCols').style.display = format ? 'none' : '';
+        document.getElementById('statsFormatInfo').style.display = format ? 'block' : 'none';
+        document.getElementById('statsImportReport').style.display = 'none';
+        if (format) {
+            document.getElementById('statsFormatLabel').textContent = `Detected: ${format.label}`;
+            const fill = (groupId, selId, options) => {
+                document.getElementById(groupId).style.display = options.length > 1 ? 'block' : 'none';
+                document.getElementById(selId).innerHTML = options.map(([v, l]) => `<option value="${v}">${l}</option>`).join('');
+            };
+            fill('statsContrastGroup', 'statsContrast', format.contrasts.map(c => [c, c]));
+            fill('statsSelectionGroup', 'statsSelection', format.selections);
+        }
+
         // Auto-select columns based on common names
         headers.forEach((h, idx) => {
             const hl = h.toLowerCase();
@@ -4449,8 +5466,155 @@ class CorrelationExplorer {
         document.getElementById('statsColumnSelect').style.display = 'block';
     }
 
+    // Recognise MAGeCK (RRA and MLE), BAGEL2, DrugZ and CRISPRcleanR result
+    // tables from their headers. Returns null for anything else (the generic
+    // column pickers handle it), or { label, geneCol, contrasts, selections,
+    // metric, note, aggregate, rowNames, read(row, contrast, selection) →
+    // { lfc, fdr } }. `aggregate` formats have several rows per gene (sgRNA
+    // level) and are averaged per gene; `rowNames` formats take the gene from
+    // an R row-name column missing from the header; `note` is added to the
+    // import report.
+    _detectScreenFormat(headers) {
+        const lower = headers.map(h => h.toLowerCase());
+        const col = (...names) => {
+            for (const n of names) { const i = lower.indexOf(n); if (i >= 0) return i; }
+            return -1;
+        };
+        const num = (v) => { const x = parseFloat(v); return isFinite(x) ? x : NaN; };
+
+        // MAGeCK RRA gene_summary.txt: id, num, neg|score … neg|lfc, pos|score … pos|lfc
+        if (col('neg|fdr') >= 0 && col('pos|fdr') >= 0) {
+            const c = (k) => col(k);
+            return {
+                label: 'MAGeCK RRA gene summary',
+                geneCol: Math.max(0, col('id', 'gene')),
+                contrasts: [''],
+                selections: [['neg', 'Negative selection (depleted)'], ['pos', 'Positive selection (enriched)'], ['best', 'Both — smaller FDR']],
+                metric: 'LFC',
+                read: (row, _c, sel) => {
+                    const negFdr = num(row[c('neg|fdr')]), posFdr = num(row[c('pos|fdr')]);
+                    const side = sel === 'best' ? (posFdr < negFdr ? 'pos' : 'neg') : sel;
+                    const lfc = num(row[c(`${side}|lfc`)]);
+                    return { lfc: isNaN(lfc) ? num(row[c('neg|lfc')]) : lfc, fdr: side === 'pos' ? posFdr : negFdr };
+                }
+            };
+        }
+
+        // MAGeCK MLE gene_summary.txt: Gene, sgRNA, then <condition>|beta, |z, |p-value, |fdr, … per condition
+        const mleConds = headers.filter(h => /\|beta$/i.test(h)).map(h => h.slice(0, -5));
+        if (mleConds.length && col('gene') >= 0) {
+            return {
+                label: `MAGeCK MLE gene summary (${mleConds.length} condition${mleConds.length > 1 ? 's' : ''})`,
+                geneCol: col('gene'),
+                contrasts: mleConds,
+                selections: [['fdr', 'Permutation FDR'], ['wald-fdr', 'Wald FDR']].filter(([k]) => col(`${mleConds[0].toLowerCase()}|${k}`) >= 0),
+                metric: 'beta',
+                read: (row, cond, sel) => ({
+                    lfc: num(row[col(`${cond.toLowerCase()}|beta`)]),
+                    fdr: num(row[col(`${cond.toLowerCase()}|${sel || 'fdr'}`)])
+                })
+            };
+        }
+
+        // DrugZ: GENE, sumZ, numObs, normZ, pval_synth, rank_synth, fdr_synth, pval_supp, rank_supp, fdr_supp
+        if (col('normz') >= 0 && col('fdr_synth') >= 0) {
+            return {
+                label: 'DrugZ output',
+                geneCol: Math.max(0, col('gene', 'genes')),
+                contrasts: [''],
+                selections: [['synth', 'Synthetic lethal (normZ < 0)'], ['supp', 'Suppressor (normZ > 0)'], ['best', 'Both — smaller FDR']],
+                metric: 'normZ',
+                read: (row, _c, sel) => {
+                    const synth = num(row[col('fdr_synth')]), supp = num(row[col('fdr_supp')]);
+                    const side = sel === 'best' ? (supp < synth ? 'supp' : 'synth') : sel;
+                    return { lfc: num(row[col('normz')]), fdr: side === 'supp' ? supp : synth };
+                }
+            };
+        }
+
+        // BAGEL2: BF table (GENE, BF, STD, NumObs) or precision-recall table (Gene, BF, Recall, Precision, FDR)
+        if (col('bf') >= 0 && col('gene') >= 0) {
+            return {
+                label: col('fdr') >= 0 ? 'BAGEL2 precision-recall table' : 'BAGEL2 Bayes factors',
+                geneCol: col('gene'),
+                contrasts: [''],
+                selections: [],
+                metric: 'BF',
+                note: 'The LFC slot holds −BF, so essential genes (high BF) are negative like depleted genes.',
+                // BF grows with essentiality; negate it so it reads in the LFC direction
+                read: (row) => ({ lfc: -num(row[col('bf')]), fdr: col('fdr') >= 0 ? num(row[col('fdr')]) : NaN })
+            };
+        }
+
+        // CRISPRcleanR corrected fold changes (sgRNA level: sgRNA, CHRM, startp, endp, genes, avgFC, correction, correctedFC)
+        if (col('correctedfc') >= 0) {
+            const geneCol = col('gene', 'genes', 'rowname');
+            if (geneCol < 0) return null;
+            return {
+                label: 'CRISPRcleanR corrected fold changes',
+                geneCol,
+                contrasts: [''],
+                selections: [],
+                metric: 'LFC',
+                aggregate: true,
+                rowNames: lower[geneCol] === 'rowname',
+                read: (row) => ({ lfc: num(row[col('correctedfc')]), fdr: NaN })
+            };
+        }
+        return null;
+    }
+
+    // Importer for the formats recognised by _detectScreenFormat. Reports
+    // rows without a usable value, duplicate genes and genes not in DepMap.
+    _loadScreenFormatStats(format) {
+        const contrast = document.getElementById('statsContrast').value;
+        const selection = document.getElementById('statsSelection').value;
+        const byGene = new Map();
+        let skipped = 0, duplicates = 0, used = 0;
+        this.statsFileData.rows.forEach(row => {
+            const gene = row[format.geneCol]?.trim().toUpperCase();
+            const { lfc, fdr } = format.read(row, contrast, selection);
+            if (!gene || isNaN(lfc)) { skipped++; return; }
+            used++;
+            const prev = byGene.get(gene);
+            if (!prev) byGene.set(gene, { sum: lfc, n: 1, fdr });
+            else if (format.aggregate) { prev.sum += lfc; prev.n++; }
+            else duplicates++;
+        });
+
+        const genes = [...byGene.keys()];
+        this.geneStats = new Map();
+        byGene.forEach((v, gene) => {
+            const stats = { gene, lfc: v.sum / v.n };
+            if (!isNaN(v.fdr)) stats.fdr = v.fdr;
+            this.geneStats.set(gene, stats);
+        });
+        const unmapped = genes.filter(g => !this.geneIndex.has(g));
+
+        document.getElementById('geneTextarea').value = genes.join('\n');
+        this.updateGeneCount();
+        document.getElementById('statsControls').style.display = 'block';
+
+        const what = [format.label, contrast, selection && document.getElementById('statsSelection').selectedOptions[0]?.textContent].filter(Boolean).join(' — ');
+        let report = `<b>${what}</b><br>${genes.length} genes loaded${format.aggregate && used > genes.length ? ` (mean per gene over ${used} guides)` : ''}.`;
+        if (format.note) report += ` ${format.note}`;
+        else if (format.metric !== 'LFC') report += ` ${format.metric} values are used in the LFC slot (labels and colouring).`;
+        if (skipped) report += `<br>${skipped} row${skipped > 1 ? 's' : ''} skipped (no gene or no numeric ${format.metric}).`;
+        if (duplicates) report += `<br>${duplicates} duplicate gene row${duplicates > 1 ? 's' : ''} ignored (first kept).`;
+        if (unmapped.length) {
+            report += `<br><span style="color:#b45309;">${unmapped.length} gene${unmapped.length > 1 ? 's' : ''} not found in DepMap:</span> <span style="font-family:monospace;">${unmapped.slice(0, 100).join(', ')}${unmapped.length > 100 ? ` … (+${unmapped.length - 100})` : ''}</span>`;
+        }
+        const reportEl = document.getElementById('statsImportReport');
+        reportEl.innerHTML = report;
+        reportEl.style.display = 'block';
+    }
+
     loadStatsFromFile() {
         if (!this.statsFileData) return;
+        if (this.statsFileData.format) {
+            this._loadScreenFormatStats(this.statsFileData.format);
+            return;
+        }
 
         const geneColIdx = parseInt(document.getElementById('statsGeneCol').value);
         const lfcColIdx = document.getElementById('statsLfcCol').value;
@@ -4581,6 +5745,458 @@ class CorrelationExplorer {
         alert(msg);
     }
 
+    // ===== Screen triage =====
+
+    // Annotate every uploaded screen hit (Gene statistics panel) with DepMap
+    // context: common-essential flag, GE distribution overall and in a chosen
+    // lineage, selectivity, top co-dependencies and expression in that lineage.
+    async openScreenTriage() {
+        if (!this.geneStats?.size) {
+            const manual = document.getElementById('manualStatsTextarea')?.value.trim();
+            if (manual && manual.split('\n').filter(l => l.trim()).length > 1) this.loadManualStats();
+        }
+        if (!this.geneStats?.size) {
+            alert('Load your screen hits with LFC / FDR first (Gene statistics: manual entry or file upload).');
+            return;
+        }
+        if (!this._commonEssentials) {
+            try {
+                const r = await fetch('web_data/common_essentials.json');
+                this._commonEssentials = new Set(await r.json());
+            } catch (e) {
+                this._commonEssentials = new Set();
+            }
+        }
+
+        const counts = {};
+        this.metadata.cellLines.forEach(cl => {
+            const lin = this.cellLineMetadata?.lineage?.[cl];
+            if (lin) counts[lin] = (counts[lin] || 0) + 1;
+        });
+        const sel = document.getElementById('triageLineage');
+        const prev = sel.value || document.getElementById('lineageFilter')?.value || '';
+        sel.innerHTML = '<option value="">All lineages</option>' + Object.keys(counts).sort().map(l => `<option value="${l}">${l} (${counts[l]})</option>`).join('');
+        if (counts[prev]) sel.value = prev;
+
+        document.getElementById('screenTriageModal').style.display = 'block';
+        const body = document.getElementById('triageBody');
+        if (!this.expressionLoaded) {
+            body.innerHTML = '<div style="padding:40px; text-align:center; color:#6b7280;">Loading expression data...</div>';
+            try { await this.loadExpressionData(); } catch (e) { /* expression columns stay empty */ }
+        }
+        this._triage = { sort: this._triage?.sort || { col: 'fdr', asc: true }, codep: this._triage?.codep || new Map() };
+        await this.computeScreenTriage();
+    }
+
+    async computeScreenTriage() {
+        const t = this._triage;
+        if (!t) return;
+        // Lineage / expression-cutoff changes start a new run while an older
+        // one may still be waiting on the co-dependency scan; only the latest renders
+        const run = this._triageRun = (this._triageRun || 0) + 1;
+        const body = document.getElementById('triageBody');
+        try {
+            const lineage = document.getElementById('triageLineage').value;
+            const exprMin = parseFloat(document.getElementById('triageExprMin').value);
+            const nCL = this.nCellLines;
+            const cellLines = this.metadata.cellLines;
+            const inLineage = cellLines.map(cl => !!lineage && this.cellLineMetadata?.lineage?.[cl] === lineage);
+            const valid = (v) => !isNaN(v) && v !== -999;
+
+            const hits = [...this.geneStats.values()];
+            const rows = hits.map(s => {
+                const row = { gene: s.gene, lfc: s.lfc ?? NaN, fdr: s.fdr ?? NaN, inDepMap: this.geneIndex.has(s.gene), commonEssential: this._commonEssentials.has(s.gene) };
+                if (!row.inDepMap) return row;
+                const ge = this.getGeneData(this.geneIndex.get(s.gene));
+                const all = [], lin = [], rest = [];
+                for (let i = 0; i < nCL; i++) {
+                    const v = ge[i];
+                    if (!valid(v)) continue;
+                    all.push(v);
+                    if (lineage) (inLineage[i] ? lin : rest).push(v);
+                }
+                if (all.length < 3) return row;
+                row.n = all.length;
+                row.mean = this.mean(all);
+                row.sd = Math.sqrt(this.variance(all));
+                row.pctDep = 100 * all.filter(v => v <= -0.5).length / all.length;
+                // Sample skewness: strongly negative = a subset of lines depends on the gene
+                const m3 = all.reduce((a, v) => a + (v - row.mean) ** 3, 0) / all.length;
+                const m2 = all.reduce((a, v) => a + (v - row.mean) ** 2, 0) / all.length;
+                row.skew = m2 > 0 ? m3 / m2 ** 1.5 : NaN;
+                if (lin.length >= 2) {
+                    row.linN = lin.length;
+                    row.linMean = this.mean(lin);
+                    row.linSd = Math.sqrt(this.variance(lin));
+                    // Lineage selectivity: lineage mean − rest mean, in units of the overall SD
+                    row.linSel = rest.length >= 2 && row.sd > 0 ? (row.linMean - this.mean(rest)) / row.sd : NaN;
+                }
+                return row;
+            });
+
+            // Expression: median log2(TPM+1) over the lineage's lines (all lines when no lineage)
+            if (this.expressionLoaded) {
+                const nExprCL = this.expressionMetadata.nCellLines;
+                const exprCols = [];
+                for (let i = 0; i < nCL; i++) {
+                    const j = this.expressionCellLineMap[i];
+                    if (j !== -1 && (!lineage || inLineage[i])) exprCols.push(j);
+                }
+                rows.forEach(row => {
+                    const eg = this.expressionGeneIndex.get(row.gene);
+                    if (eg === undefined || exprCols.length === 0) return;
+                    const vals = exprCols.map(j => this.expressionData[eg * nExprCL + j]).filter(v => !isNaN(v)).sort((a, b) => a - b);
+                    if (vals.length) row.exprMedian = vals[Math.floor(vals.length / 2)];
+                });
+            }
+
+            // Co-dependencies are lineage-independent, so they are cached per gene.
+            // Cap the (slow) genome-wide scan at the strongest hits.
+            const CODEP_CAP = 300;
+            const byStrength = rows.filter(r => r.inDepMap).sort((a, b) => (isNaN(a.fdr) ? 1 : a.fdr) - (isNaN(b.fdr) ? 1 : b.fdr) || (Math.abs(b.lfc) || 0) - (Math.abs(a.lfc) || 0));
+            const todo = byStrength.slice(0, CODEP_CAP).filter(r => !t.codep.has(r.gene));
+            if (todo.length) {
+                // The hit set doesn't depend on the lineage, so overlapping runs share one scan
+                if (!this._triageCodepJob) {
+                    const showProgress = (done, total) => {
+                        body.innerHTML = `<div style="padding:40px; text-align:center; color:#6b7280;">Finding co-dependencies... ${Math.round(100 * done / total)}%</div>`;
+                    };
+                    showProgress(0, 1);
+                    this._triageCodepJob = this._topCoDependencies(todo.map(r => r.gene), 3, showProgress)
+                        .then(found => found.forEach((top, gene) => t.codep.set(gene, top)))
+                        .finally(() => { this._triageCodepJob = null; });
+                }
+                await this._triageCodepJob;
+                if (this._triageRun !== run) return;
+            }
+            rows.forEach(row => { row.codep = t.codep.get(row.gene) || null; });
+
+            rows.forEach(row => {
+                const flags = [];
+                if (row.commonEssential || row.pctDep >= 90) flags.push('pan-lethal');
+                if (row.exprMedian !== undefined && isFinite(exprMin) && row.exprMedian < exprMin) flags.push('not expressed');
+                if (!flags.includes('pan-lethal') && (row.linSel <= -1 || (row.skew <= -1 && row.pctDep < 50))) flags.push('selective');
+                if (!row.inDepMap) flags.push('not in DepMap');
+                row.flags = flags;
+            });
+
+            Object.assign(t, { rows, lineage, exprMin, codepCap: CODEP_CAP, nCodepSkipped: Math.max(0, byStrength.length - CODEP_CAP) });
+            this.renderScreenTriage();
+        } catch (error) {
+            if (this._triageRun !== run) return;
+            console.error('Screen triage failed:', error);
+            this.showStatus('error', 'Screen triage failed: ' + error.message);
+            t.rows = null;
+            body.innerHTML = '<div style="padding:40px; text-align:center; color:#6b7280;">Screen triage failed. Change the lineage or expression cutoff to retry.</div>';
+        }
+    }
+
+    // Top k positively correlated genes (Pearson across all lines) for each
+    // of genes, as a Map gene → [{gene, r}]. The genome-wide scan runs on a
+    // correlation worker pool; onProgress(done, total) follows the target rows.
+    async _topCoDependencies(genes, k, onProgress = null) {
+        const workerUrl = this._getCorrelationWorkerUrl();
+        if (!workerUrl) {
+            const out = new Map();
+            for (let i = 0; i < genes.length; i++) {
+                if (i % 10 === 0) {
+                    if (onProgress) onProgress(i, genes.length);
+                    await new Promise(r => setTimeout(r, 0));
+                }
+                out.set(genes[i], this._topCoDependenciesSync(genes[i], k));
+            }
+            return out;
+        }
+
+        const pool = this._startWorkerPool(workerUrl);
+        try {
+            const allLines = Array.from({ length: this.nCellLines }, (_, i) => i);
+            const nCols = allLines.length;
+            const targets = Array.from(this.geneIndex.keys());
+            const queries = this._buildFilteredMatrix(genes, allLines, false);
+            const shared = window.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined';
+            const sharedMatrix = shared ? this._buildFilteredMatrix(targets, allLines, true) : null;
+            const chunk = Math.ceil(targets.length / pool.workers.length);
+            const jobs = pool.workers.map((_, w) => {
+                const start = Math.min(w * chunk, targets.length);
+                const end = Math.min(start + chunk, targets.length);
+                const names = targets.slice(start, end);
+                const matrix = sharedMatrix || this._buildFilteredMatrix(names, allLines, false);
+                const q = queries.slice();
+                return {
+                    message: {
+                        type: 'top', matrix: matrix.buffer, nCols,
+                        rowStart: sharedMatrix ? start : 0, rowEnd: sharedMatrix ? end : names.length,
+                        targetNames: names, queries: q.buffer, queryNames: genes, k, minN: 3
+                    },
+                    transfer: sharedMatrix ? [q.buffer] : [matrix.buffer, q.buffer]
+                };
+            });
+            const results = await this._runCorrelationJobs(pool, jobs, targets.length, 'codep', onProgress);
+            // Each worker returns its own top k per query; merge them
+            const out = new Map();
+            genes.forEach((gene, q) => out.set(gene, results.flatMap(r => r.hits[q]).sort((a, b) => b.r - a.r).slice(0, k)));
+            return out;
+        } finally {
+            pool.workers.forEach(w => w.terminate());
+        }
+    }
+
+    // Main-thread fallback for one gene: the same pairwise-complete Pearson
+    // as the worker 'top' pass, so results do not depend on worker support.
+    _topCoDependenciesSync(gene, k) {
+        const gi = this.geneIndex.get(gene);
+        if (gi === undefined) return [];
+        const x = this.getGeneData(gi);
+        const top = [];
+        this.geneIndex.forEach((g, name) => {
+            if (g === gi) return;
+            const { correlation: r } = this.pearsonWithSlope(x, this.getGeneData(g));
+            if (!(r > 0) || (top.length === k && r <= top[k - 1].r)) return;
+            top.push({ gene: name, r });
+            top.sort((a, b) => b.r - a.r);
+            if (top.length > k) top.pop();
+        });
+        return top;
+    }
+
+    renderScreenTriage() {
+        const t = this._triage;
+        if (!t?.rows) return;
+        const q = (document.getElementById('triageSearch').value || '').trim().toUpperCase();
+        const hidePan = document.getElementById('triageHidePanLethal').checked;
+        const rows = t.rows.filter(r => (!q || r.gene.includes(q)) && !(hidePan && r.flags.includes('pan-lethal')));
+        const { col, asc } = t.sort;
+        const key = (r) => col === 'codep' ? (r.codep?.[0]?.r ?? NaN) : col === 'flags' ? r.flags.join(',') : col === 'commonEssential' ? (r.commonEssential ? 1 : 0) : r[col];
+        rows.sort((a, b) => {
+            const va = key(a), vb = key(b);
+            if (typeof va === 'string' || typeof vb === 'string') return asc ? String(va).localeCompare(String(vb)) : String(vb).localeCompare(String(va));
+            const na = va === undefined || isNaN(va), nb = vb === undefined || isNaN(vb);
+            if (na || nb) return na - nb; // missing values last
+            return asc ? va - vb : vb - va;
+        });
+
+        const linLabel = t.lineage || 'lineage';
+        const columns = [
+            ['gene', 'Gene'], ['lfc', 'LFC'], ['fdr', 'FDR'], ['commonEssential', 'Common ess.'],
+            ['mean', 'Mean GE'], ['sd', 'SD'], ['pctDep', '% lines ≤ −0.5'], ['skew', 'Skew'],
+            ['linMean', `${linLabel} GE`], ['linSd', `${linLabel} SD`], ['linSel', 'Lineage Δ/SD'],
+            ['exprMedian', t.lineage ? `Expr. in ${linLabel}` : 'Expr. (all)'], ['codep', 'Top co-dependencies'], ['flags', 'Flags']
+        ];
+        const tips = {
+            pctDep: 'Share of DepMap lines with gene effect ≤ −0.5',
+            skew: 'Skewness of the GE distribution across lines — strongly negative means a subset of lines depends on the gene',
+            linSel: 'Lineage mean GE minus the mean of all other lines, in units of the overall SD (negative = more essential in the lineage)',
+            exprMedian: `Median log2(TPM+1); below ${t.exprMin} is flagged as not expressed`,
+            codep: `Top 3 Pearson co-dependencies across all lines (computed for the ${t.codepCap} strongest hits)`
+        };
+        const f = (v, d) => v === undefined || isNaN(v) ? '<span style="color:#d1d5db;">—</span>' : v.toFixed(d);
+        const geColor = (v) => v === undefined || isNaN(v) ? '' : v <= -1 ? 'color:#b91c1c; font-weight:600;' : v <= -0.5 ? 'color:#dc2626;' : '';
+        const pill = (flag) => {
+            const c = { 'pan-lethal': ['#fee2e2', '#991b1b'], 'not expressed': ['#fef3c7', '#92400e'], 'selective': ['#dcfce7', '#166534'], 'not in DepMap': ['#f3f4f6', '#6b7280'] }[flag];
+            return `<span style="background:${c[0]}; color:${c[1]}; padding:1px 6px; border-radius:8px; font-size:10px; font-weight:600; white-space:nowrap;">${flag}</span>`;
+        };
+        const arrow = (c) => col === c ? (asc ? ' ▲' : ' ▼') : '';
+
+        let html = `<div style="font-size:11px; color:#6b7280; padding:6px 10px;">${t.rows.length} hits; ${t.rows.filter(r => r.flags.includes('pan-lethal')).length} pan-lethal (common essential or ≥ 90% of lines dependent)${t.nCodepSkipped ? `; co-dependencies for the top ${t.codepCap} by FDR` : ''}${this.expressionLoaded ? '' : '; expression not loaded'}. Click a gene for its gene effect distribution.</div>`;
+        html += '<table style="width:100%; border-collapse:collapse; font-size:11px;"><thead style="background:#f9fafb; position:sticky; top:0;"><tr>';
+        columns.forEach(([c, label]) => {
+            html += `<th data-triage-sort="${c}" title="${tips[c] || ''}" style="padding:5px 6px; border-bottom:2px solid #d1d5db; cursor:pointer; user-select:none; white-space:nowrap; text-align:${c === 'gene' || c === 'codep' || c === 'flags' ? 'left' : 'center'};">${label}${arrow(c)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        rows.forEach(r => {
+            html += `<tr style="border-bottom:1px solid #f3f4f6;${r.flags.includes('pan-lethal') ? ' background:#fef2f2;' : ''}">
+                <td style="padding:4px 6px;"><span class="triage-gene" data-gene="${r.gene}" style="font-weight:600; color:#15803d; cursor:${r.inDepMap ? 'pointer' : 'default'};">${r.gene}</span></td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.lfc, 2)}</td>
+                <td style="padding:4px 6px; text-align:center; font-family:monospace;">${r.fdr === undefined || isNaN(r.fdr) ? f(NaN) : this.formatPValue(r.fdr)}</td>
+                <td style="padding:4px 6px; text-align:center;">${r.commonEssential ? '<b style="color:#991b1b;">yes</b>' : ''}</td>
+                <td style="padding:4px 6px; text-align:center; ${geColor(r.mean)}">${f(r.mean, 2)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.sd, 2)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.pctDep, 0)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.skew, 2)}</td>
+                <td style="padding:4px 6px; text-align:center; ${geColor(r.linMean)}" title="${r.linN ? `n = ${r.linN}` : ''}">${f(r.linMean, 2)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.linSd, 2)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.linSel, 2)}</td>
+                <td style="padding:4px 6px; text-align:center;">${f(r.exprMedian, 1)}</td>
+                <td style="padding:4px 6px;">${r.codep ? r.codep.map(c => `${c.gene} <span style="color:#9ca3af;">(${c.r.toFixed(2)})</span>`).join(', ') : ''}</td>
+                <td style="padding:4px 6px;">${r.flags.map(pill).join(' ')}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        const body = document.getElementById('triageBody');
+        body.innerHTML = html;
+        body.querySelectorAll('th[data-triage-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                const c = th.dataset.triageSort;
+                t.sort = t.sort.col === c ? { col: c, asc: !t.sort.asc } : { col: c, asc: c === 'gene' || c === 'fdr' || c === 'mean' || c === 'linMean' || c === 'linSel' || c === 'skew' };
+                this.renderScreenTriage();
+            });
+        });
+        body.querySelectorAll('.triage-gene').forEach(el => {
+            if (!this.geneIndex.has(el.dataset.gene)) return;
+            el.addEventListener('click', () => this.showGeneEffectDistribution(el.dataset.gene));
+        });
+    }
+
+    downloadScreenTriageCSV() {
+        const t = this._triage;
+        if (!t?.rows?.length) return;
+        const f = (v, d) => v === undefined || isNaN(v) ? '' : v.toFixed(d);
+        let csv = `# Screen triage: ${t.rows.length} hits; lineage: ${t.lineage || 'all'}; expression cut-off log2(TPM+1) ${t.exprMin}\n`;
+        csv += '# Pan-lethal = common essential or GE <= -0.5 in >= 90% of lines; Lineage_Selectivity = (lineage mean - rest mean) / overall SD\n';
+        csv += 'Gene,LFC,FDR,Common_Essential,Mean_GE,SD_GE,Pct_Lines_Dependent,Skewness,Lineage_Mean_GE,Lineage_SD_GE,Lineage_N,Lineage_Selectivity,Expression_Median,Top_CoDependencies,Flags\n';
+        t.rows.forEach(r => {
+            const codep = r.codep ? r.codep.map(c => `${c.gene} (${c.r.toFixed(3)})`).join('; ') : '';
+            csv += `${r.gene},${f(r.lfc, 4)},${r.fdr === undefined || isNaN(r.fdr) ? '' : r.fdr},${r.commonEssential ? 'yes' : 'no'},${f(r.mean, 4)},${f(r.sd, 4)},${f(r.pctDep, 1)},${f(r.skew, 3)},${f(r.linMean, 4)},${f(r.linSd, 4)},${r.linN || ''},${f(r.linSel, 3)},${f(r.exprMedian, 3)},"${codep}","${r.flags.join('; ')}"\n`;
+        });
+        this.downloadFile(csv, csvName(`screen_triage${t.lineage ? `_${t.lineage}` : ''}`), 'text/csv');
+    }
+
+    // ===== Screen similarity =====
+
+    // Rank DepMap lines by how closely their dependency profile tracks the
+    // uploaded screen: opens the cell-line browser sorted by Spearman rho.
+    openScreenSimilarity() {
+        if (!this.geneStats?.size) {
+            const manual = document.getElementById('manualStatsTextarea')?.value.trim();
+            if (manual && manual.split('\n').filter(l => l.trim()).length > 1) this.loadManualStats();
+        }
+        if (!this.geneStats?.size) {
+            alert('Upload your genome-wide screen results with an LFC column first (Gene statistics: file upload or manual entry).');
+            return;
+        }
+        this.openCellLineBrowser();
+        const sel = document.getElementById('clbSortBy');
+        sel.value = 'similarity';
+        sel.dispatchEvent(new Event('change'));
+    }
+
+    // Spearman rho between the screen's LFC vector and every line's gene
+    // effects, over pairwise-complete shared genes. topVar > 0 keeps only
+    // that many of the shared genes with the highest GE SD across lines.
+    async computeScreenSimilarity(topVar) {
+        const stats = this.geneStats;
+        const nCL = this.nCellLines;
+        const ge = this.geneEffects;
+        const valid = (v) => !isNaN(v) && v !== -999;
+        let genes = [];
+        for (const s of stats.values()) {
+            const gi = this.geneIndex.get(s.gene);
+            if (gi !== undefined && Number.isFinite(s.lfc)) genes.push({ gene: s.gene, gi, lfc: s.lfc, fdr: s.fdr });
+        }
+        if (topVar > 0 && genes.length > topVar) {
+            genes.forEach(g => {
+                const vals = [];
+                for (let i = 0, off = g.gi * nCL; i < nCL; i++) if (valid(ge[off + i])) vals.push(ge[off + i]);
+                g.sd = vals.length > 2 ? Math.sqrt(this.variance(vals)) : 0;
+            });
+            genes = genes.sort((a, b) => b.sd - a.sd).slice(0, topVar);
+        }
+        const result = { stats, topVar, genes, rho: new Map(), n: new Map(), order: [] };
+        const MIN_GENES = 100;
+        if (genes.length < MIN_GENES) {
+            result.error = `Only ${genes.length} uploaded genes with an LFC are in DepMap — similarity needs at least ${MIN_GENES}. Upload the full genome-wide result table, not just the hits.`;
+            this._screenSimilarity = result;
+            return;
+        }
+
+        const m = genes.length;
+        const lfc = Float64Array.from(genes, g => g.lfc);
+        const lfcRanks = this._centredRanks(lfc);
+        const x = new Float64Array(m), y = new Float64Array(m);
+        for (let ci = 0; ci < nCL; ci++) {
+            let k = 0;
+            for (let j = 0; j < m; j++) {
+                const v = ge[genes[j].gi * nCL + ci];
+                if (valid(v)) { x[k] = lfc[j]; y[k] = v; k++; }
+            }
+            if (k >= MIN_GENES) {
+                const rx = k === m ? lfcRanks : this._centredRanks(x.subarray(0, k));
+                const r = scoreCosine(rx, this._centredRanks(y.subarray(0, k)));
+                if (!isNaN(r)) {
+                    const cl = this.metadata.cellLines[ci];
+                    result.rho.set(cl, r);
+                    result.n.set(cl, k);
+                }
+            }
+            if (ci % 50 === 49) await new Promise(r => setTimeout(r, 0));
+        }
+        result.order = [...result.rho.keys()].sort((a, b) => result.rho.get(b) - result.rho.get(a));
+        if (!result.order.length) result.error = `No DepMap line has gene effects for at least ${MIN_GENES} of the shared genes.`;
+        this._screenSimilarity = result;
+    }
+
+    // Same centred average ranks as correlationScores(values, 'spearman'), but
+    // via a typed-array sort and binary search for tie bounds — a comparator
+    // sort is too slow to repeat for every DepMap line on ~18k genes.
+    _centredRanks(values) {
+        const n = values.length;
+        const sorted = Float64Array.from(values).sort();
+        const out = new Float64Array(n);
+        const meanRank = (n + 1) / 2;
+        for (let i = 0; i < n; i++) {
+            const v = values[i];
+            let lo = 0, hi = n;
+            while (lo < hi) { const mid = (lo + hi) >> 1; if (sorted[mid] < v) lo = mid + 1; else hi = mid; }
+            const first = lo;
+            hi = n;
+            while (lo < hi) { const mid = (lo + hi) >> 1; if (sorted[mid] <= v) lo = mid + 1; else hi = mid; }
+            out[i] = (first + lo + 1) / 2 - meanRank;
+        }
+        return out;
+    }
+
+    _screenSimilarityCaption(rho) {
+        if (!this.geneStats?.size) {
+            return 'Upload a genome-wide screen (Gene statistics panel, with an LFC column) to rank lines by similarity to it.';
+        }
+        const sim = this._screenSimilarity;
+        if (this._screenSimilarityPending || !rho.size && !sim?.error) {
+            return `Computing Spearman &rho; between your screen and ${this.nCellLines.toLocaleString()} DepMap lines&hellip;`;
+        }
+        if (sim?.error) return sim.error;
+        const lineageCounts = {};
+        sim.order.slice(0, 10).forEach(cl => {
+            const lin = this.getCellLineLineage(cl) || 'Unknown';
+            lineageCounts[lin] = (lineageCounts[lin] || 0) + 1;
+        });
+        const topLineages = Object.entries(lineageCounts).sort((a, b) => b[1] - a[1]).map(([lin, n]) => `${lin} ${n}`).join(', ');
+        const subset = sim.topVar ? `the ${sim.genes.length.toLocaleString()} most variable shared genes` : `${sim.genes.length.toLocaleString()} shared genes`;
+        return `Values shown: <b>Spearman &rho;</b> between your screen's LFC and each line's Gene Effect over ${subset} — higher = more similar dependency profile. ` +
+            `Top 10 matches by lineage: ${topLineages}. Click a line for the LFC vs GE scatter.`;
+    }
+
+    _renderScreenSimilarityScatter(cellLineId) {
+        const sim = this._screenSimilarity;
+        const ci = this.metadata.cellLines.indexOf(cellLineId);
+        if (!sim || ci < 0) return;
+        const nCL = this.nCellLines;
+        const hit = { x: [], y: [], text: [] }, rest = { x: [], y: [], text: [] };
+        sim.genes.forEach(g => {
+            const v = this.geneEffects[g.gi * nCL + ci];
+            if (isNaN(v) || v === -999) return;
+            const bucket = g.fdr < 0.05 ? hit : rest;
+            bucket.x.push(g.lfc);
+            bucket.y.push(v);
+            bucket.text.push(g.gene);
+        });
+        const trace = (d, name, color) => ({
+            x: d.x, y: d.y, text: d.text, name, type: 'scattergl', mode: 'markers',
+            marker: { size: 3, color, opacity: 0.6 },
+            hovertemplate: '%{text}<br>LFC %{x:.2f}<br>GE %{y:.2f}<extra></extra>'
+        });
+        const traces = [trace(rest, 'Other genes', '#9ca3af')];
+        if (hit.x.length) traces.push(trace(hit, 'FDR < 0.05', '#dc2626'));
+        Plotly.newPlot('clbSimilarityScatter', traces, {
+            margin: { t: 24, b: 40, l: 46, r: 8 },
+            title: { text: `&rho; = ${sim.rho.get(cellLineId).toFixed(3)}${hit.x.length ? ' · red = FDR < 0.05' : ''}`, font: { size: 11 } },
+            xaxis: { title: { text: 'Screen LFC', font: { size: 10 } }, tickfont: { size: 9 }, zeroline: true },
+            yaxis: { title: { text: `GE in ${this.getCellLineName(cellLineId)}`, font: { size: 10 } }, tickfont: { size: 9 }, zeroline: true },
+            showlegend: false,
+            hovermode: 'closest'
+        }, { displayModeBar: false, responsive: true });
+    }
+
     loadTestGenesWithStats() {
         // Test data with LFC and FDR values (22 genes — matches simple test gene list)
         const testData = [
@@ -4719,10 +6335,7 @@ class CorrelationExplorer {
             // Check hotspot mutation filter
             if (mutationData && hotspotLevel !== 'all') {
                 const mutLevel = mutationData[cellLine] || 0;
-                if (hotspotLevel === '0' && mutLevel !== 0) return;
-                if (hotspotLevel === '1' && mutLevel !== 1) return;
-                if (hotspotLevel === '2' && mutLevel < 2) return;
-                if (hotspotLevel === '1+2' && mutLevel < 1) return;
+                if (!this._passesHotspotLevel(hotspotGene, cellLine, hotspotLevel, mutLevel)) return;
             }
 
             // Check translocation filter
@@ -4797,39 +6410,58 @@ class CorrelationExplorer {
         const btn = document.getElementById('findBestFilterBtn');
         if (btn) { btn.textContent = 'Searching...'; btn.disabled = true; }
 
-        setTimeout(() => {
+        setTimeout(async () => {
             const mode = document.querySelector('input[name="analysisMode"]:checked').value;
             const cutoff = parseFloat(document.getElementById('correlationCutoff').value);
             const minN = parseInt(document.getElementById('minCellLines').value);
+            const adjustBy = document.getElementById('lineageAdjust')?.value || 'none';
+            const maxQ = this._readMaxQValue();
 
             // Get all unique lineages
             const lineages = [...new Set(Object.values(this.cellLineMetadata?.lineage || {}))].sort();
 
-            const results = [];
+            // Design-mode scans go through the worker pool, one lineage at a time
+            let nScanned = 0;
+            const scanFilter = async (indices) => {
+                if (btn && mode === 'design') btn.textContent = `Searching... ${++nScanned}/${lineages.length + 1}`;
+                if (mode !== 'design') return this.calculateCorrelations(geneList, 'analysis', cutoff, minN, 0, indices, false, false, adjustBy, maxQ);
+                return this.calculateCorrelationsInWorkers(geneList, cutoff, minN, 0, indices, false, false, adjustBy, maxQ);
+            };
 
-            // Test "All" (no filter)
-            const allIndices = [];
-            for (let i = 0; i < this.nCellLines; i++) allIndices.push(i);
-            const allResult = this.calculateCorrelations(geneList, mode === 'design' ? 'design' : 'analysis', cutoff, minN, 0, allIndices);
-            if (allResult.success) {
-                const genes = new Set(); allResult.correlations.forEach(c => { genes.add(c.gene1); genes.add(c.gene2); });
-                results.push({ filter: 'All tissues', n: allIndices.length, nGenes: genes.size });
-            }
+            const results = [];
+            try {
+                // Test "All" (no filter)
+                const allIndices = [];
+                for (let i = 0; i < this.nCellLines; i++) allIndices.push(i);
+                const allResult = await scanFilter(allIndices);
+                if (allResult.success) {
+                    const genes = new Set(); allResult.correlations.forEach(c => { genes.add(c.gene1); genes.add(c.gene2); });
+                    results.push({ filter: 'All tissues', n: allIndices.length, nGenes: genes.size });
+                }
+
+                // Test each lineage
+                for (const lineage of lineages) {
+                    const indices = [];
+                    for (let i = 0; i < this.nCellLines; i++) {
+                        const cl = this.metadata.cellLines[i];
+                        if (this.cellLineMetadata?.lineage?.[cl] === lineage) indices.push(i);
+                    }
+                    if (indices.length < minN) { nScanned++; continue; }
 
-            // Test each lineage
-            for (const lineage of lineages) {
-                const indices = [];
-                for (let i = 0; i < this.nCellLines; i++) {
-                    const cl = this.metadata.cellLines[i];
-                    if (this.cellLineMetadata?.lineage?.[cl] === lineage) indices.push(i);
+                    const result = await scanFilter(indices);
+                    if (result.success && result.correlations.length > 0) {
+                        const genes = new Set(); result.correlations.forEach(c => { genes.add(c.gene1); genes.add(c.gene2); });
+                        results.push({ filter: lineage, n: indices.length, nGenes: genes.size });
+                    }
                 }
-                if (indices.length < minN) continue;
-
-                const result = this.calculateCorrelations(geneList, mode === 'design' ? 'design' : 'analysis', cutoff, minN, 0, indices);
-                if (result.success && result.correlations.length > 0) {
-                    const genes = new Set(); result.correlations.forEach(c => { genes.add(c.gene1); genes.add(c.gene2); });
-                    results.push({ filter: lineage, n: indices.length, nGenes: genes.size });
+            } catch (error) {
+                // A new analysis (or the Cancel button) aborted the scan — drop the search quietly
+                if (btn) { btn.textContent = 'Best Filter'; btn.disabled = false; }
+                if (error.name !== 'AbortError') {
+                    console.error('Best filter error:', error);
+                    this.showStatus('error', 'Best filter search failed: ' + error.message);
                 }
+                return;
             }
 
             results.sort((a, b) => b.nGenes - a.nGenes);
@@ -4873,6 +6505,11 @@ class CorrelationExplorer {
             return;
         }
 
+        if (mode === 'drug') {
+            this.runDrugAnalysis();
+            return;
+        }
+
         // Handle synonym/ortholog lookup mode
         if (mode === 'synonym') {
             this.runSynonymLookup();
@@ -4906,28 +6543,71 @@ class CorrelationExplorer {
 
         const expandNetwork = mode === 'design' && document.getElementById('designExpandNetwork')?.checked;
         const includeGrowthRate = document.getElementById('includeGrowthRate')?.checked && !!this.growthRateData;
+        const adjustBy = document.getElementById('lineageAdjust')?.value || 'none';
+        const maxQ = this._readMaxQValue();
+        const queryLayer = document.getElementById('queryLayer')?.value || 'ge';
+        const targetLayer = document.getElementById('targetLayer')?.value || 'ge';
+        const usesExpression = queryLayer === 'expr' || targetLayer === 'expr';
+        if (usesExpression && !this.expressionLoaded) {
+            this.showStatus('info', 'Loading expression data...');
+            this.loadExpressionData()
+                .then(() => this.runAnalysis())
+                .catch(error => this.showStatus('error', 'Failed to load expression data: ' + error.message));
+            return;
+        }
+        if (queryLayer === 'expr' && this._layerNodes('expr', geneList).length === 0) {
+            this.showStatus('error', 'None of the input genes are in the expression data');
+            return;
+        }
         this.showStatus('info', expandNetwork ? 'Running correlation analysis (expanded network)...' : 'Running correlation analysis...');
 
+        const onResults = (results) => {
+            this.results = results;
+            if (this.results.success) {
+                this.displayResults();
+                this.showStatus('success',
+                    `&#10003; Analysis complete: ${this.results.correlations.length} correlations, ${this.results.clusters.length} genes in network`);
+                // Auto-run best filter and show dropdown (it scores gene-effect networks only)
+                if (geneList.length >= 2 && !usesExpression) this.findBestFilter();
+            } else {
+                this.showStatus('error', this.results.error);
+            }
+        };
+        const onError = (error) => {
+            if (error.name === 'AbortError') {
+                this.showStatus('warning', 'Analysis cancelled');
+                return;
+            }
+            console.error('Analysis error:', error);
+            this.showStatus('error', 'Analysis failed: ' + error.message);
+        };
+
+        // Design mode scans every gene — run it on the worker pool so the tab stays responsive
+        if (mode === 'design') {
+            this._scanProgressPct = null;
+            this.calculateCorrelationsInWorkers(geneList, cutoff, minN, minSlope, cellLineIndices, expandNetwork, includeGrowthRate, adjustBy, maxQ, queryLayer, targetLayer,
+                (done, total, phase) => this._showScanProgress(done, total, phase))
+                .then(onResults)
+                .catch(onError);
+            return;
+        }
+
         // Use setTimeout to allow UI to update
         setTimeout(() => {
             try {
-                this.results = this.calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork, includeGrowthRate);
-                if (this.results.success) {
-                    this.displayResults();
-                    this.showStatus('success',
-                        `&#10003; Analysis complete: ${this.results.correlations.length} correlations, ${this.results.clusters.length} genes in network`);
-                    // Auto-run best filter and show dropdown
-                    if (geneList.length >= 2) this.findBestFilter();
-                } else {
-                    this.showStatus('error', this.results.error);
-                }
+                onResults(this.calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork, includeGrowthRate, adjustBy, maxQ, queryLayer, targetLayer));
             } catch (error) {
-                console.error('Analysis error:', error);
-                this.showStatus('error', 'Analysis failed: ' + error.message);
+                onError(error);
             }
         }, 50);
     }
 
+    // Max FDR q from Set Parameters; blank, invalid or >= 1 means no q filter.
+    _readMaxQValue() {
+        const q = parseFloat(document.getElementById('maxQValue')?.value);
+        return q > 0 && q < 1 ? q : 1;
+    }
+
     runMutationAnalysis() {
         // Reset expression correlates panel
         document.getElementById('toggleExprCorrelatesBtn').style.display = 'none';
@@ -4949,16 +6629,26 @@ class CorrelationExplorer {
 
         // Check mutation analysis sub-type
         const mutAnalysisType = document.querySelector('input[name="mutAnalysisType"]:checked')?.value || 'hotspot';
+        if (mutAnalysisType === 'comutation') {
+            this.runCoMutationAnalysis();
+            return;
+        }
         const isTranslocation = mutAnalysisType === 'translocation';
         const isDamaging = mutAnalysisType === 'damaging';
+        const isCopyNumber = mutAnalysisType === 'cn';
+        const isBiomarker = mutAnalysisType === 'biomarker';
+        const biomarker = isBiomarker ? this._readBiomarkerDefinition() : null;
 
-        const hotspotGene = isTranslocation
+        const hotspotGene = isBiomarker ? biomarker.gene : isTranslocation
             ? document.getElementById('translocationHotspotSelect').value
             : isDamaging
                 ? document.getElementById('damagingHotspotSelect').value
-                : document.getElementById('mutationHotspotSelect').value;
+                : isCopyNumber
+                    ? document.getElementById('cnHotspotSelect').value.trim().toUpperCase()
+                    : document.getElementById('mutationHotspotSelect').value;
         const minN = parseInt(document.getElementById('minCellLines').value);
         const pThreshold = this.getInputNum('pValueThreshold');
+        const thresholdStat = document.getElementById('pThresholdStat')?.value === 'q' ? 'q' : 'p';
         const lineageFilter = document.getElementById('lineageFilter').value;
         const subLineageFilter = document.getElementById('subLineageFilter')?.value;
 
@@ -4971,7 +6661,51 @@ class CorrelationExplorer {
         const additionalTransLevel = document.getElementById('paramTranslocationLevel').value;
 
         if (!hotspotGene) {
-            this.showStatus('error', isTranslocation ? 'Please select a translocation/fusion gene' : isDamaging ? 'Please select a damaging mutation gene' : 'Please select a hotspot mutation');
+            this.showStatus('error', isTranslocation ? 'Please select a translocation/fusion gene' : isDamaging ? 'Please select a damaging mutation gene' : isCopyNumber ? 'Please enter a copy number gene' : isBiomarker ? 'Please enter a biomarker gene' : 'Please select a hotspot mutation');
+            return;
+        }
+        if (isBiomarker) {
+            if (!this.geneIndex.has(hotspotGene)) {
+                this.showStatus('error', `"${hotspotGene}" not found in the gene effect dataset.`);
+                return;
+            }
+            const pct = (v) => biomarker.mode === 'absolute' || (v >= 0 && v <= 100);
+            if (!Number.isFinite(biomarker.high) || !Number.isFinite(biomarker.low) || !pct(biomarker.high) || !pct(biomarker.low) || biomarker.low > biomarker.high) {
+                this.showStatus('error', 'Biomarker cut-offs must be numbers with low ≤ high' + (biomarker.mode === 'quantile' ? ' (percentiles 0–100)' : ''));
+                return;
+            }
+            if (biomarker.layer === 'expr' && !this.expressionLoaded) {
+                this.showStatus('info', 'Loading expression data...');
+                this.loadExpressionData()
+                    .then(() => this.runMutationAnalysis())
+                    .catch(e => this.showStatus('error', 'Failed to load expression data: ' + e.message));
+                return;
+            }
+            if (biomarker.layer === 'expr' && !this.expressionGeneIndex.has(hotspotGene)) {
+                this.showStatus('error', `"${hotspotGene}" not found in expression data.`);
+                return;
+            }
+        }
+        if (isCopyNumber && !this.cnLoaded) {
+            this.showStatus('info', 'Loading copy number data...');
+            this.loadCnData()
+                .then(() => this.runMutationAnalysis())
+                .catch(e => this.showStatus('error', 'Failed to load copy number data: ' + e.message));
+            return;
+        }
+        if (isCopyNumber && !this.cnGeneIndex.has(hotspotGene)) {
+            this.showStatus('error', `"${hotspotGene}" is not in the copy number data.`);
+            return;
+        }
+        const cnDirection = document.getElementById('cnDirection')?.value === 'del' ? 'del' : 'amp';
+        const cnThresholds = isCopyNumber ? this._readCnThresholds() : null;
+        const variant = mutAnalysisType === 'hotspot' ? (document.getElementById('mutationVariantSelect')?.value || '') : '';
+        const variantRef = document.getElementById('mutationVariantRef')?.value === 'other' ? 'other' : 'wt';
+        const lineageMeta = !isTranslocation && document.getElementById('mutLineageMeta')?.checked
+            ? { minMut: Math.max(2, parseInt(document.getElementById('mutMetaMinMut').value) || 3), minWT: Math.max(2, parseInt(document.getElementById('mutMetaMinWT').value) || 3) }
+            : null;
+        if (variant && !this.getHotspotVariantCalls(hotspotGene)[variant]) {
+            this.showStatus('error', `No ${hotspotGene} ${variant} calls in the inferred subtypes data.`);
             return;
         }
         if (isTranslocation && !this.translocations?.geneData?.[hotspotGene]) {
@@ -4983,21 +6717,43 @@ class CorrelationExplorer {
             return;
         }
 
-        this.showStatus('info', isTranslocation ? 'Running fusion analysis...' : isDamaging ? 'Running damaging mutation analysis...' : 'Running mutation analysis...');
+        this.showStatus('info', isTranslocation ? 'Running fusion analysis...' : isDamaging ? 'Running damaging mutation analysis...' : isCopyNumber ? 'Running copy number analysis...' : isBiomarker ? 'Running biomarker group analysis...' : 'Running mutation analysis...');
 
         // Use setTimeout to allow UI to update
         setTimeout(() => {
             try {
-                const mutDataSource = isDamaging ? this.damagingMutations : this.mutations;
+                // CN results also carry the curated panel genes of the same
+                // direction so the inspect view can switch stratifier
+                let groupSource = null;
+                if (isCopyNumber) {
+                    const panel = (cnDirection === 'del' ? this.clinicalCn?.deletionPanel : this.clinicalCn?.amplificationPanel) || [];
+                    const genes = [hotspotGene, ...panel.map(e => e.gene.toUpperCase()).filter(g => g !== hotspotGene && this.cnGeneIndex.has(g))];
+                    groupSource = this.buildCnMutationSource(genes, cnDirection, cnThresholds);
+                } else if (isBiomarker) {
+                    // Quantiles over the lines the analysis filters keep
+                    groupSource = this.buildBiomarkerMutationSource(biomarker, cl => {
+                        const lineage = this.cellLineMetadata?.lineage?.[cl];
+                        if (this.excludedTissues?.size > 0 && lineage && this.excludedTissues.has(lineage)) return false;
+                        if (lineageFilter && lineage !== lineageFilter) return false;
+                        if (subLineageFilter && this.cellLineMetadata?.primaryDisease?.[cl] !== subLineageFilter) return false;
+                        return true;
+                    });
+                } else if (variant) {
+                    groupSource = this.buildVariantMutationSource(hotspotGene, variant, variantRef);
+                }
+                const mutDataSource = groupSource || (isDamaging ? this.damagingMutations : this.mutations);
                 const analysisResult = isTranslocation
                     ? this.calculateTranslocationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, additionalTransGene, additionalTransLevel)
-                    : this.calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, additionalTransGene, additionalTransLevel, mutDataSource);
+                    : this.calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, additionalTransGene, additionalTransLevel, mutDataSource, lineageMeta);
 
-                // Filter by p-value threshold
-                const significantResults = analysisResult.results.filter(r => r.p_mut < pThreshold || r.p_2 < pThreshold || r.p_2v1 < pThreshold || (r.p_fused !== undefined && r.p_fused < pThreshold));
+                // Filter by p- or q-value threshold (any comparison); with the
+                // lineage meta-analysis only the pooled, lineage-adjusted test counts
+                const significantResults = analysisResult.results.filter(r =>
+                    (lineageMeta ? ['meta'] : ['mut', '2', '2v1', 'fused']).some(key => this._mutationStat(r, key, thresholdStat) < pThreshold));
 
-                // Sort by Δ GE (1+2 vs 0) ascending — most negative first
-                significantResults.sort((a, b) => (a.diff_mut || 0) - (b.diff_mut || 0));
+                // Sort by Δ GE (1+2 vs 0, or pooled across lineages) ascending — most negative first
+                const sortKey = lineageMeta ? 'diff_meta' : 'diff_mut';
+                significantResults.sort((a, b) => (a[sortKey] || 0) - (b[sortKey] || 0));
 
                 // Close compare modal on new analysis
                 if (document.getElementById('mutCompareModal')) {
@@ -5007,6 +6763,7 @@ class CorrelationExplorer {
                 this.mutationResults = {
                     hotspotGene,
                     pThreshold,
+                    thresholdStat,
                     minN,
                     lineageFilter,
                     subLineageFilter,
@@ -5016,6 +6773,16 @@ class CorrelationExplorer {
                     additionalTransLevel,
                     isTranslocation,
                     isDamaging,
+                    isCopyNumber,
+                    cnDirection: isCopyNumber ? cnDirection : null,
+                    cnThresholds,
+                    isBiomarker,
+                    biomarker: isBiomarker ? groupSource.definition : null,
+                    isVariant: !!variant,
+                    variant: variant ? groupSource.definition : null,
+                    groupSource,
+                    lineageMeta,
+                    metaLineages: analysisResult.metaLineages,
                     excludedTissues: new Set(this.excludedTissues),
                     nWT: analysisResult.nWT,
                     nMut: analysisResult.nMut,
@@ -5035,9 +6802,9 @@ class CorrelationExplorer {
                 document.querySelector('[data-tab="mutation"]').classList.add('active');
                 document.getElementById('tab-mutation').classList.add('active');
 
-                const analysisLabel = isTranslocation ? 'Fusion' : isDamaging ? 'Damaging Mutation' : 'Mutation';
+                const analysisLabel = isTranslocation ? 'Fusion' : isDamaging ? 'Damaging Mutation' : isCopyNumber ? 'Copy Number' : isBiomarker ? 'Biomarker group' : variant ? `${hotspotGene} ${variant}` : 'Mutation';
                 const nSkipped = analysisResult.nSkippedMinN || 0;
-                let statusMsg = `&#10003; ${analysisLabel} analysis complete: ${significantResults.length} genes with p < ${pThreshold}`;
+                let statusMsg = `&#10003; ${analysisLabel} analysis complete: ${significantResults.length} genes with ${thresholdStat} < ${pThreshold}`;
                 if (significantResults.length === 0 && nSkipped > 0) {
                     statusMsg = `&#9888; ${analysisLabel} analysis: no significant genes found. ${nSkipped} genes were skipped because WT group had fewer than ${minN} cell lines. Try lowering "Min Cell Lines" (currently ${minN}).`;
                     this.showStatus('warning', statusMsg);
@@ -5261,7 +7028,672 @@ class CorrelationExplorer {
         this.downloadFile(csv, csvName('synonym_ortholog_lookup'), 'text/csv');
     }
 
-    calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, additionalTransGene, additionalTransLevel, mutDataSource) {
+    // p or q of one mutation-table comparison ('mut' = 1+2 vs 0, '2', '2v1',
+    // 'fused'); undefined when the scan has no such column.
+    _mutationStat(r, key, stat = this.mutationResults?.thresholdStat || 'p') {
+        return r[`${stat === 'q' ? 'q' : 'p'}_${key}`];
+    }
+
+    // ── Drug Response mode (PRISM AUC) ──
+
+    // Compound record by name or PRISM id (case-insensitive), or null
+    _findDrugCompound(query) {
+        const q = (query || '').trim().toUpperCase();
+        if (!q) return null;
+        return (this.drugResponse?.compounds || []).find(c => c.name.toUpperCase() === q || c.id.toUpperCase() === q) || null;
+    }
+
+    _populateDrugCompoundList() {
+        const datalist = document.getElementById('drugCompoundList');
+        if (!datalist || datalist.options.length || !this.drugResponse?.compounds) return;
+        datalist.innerHTML = [...this.drugResponse.compounds]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(c => `<option value="${c.name}">${[c.target, c.moa].filter(Boolean).join(' · ')}</option>`).join('');
+    }
+
+    _updateDrugCompoundInfo() {
+        const el = document.getElementById('drugCompoundInfo');
+        if (!el) return;
+        const c = this._findDrugCompound(document.getElementById('drugCompoundSelect')?.value);
+        el.innerHTML = c ? [
+            c.target ? `<b>Target:</b> ${c.target}` : '',
+            c.moa ? `<b>MoA:</b> ${c.moa}` : '',
+            c.indication ? `<b>Indication:</b> ${c.indication}` : '',
+            `<b>AUC:</b> ${Object.keys(c.auc || {}).length} cell lines`
+        ].filter(Boolean).join('<br>') : '';
+    }
+
+    // AUC per filtered cell line (NaN where PRISM has no value)
+    _drugAucVector(compound, cellLineIndices) {
+        const auc = compound.auc || {};
+        return Float64Array.from(cellLineIndices, i => {
+            const v = auc[this.metadata.cellLines[i]];
+            return v === undefined || v === null ? NaN : v;
+        });
+    }
+
+    // Welch AUC comparison of mutated (level >= 1) vs WT (level 0) lines for
+    // every hotspot, damaging and fusion gene with >= 3 lines in each group.
+    calculateDrugMutationAssociations(auc, cellLineIndices) {
+        const cellLines = this.metadata.cellLines;
+        const rows = [];
+        this._gateMutationSources().forEach(({ gene, calls, type }) => {
+            const wt = [], mut = [];
+            cellLineIndices.forEach((idx, k) => {
+                if (isNaN(auc[k])) return;
+                ((calls[cellLines[idx]] || 0) >= 1 ? mut : wt).push(auc[k]);
+            });
+            if (wt.length < 3 || mut.length < 3) return;
+            const tTest = this.welchTTest(wt, mut);
+            const es = this.meanDifferenceStats(wt, mut, tTest);
+            rows.push({
+                gene, type, nWT: wt.length, nMut: mut.length,
+                meanWT: this.mean(wt), meanMut: this.mean(mut),
+                diff: this.mean(mut) - this.mean(wt),
+                ciLow: es.ciLow, ciHigh: es.ciHigh, g: es.g, pValue: tTest.p
+            });
+        });
+        return this._addGateQValues(rows).sort((a, b) => a.pValue - b.pValue);
+    }
+
+    // Correlation of AUC with every gene of one layer ('ge' | 'expr') over the
+    // filtered lines with the current correlation method. Genes with fewer than
+    // minN complete lines are skipped. Rows { gene, r, n, pValue, qValue }.
+    // The genome-wide scan runs on a correlation worker pool; onProgress(done,
+    // total) follows the gene rows.
+    async calculateDrugCorrelates(auc, cellLineIndices, layer, minN, onProgress = null) {
+        const workerUrl = this._getCorrelationWorkerUrl();
+        if (!workerUrl) return this._calculateDrugCorrelatesSync(auc, cellLineIndices, layer, minN);
+
+        const pool = this._startWorkerPool(workerUrl);
+        try {
+            const nCols = cellLineIndices.length;
+            const targets = this._layerNodes(layer);
+            const shared = window.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined';
+            const sharedMatrix = shared ? this._buildFilteredMatrix(targets, cellLineIndices, true) : null;
+            const chunk = Math.ceil(targets.length / pool.workers.length);
+            const jobs = pool.workers.map((_, w) => {
+                const start = Math.min(w * chunk, targets.length);
+                const end = Math.min(start + chunk, targets.length);
+                const names = targets.slice(start, end);
+                const matrix = sharedMatrix || this._buildFilteredMatrix(names, cellLineIndices, false);
+                const q = Float32Array.from(auc);
+                return {
+                    // cutoff 0 keeps every gene with >= minN complete lines
+                    message: {
+                        type: 'scan', matrix: matrix.buffer, nCols,
+                        rowStart: sharedMatrix ? start : 0, rowEnd: sharedMatrix ? end : names.length,
+                        targetNames: names, queries: q.buffer, queryNames: ['AUC'],
+                        method: this.correlationMethod, minN, cutoff: 0, minSlope: 0
+                    },
+                    transfer: sharedMatrix ? [q.buffer] : [matrix.buffer, q.buffer]
+                };
+            });
+            const results = await this._runCorrelationJobs(pool, jobs, targets.length, 'drug', onProgress);
+            const rows = results.flatMap(r => r.hits[0]).map(h => ({ gene: this.nodeGene(h.gene2), r: h.correlation, n: h.n, pValue: h.pValue }));
+            return this._addGateQValues(rows).sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+        } finally {
+            pool.workers.forEach(w => w.terminate());
+        }
+    }
+
+    // Main-thread fallback for calculateDrugCorrelates when workers are unavailable.
+    _calculateDrugCorrelatesSync(auc, cellLineIndices, layer, minN) {
+        const method = this.correlationMethod;
+        const genes = layer === 'expr' ? Array.from(this.expressionGeneIndex.keys()) : this.geneNames;
+        const nExprCellLines = this.expressionMetadata?.nCellLines;
+        const exprCols = layer === 'expr' ? cellLineIndices.map(i => this.expressionCellLineMap[i]) : null;
+        const values = new Float64Array(cellLineIndices.length);
+        const rows = [];
+        genes.forEach((gene, gi) => {
+            if (layer === 'expr') {
+                const off = this.expressionGeneIndex.get(gene) * nExprCellLines;
+                exprCols.forEach((j, k) => { values[k] = j === -1 ? NaN : this.expressionData[off + j]; });
+            } else {
+                const data = this.getGeneData(gi);
+                cellLineIndices.forEach((idx, k) => { values[k] = data[idx]; });
+            }
+            const { correlation, n } = correlateVectors(auc, values, method);
+            if (n < minN || isNaN(correlation)) return;
+            rows.push({ gene, r: correlation, n, pValue: correlationPValue(correlation, n) });
+        });
+        return this._addGateQValues(rows).sort((a, b) => Math.abs(b.r) - Math.abs(a.r));
+    }
+
+    // Per-lineage AUC summary with a Welch test of each lineage against all
+    // other filtered lines. Lineages with < 3 lines are listed without a test.
+    calculateDrugTissueBreakdown(auc, cellLineIndices) {
+        const byLineage = new Map();
+        cellLineIndices.forEach((idx, k) => {
+            if (isNaN(auc[k])) return;
+            const lineage = this.getCellLineLineage(this.metadata.cellLines[idx]) || 'Unknown';
+            if (!byLineage.has(lineage)) byLineage.set(lineage, []);
+            byLineage.get(lineage).push(auc[k]);
+        });
+        const rows = [...byLineage.entries()].map(([lineage, values]) => {
+            const rest = [...byLineage.entries()].filter(([l]) => l !== lineage).flatMap(([, v]) => v);
+            const tested = values.length >= 3 && rest.length >= 3;
+            return {
+                lineage, values, n: values.length,
+                mean: this.mean(values), median: this.median(values), sd: Math.sqrt(this.variance(values)),
+                diff: rest.length ? this.mean(values) - this.mean(rest) : NaN,
+                pValue: tested ? this.welchTTest(values, rest).p : NaN,
+                qValue: NaN
+            };
+        });
+        // Untested lineages stay out of the BH ranking (q stays NaN)
+        this._addGateQValues(rows.filter(r => !isNaN(r.pValue)));
+        return rows.sort((a, b) => a.median - b.median);
+    }
+
+    async runDrugAnalysis() {
+        if (!this.drugResponse?.compounds) {
+            this.showStatus('error', 'Drug response data is not available');
+            return;
+        }
+        const compound = this._findDrugCompound(document.getElementById('drugCompoundSelect').value);
+        if (!compound) {
+            this.showStatus('error', 'Please select a compound from the list');
+            return;
+        }
+        const minN = parseInt(document.getElementById('minCellLines').value);
+        const pThreshold = this.getInputNum('pValueThreshold');
+        const thresholdStat = document.getElementById('pThresholdStat')?.value === 'q' ? 'q' : 'p';
+        const cellLineIndices = this.getFilteredCellLineIndices();
+        const auc = this._drugAucVector(compound, cellLineIndices);
+        const nAuc = auc.filter(v => !isNaN(v)).length;
+        if (nAuc < Math.max(minN, 10)) {
+            this.showStatus('error', `Too few filtered cell lines with ${compound.name} AUC (${nAuc} found, ${Math.max(minN, 10)} required). Adjust filters or reduce "Min Cell Lines".`);
+            return;
+        }
+
+        const includeExpression = document.getElementById('drugIncludeExpression')?.checked;
+        if (includeExpression && !this.expressionLoaded) {
+            this.showStatus('info', 'Loading expression data...');
+            try {
+                await this.loadExpressionData();
+            } catch (error) {
+                this.showStatus('error', 'Failed to load expression data: ' + error.message);
+                return;
+            }
+        }
+
+        this.showStatus('info', `Running drug response analysis for ${compound.name}...`);
+        setTimeout(async () => {
+            try {
+                const method = this.correlationMethod;
+                const progress = (label) => (done, total) => this.showStatus('info', `Running drug response analysis for ${compound.name}: ${label} correlates ${Math.min(100, Math.round(100 * done / total))}%`);
+                const ge = await this.calculateDrugCorrelates(auc, cellLineIndices, 'ge', minN, progress('gene effect'));
+                const expr = includeExpression && this.expressionLoaded ? await this.calculateDrugCorrelates(auc, cellLineIndices, 'expr', minN, progress('expression')) : null;
+                this.drugResults = {
+                    compound, minN, pThreshold, thresholdStat, nCellLines: nAuc, method,
+                    lineageFilter: document.getElementById('lineageFilter').value,
+                    subLineageFilter: document.getElementById('subLineageFilter')?.value || '',
+                    cellLineIndices, auc,
+                    mutations: this.calculateDrugMutationAssociations(auc, cellLineIndices),
+                    correlates: { ge, expr },
+                    tissues: this.calculateDrugTissueBreakdown(auc, cellLineIndices)
+                };
+                this.displayDrugResults();
+
+                document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
+                document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
+                document.querySelector('[data-tab="drug"]').classList.add('active');
+                document.getElementById('tab-drug').classList.add('active');
+
+                const nSig = this._drugSignificantMutations().length;
+                this.showStatus('success', `&#10003; Drug response analysis complete: ${compound.name}, ${nAuc} cell lines, ${nSig} mutation associations with ${thresholdStat} < ${pThreshold}`);
+            } catch (error) {
+                console.error('Drug response analysis error:', error);
+                this.showStatus('error', 'Drug response analysis failed: ' + error.message);
+            }
+        }, 50);
+    }
+
+    _drugSignificantMutations() {
+        const res = this.drugResults;
+        if (!res) return [];
+        return res.mutations.filter(m => (res.thresholdStat === 'q' ? m.qValue : m.pValue) < res.pThreshold);
+    }
+
+    _fmtDrugP(p) {
+        return p == null || isNaN(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+    }
+
+    displayDrugResults() {
+        const res = this.drugResults;
+        const c = res.compound;
+        const filterText = [res.lineageFilter, res.subLineageFilter].filter(Boolean).join(' / ') || 'All lineages';
+        document.getElementById('drugSummary').innerHTML = `
+            <div style="text-align: left; color: #111827;">
+                <b style="font-size: 14px;">${c.name}</b> <span style="color: #6b7280;">(${c.id})</span><br>
+                ${[c.target && `Target: ${c.target}`, c.moa && `MoA: ${c.moa}`, c.indication && `Indication: ${c.indication}`].filter(Boolean).join(' &middot; ')}<br>
+                <span style="color: #6b7280;">${res.nCellLines} cell lines with AUC &middot; ${filterText} &middot; ${CORRELATION_METHODS[res.method].label} correlation</span>
+            </div>`;
+        document.getElementById('drugResultsBody').style.display = 'block';
+        const layerSel = document.getElementById('drugCorrelateLayer');
+        layerSel.querySelector('option[value="expr"]').disabled = !res.correlates.expr;
+        if (!res.correlates.expr) layerSel.value = 'ge';
+
+        this._renderDrugMutationTable();
+        this._renderDrugCorrelatesTable();
+        this._renderDrugTissueBreakdown();
+    }
+
+    _renderDrugMutationTable() {
+        const res = this.drugResults;
+        const rows = this._drugSignificantMutations();
+        const td = 'padding: 4px; text-align: center; border-bottom: 1px solid #eee;';
+        document.getElementById('drugMutationCount').textContent =
+            `${rows.length} of ${res.mutations.length} tested mutations with ${res.thresholdStat} < ${res.pThreshold}`;
+        document.getElementById('drugMutationTable').innerHTML = rows.length ? `
+            <table class="data-table" style="width: 100%; font-size: 12px;">
+                <thead><tr><th>Gene</th><th>Type</th><th>n WT</th><th>n Mut</th><th>AUC WT</th><th>AUC Mut</th><th>&Delta; AUC [95% CI]</th><th>g</th><th>p</th><th>q</th></tr></thead>
+                <tbody>${rows.map(m => `
+                    <tr style="cursor: pointer;" onclick="app.showDrugMutationPlot('${m.gene}', '${m.type}')" title="Click to plot AUC by ${m.gene} status">
+                        <td style="${td}font-weight: 600;">${m.gene}</td>
+                        <td style="${td}">${this._gateTypeBadge(m.type)}</td>
+                        <td style="${td}">${m.nWT}</td><td style="${td}">${m.nMut}</td>
+                        <td style="${td}">${m.meanWT.toFixed(3)}</td><td style="${td}">${m.meanMut.toFixed(3)}</td>
+                        <td style="${td}color: ${m.diff < 0 ? '#dc2626' : '#2563eb'};">${m.diff > 0 ? '+' : ''}${m.diff.toFixed(3)} ${this._formatCI(m.ciLow, m.ciHigh)}</td>
+                        <td style="${td}">${isNaN(m.g) ? 'n/a' : m.g.toFixed(2)}</td>
+                        <td style="${td}">${this._fmtDrugP(m.pValue)}</td><td style="${td}">${this._fmtDrugP(m.qValue)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>` : '<p style="font-size: 12px; color: #6b7280;">No mutation passes the threshold. Negative &Delta; AUC = mutated lines are more sensitive.</p>';
+    }
+
+    _renderDrugCorrelatesTable() {
+        const res = this.drugResults;
+        const layer = document.getElementById('drugCorrelateLayer').value;
+        const rows = (res.correlates[layer] || []).slice(0, 200);
+        const sym = this._corrSymbol(res.method);
+        const td = 'padding: 4px; text-align: center; border-bottom: 1px solid #eee;';
+        document.getElementById('drugCorrelatesTable').innerHTML = `
+            <p style="font-size: 11px; color: #6b7280; margin: 4px 0;">Top ${rows.length} of ${(res.correlates[layer] || []).length} ${layer === 'expr' ? 'transcripts' : 'genes'} by |${sym}|. Click a row to plot it against AUC.</p>
+            <table class="data-table" style="width: 100%; font-size: 12px;">
+                <thead><tr><th>Gene</th><th>${sym}</th><th>n</th><th>p</th><th>q</th></tr></thead>
+                <tbody>${rows.map(r => `
+                    <tr style="cursor: pointer;" onclick="app.showDrugCorrelatePlot('${r.gene}', '${layer}')">
+                        <td style="${td}font-weight: 600;" class="gene-hover" data-gene="${r.gene}">${r.gene}</td>
+                        <td style="${td}color: ${r.r > 0 ? '#b2182b' : '#2166ac'};">${r.r.toFixed(3)}</td>
+                        <td style="${td}">${r.n}</td>
+                        <td style="${td}">${this._fmtDrugP(r.pValue)}</td><td style="${td}">${this._fmtDrugP(r.qValue)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    _renderDrugTissueBreakdown() {
+        const res = this.drugResults;
+        const rows = res.tissues;
+        const plotEl = document.getElementById('drugTissuePlot');
+        Plotly.newPlot(plotEl, rows.map(t => ({
+            y: t.values, type: 'box', name: `${t.lineage} (${t.n})`, boxpoints: 'all', jitter: 0.4, pointpos: 0,
+            marker: { size: 3, color: '#2563eb', opacity: 0.5 }, line: { color: '#1e3a8a', width: 1 }, fillcolor: 'rgba(37, 99, 235, 0.1)',
+            showlegend: false, hoverinfo: 'y+name'
+        })), {
+            height: 380, margin: { t: 20, b: 140, l: 60, r: 20 },
+            yaxis: { title: `${res.compound.name} AUC`, zeroline: false },
+            xaxis: { tickangle: -45, tickfont: { size: 10 } }
+        }, { displayModeBar: false, responsive: true });
+
+        const td = 'padding: 4px; text-align: center; border-bottom: 1px solid #eee;';
+        document.getElementById('drugTissueTable').innerHTML = `
+            <table class="data-table" style="width: 100%; font-size: 12px;">
+                <thead><tr><th>Lineage</th><th>n</th><th>Mean AUC</th><th>Median</th><th>SD</th><th>&Delta; vs rest</th><th>p</th><th>q</th></tr></thead>
+                <tbody>${rows.map(t => `
+                    <tr>
+                        <td style="${td}text-align: left;">${t.lineage}</td><td style="${td}">${t.n}</td>
+                        <td style="${td}">${t.mean.toFixed(3)}</td><td style="${td}">${t.median.toFixed(3)}</td>
+                        <td style="${td}">${isNaN(t.sd) ? 'n/a' : t.sd.toFixed(3)}</td>
+                        <td style="${td}color: ${t.diff < 0 ? '#dc2626' : '#2563eb'};">${isNaN(t.diff) ? 'n/a' : (t.diff > 0 ? '+' : '') + t.diff.toFixed(3)}</td>
+                        <td style="${td}">${this._fmtDrugP(t.pValue)}</td><td style="${td}">${this._fmtDrugP(t.qValue)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    // Feature (GE or expression) vs AUC scatter for one correlate of the current run
+    showDrugCorrelatePlot(gene, layer) {
+        const res = this.drugResults;
+        if (!res) return;
+        this._openDrugInspect(res.compound.name, gene, layer === 'expr' ? 'expr' : 'ge', res.lineageFilter, res.subLineageFilter);
+    }
+
+    // Inspect scatter of one gene's GE or expression against a compound's AUC,
+    // limited to the on-target panel's lineage when that panel has been run
+    showDrugScatter(compoundName, gene, layer) {
+        this._openDrugInspect(compoundName, gene.toUpperCase(), layer === 'expr' ? 'expr' : 'ge', this.drugOnTarget?.lineage || '');
+    }
+
+    // AUC against the mutated gene's own gene effect, coloured by its mutation
+    // (or fusion) status through the Inspect overlays
+    showDrugMutationPlot(gene, type) {
+        const res = this.drugResults;
+        if (!res) return;
+        if (!this.geneIndex.has(gene)) {
+            alert(`${gene} has no gene effect data to plot ${res.compound.name} AUC against.`);
+            return;
+        }
+        this._openDrugInspect(res.compound.name, gene, 'ge', res.lineageFilter, res.subLineageFilter);
+        if (type === 'fusion') {
+            document.getElementById('translocationGene').value = gene;
+            document.getElementById('translocationMode').value = 'color';
+        } else {
+            // Damaging-only genes are not in the hotspot list, but the overlay reads both sources
+            const hotspotSelect = document.getElementById('hotspotGene');
+            if (![...hotspotSelect.options].some(o => o.value === gene)) hotspotSelect.add(new Option(gene, gene));
+            hotspotSelect.value = gene;
+            document.getElementById('hotspotMode').value = 'color';
+        }
+        this.updateInspectPlot();
+    }
+
+    // Open the Inspect scatter with xName on an x axis of xType and the
+    // compound's AUC on the drug y axis. A lineage (and subtype) replaces the
+    // scatter tissue filter carried over from the parameters.
+    _openDrugInspect(compoundName, xName, xType, lineage = '', subLineage = '') {
+        const compound = this._findDrugCompound(compoundName);
+        if (!compound) return;
+        this._populateDrugCompoundList();
+        document.getElementById('inspectGeneX').removeAttribute('list');
+        document.getElementById('inspectGeneY').setAttribute('list', 'drugCompoundList');
+        document.getElementById('xAxisDataType').value = xType;
+        document.getElementById('yAxisDataType').value = 'drug';
+        this.openInspect({ gene1: xName, gene2: compound.name, correlation: null });
+        if (lineage) {
+            document.getElementById('scatterCancerFilter').value = lineage;
+            this.updateScatterSubtypeFilter();
+            if (subLineage) document.getElementById('scatterSubtypeFilter').value = subLineage;
+            this._styleActiveFilters();
+            this.updateInspectPlot();
+        }
+    }
+
+    // Gene symbols behind a compound's PRISM target annotation. Annotations
+    // that are not plain symbols go through DRUG_TARGET_GENES; anything else
+    // is split on '/', ',' and spaces and kept where a token is a DepMap gene.
+    drugTargetGenes(compound) {
+        const mapped = CorrelationExplorer.DRUG_TARGET_GENES[compound.target];
+        const genes = mapped || (compound.target || '').split(/[\/,\s]+/).map(t => t.toUpperCase());
+        return [...new Set(genes)].filter(g => this.geneIndex.has(g));
+    }
+
+    _populateOnTargetLineages() {
+        const sel = document.getElementById('onTargetLineage');
+        if (!sel || sel.options.length > 1 || !this.lineageCounts) return;
+        sel.innerHTML = '<option value="">All lineages</option>' + Object.keys(this.lineageCounts).sort()
+            .map(l => `<option value="${l}">${l} (${this.lineageCounts[l]})</option>`).join('');
+    }
+
+    // For every compound × annotated target gene: correlation of AUC with the
+    // target's GE (and expression, when loaded) and the target's rank among
+    // all genome-wide GE correlates of that compound. Yields to the UI between
+    // compounds; onProgress(done, total).
+    async computeDrugOnTargetConcordance(lineage, minN, onProgress = null) {
+        const cellLineIndices = [];
+        this.metadata.cellLines.forEach((cl, idx) => {
+            if (!lineage || this.getCellLineLineage(cl) === lineage) cellLineIndices.push(idx);
+        });
+        const method = this.correlationMethod;
+        const compounds = this.drugResponse.compounds;
+        const targeted = compounds.map(compound => ({ compound, targets: this.drugTargetGenes(compound), auc: this._drugAucVector(compound, cellLineIndices) }))
+            .filter(c => c.targets.length);
+        const ranks = await this._rankDrugTargets(targeted, cellLineIndices, minN, onProgress);
+        const rows = [];
+        compounds.forEach(compound => {
+            const base = { compound: compound.name, id: compound.id, target: compound.target, moa: compound.moa };
+            const k = targeted.findIndex(c => c.compound === compound);
+            if (k < 0) {
+                rows.push({ ...base, gene: null });
+                return;
+            }
+            const { targets, auc } = targeted[k];
+            targets.forEach(gene => {
+                const ge = ranks[k].byGene.get(gene);
+                const row = {
+                    ...base, gene,
+                    rGE: ge ? ge.r : NaN, nGE: ge ? ge.n : 0, pGE: ge ? ge.pValue : NaN, qGE: ge ? ge.qValue : NaN,
+                    rank: ge ? ge.rank : null,
+                    nRanked: ranks[k].nRanked,
+                    rExpr: NaN, nExpr: 0
+                };
+                if (this.expressionLoaded && this.expressionGeneIndex.has(gene)) {
+                    const expr = Float64Array.from(cellLineIndices, idx => this.getExpressionValueByGEIndex(gene, idx));
+                    const { correlation, n } = correlateVectors(auc, expr, method);
+                    if (n >= minN) Object.assign(row, { rExpr: correlation, nExpr: n });
+                }
+                rows.push(row);
+            });
+        });
+        return { lineage, minN, method, nCellLines: cellLineIndices.length, cellLineIndices, rows };
+    }
+
+    // Genome-wide GE standing of each compound's target genes: for every
+    // {auc, targets} entry, { byGene: Map gene → {r, n, pValue, qValue, rank},
+    // nRanked }, where rank counts genes with a more positive r and q is BH
+    // over all GE correlates of that compound. All compounds share one worker
+    // scan; onProgress(done, total) follows the gene rows.
+    async _rankDrugTargets(entries, cellLineIndices, minN, onProgress = null) {
+        const workerUrl = this._getCorrelationWorkerUrl();
+        if (!workerUrl) {
+            const out = [];
+            for (let k = 0; k < entries.length; k++) {
+                const correlates = this._calculateDrugCorrelatesSync(entries[k].auc, cellLineIndices, 'ge', minN);
+                const byGene = new Map();
+                correlates.filter(r => entries[k].targets.includes(r.gene.toUpperCase())).forEach(r => {
+                    byGene.set(r.gene.toUpperCase(), { ...r, rank: correlates.filter(o => o.r > r.r).length + 1 });
+                });
+                out.push({ byGene, nRanked: correlates.length });
+                if (onProgress) onProgress(k + 1, entries.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            return out;
+        }
+
+        const pool = this._startWorkerPool(workerUrl);
+        try {
+            const nCols = cellLineIndices.length;
+            const targets = Array.from(this.geneIndex.keys());
+            const queries = new Float32Array(entries.length * nCols);
+            entries.forEach((e, k) => queries.set(e.auc, k * nCols));
+            const shared = window.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined';
+            const sharedMatrix = shared ? this._buildFilteredMatrix(targets, cellLineIndices, true) : null;
+            const chunk = Math.ceil(targets.length / pool.workers.length);
+            const jobs = pool.workers.map((_, w) => {
+                const start = Math.min(w * chunk, targets.length);
+                const end = Math.min(start + chunk, targets.length);
+                const names = targets.slice(start, end);
+                const matrix = sharedMatrix || this._buildFilteredMatrix(names, cellLineIndices, false);
+                const q = queries.slice();
+                return {
+                    message: {
+                        type: 'rank', matrix: matrix.buffer, nCols,
+                        rowStart: sharedMatrix ? start : 0, rowEnd: sharedMatrix ? end : names.length,
+                        targetNames: names, queries: q.buffer, queryNames: entries.map(e => e.compound.name),
+                        probes: entries.map(e => e.targets), method: this.correlationMethod, minN
+                    },
+                    transfer: sharedMatrix ? [q.buffer] : [matrix.buffer, q.buffer]
+                };
+            });
+            const results = await this._runCorrelationJobs(pool, jobs, targets.length, 'rank', onProgress);
+            // Number of entries of a sorted array before v (desc: > v, asc: <= v)
+            const countBefore = (arr, before) => {
+                let lo = 0, hi = arr.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (before(arr[mid])) lo = mid + 1; else hi = mid;
+                }
+                return lo;
+            };
+            return entries.map((_, k) => {
+                const parts = results.map(r => r.hits[k]);
+                const ps = new Float64Array(parts.reduce((sum, h) => sum + h.ps.length, 0));
+                parts.reduce((offset, h) => { ps.set(h.ps, offset); return offset + h.ps.length; }, 0);
+                ps.sort();
+                const m = ps.length;
+                const byGene = new Map();
+                parts.flatMap(h => h.probes).forEach(hit => {
+                    // BH step-up: min over ranks j >= rank of p of p(j)·m/j
+                    let qValue = NaN;
+                    if (!isNaN(hit.pValue)) {
+                        qValue = 1;
+                        for (let j = countBefore(ps, v => v <= hit.pValue); j >= 1 && j <= m; j++) qValue = Math.min(qValue, ps[j - 1] * m / j);
+                    }
+                    const rank = 1 + parts.reduce((sum, h) => sum + countBefore(h.rs, v => v > hit.r), 0);
+                    byGene.set(hit.gene, { r: hit.r, n: hit.n, pValue: hit.pValue, qValue, rank });
+                });
+                return { byGene, nRanked: parts.reduce((sum, h) => sum + h.rs.length, 0) };
+            });
+        } finally {
+            pool.workers.forEach(w => w.terminate());
+        }
+    }
+
+    async runDrugOnTargetConcordance() {
+        const status = document.getElementById('onTargetStatus');
+        if (!this.drugResponse?.compounds) {
+            status.textContent = 'Drug response data is not available';
+            return;
+        }
+        if (this._onTargetRunning) return;
+        this._onTargetRunning = true;
+        const btn = document.getElementById('runOnTarget');
+        btn.disabled = true;
+        try {
+            const lineage = document.getElementById('onTargetLineage').value;
+            const minN = Math.max(5, parseInt(document.getElementById('onTargetMinN').value) || 10);
+            this.drugOnTarget = await this.computeDrugOnTargetConcordance(lineage, minN,
+                (done, total) => { status.textContent = `Ranking genome-wide correlates... ${Math.min(100, Math.round(100 * done / total))}%`; });
+            const nTargets = this.drugOnTarget.rows.filter(r => r.gene).length;
+            status.textContent = `${this.drugOnTarget.nCellLines} cell lines · ${nTargets} compound–target pairs` +
+                (this.expressionLoaded ? '' : ' · expression not loaded');
+            this._renderDrugOnTargetTable();
+        } catch (error) {
+            console.error('On-target concordance failed:', error);
+            status.textContent = 'On-target concordance failed: ' + error.message;
+        } finally {
+            this._onTargetRunning = false;
+            btn.disabled = false;
+        }
+    }
+
+    _renderDrugOnTargetTable() {
+        const res = this.drugOnTarget;
+        const sym = this._corrSymbol(res.method);
+        const td = 'padding: 4px; text-align: center; border-bottom: 1px solid #eee;';
+        const fmtR = (r) => isNaN(r) ? 'n/a' : `<span style="color: ${r > 0 ? '#b2182b' : '#2166ac'};">${r.toFixed(3)}</span>`;
+        const esc = (s) => this._escapeAttr(String(s || ''));
+        // Target pairs by GE r (most on-target first), untargeted compounds last;
+        // rows call back by their index in res.rows, never by compound name
+        const rows = res.rows.map((r, i) => ({ ...r, i })).sort((a, b) => (b.gene ? 1 : 0) - (a.gene ? 1 : 0) || (isNaN(b.rGE) ? -Infinity : b.rGE) - (isNaN(a.rGE) ? -Infinity : a.rGE));
+        document.getElementById('onTargetTable').innerHTML = `
+            <table class="data-table" style="width: 100%; font-size: 12px;">
+                <thead><tr><th>Compound</th><th>Annotated target</th><th>Gene</th><th>${sym} GE</th><th>n</th><th>q</th><th>GE rank</th><th>${sym} expr</th><th>n expr</th><th>MoA</th></tr></thead>
+                <tbody>${rows.map(r => r.gene ? `
+                    <tr style="cursor: pointer;" onclick="app._showDrugOnTargetScatter(${r.i}, 'ge')" title="Plot ${r.gene} gene effect vs ${esc(r.compound)} AUC">
+                        <td style="${td}font-weight: 600;">${esc(r.compound)}</td><td style="${td}">${esc(r.target)}</td>
+                        <td style="${td}" class="gene-hover" data-gene="${r.gene}">${r.gene}</td>
+                        <td style="${td}">${fmtR(r.rGE)}</td><td style="${td}">${r.nGE || 'n/a'}</td><td style="${td}">${this._fmtDrugP(r.qGE)}</td>
+                        <td style="${td}${r.rank && r.rank <= 20 ? 'font-weight: 600;' : ''}">${r.rank ? `${r.rank} / ${r.nRanked}` : 'n/a'}</td>
+                        <td style="${td}"${isNaN(r.rExpr) ? '' : ` onclick="event.stopPropagation(); app._showDrugOnTargetScatter(${r.i}, 'expr')" title="Plot ${r.gene} expression vs AUC"`}>${fmtR(r.rExpr)}</td>
+                        <td style="${td}">${r.nExpr || 'n/a'}</td>
+                        <td style="${td}font-size: 11px; color: #6b7280;">${esc(r.moa)}</td>
+                    </tr>` : `
+                    <tr style="color: #9ca3af;">
+                        <td style="${td}">${esc(r.compound)}</td><td style="${td}">${esc(r.target)}</td>
+                        <td style="${td}" colspan="7">no gene target</td>
+                        <td style="${td}font-size: 11px;">${esc(r.moa)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    _showDrugOnTargetScatter(i, layer) {
+        const r = this.drugOnTarget?.rows[i];
+        if (r) this.showDrugScatter(r.compound, r.gene, layer);
+    }
+
+    downloadDrugOnTargetCSV() {
+        const res = this.drugOnTarget;
+        if (!res) return;
+        const e = (v) => v == null || isNaN(v) ? '' : v.toFixed(4);
+        const text = (v) => `"${String(v || '').replace(/"/g, '""')}"`;
+        let csv = `# Drug on-target concordance: ${CORRELATION_METHODS[res.method].label} correlation of PRISM AUC with target gene effect / expression\n`;
+        csv += `# Lineage: ${res.lineage || 'All lineages'} (${res.nCellLines} cell lines); min n = ${res.minN}\n`;
+        csv += '# GE_Rank: position of the target among all genome-wide GE correlates of the compound, most positive r first\n';
+        csv += 'Compound,Compound_ID,Annotated_Target,Gene,R_GE,N_GE,P_GE,Q_GE,GE_Rank,N_Ranked,R_Expr,N_Expr,MoA\n';
+        res.rows.forEach(r => {
+            csv += `${text(r.compound)},${text(r.id)},${text(r.target)},${r.gene || ''},${e(r.rGE)},${r.nGE || ''},${r.pGE != null && !isNaN(r.pGE) ? r.pGE.toExponential(3) : ''},${r.qGE != null && !isNaN(r.qGE) ? r.qGE.toExponential(3) : ''},${r.rank || ''},${r.gene ? r.nRanked : ''},${e(r.rExpr)},${r.nExpr || ''},${text(r.moa)}\n`;
+        });
+        this.downloadFile(csv, csvName('drug_on_target_concordance'), 'text/csv');
+    }
+
+    enrichrDrugCorrelates(sign) {
+        const res = this.drugResults;
+        const layer = document.getElementById('drugCorrelateLayer').value;
+        const genes = (res?.correlates[layer] || [])
+            .filter(r => r.qValue < 0.05 && (sign > 0 ? r.r > 0 : r.r < 0))
+            .slice(0, 300).map(r => r.gene);
+        if (genes.length < 2) {
+            this.showCopyNotification('Need at least 2 genes with q < 0.05 for Enrichr analysis');
+            return;
+        }
+        const modal = document.getElementById('enrichrModal');
+        const content = document.getElementById('enrichrContent');
+        document.getElementById('enrichrTitle').textContent = `Enrichr — ${res.compound.name} AUC ${layer === 'expr' ? 'expression' : 'GE'} correlates, r ${sign > 0 ? '>' : '<'} 0 (${genes.length} genes)`;
+        content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Submitting to Enrichr...</div>';
+        modal.style.display = 'block';
+
+        this.submitToEnrichr(genes).catch(err => {
+            content.innerHTML = `<div style="text-align:center; padding:60px; color:#ef4444;">Failed to connect to Enrichr.<br><small style="color:#888;">${err.message}</small></div>`;
+        });
+    }
+
+    _drugCSVHeader() {
+        const res = this.drugResults;
+        let csv = `# Drug response: ${res.compound.name} (${res.compound.id})\n`;
+        if (res.compound.target) csv += `# Target: ${res.compound.target}\n`;
+        if (res.compound.moa) csv += `# MoA: ${res.compound.moa}\n`;
+        csv += `# Source: ${this.drugResponse?.dataSource || 'PRISM'}\n`;
+        csv += `# Lineage filter: ${res.lineageFilter || 'All lineages'}${res.subLineageFilter ? ` (${res.subLineageFilter})` : ''}\n`;
+        csv += `# Cell lines with AUC: ${res.nCellLines}\n`;
+        return csv;
+    }
+
+    downloadDrugCSV(type) {
+        const res = this.drugResults;
+        if (!res) return;
+        const e = (v, digits = 4) => v == null || isNaN(v) ? '' : v.toFixed(digits);
+        const p = (v) => v == null || isNaN(v) ? '' : v.toExponential(3);
+        const slug = res.compound.name.replace(/[^A-Za-z0-9]+/g, '_');
+        let csv = this._drugCSVHeader();
+        if (type === 'mutations') {
+            csv += `# Welch's t-test, mutated (1+) vs WT; q = BH over ${res.mutations.length} mutations\n`;
+            csv += 'Gene,Type,N_WT,N_Mut,Mean_AUC_WT,Mean_AUC_Mut,Delta_AUC,CI95_Low,CI95_High,Hedges_g,P_Value,Q_Value\n';
+            res.mutations.forEach(m => {
+                csv += `${m.gene},${m.type},${m.nWT},${m.nMut},${e(m.meanWT)},${e(m.meanMut)},${e(m.diff)},${e(m.ciLow)},${e(m.ciHigh)},${e(m.g, 3)},${p(m.pValue)},${p(m.qValue)}\n`;
+            });
+        } else if (type === 'correlates') {
+            const layer = document.getElementById('drugCorrelateLayer').value;
+            if (!res.correlates[layer]) return;
+            csv += `# ${CORRELATION_METHODS[res.method].label} correlation of AUC with ${layer === 'expr' ? 'expression' : 'gene effect'}; q = BH over ${res.correlates[layer].length} genes\n`;
+            csv += 'Gene,Correlation,N,P_Value,Q_Value\n';
+            res.correlates[layer].forEach(r => {
+                csv += `${r.gene},${e(r.r)},${r.n},${p(r.pValue)},${p(r.qValue)}\n`;
+            });
+        } else {
+            csv += `# Welch's t-test, lineage vs all other filtered lines; q = BH over tested lineages\n`;
+            csv += 'Lineage,N,Mean_AUC,Median_AUC,SD_AUC,Delta_vs_Rest,P_Value,Q_Value\n';
+            res.tissues.forEach(t => {
+                csv += `"${t.lineage}",${t.n},${e(t.mean)},${e(t.median)},${e(t.sd)},${e(t.diff)},${p(t.pValue)},${p(t.qValue)}\n`;
+            });
+        }
+        this.downloadFile(csv, csvName(`drug_${slug}_${type}`), 'text/csv');
+    }
+
+    calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, additionalTransGene, additionalTransLevel, mutDataSource, lineageMeta = null) {
         const source = mutDataSource || this.mutations;
         const mutationData = source.geneData[hotspotGene];
         if (!mutationData) {
@@ -5305,10 +7737,7 @@ class CorrelationExplorer {
             // Check additional hotspot filter
             if (additionalMutData && additionalHotspotLevel !== 'all') {
                 const addMutLevel = additionalMutData.mutations[cellLine] || 0;
-                if (additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                if (additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                if (additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                if (additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                if (!this._passesHotspotLevel(additionalHotspot, cellLine, additionalHotspotLevel, addMutLevel)) return;
             }
 
             // Check additional translocation filter
@@ -5323,6 +7752,7 @@ class CorrelationExplorer {
             // Check oncoprint multi-gene filters
             if (!this._cellLinePassesOncoprintFilters(cellLine)) return;
 
+            if (this._isUncalled(mutationData, cellLine)) return;
             const mutLevel = mutationData.mutations[cellLine] || 0;
             if (mutLevel === 0) {
                 wtCellIndices.push(idx);
@@ -5361,6 +7791,10 @@ class CorrelationExplorer {
         }
         const hasFusionData = fusedCellIndices && fusedCellIndices.length >= 3 && wtFusionCellIndices.length >= 3;
 
+        // Lineage strata for the meta-analysis: lineages with enough WT and
+        // mutant lines after the filters above
+        const metaStrata = lineageMeta ? this._lineageMetaStrata(wtCellIndices, mutAllCellIndices, lineageMeta) : null;
+
         // Analyze each gene
         let nSkippedMinN = 0;
         for (let geneIdx = 0; geneIdx < this.nGenes; geneIdx++) {
@@ -5380,18 +7814,30 @@ class CorrelationExplorer {
             const mutMean = this.mean(mutAllEffects);
             const diff_mut = mutMean - wtMean;
             const tTest_mut = this.welchTTest(wtEffects, mutAllEffects);
+            const es_mut = this.meanDifferenceStats(wtEffects, mutAllEffects, tTest_mut);
 
             // Calculate statistics for WT vs 2 (if enough cells)
             let n_2 = mut2Effects.length;
             let mean_2 = NaN;
             let diff_2 = NaN;
             let p_2 = 1;
+            let es_2 = { ciLow: NaN, ciHigh: NaN, g: NaN };
 
             if (mut2Effects.length >= 3) {
                 mean_2 = this.mean(mut2Effects);
                 diff_2 = mean_2 - wtMean;
                 const tTest_2 = this.welchTTest(wtEffects, mut2Effects);
                 p_2 = tTest_2.p;
+                es_2 = this.meanDifferenceStats(wtEffects, mut2Effects, tTest_2);
+            }
+
+            // Calculate statistics for WT vs 1 (only differs from 1+2 when
+            // some lines carry 2 mutations)
+            let diff_1 = NaN;
+            let p_1 = 1;
+            if (mut1Effects.length >= 3 && mut2CellIndices.length > 0) {
+                diff_1 = this.mean(mut1Effects) - wtMean;
+                p_1 = this.welchTTest(wtEffects, mut1Effects).p;
             }
 
             // Calculate statistics for 2 vs 1 (dose-response)
@@ -5399,16 +7845,19 @@ class CorrelationExplorer {
             let mean_1 = NaN;
             let diff_2v1 = NaN;
             let p_2v1 = 1;
+            let es_2v1 = { ciLow: NaN, ciHigh: NaN, g: NaN };
 
             if (mut1Effects.length >= 3 && mut2Effects.length >= 3) {
                 mean_1 = this.mean(mut1Effects);
                 diff_2v1 = this.mean(mut2Effects) - mean_1;
                 const tTest_2v1 = this.welchTTest(mut1Effects, mut2Effects);
                 p_2v1 = tTest_2v1.p;
+                es_2v1 = this.meanDifferenceStats(mut1Effects, mut2Effects, tTest_2v1);
             }
 
             // Calculate fusion statistics (if hotspot gene has translocation data)
             let n_fused = 0, mean_fused = NaN, diff_fused = NaN, p_fused = 1, n_wt_fusion = 0;
+            let es_fused = { ciLow: NaN, ciHigh: NaN, g: NaN };
             if (hasFusionData) {
                 const fusedEffects = this.getGeneEffectsForCells(geneIdx, fusedCellIndices);
                 const wtFusionEffects = this.getGeneEffectsForCells(geneIdx, wtFusionCellIndices);
@@ -5420,6 +7869,7 @@ class CorrelationExplorer {
                     diff_fused = mean_fused - wtFusionMean;
                     const tTest_fused = this.welchTTest(wtFusionEffects, fusedEffects);
                     p_fused = tTest_fused.p;
+                    es_fused = this.meanDifferenceStats(wtFusionEffects, fusedEffects, tTest_fused);
                 }
             }
 
@@ -5429,23 +7879,40 @@ class CorrelationExplorer {
                 mean_wt: wtMean,
                 n_1,
                 mean_1,
+                diff_1,
+                p_1,
                 n_mut: mutAllEffects.length,
                 mean_mut: mutMean,
                 diff_mut,
+                ci_mut_lo: es_mut.ciLow,
+                ci_mut_hi: es_mut.ciHigh,
+                g_mut: es_mut.g,
                 p_mut: tTest_mut.p,
                 n_2,
                 mean_2,
                 diff_2,
+                ci_2_lo: es_2.ciLow,
+                ci_2_hi: es_2.ciHigh,
+                g_2: es_2.g,
                 p_2,
                 diff_2v1,
+                ci_2v1_lo: es_2v1.ciLow,
+                ci_2v1_hi: es_2v1.ciHigh,
+                g_2v1: es_2v1.g,
                 p_2v1,
                 n_fused,
                 mean_fused,
                 diff_fused,
-                p_fused
+                ci_fused_lo: es_fused.ciLow,
+                ci_fused_hi: es_fused.ciHigh,
+                g_fused: es_fused.g,
+                p_fused,
+                ...(metaStrata ? this._lineageMetaStats(geneIdx, metaStrata, lineageMeta) : {})
             });
         }
 
+        this._addMutationQValues(results);
+
         return {
             results,
             nWT: wtCellIndices.length,
@@ -5454,7 +7921,67 @@ class CorrelationExplorer {
             hasFusionData,
             nFused: fusedCellIndices?.length || 0,
             nWTFusion: wtFusionCellIndices?.length || 0,
-            nSkippedMinN
+            nSkippedMinN,
+            metaLineages: metaStrata ? metaStrata.map(s => ({ lineage: s.lineage, nWT: s.wt.length, nMut: s.mut.length })) : null
+        };
+    }
+
+    // Splits the analysed WT / mutant lines by lineage and keeps the lineages
+    // with at least minMut mutant and minWT WT lines, largest first.
+    _lineageMetaStrata(wtCellIndices, mutCellIndices, { minMut, minWT }) {
+        const byLineage = new Map();
+        const add = (idx, key) => {
+            const lineage = this.cellLineMetadata?.lineage?.[this.metadata.cellLines[idx]];
+            if (!lineage) return;
+            if (!byLineage.has(lineage)) byLineage.set(lineage, { lineage, wt: [], mut: [] });
+            byLineage.get(lineage)[key].push(idx);
+        };
+        wtCellIndices.forEach(idx => add(idx, 'wt'));
+        mutCellIndices.forEach(idx => add(idx, 'mut'));
+        const strata = [...byLineage.values()]
+            .filter(s => s.mut.length >= minMut && s.wt.length >= minWT)
+            .sort((a, b) => b.mut.length - a.mut.length || a.lineage.localeCompare(b.lineage));
+        if (strata.length === 0) {
+            throw new Error(`No lineage has at least ${minMut} mutant and ${minWT} WT cell lines for the meta-analysis`);
+        }
+        return strata;
+    }
+
+    // Fixed-effect inverse-variance meta-analysis of the per-lineage Δ GE
+    // (mutant − WT, Welch variance) for one gene, with Cochran's Q and I² for
+    // between-lineage heterogeneity. Lineages where this gene has too few
+    // non-missing values are dropped; k is the number actually pooled.
+    _lineageMetaStats(geneIdx, strata, { minMut, minWT }) {
+        let sumW = 0, sumWD = 0;
+        const estimates = [];
+        strata.forEach(s => {
+            const wt = this.getGeneEffectsForCells(geneIdx, s.wt);
+            const mut = this.getGeneEffectsForCells(geneIdx, s.mut);
+            if (mut.length < Math.max(2, minMut) || wt.length < Math.max(2, minWT)) return;
+            const v = this.variance(mut) / mut.length + this.variance(wt) / wt.length;
+            if (!(v > 0)) return;
+            const d = this.mean(mut) - this.mean(wt);
+            estimates.push({ d, w: 1 / v });
+            sumW += 1 / v;
+            sumWD += d / v;
+        });
+        const k = estimates.length;
+        if (k === 0) {
+            return { k_meta: 0, diff_meta: NaN, se_meta: NaN, ci_meta_lo: NaN, ci_meta_hi: NaN, p_meta: 1, Q_meta: NaN, I2_meta: NaN, p_het: NaN };
+        }
+        const diff = sumWD / sumW;
+        const se = Math.sqrt(1 / sumW);
+        const Q = estimates.reduce((acc, e) => acc + e.w * (e.d - diff) ** 2, 0);
+        return {
+            k_meta: k,
+            diff_meta: diff,
+            se_meta: se,
+            ci_meta_lo: diff - 1.959964 * se,
+            ci_meta_hi: diff + 1.959964 * se,
+            p_meta: this.chiSquarePValue((diff / se) ** 2, 1),
+            Q_meta: k > 1 ? Q : NaN,
+            I2_meta: k > 1 ? Math.max(0, (Q - (k - 1)) / Q) || 0 : NaN,
+            p_het: k > 1 ? this.chiSquarePValue(Q, k - 1) : NaN
         };
     }
 
@@ -5485,10 +8012,7 @@ class CorrelationExplorer {
 
             if (additionalMutData && additionalHotspotLevel !== 'all') {
                 const addMutLevel = additionalMutData.mutations[cellLine] || 0;
-                if (additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                if (additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                if (additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                if (additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                if (!this._passesHotspotLevel(additionalHotspot, cellLine, additionalHotspotLevel, addMutLevel)) return;
             }
 
             if (additionalTransFilterData && additionalTransLevel !== 'all') {
@@ -5528,21 +8052,33 @@ class CorrelationExplorer {
 
             if (wtEffects.length < minN || mutAllEffects.length < 3) { nSkippedMinN++; continue; }
 
+            // WT vs single-fusion lines (only differs from 1+2 when some lines have 2+)
+            let diff_1 = NaN;
+            let p_1 = 1;
+            const mut1Effects = mut2CellIndices.length > 0 ? this.getGeneEffectsForCells(geneIdx, mut1CellIndices) : [];
+            if (mut1Effects.length >= 3) {
+                diff_1 = this.mean(mut1Effects) - this.mean(wtEffects);
+                p_1 = this.welchTTest(wtEffects, mut1Effects).p;
+            }
+
             const wtMean = this.mean(wtEffects);
             const mutMean = this.mean(mutAllEffects);
             const diff_mut = mutMean - wtMean;
             const tTest_mut = this.welchTTest(wtEffects, mutAllEffects);
+            const es_mut = this.meanDifferenceStats(wtEffects, mutAllEffects, tTest_mut);
 
             let n_2 = mut2Effects.length;
             let mean_2 = NaN;
             let diff_2 = NaN;
             let p_2 = 1;
+            let es_2 = { ciLow: NaN, ciHigh: NaN, g: NaN };
 
             if (mut2Effects.length >= 3) {
                 mean_2 = this.mean(mut2Effects);
                 diff_2 = mean_2 - wtMean;
                 const tTest_2 = this.welchTTest(wtEffects, mut2Effects);
                 p_2 = tTest_2.p;
+                es_2 = this.meanDifferenceStats(wtEffects, mut2Effects, tTest_2);
             }
 
             results.push({
@@ -5552,14 +8088,24 @@ class CorrelationExplorer {
                 n_mut: mutAllEffects.length,
                 mean_mut: mutMean,
                 diff_mut,
+                ci_mut_lo: es_mut.ciLow,
+                ci_mut_hi: es_mut.ciHigh,
+                g_mut: es_mut.g,
                 p_mut: tTest_mut.p,
                 n_2,
                 mean_2,
                 diff_2,
-                p_2
+                ci_2_lo: es_2.ciLow,
+                ci_2_hi: es_2.ciHigh,
+                g_2: es_2.g,
+                p_2,
+                diff_1,
+                p_1
             });
         }
 
+        this._addMutationQValues(results);
+
         return {
             results,
             nWT: wtCellIndices.length,
@@ -5602,12 +8148,12 @@ class CorrelationExplorer {
         const v2 = this.variance(group2);
 
         if (n1 < 2 || n2 < 2) {
-            return { t: NaN, df: NaN, p: 1 };
+            return { t: NaN, df: NaN, p: 1, se: NaN };
         }
 
         const se = Math.sqrt(v1 / n1 + v2 / n2);
         if (se === 0) {
-            return { t: 0, df: n1 + n2 - 2, p: 1 };
+            return { t: 0, df: n1 + n2 - 2, p: 1, se: 0 };
         }
 
         const t = (m1 - m2) / se;
@@ -5619,7 +8165,200 @@ class CorrelationExplorer {
         // Two-tailed p-value using t-distribution approximation
         const p = this.tDistributionPValue(Math.abs(t), df);
 
-        return { t, df, p };
+        return { t, df, p, se };
+    }
+
+    // Δ = mean(group2) − mean(group1) with its Welch 95% CI and Hedges' g
+    // (pooled-SD standardised difference with the small-sample correction J).
+    meanDifferenceStats(group1, group2, tTest = this.welchTTest(group1, group2)) {
+        const n1 = group1.length;
+        const n2 = group2.length;
+        const diff = this.mean(group2) - this.mean(group1);
+        const half = tTest.se > 0 ? this.tCritical(tTest.df) * tTest.se : NaN;
+        const pooledSD = Math.sqrt(((n1 - 1) * this.variance(group1) + (n2 - 1) * this.variance(group2)) / (n1 + n2 - 2));
+        const j = 1 - 3 / (4 * (n1 + n2) - 9);
+        return {
+            ciLow: diff - half,
+            ciHigh: diff + half,
+            g: pooledSD > 0 ? diff / pooledSD * j : NaN
+        };
+    }
+
+    // Two-sided critical t for a (1 − alpha) interval, by bisection on
+    // tDistributionPValue. Cached per 0.1 df — Welch df is continuous and this
+    // runs for every gene of a mutation scan.
+    tCritical(df, alpha = 0.05) {
+        if (!(df > 0)) return NaN;
+        const key = `${alpha}|${Math.round(df * 10)}`;
+        this._tCriticalCache = this._tCriticalCache || new Map();
+        if (this._tCriticalCache.has(key)) return this._tCriticalCache.get(key);
+        let lo = 0, hi = 1000;
+        for (let i = 0; i < 50; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.tDistributionPValue(mid, df) > alpha) lo = mid; else hi = mid;
+        }
+        const t = (lo + hi) / 2;
+        this._tCriticalCache.set(key, t);
+        return t;
+    }
+
+    // Benjamini–Hochberg adjusted p-values, in input order. NaN entries are
+    // untested: they stay NaN and do not count towards m.
+    benjaminiHochberg(pValues) {
+        const q = new Array(pValues.length).fill(NaN);
+        const order = [];
+        pValues.forEach((p, i) => { if (!isNaN(p)) order.push(i); });
+        order.sort((a, b) => pValues[a] - pValues[b]);
+        const m = order.length;
+        let running = 1;
+        for (let k = m - 1; k >= 0; k--) {
+            running = Math.min(running, pValues[order[k]] * m / (k + 1));
+            q[order[k]] = running;
+        }
+        return q;
+    }
+
+    // BH q-values for each comparison of a mutation / fusion scan, over the
+    // genes where that comparison was actually run (non-NaN Δ). Adds q_mut,
+    // q_1, q_2, q_2v1, q_fused and q_meta next to the matching p columns (or
+    // the keys of the given comparisons).
+    _addMutationQValues(results, comparisons = [['p_mut', 'q_mut', 'diff_mut'], ['p_1', 'q_1', 'diff_1'], ['p_2', 'q_2', 'diff_2'], ['p_2v1', 'q_2v1', 'diff_2v1'], ['p_fused', 'q_fused', 'diff_fused'], ['p_meta', 'q_meta', 'diff_meta']]) {
+        comparisons.forEach(([pKey, qKey, diffKey]) => {
+            if (!results.some(r => pKey in r)) return;
+            const q = this.benjaminiHochberg(results.map(r => isNaN(r[diffKey]) ? NaN : r[pKey]));
+            results.forEach((r, i) => { r[qKey] = q[i]; });
+        });
+    }
+
+    // Two-sided Fisher's exact test for the 2×2 table [[a, b], [c, d]]: sums
+    // the hypergeometric probability of every table with the same margins
+    // that is no more likely than the observed one. The relative tolerance
+    // keeps ties that differ only by float error on the same side.
+    fisherExact(a, b, c, d) {
+        const r1 = a + b, c1 = a + c, n = a + b + c + d;
+        if (n <= 0 || r1 === 0 || r1 === n || c1 === 0 || c1 === n) return 1;
+        const lf = (k) => this._logFactorial(k);
+        const base = lf(r1) + lf(n - r1) + lf(c1) + lf(n - c1) - lf(n);
+        const logP = (x) => base - lf(x) - lf(r1 - x) - lf(c1 - x) - lf(n - r1 - c1 + x);
+        const observed = logP(a);
+        let p = 0;
+        for (let x = Math.max(0, r1 + c1 - n); x <= Math.min(r1, c1); x++) {
+            const lp = logP(x);
+            if (lp <= observed + 1e-7) p += Math.exp(lp);
+        }
+        return Math.min(1, p);
+    }
+
+    // P(X ≥ k) for X ~ Hypergeometric(N, K, n): the chance of drawing at
+    // least k of a set's K members in n picks from a population of N. This
+    // is the one-sided Fisher's exact test used for over-representation.
+    hypergeometricUpperTail(k, N, K, n) {
+        if (k <= 0) return 1;
+        const lf = (x) => this._logFactorial(x);
+        const base = lf(K) + lf(N - K) + lf(n) + lf(N - n) - lf(N);
+        let p = 0;
+        for (let x = k; x <= Math.min(K, n); x++) {
+            p += Math.exp(base - lf(x) - lf(K - x) - lf(n - x) - lf(N - K - n + x));
+        }
+        return Math.min(1, p);
+    }
+
+    _logFactorial(k) {
+        const table = this._logFactorialTable || (this._logFactorialTable = [0]);
+        for (let i = table.length; i <= k; i++) table.push(table[i - 1] + Math.log(i));
+        return table[k];
+    }
+
+    // Odds ratio (a·d)/(b·c) with a Woolf (log) 95% CI. A zero cell gets the
+    // Haldane–Anscombe +0.5 on every cell so the estimate stays finite.
+    oddsRatioCI(a, b, c, d) {
+        if (a === 0 || b === 0 || c === 0 || d === 0) { a += 0.5; b += 0.5; c += 0.5; d += 0.5; }
+        const logOR = Math.log(a * d / (b * c));
+        const se = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+        return {
+            oddsRatio: Math.exp(logOR),
+            orLow: Math.exp(logOR - 1.959964 * se),
+            orHigh: Math.exp(logOR + 1.959964 * se)
+        };
+    }
+
+    // Gate A vs Gate B enrichment of one category (tissue, mutation, fusion):
+    // `inA` of `nA` Gate A lines and `inB` of `nB` Gate B lines carry it.
+    // OR > 1 means the category is enriched in Gate A.
+    _gateEnrichment(inA, inB, nA, nB) {
+        return {
+            pValue: this.fisherExact(inA, inB, nA - inA, nB - inB),
+            ...this.oddsRatioCI(inA, inB, nA - inA, nB - inB)
+        };
+    }
+
+    // BH q-values across one gate-comparison table (rows carrying pValue).
+    _addGateQValues(rows) {
+        const q = this.benjaminiHochberg(rows.map(r => r.pValue));
+        rows.forEach((r, i) => { r.qValue = q[i]; });
+        return rows;
+    }
+
+    _formatOddsRatio(r) {
+        if (r?.oddsRatio == null || !isFinite(r.oddsRatio)) return '-';
+        return `${r.oddsRatio.toFixed(2)} ${this._formatCI(r.orLow, r.orHigh)}`;
+    }
+
+    // Gene-level mutation calls used by the gate comparisons: hotspot, then
+    // damaging (genes not already in hotspot), then fusion partners.
+    _gateMutationSources() {
+        const sources = [];
+        if (this.mutations?.genes) {
+            for (const g of this.mutations.genes) sources.push({ gene: g, calls: this.mutations.geneData?.[g]?.mutations || {}, type: 'hotspot' });
+        }
+        if (this.damagingMutations?.genes) {
+            const hsSet = new Set(this.mutations?.genes || []);
+            for (const g of this.damagingMutations.genes) {
+                if (!hsSet.has(g)) sources.push({ gene: g, calls: this.damagingMutations.geneData?.[g]?.mutations || {}, type: 'damaging' });
+            }
+        }
+        if (this.translocations?.genes) {
+            for (const g of this.translocations.genes) sources.push({ gene: g, calls: this.translocations.geneData?.[g]?.translocations || {}, type: 'fusion' });
+        }
+        return sources;
+    }
+
+    // Plot-title summary for one mutation/fusion row, read from the table so
+    // the gene plot (and the exported gate report) quotes the same numbers.
+    _gateEnrichmentTitle(mutStats, gene, mutType, mutA, mutB, nA, nB) {
+        const row = mutStats?.find(m => m.gene === gene && (!mutType || m.type === mutType));
+        const e = row || this._gateEnrichment(mutA, mutB, nA, nB);
+        const fmtP = (p) => p == null || !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+        return `Fisher p=${fmtP(e.pValue)}, q=${fmtP(row?.qValue)}, OR=${this._formatOddsRatio(e)}`;
+    }
+
+    _gateMutationCalls(gene, type) {
+        return this._gateMutationData(gene, type)?.mutations || null;
+    }
+
+    // The per-gene record behind _gateMutationCalls ({ mutations, calledOnly }),
+    // for callers that must apply _isUncalled.
+    _gateMutationData(gene, type) {
+        if (type === 'fusion') {
+            const fusions = this.translocations?.geneData?.[gene]?.translocations;
+            return fusions ? { mutations: fusions } : null;
+        }
+        const record = [this.mutations, this.damagingMutations].map(src => src?.geneData?.[gene]).find(r => r?.mutations);
+        return record || null;
+    }
+
+    // p, q and OR [95% CI] cells shared by the gate-comparison enrichment tables.
+    _gateEnrichmentCells(r, withP = true) {
+        const fmtP = (p) => p == null || !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+        const td = 'padding:4px;text-align:center;border-bottom:1px solid #eee;';
+        const pCell = withP ? `<td style="${td}${r.pValue < 0.05 ? 'font-weight:600;' : ''}">${fmtP(r.pValue)}</td>` : '';
+        return `${pCell}<td style="${td}${r.qValue < 0.05 ? 'font-weight:600;' : ''}">${fmtP(r.qValue)}</td>
+            <td style="${td}font-size:10px;">${this._formatOddsRatio(r)}</td>`;
+    }
+
+    _gateTypeBadge(type) {
+        const bg = type === 'hotspot' ? '#f59e0b' : type === 'fusion' ? '#0891b2' : '#8b5cf6';
+        return `<span style="background:${bg};color:white;padding:1px 5px;border-radius:3px;font-size:9px;">${type}</span>`;
     }
 
     tDistributionPValue(t, df) {
@@ -5729,6 +8468,40 @@ class CorrelationExplorer {
         return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
     }
 
+    // Upper-tail chi-square p-value, P(X >= x) for df degrees of freedom, via
+    // the regularized upper incomplete gamma Q(df/2, x/2): series below a+1,
+    // continued fraction above. With df = 1 and x = z² this is the two-sided
+    // normal p-value without normalCDF's ~1e-7 floor.
+    chiSquarePValue(x, df) {
+        if (isNaN(x) || !(df > 0)) return NaN;
+        if (x <= 0) return 1;
+        const a = df / 2, y = x / 2;
+        const logPrefix = a * Math.log(y) - y - this.logGamma(a);
+        if (y < a + 1) {
+            let term = 1 / a, sum = term;
+            for (let n = 1; n < 500; n++) {
+                term *= y / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+        let b = y + 1 - a, c = 1e300, d = 1 / b, h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < 1e-300) d = 1e-300;
+            c = b + an / c;
+            if (Math.abs(c) < 1e-300) c = 1e-300;
+            d = 1 / d;
+            const del = d * c;
+            h *= del;
+            if (Math.abs(del - 1) < 1e-15) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
     formatPValue(p) {
         // Format p-value with 1 decimal in exponent
         if (p >= 1 || isNaN(p)) return '-';
@@ -5744,6 +8517,8 @@ class CorrelationExplorer {
 
     displayMutationResults(resetSortIndicator = false) {
         if (!this.mutationResults) return;
+        document.getElementById('coMutationResults').style.display = 'none';
+        document.getElementById('mutStandardResults').style.display = '';
 
         const mr = this.mutationResults;
         const results = mr.significantResults;
@@ -5753,7 +8528,7 @@ class CorrelationExplorer {
 
         // Build dynamic header with hotspot gene name
         if (resetSortIndicator) {
-            this._mutTableSortCol = 'diff_mut';
+            this._mutTableSortCol = mr.lineageMeta ? 'diff_meta' : 'diff_mut';
             this._mutTableSortDir = 'asc';
         }
         const sortCol = this._mutTableSortCol || 'diff_mut';
@@ -5761,8 +8536,11 @@ class CorrelationExplorer {
         const hg = mr.hotspotGene || 'Hotspot';
         const isT = mr.isTranslocation;
         const isD = mr.isDamaging;
-        const wtLabel = isT ? `No ${hg} Fusion` : `${hg} WT`;
-        const mutLbl = isT ? `${hg} Fused` : isD ? `${hg} Dmg` : `${hg} Mut`;
+        const isCN = mr.isCopyNumber;
+        const isB = mr.isBiomarker;
+        const vr = mr.isVariant ? mr.variant : null;
+        const wtLabel = isT ? `No ${hg} Fusion` : isCN ? `${hg} Neutral` : isB ? `${hg} Low` : vr?.reference === 'other' ? `${hg} Other` : `${hg} WT`;
+        const mutLbl = isT ? `${hg} Fused` : isD ? `${hg} Dmg` : isCN ? `${hg} ${mr.cnDirection === 'del' ? 'Del' : 'Amp'}` : isB ? `${hg} High` : vr ? `${hg} ${vr.variant}` : `${hg} Mut`;
         const thead = document.querySelector('#mutationTable thead');
         const thStyle = 'cursor: pointer;';
         const sortClick = 'onclick="app.sortMutationTable(this, event)"';
@@ -5773,20 +8551,40 @@ class CorrelationExplorer {
             { col: 'gene', label: 'Gene', style: '' },
             { col: 'n_wt', label: `N (${wtLabel})`, style: 'border-left: 2px solid #2563eb;' },
             { col: 'mean_wt', label: `Mean GE (${wtLabel})`, style: '' },
-            { col: 'n_mut', label: `N (${mutLbl}${isD ? '' : ' 1+2'})`, style: 'border-left: 2px solid #f97316;' },
-            { col: 'mean_mut', label: `Mean GE (${mutLbl}${isD ? '' : ' 1+2'})`, style: '' },
+            { col: 'n_mut', label: `N (${mutLbl}${isD || isB ? '' : ' 1+2'})`, style: 'border-left: 2px solid #f97316;' },
+            { col: 'mean_mut', label: `Mean GE (${mutLbl}${isD || isB ? '' : ' 1+2'})`, style: '' },
             { col: 'diff_mut', label: 'Δ GE (1+2v0)', style: 'border-left: 2px solid #d1d5db;' },
+            { col: 'ci_mut_lo', label: '95% CI', style: '' },
+            { col: 'g_mut', label: "Hedges' g", style: '' },
             { col: 'p_mut', label: 'p-value', style: '' },
+            { col: 'q_mut', label: 'q (FDR)', style: '' },
         ];
-        // Only show het/hom columns for non-damaging mutations (damaging is binary)
-        if (!isD) {
+        // Lineage-stratified meta-analysis: pooled within-lineage Δ GE
+        if (mr.lineageMeta) {
+            cols.push(
+                { col: 'diff_meta', label: 'Δ GE (lineage-adj)', style: 'border-left: 2px solid #0d9488;' },
+                { col: 'ci_meta_lo', label: '95% CI (adj)', style: '' },
+                { col: 'p_meta', label: 'p (adj)', style: '' },
+                { col: 'q_meta', label: 'q (adj)', style: '' },
+                { col: 'k_meta', label: 'Lineages', style: '' },
+                { col: 'I2_meta', label: 'I² (het.)', style: '' }
+            );
+        }
+        // Only show het/hom columns for non-damaging mutations (damaging and biomarker groups are binary)
+        if (!isD && !isB) {
             cols.push(
                 { col: 'n_2', label: `N (${mutLbl} 2${isT ? '+' : ''})`, style: 'border-left: 2px solid #dc2626;', cls: 'mut2-col' },
                 { col: 'mean_2', label: `Mean GE (${mutLbl} 2${isT ? '+' : ''})`, style: '', cls: 'mut2-col' },
                 { col: 'diff_2', label: 'Δ GE (2v0)', style: 'border-left: 2px solid #d1d5db;', cls: 'mut2-col' },
+                { col: 'ci_2_lo', label: '95% CI (2v0)', style: '', cls: 'mut2-col' },
+                { col: 'g_2', label: 'g (2v0)', style: '', cls: 'mut2-col' },
                 { col: 'p_2', label: 'p-value (2v0)', style: '', cls: 'mut2-col' },
+                { col: 'q_2', label: 'q (2v0)', style: '', cls: 'mut2-col' },
                 { col: 'diff_2v1', label: 'Δ GE (2v1)', style: 'border-left: 2px solid #d1d5db;', cls: 'mut2-col' },
-                { col: 'p_2v1', label: 'p (2v1)', style: '', cls: 'mut2-col' }
+                { col: 'ci_2v1_lo', label: '95% CI (2v1)', style: '', cls: 'mut2-col' },
+                { col: 'g_2v1', label: 'g (2v1)', style: '', cls: 'mut2-col' },
+                { col: 'p_2v1', label: 'p (2v1)', style: '', cls: 'mut2-col' },
+                { col: 'q_2v1', label: 'q (2v1)', style: '', cls: 'mut2-col' }
             );
         }
         let headerHTML = '<tr><th></th>';
@@ -5798,7 +8596,10 @@ class CorrelationExplorer {
                 { col: 'n_fused', label: 'N (Fused)', style: 'border-left: 2px solid #8b5cf6;' },
                 { col: 'mean_fused', label: 'Mean GE (F)', style: '' },
                 { col: 'diff_fused', label: 'Δ GE (F)', style: 'border-left: 2px solid #d1d5db;' },
-                { col: 'p_fused', label: 'p (F)', style: '' }
+                { col: 'ci_fused_lo', label: '95% CI (F)', style: '' },
+                { col: 'g_fused', label: 'g (F)', style: '' },
+                { col: 'p_fused', label: 'p (F)', style: '' },
+                { col: 'q_fused', label: 'q (F)', style: '' }
             ];
             fusionCols.forEach(c => {
                 headerHTML += `<th ${sortClick} data-col="${c.col}" class="fusion-col" ${tip} style="${thStyle} ${c.style}"${sortAttr(c.col)}>${c.label}${arrow(c.col)}</th>`;
@@ -5825,16 +8626,36 @@ class CorrelationExplorer {
                 <td style="border-left: 2px solid #f97316;">${r.n_mut}</td>
                 <td>${r.mean_mut.toFixed(2)}</td>
                 <td class="${r.diff_mut < 0 ? 'negative' : 'positive'}">${r.diff_mut.toFixed(2)}</td>
+                <td style="white-space: nowrap;">${this._formatCI(r.ci_mut_lo, r.ci_mut_hi)}</td>
+                <td>${isNaN(r.g_mut) ? '-' : r.g_mut.toFixed(2)}</td>
                 <td>${this.formatPValue(r.p_mut)}</td>
+                <td>${this.formatPValue(r.q_mut)}</td>
             `;
-            if (!isD) {
+            if (mr.lineageMeta) {
+                const hetTip = isNaN(r.I2_meta) ? 'Single lineage — no heterogeneity test' : `Cochran's Q = ${r.Q_meta.toFixed(2)}, df = ${r.k_meta - 1}, p = ${this.formatPValue(r.p_het)}`;
+                html += `
+                <td class="${r.diff_meta < 0 ? 'negative' : 'positive'}" style="border-left: 2px solid #0d9488;">${isNaN(r.diff_meta) ? '-' : r.diff_meta.toFixed(2)}</td>
+                <td style="white-space: nowrap;">${this._formatCI(r.ci_meta_lo, r.ci_meta_hi)}</td>
+                <td>${isNaN(r.diff_meta) ? '-' : this.formatPValue(r.p_meta)}</td>
+                <td>${isNaN(r.diff_meta) ? '-' : this.formatPValue(r.q_meta)}</td>
+                <td>${r.k_meta}</td>
+                <td title="${hetTip}" style="cursor: help;">${isNaN(r.I2_meta) ? '-' : `${Math.round(r.I2_meta * 100)}%`}</td>
+                `;
+            }
+            if (!isD && !isB) {
                 html += `
                 <td class="mut2-col" style="border-left: 2px solid #dc2626;">${r.n_2}</td>
                 <td class="mut2-col">${isNaN(r.mean_2) ? '-' : r.mean_2.toFixed(2)}</td>
                 <td class="mut2-col ${r.diff_2 < 0 ? 'negative' : 'positive'}">${isNaN(r.diff_2) ? '-' : r.diff_2.toFixed(2)}</td>
+                <td class="mut2-col" style="white-space: nowrap;">${this._formatCI(r.ci_2_lo, r.ci_2_hi)}</td>
+                <td class="mut2-col">${isNaN(r.g_2) ? '-' : r.g_2.toFixed(2)}</td>
                 <td class="mut2-col">${this.formatPValue(r.p_2)}</td>
+                <td class="mut2-col">${isNaN(r.diff_2) ? '-' : this.formatPValue(r.q_2)}</td>
                 <td class="mut2-col ${r.diff_2v1 < 0 ? 'negative' : 'positive'}" style="border-left: 2px solid #d1d5db;">${isNaN(r.diff_2v1) ? '-' : r.diff_2v1.toFixed(2)}</td>
+                <td class="mut2-col" style="white-space: nowrap;">${this._formatCI(r.ci_2v1_lo, r.ci_2v1_hi)}</td>
+                <td class="mut2-col">${isNaN(r.g_2v1) ? '-' : r.g_2v1.toFixed(2)}</td>
                 <td class="mut2-col">${isNaN(r.diff_2v1) ? '-' : this.formatPValue(r.p_2v1)}</td>
+                <td class="mut2-col">${isNaN(r.diff_2v1) ? '-' : this.formatPValue(r.q_2v1)}</td>
                 `;
             }
             if (hasFusion) {
@@ -5842,7 +8663,10 @@ class CorrelationExplorer {
                     <td class="fusion-col" style="border-left: 2px solid #8b5cf6;">${r.n_fused || 0}</td>
                     <td class="fusion-col">${isNaN(r.mean_fused) ? '-' : r.mean_fused.toFixed(2)}</td>
                     <td class="fusion-col ${r.diff_fused < 0 ? 'negative' : 'positive'}">${isNaN(r.diff_fused) ? '-' : r.diff_fused.toFixed(2)}</td>
+                    <td class="fusion-col" style="white-space: nowrap;">${this._formatCI(r.ci_fused_lo, r.ci_fused_hi)}</td>
+                    <td class="fusion-col">${isNaN(r.g_fused) ? '-' : r.g_fused.toFixed(2)}</td>
                     <td class="fusion-col">${isNaN(r.diff_fused) ? '-' : this.formatPValue(r.p_fused)}</td>
+                    <td class="fusion-col">${isNaN(r.diff_fused) ? '-' : this.formatPValue(r.q_fused)}</td>
                 `;
             }
             row.innerHTML = html;
@@ -5850,15 +8674,20 @@ class CorrelationExplorer {
         });
 
         // Build settings summary
-        const typeLabel = mr.isTranslocation ? 'Fusion Gene' : mr.isDamaging ? 'Damaging Mut' : 'Hotspot';
-        const mutLabel = mr.isTranslocation ? 'Fused' : 'Mutated';
-        let settingsText = `${typeLabel}: ${mr.hotspotGene} | `;
-        settingsText += `WT: ${mr.nWT} cells | ${mutLabel}: ${mr.nMut} cells`;
+        const typeLabel = mr.isTranslocation ? 'Fusion Gene' : mr.isDamaging ? 'Damaging Mut' : mr.isCopyNumber ? (mr.cnDirection === 'del' ? 'CN Deletion' : 'CN Amplification')
+            : mr.isBiomarker ? `${mr.biomarker.layer === 'expr' ? 'Expression' : 'GE'} Biomarker` : 'Hotspot';
+        const mutLabel = mr.isTranslocation ? 'Fused' : mr.isCopyNumber ? (mr.cnDirection === 'del' ? 'Deleted' : 'Gained') : mr.isBiomarker ? 'High' : mr.isVariant ? mr.variant.variant : 'Mutated';
+        const refLabel = mr.isBiomarker ? 'Low' : mr.variant?.reference === 'other' ? 'Other mutants' : 'WT';
+        let settingsText = `${typeLabel}: ${mr.hotspotGene}${mr.isBiomarker ? ` (${this._biomarkerGroupText(mr.biomarker)})` : mr.isVariant ? ` (${this._variantGroupText(mr.variant)})` : ''} | `;
+        settingsText += `${refLabel}: ${mr.nWT} cells | ${mutLabel}: ${mr.nMut} cells`;
         if (hasFusion) {
             settingsText += ` | Fused: ${mr.nFused} cells`;
         }
         settingsText += ` | `;
-        settingsText += `Min cells: ${mr.minN} | p < ${mr.pThreshold}`;
+        settingsText += `Min cells: ${mr.minN} | ${mr.thresholdStat === 'q' ? 'q' : 'p'}${mr.lineageMeta ? ' (adj)' : ''} < ${mr.pThreshold}`;
+        if (mr.lineageMeta) {
+            settingsText += ` | Lineage meta-analysis: ${mr.metaLineages.length} lineage${mr.metaLineages.length === 1 ? '' : 's'} (≥${mr.lineageMeta.minMut} ${mutLabel} / ≥${mr.lineageMeta.minWT} ${refLabel} lines each)`;
+        }
         if (mr.lineageFilter) {
             let lineageText = mr.lineageFilter;
             if (mr.subLineageFilter) {
@@ -5872,7 +8701,7 @@ class CorrelationExplorer {
         if (mr.hotspotGene) shownGenes.add(mr.hotspotGene);
         if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
             const ll = { '0': 'WT', '1': 'Mut', '2': 'Mut', '1+2': 'Mut' };
-            mutFilterParts.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || mr.additionalHotspotLevel}`);
+            mutFilterParts.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || this._hotspotLevelText(mr.additionalHotspotLevel)}`);
             shownGenes.add(mr.additionalHotspot);
         }
         if (mr.additionalTransGene && mr.additionalTransLevel !== 'all') {
@@ -5905,7 +8734,7 @@ class CorrelationExplorer {
         }
 
         document.getElementById('mutationResultsCount').innerHTML =
-            `<strong>${results.length} genes</strong> with p &lt; ${mr.pThreshold}<br>
+            `<strong>${results.length} genes</strong> with ${mr.thresholdStat === 'q' ? 'q (BH FDR)' : 'p'}${mr.lineageMeta ? ' (lineage-adjusted)' : ''} &lt; ${mr.pThreshold}<br>
             <small style="color: #666;">${settingsText}</small>`;
 
         // Store for sorting
@@ -5914,7 +8743,7 @@ class CorrelationExplorer {
         // Show/hide mut2 column toggle (only for non-damaging)
         const mut2Toggle = document.getElementById('mut2ColToggle');
         if (mut2Toggle) {
-            mut2Toggle.style.display = !isD ? '' : 'none';
+            mut2Toggle.style.display = !isD && !isB ? '' : 'none';
             // Default: show all columns
             const showMut2 = document.getElementById('showMut2Cols');
             if (showMut2 && !showMut2.checked) {
@@ -5926,6 +8755,10 @@ class CorrelationExplorer {
         this.attachGeneTooltips(tbody);
     }
 
+    _formatCI(lo, hi) {
+        return isNaN(lo) || isNaN(hi) ? '-' : `[${lo.toFixed(2)}, ${hi.toFixed(2)}]`;
+    }
+
     toggleMut2Columns() {
         const show = document.getElementById('showMut2Cols')?.checked;
         document.querySelectorAll('#mutationTable .mut2-col').forEach(el => {
@@ -6080,12 +8913,27 @@ class CorrelationExplorer {
 
         // Build settings header
         let csv = '# Mutation Analysis Results\n';
-        csv += `# Hotspot Mutation: ${mr.hotspotGene}\n`;
+        csv += `# ${mr.isCopyNumber ? 'Copy number gene' : mr.isBiomarker ? 'Biomarker gene' : 'Hotspot Mutation'}: ${mr.hotspotGene}\n`;
+        if (mr.isBiomarker) {
+            csv += `# Biomarker groups (${mr.biomarker.layer === 'expr' ? 'expression, log2 TPM+1' : 'gene effect'}): ${this._biomarkerGroupText(mr.biomarker)}; level 0 = low, 1 = high, lines in between excluded\n`;
+        }
+        if (mr.isVariant) {
+            csv += `# Variant split (inferred hotspot calls): ${this._variantGroupText(mr.variant)}; level 0 = ${mr.variant.reference === 'other' ? `other ${mr.hotspotGene} mutants` : 'WT'}, other lines excluded\n`;
+        }
+        if (mr.isCopyNumber) {
+            const t = mr.cnThresholds;
+            csv += `# Copy number ${mr.cnDirection === 'del' ? 'deletion: level 1 = CN <= ' + t.loss + ', level 2 = CN <= ' + t.deepDel : 'amplification: level 1 = CN >= ' + t.gain + ', level 2 = CN >= ' + t.amp}; neutral = ${t.loss} < CN < ${t.gain} (relative CN)\n`;
+        }
         csv += `# WT cells (0 mutations): ${mr.nWT}\n`;
         csv += `# Mutated cells (1+2 mutations): ${mr.nMut}\n`;
         csv += `# Cells with 2 mutations: ${mr.n2}\n`;
         csv += `# Min cell lines: ${mr.minN}\n`;
-        csv += `# P-value threshold: ${mr.pThreshold}\n`;
+        csv += `# ${mr.thresholdStat === 'q' ? 'q-value (BH FDR)' : 'P-value'} threshold: ${mr.pThreshold}\n`;
+        csv += `# q = Benjamini-Hochberg FDR per comparison over all genes tested; CI = Welch 95% CI of Delta GE; g = Hedges' g\n`;
+        if (mr.lineageMeta) {
+            csv += `# Lineage meta-analysis: fixed-effect inverse-variance pooling of within-lineage Delta GE over lineages with >= ${mr.lineageMeta.minMut} mutant and >= ${mr.lineageMeta.minWT} reference lines; threshold and ranking use the pooled test\n`;
+            csv += `# Lineages: ${mr.metaLineages.map(l => `${l.lineage} (${l.nMut}/${l.nWT})`).join('; ')}\n`;
+        }
         if (mr.excludedTissues && mr.excludedTissues.size > 0) {
             const allLineages = this.cellLineMetadata?.lineage
                 ? [...new Set(Object.values(this.cellLineMetadata.lineage))].sort()
@@ -6102,7 +8950,7 @@ class CorrelationExplorer {
         const allMutFilters = [];
         if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
             const ll = { '0': 'WT', '1': 'Mut', '2': 'Mut', '1+2': 'Mut' };
-            allMutFilters.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || mr.additionalHotspotLevel}`);
+            allMutFilters.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || this._hotspotLevelText(mr.additionalHotspotLevel)}`);
         }
         if (this._activeOncoprintFilters) {
             const shown = new Set([mr.hotspotGene, mr.additionalHotspot].filter(Boolean));
@@ -6120,12 +8968,17 @@ class CorrelationExplorer {
         csv += '#\n';
 
         const hasFusion = mr.hasFusionData && mr.isTranslocation;
-        let headers = ['Gene', 'N_WT', 'Mean_GE_WT', 'N_1+2', 'Mean_GE_1+2', 'Delta_GE', 'pValue_1+2_vs_0',
-                        'N_2', 'Mean_GE_2', 'Delta_GE_2vs0', 'pValue_2_vs_0',
-                        'Delta_GE_2vs1', 'pValue_2_vs_1'];
+        let headers = ['Gene', 'N_WT', 'Mean_GE_WT', 'N_1+2', 'Mean_GE_1+2', 'Delta_GE', 'CI95_Low', 'CI95_High', 'Hedges_g', 'pValue_1+2_vs_0', 'qValue_1+2_vs_0',
+                        'N_2', 'Mean_GE_2', 'Delta_GE_2vs0', 'CI95_Low_2vs0', 'CI95_High_2vs0', 'Hedges_g_2vs0', 'pValue_2_vs_0', 'qValue_2_vs_0',
+                        'Delta_GE_2vs1', 'CI95_Low_2vs1', 'CI95_High_2vs1', 'Hedges_g_2vs1', 'pValue_2_vs_1', 'qValue_2_vs_1'];
         if (hasFusion) {
-            headers.push('N_Fused', 'Mean_GE_Fused', 'Delta_GE_Fused', 'pValue_Fused');
+            headers.push('N_Fused', 'Mean_GE_Fused', 'Delta_GE_Fused', 'CI95_Low_Fused', 'CI95_High_Fused', 'Hedges_g_Fused', 'pValue_Fused', 'qValue_Fused');
         }
+        if (mr.lineageMeta) {
+            headers.push('Delta_GE_LineageAdj', 'SE_LineageAdj', 'CI95_Low_LineageAdj', 'CI95_High_LineageAdj', 'pValue_LineageAdj', 'qValue_LineageAdj', 'N_Lineages', 'Cochran_Q', 'I2', 'pValue_Heterogeneity');
+        }
+        const num = (v, digits) => v === undefined || isNaN(v) ? '' : v.toFixed(digits);
+        const qFmt = (q, diff) => q === undefined || isNaN(diff) ? '' : this.formatPValue(q);
 
         csv += headers.join(',') + '\n';
         results.forEach(r => {
@@ -6136,20 +8989,50 @@ class CorrelationExplorer {
                 r.n_mut,
                 r.mean_mut.toFixed(2),
                 r.diff_mut.toFixed(2),
+                num(r.ci_mut_lo, 3),
+                num(r.ci_mut_hi, 3),
+                num(r.g_mut, 3),
                 this.formatPValue(r.p_mut),
+                qFmt(r.q_mut, r.diff_mut),
                 r.n_2,
                 isNaN(r.mean_2) ? '' : r.mean_2.toFixed(2),
                 isNaN(r.diff_2) ? '' : r.diff_2.toFixed(2),
+                num(r.ci_2_lo, 3),
+                num(r.ci_2_hi, 3),
+                num(r.g_2, 3),
                 this.formatPValue(r.p_2),
+                qFmt(r.q_2, r.diff_2),
                 isNaN(r.diff_2v1) ? '' : r.diff_2v1.toFixed(2),
-                isNaN(r.diff_2v1) ? '' : this.formatPValue(r.p_2v1)
+                num(r.ci_2v1_lo, 3),
+                num(r.ci_2v1_hi, 3),
+                num(r.g_2v1, 3),
+                isNaN(r.diff_2v1) ? '' : this.formatPValue(r.p_2v1),
+                qFmt(r.q_2v1, r.diff_2v1)
             ];
             if (hasFusion) {
                 row.push(
                     r.n_fused || 0,
                     isNaN(r.mean_fused) ? '' : r.mean_fused.toFixed(2),
                     isNaN(r.diff_fused) ? '' : r.diff_fused.toFixed(2),
-                    isNaN(r.diff_fused) ? '' : this.formatPValue(r.p_fused)
+                    num(r.ci_fused_lo, 3),
+                    num(r.ci_fused_hi, 3),
+                    num(r.g_fused, 3),
+                    isNaN(r.diff_fused) ? '' : this.formatPValue(r.p_fused),
+                    qFmt(r.q_fused, r.diff_fused)
+                );
+            }
+            if (mr.lineageMeta) {
+                row.push(
+                    num(r.diff_meta, 3),
+                    num(r.se_meta, 4),
+                    num(r.ci_meta_lo, 3),
+                    num(r.ci_meta_hi, 3),
+                    isNaN(r.diff_meta) ? '' : this.formatPValue(r.p_meta),
+                    qFmt(r.q_meta, r.diff_meta),
+                    r.k_meta,
+                    num(r.Q_meta, 3),
+                    num(r.I2_meta, 3),
+                    isNaN(r.p_het) ? '' : this.formatPValue(r.p_het)
                 );
             }
             csv += row.join(',') + '\n';
@@ -6159,6 +9042,939 @@ class CorrelationExplorer {
         this.downloadFile(csv, filename, 'text/csv');
     }
 
+    // Genes offered for the co-mutation sub-type: hotspot and damaging calls,
+    // most frequently mutated first
+    _populateCoMutGeneList() {
+        const datalist = document.getElementById('comutGeneList');
+        if (!datalist || datalist.options.length) return;
+        const counts = new Map();
+        [this.mutations, this.damagingMutations].forEach(src => {
+            Object.entries(src?.geneData || {}).forEach(([gene, d]) => {
+                const n = Object.values(d.mutations).filter(v => v > 0).length;
+                counts.set(gene, Math.max(counts.get(gene) || 0, n));
+            });
+        });
+        datalist.innerHTML = [...counts].filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1])
+            .map(([gene, n]) => `<option value="${gene}">${gene} (${n} mutated)</option>`).join('');
+    }
+
+    _coMutSource(layer) {
+        return layer === 'damaging' ? this.damagingMutations : this.mutations;
+    }
+
+    runCoMutationAnalysis() {
+        const read = (id) => document.getElementById(id).value.trim().toUpperCase();
+        const geneA = read('comutGeneA');
+        const geneB = read('comutGeneB');
+        const layerA = document.getElementById('comutLayerA').value === 'damaging' ? 'damaging' : 'hotspot';
+        const layerB = document.getElementById('comutLayerB').value === 'damaging' ? 'damaging' : 'hotspot';
+        const minN = Math.max(2, parseInt(document.getElementById('comutMinN').value) || 3);
+        const pThreshold = this.getInputNum('pValueThreshold');
+        const thresholdStat = document.getElementById('pThresholdStat')?.value === 'q' ? 'q' : 'p';
+
+        if (!geneA || !geneB) {
+            this.showStatus('error', 'Please enter gene A and gene B');
+            return;
+        }
+        for (const [gene, layer] of [[geneA, layerA], [geneB, layerB]]) {
+            if (!this._coMutSource(layer)?.geneData?.[gene]) {
+                this.showStatus('error', `"${gene}" is not in the ${layer} mutation data. Please select from the list.`);
+                return;
+            }
+        }
+        if (geneA === geneB && layerA === layerB) {
+            this.showStatus('error', 'Gene A and gene B must differ');
+            return;
+        }
+
+        this.showStatus('info', `Running ${geneA} × ${geneB} co-mutation analysis...`);
+        setTimeout(() => {
+            try {
+                const res = this.calculateCoMutationAnalysis(geneA, layerA, geneB, layerB, minN);
+                this.coMutationResults = {
+                    ...res, geneA, layerA, geneB, layerB, minN, pThreshold, thresholdStat,
+                    lineageFilter: document.getElementById('lineageFilter').value,
+                    subLineageFilter: document.getElementById('subLineageFilter')?.value || ''
+                };
+                this._coMutSort = { col: 'p_int', dir: 'asc' };
+                this.displayCoMutationResults();
+
+                document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
+                document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
+                document.querySelector('[data-tab="mutation"]').classList.add('active');
+                document.getElementById('tab-mutation').classList.add('active');
+
+                const nSig = res.results.filter(r => this._mutationStat(r, 'int', thresholdStat) < pThreshold).length;
+                this.showStatus('success', `&#10003; Co-mutation analysis complete: ${nSig} genes with interaction ${thresholdStat} < ${pThreshold} (${res.results.length} tested, ${res.nSkippedMinN} skipped for min n)`);
+            } catch (error) {
+                console.error('Co-mutation analysis error:', error);
+                this.showStatus('error', 'Co-mutation analysis failed: ' + error.message);
+            }
+        }, 50);
+    }
+
+    // 2×2 genotype analysis over the parameter-filtered lines. Groups, in
+    // order: neither, A only, B only, A+B. Per gene: group means, Welch tests
+    // of the double mutant against each other group and of each single
+    // mutant against neither, and the interaction contrast
+    // mAB − mA − mB + m0 from the saturated two-way model (pooled residual
+    // variance, df = n − 4).
+    calculateCoMutationAnalysis(geneA, layerA, geneB, layerB, minN) {
+        const mutA = this._coMutSource(layerA).geneData[geneA].mutations;
+        const mutB = this._coMutSource(layerB).geneData[geneB].mutations;
+        const groups = [[], [], [], []];
+        this.getFilteredCellLineIndices().forEach(idx => {
+            const cl = this.metadata.cellLines[idx];
+            groups[((mutA[cl] || 0) > 0 ? 1 : 0) + ((mutB[cl] || 0) > 0 ? 2 : 0)].push(idx);
+        });
+        const nLines = groups.map(g => g.length);
+        if (nLines.some(n => n < minN)) {
+            throw new Error(`Not enough cell lines per genotype (neither ${nLines[0]}, ${geneA} only ${nLines[1]}, ${geneB} only ${nLines[2]}, both ${nLines[3]}; min ${minN})`);
+        }
+
+        const results = [];
+        let nSkippedMinN = 0;
+        for (let geneIdx = 0; geneIdx < this.nGenes; geneIdx++) {
+            const vals = groups.map(g => this.getGeneEffectsForCells(geneIdx, g));
+            if (vals.some(v => v.length < minN)) { nSkippedMinN++; continue; }
+            const n = vals.map(v => v.length);
+            const m = vals.map(v => this.mean(v));
+            const nTotal = n.reduce((a, b) => a + b, 0);
+            const ssWithin = vals.reduce((acc, v, i) => acc + v.reduce((a, x) => a + (x - m[i]) ** 2, 0), 0);
+            const df = nTotal - 4;
+            const se = Math.sqrt(ssWithin / df * n.reduce((a, k) => a + 1 / k, 0));
+            const interaction = m[3] - m[1] - m[2] + m[0];
+            const half = se > 0 ? this.tCritical(df) * se : NaN;
+            const tAB0 = this.welchTTest(vals[0], vals[3]);
+            const tABA = this.welchTTest(vals[1], vals[3]);
+            const tABB = this.welchTTest(vals[2], vals[3]);
+            const tA0 = this.welchTTest(vals[0], vals[1]);
+            const tB0 = this.welchTTest(vals[0], vals[2]);
+            results.push({
+                gene: this.geneNames[geneIdx],
+                n_0: n[0], n_a: n[1], n_b: n[2], n_ab: n[3],
+                mean_0: m[0], mean_a: m[1], mean_b: m[2], mean_ab: m[3],
+                diff_int: interaction,
+                ci_int_lo: interaction - half,
+                ci_int_hi: interaction + half,
+                p_int: se > 0 ? this.tDistributionPValue(Math.abs(interaction / se), df) : 1,
+                diff_ab0: m[3] - m[0], p_ab0: tAB0.p,
+                diff_aba: m[3] - m[1], p_aba: tABA.p,
+                diff_abb: m[3] - m[2], p_abb: tABB.p,
+                diff_a0: m[1] - m[0], p_a0: tA0.p,
+                diff_b0: m[2] - m[0], p_b0: tB0.p
+            });
+        }
+        this._addMutationQValues(results, ['int', 'ab0', 'aba', 'abb', 'a0', 'b0'].map(k => [`p_${k}`, `q_${k}`, `diff_${k}`]));
+        return { results, nLines, groupIndices: groups, nSkippedMinN };
+    }
+
+    _coMutGroupLabels(res = this.coMutationResults) {
+        return ['Neither', `${res.geneA} only`, `${res.geneB} only`, `${res.geneA}+${res.geneB}`];
+    }
+
+    displayCoMutationResults() {
+        const res = this.coMutationResults;
+        if (!res) return;
+        document.getElementById('mutStandardResults').style.display = 'none';
+        document.getElementById('coMutationResults').style.display = '';
+
+        const stat = res.thresholdStat;
+        const filterKey = document.getElementById('coMutFilterStat')?.value || 'int';
+        const search = (document.getElementById('coMutSearch')?.value || '').trim().toUpperCase();
+        const { col, dir } = this._coMutSort || { col: 'p_int', dir: 'asc' };
+        const rows = res.results
+            .filter(r => filterKey === 'all' || this._mutationStat(r, filterKey, stat) < res.pThreshold)
+            .filter(r => !search || r.gene.includes(search))
+            .sort((a, b) => {
+                const va = a[col], vb = b[col];
+                const cmp = typeof va === 'string' ? va.localeCompare(vb) : (isNaN(va) ? Infinity : va) - (isNaN(vb) ? Infinity : vb);
+                return dir === 'asc' ? cmp : -cmp;
+            });
+
+        const labels = this._coMutGroupLabels();
+        const lf = res.lineageFilter ? ` | ${res.lineageFilter}${res.subLineageFilter ? ' / ' + res.subLineageFilter : ''}` : '';
+        document.getElementById('coMutResultsCount').innerHTML =
+            `<strong>${rows.length}</strong> genes${filterKey === 'all' ? ' tested' : ` with ${filterKey === 'int' ? 'interaction' : 'A+B vs neither'} ${stat} &lt; ${res.pThreshold}`} ` +
+            `<span style="font-size: 11px; color: #6b7280;">| A = ${res.geneA} ${res.layerA}, B = ${res.geneB} ${res.layerB} | ` +
+            labels.map((l, i) => `${l}: ${res.nLines[i]}`).join(' · ') + ` cells | Min n/group: ${res.minN}${lf}</span>`;
+
+        const fmt = (v) => isNaN(v) ? '' : v.toFixed(2);
+        const colorDiff = (v) => isNaN(v) ? '' : `<span style="color: ${v < 0 ? '#2563eb' : '#dc2626'};">${v.toFixed(2)}</span>`;
+        const arrow = (c) => c === col ? (dir === 'asc' ? ' ▲' : ' ▼') : '';
+        const th = (c, label, extra = '') => `<th data-col="${c}" style="cursor: pointer;${extra}" onclick="app.sortCoMutationTable('${c}')" title="Click to sort">${label}${arrow(c)}</th>`;
+        const td = 'text-align: center;';
+        const shown = rows.slice(0, 2000);
+        document.getElementById('coMutTable').innerHTML = `
+            <table class="data-table" id="coMutationTable">
+                <thead><tr>
+                    <th></th>${th('gene', 'Gene')}
+                    ${th('mean_0', `Mean GE<br>${labels[0]}`, 'border-left: 2px solid #9ca3af;')}${th('mean_a', `Mean GE<br>${labels[1]}`)}${th('mean_b', `Mean GE<br>${labels[2]}`)}${th('mean_ab', `Mean GE<br>${labels[3]}`)}
+                    ${th('diff_int', 'Interaction', 'border-left: 2px solid #7c3aed;')}${th('p_int', 'p (int)')}${th('q_int', 'q (int)')}
+                    ${th('diff_ab0', 'Δ A+B vs<br>neither', 'border-left: 2px solid #dc2626;')}${th('p_ab0', 'p')}
+                    ${th('diff_aba', `Δ A+B vs<br>${res.geneA}`)}${th('p_aba', 'p')}
+                    ${th('diff_abb', `Δ A+B vs<br>${res.geneB}`)}${th('p_abb', 'p')}
+                    ${th('diff_a0', `Δ ${res.geneA}<br>vs neither`, 'border-left: 2px solid #f97316;')}${th('diff_b0', `Δ ${res.geneB}<br>vs neither`)}
+                </tr></thead>
+                <tbody>${shown.map(r => `
+                    <tr>
+                        <td><a href="#" class="inspect-link" onclick="app.showCoMutationInspect('${r.gene}'); return false;">Inspect</a></td>
+                        <td class="gene-hover" data-gene="${r.gene}" style="font-weight: 600;">${r.gene}</td>
+                        <td style="${td}border-left: 2px solid #9ca3af;" title="n=${r.n_0}">${fmt(r.mean_0)}</td>
+                        <td style="${td}" title="n=${r.n_a}">${fmt(r.mean_a)}</td>
+                        <td style="${td}" title="n=${r.n_b}">${fmt(r.mean_b)}</td>
+                        <td style="${td}" title="n=${r.n_ab}">${fmt(r.mean_ab)}</td>
+                        <td style="${td}border-left: 2px solid #7c3aed;" title="95% CI ${fmt(r.ci_int_lo)} to ${fmt(r.ci_int_hi)}">${colorDiff(r.diff_int)}</td>
+                        <td style="${td}">${this.formatPValue(r.p_int)}</td>
+                        <td style="${td}">${this.formatPValue(r.q_int)}</td>
+                        <td style="${td}border-left: 2px solid #dc2626;">${colorDiff(r.diff_ab0)}</td><td style="${td}">${this.formatPValue(r.p_ab0)}</td>
+                        <td style="${td}">${colorDiff(r.diff_aba)}</td><td style="${td}">${this.formatPValue(r.p_aba)}</td>
+                        <td style="${td}">${colorDiff(r.diff_abb)}</td><td style="${td}">${this.formatPValue(r.p_abb)}</td>
+                        <td style="${td}border-left: 2px solid #f97316;" title="p = ${this.formatPValue(r.p_a0)}">${colorDiff(r.diff_a0)}</td>
+                        <td style="${td}" title="p = ${this.formatPValue(r.p_b0)}">${colorDiff(r.diff_b0)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>${rows.length > shown.length ? `<div style="font-size: 11px; color: #6b7280; padding: 6px;">Showing ${shown.length} of ${rows.length} rows — use search or the CSV for the rest.</div>` : ''}`;
+    }
+
+    sortCoMutationTable(col) {
+        const cur = this._coMutSort || {};
+        this._coMutSort = { col, dir: cur.col === col && cur.dir === 'asc' ? 'desc' : 'asc' };
+        this.displayCoMutationResults();
+    }
+
+    // Box plot of one gene's effect across the four genotype groups
+    showCoMutationInspect(gene) {
+        const res = this.coMutationResults;
+        const geneIdx = this.geneIndex.get(gene);
+        if (!res || geneIdx === undefined) return;
+        const r = res.results.find(x => x.gene === gene);
+        const labels = this._coMutGroupLabels();
+        const colors = ['#9ca3af', '#3b82f6', '#f97316', '#dc2626'];
+        const traces = res.groupIndices.map((indices, gi) => {
+            const pts = [];
+            indices.forEach(idx => {
+                const v = this.geneEffects[geneIdx * this.nCellLines + idx];
+                if (isNaN(v)) return;
+                const cl = this.metadata.cellLines[idx];
+                pts.push({ y: v, text: `${this.getCellLineName(cl)}<br>${this.getCellLineLineage(cl)}` });
+            });
+            return {
+                y: pts.map(p => p.y), text: pts.map(p => p.text), type: 'box', name: `${labels[gi]} (n=${pts.length})`,
+                boxpoints: 'all', jitter: 0.5, pointpos: 0, marker: { size: 5, color: colors[gi], opacity: 0.6 }, line: { color: colors[gi] },
+                hovertemplate: '%{text}<br>GE = %{y:.3f}<extra></extra>'
+            };
+        });
+        document.getElementById('coMutInspectTitle').textContent = r
+            ? `${gene} gene effect by ${res.geneA} × ${res.geneB} genotype — interaction = ${r.diff_int.toFixed(3)} (95% CI ${r.ci_int_lo.toFixed(2)} to ${r.ci_int_hi.toFixed(2)}), p = ${this.formatPValue(r.p_int)}, q = ${this.formatPValue(r.q_int)}`
+            : `${gene} gene effect by ${res.geneA} × ${res.geneB} genotype`;
+        const panel = document.getElementById('coMutInspectPanel');
+        panel.style.display = 'block';
+        Plotly.newPlot('coMutInspectPlot', traces, {
+            height: 440, margin: { t: 20, b: 60, l: 70, r: 20 }, hovermode: 'closest', showlegend: false,
+            yaxis: { title: `${gene} Gene Effect`, zeroline: true }
+        }, { displayModeBar: true, responsive: true });
+        panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    downloadCoMutationResults() {
+        const res = this.coMutationResults;
+        if (!res) return;
+        const filterKey = document.getElementById('coMutFilterStat')?.value || 'int';
+        const rows = res.results.filter(r => filterKey === 'all' || this._mutationStat(r, filterKey, res.thresholdStat) < res.pThreshold);
+        const labels = this._coMutGroupLabels();
+        const num = (v, d = 4) => isNaN(v) ? '' : v.toFixed(d);
+        const pf = (v) => isNaN(v) ? '' : v.toExponential(3);
+        let csv = '# Co-mutation (2x2 genotype) Analysis\n';
+        csv += `# Gene A: ${res.geneA} (${res.layerA}); Gene B: ${res.geneB} (${res.layerB})\n`;
+        csv += `# Cells per group: ${labels.map((l, i) => `${l} = ${res.nLines[i]}`).join('; ')}\n`;
+        if (res.lineageFilter) csv += `# Tissue: ${res.lineageFilter}${res.subLineageFilter ? ' / ' + res.subLineageFilter : ''}\n`;
+        csv += `# Min n per group: ${res.minN}; rows: ${filterKey === 'all' ? 'all tested genes' : `${filterKey === 'int' ? 'interaction' : 'A+B vs neither'} ${res.thresholdStat} < ${res.pThreshold}`}\n`;
+        csv += '# Interaction = (A+B - A only) - (B only - neither), two-way linear model with pooled variance (df = n - 4); pairwise tests are Welch; q = BH over tested genes\n';
+        csv += 'Gene,N_Neither,N_A,N_B,N_AB,Mean_Neither,Mean_A,Mean_B,Mean_AB,Interaction,Int_CI95_Low,Int_CI95_High,P_Int,Q_Int,Delta_AB_vs_Neither,P_AB_vs_Neither,Q_AB_vs_Neither,Delta_AB_vs_A,P_AB_vs_A,Delta_AB_vs_B,P_AB_vs_B,Delta_A_vs_Neither,P_A_vs_Neither,Delta_B_vs_Neither,P_B_vs_Neither\n';
+        rows.forEach(r => {
+            csv += [r.gene, r.n_0, r.n_a, r.n_b, r.n_ab, num(r.mean_0), num(r.mean_a), num(r.mean_b), num(r.mean_ab),
+                num(r.diff_int), num(r.ci_int_lo), num(r.ci_int_hi), pf(r.p_int), pf(r.q_int),
+                num(r.diff_ab0), pf(r.p_ab0), pf(r.q_ab0), num(r.diff_aba), pf(r.p_aba), num(r.diff_abb), pf(r.p_abb),
+                num(r.diff_a0), pf(r.p_a0), num(r.diff_b0), pf(r.p_b0)].join(',') + '\n';
+        });
+        this.downloadFile(csv, csvName(`comutation_${res.geneA}_x_${res.geneB}`), 'text/csv');
+    }
+
+    // ── Volcano plot ──
+
+    // Contrasts a volcano source can show, each with its points
+    // ({ gene, name, x, p, q }), axis label and significance cut-off.
+    // Mutation contrasts are the comparisons of the current scan that were
+    // run for at least one gene; gate contrasts are the gene-level tabs.
+    _volcanoContrasts(source) {
+        if (source === 'mutation') {
+            const mr = this.mutationResults;
+            if (!mr?.allResults) return [];
+            const hg = mr.hotspotGene;
+            const defs = [
+                ['mut', 'Δ GE (1+2v0)'],
+                ['1', 'Δ GE (1v0)'],
+                ['2', 'Δ GE (2v0)'],
+                ['2v1', 'Δ GE (2v1)'],
+                ['fused', 'Δ GE (fused v not)'],
+                ['meta', 'Δ GE (lineage-adj)']
+            ];
+            return defs.filter(([k]) => mr.allResults.some(r => !isNaN(r[`diff_${k}`]))).map(([k, label]) => ({
+                key: k,
+                label,
+                title: `${hg} ${mr.isTranslocation ? 'fusion' : mr.isCopyNumber ? 'copy number' : mr.isBiomarker ? 'biomarker groups' : mr.isVariant ? mr.variant.variant : 'mutation'} — ${label}`,
+                xLabel: label,
+                threshold: mr.pThreshold,
+                points: mr.allResults.filter(r => !isNaN(r[`diff_${k}`])).map(r => ({ gene: r.gene, name: r.gene, x: r[`diff_${k}`], p: r[`p_${k}`], q: r[`q_${k}`] }))
+            }));
+        }
+        const r = source === 'geGate' ? this._geGateCompareResults : this._gateCompareResults;
+        if (!r) return [];
+        const contrasts = [];
+        const welch = (key, rows, label) => {
+            if (!rows?.length) return;
+            if (rows[0].qValue === undefined) this._addGateQValues(rows);
+            contrasts.push({
+                key, label,
+                title: `Gate A vs Gate B — ${label}`,
+                xLabel: `${label} (A − B)`,
+                threshold: 0.05,
+                points: rows.map(d => ({ gene: d.gene, name: d.gene, x: d.diff, p: d.pValue, q: d.qValue }))
+            });
+        };
+        welch('diffge', r.diffGE, 'Δ Gene effect');
+        welch('expression', r.diffExpr, 'Δ Expression');
+        if (r.mutStats?.length) {
+            contrasts.push({
+                key: 'mutations',
+                label: 'Mutation frequency',
+                title: 'Gate A vs Gate B — mutation frequency',
+                xLabel: 'Δ % mutated (A − B)',
+                threshold: 0.05,
+                points: r.mutStats.map(m => ({ gene: m.gene, name: `${m.gene} (${m.type})`, x: m.pctA - m.pctB, p: m.pValue, q: m.qValue }))
+            });
+        }
+        return contrasts;
+    }
+
+    openVolcanoPlot(source, preferredContrast) {
+        const contrasts = this._volcanoContrasts(source);
+        if (contrasts.length === 0) {
+            this.showStatus('error', 'No results to plot — run the analysis first');
+            return;
+        }
+        const sel = document.getElementById('volcanoContrast');
+        sel.innerHTML = contrasts.map(c => `<option value="${c.key}">${c.label}</option>`).join('');
+        if (preferredContrast && contrasts.some(c => c.key === preferredContrast)) sel.value = preferredContrast;
+        document.getElementById('volcanoYStat').value = source === 'mutation' ? this.mutationResults.thresholdStat : 'p';
+        document.getElementById('volcanoModalTitle').textContent = source === 'mutation'
+            ? `Volcano — ${this.mutationResults.hotspotGene} Mutation Analysis`
+            : `Volcano — ${source === 'geGate' ? 'Gene effect plot' : 'Scatter'} gate comparison`;
+        this._volcano = { source, labels: new Set(), selected: [] };
+        document.getElementById('volcanoModal').style.display = 'block';
+        // Fresh plot per source: drops the previous text settings and handlers
+        const plotEl = document.getElementById('volcanoPlot');
+        Plotly.purge(plotEl);
+        plotEl._volcanoHandlers = false;
+        this.renderVolcanoPlot(true);
+    }
+
+    renderVolcanoPlot(resetSelection = false) {
+        const v = this._volcano;
+        if (!v) return;
+        const contrast = this._volcanoContrasts(v.source).find(c => c.key === document.getElementById('volcanoContrast').value);
+        if (!contrast) return;
+        const yStat = document.getElementById('volcanoYStat').value === 'q' ? 'q' : 'p';
+        if (resetSelection) v.selected = [];
+
+        const points = contrast.points.filter(d => Number.isFinite(d.x) && d[yStat] != null && !isNaN(d[yStat]));
+        const y = points.map(d => -Math.log10(Math.max(d[yStat], 1e-300)));
+        const thr = contrast.threshold;
+        const nDown = points.filter(d => d[yStat] < thr && d.x < 0).length;
+        const nUp = points.filter(d => d[yStat] < thr && d.x > 0).length;
+        v.contrast = contrast.key;
+        v.yStat = yStat;
+        v.points = points;
+        v.y = y;
+
+        // Keep font sizes from the text settings panel across re-renders
+        const plotEl = document.getElementById('volcanoPlot');
+        const prevLayout = plotEl.layout;
+        const prevAnn = (role) => prevLayout?.annotations?.find(a => a._tsRole === role);
+        const selectedSet = new Set(v.selected);
+        const selectedIdx = points.map((d, i) => selectedSet.has(d.gene) ? i : -1).filter(i => i >= 0);
+
+        const trace = {
+            type: 'scattergl',
+            mode: 'markers',
+            x: points.map(d => d.x),
+            y,
+            text: points.map(d => d.name),
+            customdata: points.map(d => d.gene),
+            hovertemplate: `<b>%{text}</b><br>Δ = %{x:.3f}<br>−log10 ${yStat} = %{y:.2f}<extra></extra>`,
+            marker: {
+                size: plotEl.data?.[0]?.marker?.size || 6,
+                color: points.map(d => d[yStat] >= thr ? '#9ca3af' : d.x < 0 ? '#dc2626' : '#16a34a'),
+                opacity: 0.75
+            },
+            selectedpoints: selectedIdx.length ? selectedIdx : null,
+            selected: { marker: { color: '#7c3aed', opacity: 1 } },
+            unselected: { marker: { opacity: 0.3 } },
+            showlegend: false
+        };
+        const annotations = [
+            {
+                text: `<b>${contrast.title}</b><br><span style="font-size:11px;color:#6b7280;">${points.length} genes | ${nDown} down, ${nUp} up at ${yStat} &lt; ${thr}</span>`,
+                xref: 'paper', yref: 'paper', x: 0.5, y: 1.02, xanchor: 'center', yanchor: 'bottom',
+                showarrow: false, font: prevAnn('title')?.font || { size: 15 }, visible: prevAnn('title')?.visible, _tsRole: 'title'
+            },
+            {
+                text: contrast.xLabel, xref: 'paper', yref: 'paper', x: 0.5, y: -0.08, xanchor: 'center', yanchor: 'top',
+                showarrow: false, font: prevAnn('xlabel')?.font || { size: 14 }, _tsRole: 'xlabel'
+            },
+            {
+                text: `−log10 ${yStat === 'q' ? 'q (FDR)' : 'p'}`, xref: 'paper', yref: 'paper', x: -0.06, y: 0.5, xanchor: 'center', yanchor: 'middle',
+                textangle: -90, showarrow: false, font: prevAnn('ylabel')?.font || { size: 14 }, _tsRole: 'ylabel'
+            },
+            ...this._volcanoLabelAnnotations()
+        ];
+        const layout = {
+            annotations,
+            shapes: [
+                { type: 'line', xref: 'paper', x0: 0, x1: 1, y0: -Math.log10(thr), y1: -Math.log10(thr), line: { color: '#9ca3af', width: 1, dash: 'dash' } },
+                { type: 'line', yref: 'paper', x0: 0, x1: 0, y0: 0, y1: 1, line: { color: '#d1d5db', width: 1 } }
+            ],
+            xaxis: { zeroline: false, tickfont: prevLayout?.xaxis?.tickfont || { size: 12 } },
+            yaxis: { zeroline: false, rangemode: 'tozero', tickfont: prevLayout?.yaxis?.tickfont || { size: 12 } },
+            font: prevLayout?.font || { family: 'Arial, Helvetica, sans-serif' },
+            margin: { t: 70, r: 30, b: 70, l: 75 },
+            hovermode: 'closest', dragmode: prevLayout?.dragmode || 'lasso',
+            paper_bgcolor: 'white', plot_bgcolor: 'white'
+        };
+
+        Plotly.react(plotEl, [trace], layout, { responsive: true, displaylogo: false, edits: { annotationPosition: true } });
+        if (!plotEl._volcanoHandlers) {
+            plotEl._volcanoHandlers = true;
+            plotEl.on('plotly_click', (e) => {
+                const pt = e?.points?.[0];
+                if (!pt || !this._volcano) return;
+                const name = this._volcano.points[pt.pointIndex]?.name;
+                if (!name) return;
+                if (this._volcano.labels.has(name)) this._volcano.labels.delete(name);
+                else this._volcano.labels.add(name);
+                this._updateVolcanoLabels();
+            });
+            plotEl.on('plotly_selected', (e) => {
+                if (!this._volcano) return;
+                this._volcano.selected = [...new Set((e?.points || []).map(pt => pt.customdata).filter(Boolean))];
+                this._updateVolcanoSelectionInfo();
+            });
+            plotEl.on('plotly_deselect', () => {
+                if (!this._volcano) return;
+                this._volcano.selected = [];
+                this._updateVolcanoSelectionInfo();
+            });
+        }
+        this._updateVolcanoSelectionInfo();
+    }
+
+    // Click-to-label annotations for the current volcano points
+    _volcanoLabelAnnotations() {
+        const v = this._volcano;
+        if (!v?.points || v.labels.size === 0) return [];
+        const anns = [];
+        v.points.forEach((d, i) => {
+            if (!v.labels.has(d.name)) return;
+            anns.push({
+                x: d.x, y: v.y[i], text: d.name,
+                showarrow: true, arrowhead: 0, arrowwidth: 0.8, arrowcolor: '#6b7280', ax: 0, ay: -18,
+                font: { size: 10, color: '#111827' },
+                bgcolor: 'rgba(255,255,255,0.85)', borderpad: 1,
+                _isVolcanoLabel: true
+            });
+        });
+        return anns;
+    }
+
+    _updateVolcanoLabels() {
+        const plotEl = document.getElementById('volcanoPlot');
+        if (!plotEl?.layout) return;
+        const base = (plotEl.layout.annotations || []).filter(a => !a._isVolcanoLabel);
+        Plotly.relayout(plotEl, { annotations: [...base, ...this._volcanoLabelAnnotations()] });
+    }
+
+    _updateVolcanoSelectionInfo() {
+        const n = this._volcano?.selected.length || 0;
+        document.getElementById('volcanoSelectionInfo').textContent = n > 0
+            ? `${n} gene${n === 1 ? '' : 's'} selected`
+            : 'Click a point to label it. Use the lasso (or box) tool to select genes.';
+        document.getElementById('volcanoSelEnrichr').disabled = n < 2;
+        document.getElementById('volcanoSelGeneInput').disabled = n === 0;
+    }
+
+    volcanoSelectionToEnrichr() {
+        const genes = this._volcano?.selected || [];
+        if (genes.length < 2) {
+            this.showCopyNotification('Need at least 2 genes for Enrichr analysis');
+            return;
+        }
+        const content = document.getElementById('enrichrContent');
+        document.getElementById('enrichrTitle').textContent = `Enrichr — ${genes.length} genes (volcano selection)`;
+        content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Submitting to Enrichr...</div>';
+        document.getElementById('enrichrModal').style.display = 'block';
+        this.submitToEnrichr(genes).catch(err => {
+            content.innerHTML = `<div style="text-align:center; padding:60px; color:#ef4444;">Failed to connect to Enrichr.<br><small style="color:#888;">${err.message}</small></div>`;
+        });
+    }
+
+    volcanoSelectionToGeneInput() {
+        const genes = this._volcano?.selected || [];
+        if (genes.length === 0) return;
+        document.getElementById('geneTextarea').value = genes.join('\n');
+        this.updateGeneCount();
+        this.showStatus('info', `Gene input set to volcano selection (${genes.length} genes)`);
+    }
+
+    // Selected points, or every plotted point when nothing is selected
+    downloadVolcanoCSV() {
+        const v = this._volcano;
+        if (!v?.points) return;
+        const selected = new Set(v.selected);
+        const rows = selected.size > 0 ? v.points.filter(d => selected.has(d.gene)) : v.points;
+        const contrast = this._volcanoContrasts(v.source).find(c => c.key === v.contrast);
+        const pf = (p) => p == null || isNaN(p) ? '' : this.formatPValue(p);
+        let csv = `# Volcano: ${contrast?.title || v.contrast}\n`;
+        csv += `# ${selected.size > 0 ? `Lasso selection (${rows.length} points)` : `All points (${rows.length})`}; q = BH FDR\n`;
+        csv += `Gene,${(contrast?.xLabel || 'Delta').replace(/,/g, ';')},pValue,qValue\n`;
+        rows.forEach(d => {
+            csv += `${d.name},${d.x.toFixed(4)},${pf(d.p)},${pf(d.q)}\n`;
+        });
+        this.downloadFile(csv, csvName(`volcano_${v.source === 'mutation' ? this.mutationResults?.hotspotGene : 'gates'}_${v.contrast}`), 'text/csv');
+    }
+
+    async exportVolcanoPlot(format) {
+        const plotEl = document.getElementById('volcanoPlot');
+        const v = this._volcano;
+        if (!plotEl?.data || !v) return;
+        await this._exportPlotly(plotEl, {
+            w: plotEl._fullLayout?.width || plotEl.offsetWidth,
+            h: plotEl._fullLayout?.height || plotEl.offsetHeight,
+            format,
+            filename: `volcano_${v.source === 'mutation' ? this.mutationResults?.hotspotGene : 'gates'}_${v.contrast}`,
+            meta: this._buildExportMetadata('volcano', {
+                source: v.source,
+                hotspotGene: v.source === 'mutation' ? this.mutationResults?.hotspotGene : null,
+                contrast: v.contrast,
+                yStat: v.yStat,
+                labels: [...v.labels],
+                textSettings: this._capturePlotTextSettings('volcanoPlot')
+            })
+        });
+    }
+
+    // ===== Preranked GSEA =====
+
+    // Ranked gene lists available for GSEA from one result source, as
+    // [{ key, label, title, metricLabel, values: [{ gene, x }] }]. Mutation
+    // and gate rankings reuse the volcano contrasts; mutation-frequency
+    // differences are per variant rather than per gene, so they are skipped.
+    _gseaRankings(source) {
+        if (source === 'mutation' || source === 'gate' || source === 'geGate') {
+            return this._volcanoContrasts(source).filter(c => c.key !== 'mutations').map(c => ({
+                key: c.key,
+                label: c.label,
+                title: c.title,
+                metricLabel: c.xLabel,
+                values: c.points.map(d => ({ gene: d.gene, x: d.x }))
+            }));
+        }
+        if (source === 'inspectCorrelates') {
+            const st = this._inspectCorrelatesState;
+            if (!st) return [];
+            const sym = this._corrSymbol(this.correlationMethod);
+            const rankings = [];
+            if (st.geHits.length) rankings.push({ key: 'ge', label: `GE correlates (${sym})`, title: `GE correlates of ${st.xGene}`, metricLabel: sym, values: st.geHits.map(h => ({ gene: h.gene, x: h.r })) });
+            if (st.exprHits.length) rankings.push({ key: 'expr', label: `Expression correlates (${sym})`, title: `Expression correlates of ${st.xGene}`, metricLabel: sym, values: st.exprHits.map(h => ({ gene: h.gene, x: h.r })) });
+            return rankings;
+        }
+        if (source === 'exprCorrelates') {
+            if (!this._exprCorrelateRanking?.length) return [];
+            const target = this._exprCorrelateContext?.targetGene || '';
+            return [{ key: 'expr', label: 'Expression correlates (r)', title: `Expression correlates of ${target} gene effect`, metricLabel: 'r', values: this._exprCorrelateRanking }];
+        }
+        return [];
+    }
+
+    async openGsea(source, preferredRanking) {
+        const rankings = this._gseaRankings(source);
+        if (rankings.length === 0) {
+            this.showStatus('error', 'No ranked results for GSEA — run the analysis first');
+            return;
+        }
+        const sel = document.getElementById('gseaRanking');
+        sel.innerHTML = rankings.map(r => `<option value="${r.key}">${r.label} — ${r.values.length} genes</option>`).join('');
+        if (preferredRanking && rankings.some(r => r.key === preferredRanking)) sel.value = preferredRanking;
+
+        const libs = await this._enrichmentLibraries();
+        const libSel = document.getElementById('gseaLibrary');
+        const prevLib = libSel.value;
+        libSel.innerHTML = (libs.length > 1 ? '<option value="all">All libraries</option>' : '') + libs.map(l => `<option value="${l.key}">${l.label} (${l.sets.length} sets)</option>`).join('');
+        if ([...libSel.options].some(o => o.value === prevLib)) libSel.value = prevLib;
+
+        document.getElementById('gseaModalTitle').textContent = source === 'mutation'
+            ? `GSEA — ${this.mutationResults.hotspotGene} Mutation Analysis`
+            : source === 'gate' || source === 'geGate' ? `GSEA — ${source === 'geGate' ? 'Gene effect plot' : 'Scatter'} gate comparison`
+            : 'GSEA — correlates';
+        this._gsea = { source, results: null, active: null };
+        document.getElementById('gseaResults').innerHTML = libs.length
+            ? '<div style="padding:40px; text-align:center; color:#6b7280;">Choose a ranking and library, then Run.<br><span style="font-size:11px;">Genes are ranked from the largest to the smallest value; a positive NES means the set sits towards the top of the list.</span>' +
+              (this._enrichmentUnavailable?.length ? `<br><span style="font-size:11px; color:#d97706;">${this._enrichmentUnavailableNote()}</span>` : '') + '</div>'
+            : `<div style="padding:40px; text-align:center; color:#6b7280;">${this._enrichmentUnavailableNote()}<br>Add a GMT file from the Enrichr window (Local engine).</div>`;
+        document.getElementById('gseaLeadingEdge').style.display = 'none';
+        document.getElementById('gseaModal').style.display = 'block';
+        const plotEl = document.getElementById('gseaPlot');
+        Plotly.purge(plotEl);
+    }
+
+    async runGseaFromModal() {
+        const g = this._gsea;
+        if (!g) return;
+        const ranking = this._gseaRankings(g.source).find(r => r.key === document.getElementById('gseaRanking').value);
+        if (!ranking) return;
+        const libKey = document.getElementById('gseaLibrary').value;
+        const libs = (await this._enrichmentLibraries()).filter(l => libKey === 'all' || l.key === libKey);
+        if (libs.length === 0) return;
+        const num = (id, def) => { const v = parseInt(document.getElementById(id).value, 10); return v > 0 ? v : def; };
+        const opts = { nPerm: num('gseaPerm', 1000), minSize: num('gseaMinSize', 15), maxSize: num('gseaMaxSize', 500) };
+
+        const out = document.getElementById('gseaResults');
+        const runBtn = document.getElementById('gseaRunBtn');
+        runBtn.disabled = true;
+        const results = [];
+        try {
+            for (const lib of libs) {
+                out.innerHTML = `<div style="padding:40px; text-align:center; color:#6b7280;">Running GSEA on ${lib.label} (${opts.nPerm} permutations)...</div>`;
+                await new Promise(r => setTimeout(r, 0));
+                const res = await this.runPrerankedGsea(ranking.values, lib.sets, opts);
+                res.rows.forEach(row => { row.library = lib.label; });
+                results.push(...res.rows);
+                g.ranked = res.ranked;
+            }
+        } finally {
+            runBtn.disabled = false;
+        }
+        const finite = (v) => isFinite(v) ? v : Infinity;
+        results.sort((a, b) => finite(a.fdr) - finite(b.fdr) || a.p - b.p || Math.abs(b.es) - Math.abs(a.es));
+        Object.assign(g, { results, ranking: { key: ranking.key, title: ranking.title, metricLabel: ranking.metricLabel }, libKey, opts, active: null });
+        this.renderGseaTable();
+        if (results.length) this.renderGseaPlot(0);
+    }
+
+    // Preranked GSEA (Subramanian et al. 2005, PNAS): weighted (p = 1)
+    // running-sum enrichment score with a gene-set permutation null. Random
+    // sets are drawn once per distinct set size (seeded, so reruns agree)
+    // and shared by all sets of that size. NES divides ES by the mean of the
+    // same-signed null; the FDR compares each NES with the pooled null NES
+    // of all tested sets, as in the GSEA desktop tool. `ranked` is
+    // [{ gene, x }]; sets are [[name, genes]].
+    async runPrerankedGsea(ranked, sets, { nPerm = 1000, minSize = 15, maxSize = 500 } = {}) {
+        const seen = new Set();
+        const list = ranked
+            .filter(d => d.gene && Number.isFinite(d.x))
+            .map(d => ({ gene: String(d.gene).toUpperCase(), x: d.x }))
+            .sort((a, b) => b.x - a.x)
+            .filter(d => !seen.has(d.gene) && seen.add(d.gene));
+        const N = list.length;
+        const weight = Float64Array.from(list, d => Math.abs(d.x));
+        const rankOf = new Map(list.map((d, i) => [d.gene, i]));
+
+        const tested = [];
+        sets.forEach(([term, members]) => {
+            const pos = [...new Set(members.map(m => rankOf.get(String(m).toUpperCase())).filter(i => i !== undefined))];
+            if (pos.length < minSize || pos.length > maxSize || pos.length >= N) return;
+            tested.push({ term, pos: Int32Array.from(pos).sort() });
+        });
+
+        // ES and the index (within the sorted hits) of the peak/trough
+        const score = (pos) => {
+            const K = pos.length;
+            let sumW = 0;
+            for (let i = 0; i < K; i++) sumW += weight[pos[i]];
+            const missStep = 1 / (N - K);
+            let run = 0, max = 0, min = 0, maxAt = -1, minAt = -1, prev = -1;
+            for (let i = 0; i < K; i++) {
+                run -= (pos[i] - prev - 1) * missStep;
+                if (run < min) { min = run; minAt = i; }
+                run += sumW > 0 ? weight[pos[i]] / sumW : 1 / K;
+                if (run > max) { max = run; maxAt = i; }
+                prev = pos[i];
+            }
+            return max >= -min ? { es: max, at: maxAt } : { es: min, at: minAt };
+        };
+
+        // mulberry32 — a seeded generator keeps permutation results reproducible
+        let seed = 0x9e3779b9;
+        const rand = () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        const shuffled = Int32Array.from({ length: N }, (_, i) => i);
+        const nullBySize = new Map();
+        const sizes = [...new Set(tested.map(t => t.pos.length))];
+        for (let s = 0; s < sizes.length; s++) {
+            const K = sizes[s];
+            const es = new Float64Array(nPerm);
+            for (let b = 0; b < nPerm; b++) {
+                // Partial Fisher–Yates: the first K entries become a uniform random K-subset
+                for (let i = 0; i < K; i++) {
+                    const j = i + Math.floor(rand() * (N - i));
+                    const tmp = shuffled[i]; shuffled[i] = shuffled[j]; shuffled[j] = tmp;
+                }
+                es[b] = score(shuffled.slice(0, K).sort()).es;
+            }
+            const pos = es.filter(v => v >= 0), neg = es.filter(v => v < 0);
+            nullBySize.set(K, {
+                pos, neg,
+                meanPos: pos.length ? pos.reduce((a, v) => a + v, 0) / pos.length : NaN,
+                meanNeg: neg.length ? -neg.reduce((a, v) => a + v, 0) / neg.length : NaN
+            });
+            if (s % 20 === 19) await new Promise(r => setTimeout(r, 0));
+        }
+
+        const rows = tested.map(t => {
+            const { es, at } = score(t.pos);
+            const nul = nullBySize.get(t.pos.length);
+            const same = es >= 0 ? nul.pos : nul.neg;
+            let beyond = 0;
+            for (let i = 0; i < same.length; i++) if (es >= 0 ? same[i] >= es : same[i] <= es) beyond++;
+            const leading = es >= 0 ? t.pos.slice(0, at + 1) : t.pos.slice(at);
+            return {
+                term: t.term,
+                size: t.pos.length,
+                es,
+                nes: es >= 0 ? es / nul.meanPos : es / nul.meanNeg,
+                p: (beyond + 1) / (same.length + 1),
+                leadingEdge: Array.from(leading, i => list[i].gene),
+                positions: t.pos
+            };
+        });
+
+        // FDR per sign: share of pooled null NES at least as extreme, over the
+        // share of observed NES at least as extreme. Each set contributes its
+        // size's null, so a size's null counts once per set of that size.
+        const setsPerSize = new Map();
+        tested.forEach(t => setsPerSize.set(t.pos.length, (setsPerSize.get(t.pos.length) || 0) + 1));
+        [1, -1].forEach(sign => {
+            const nulls = [...nullBySize.entries()].map(([K, nul]) => {
+                const nes = Float64Array.from(sign > 0 ? nul.pos : nul.neg, v => Math.abs(v / (sign > 0 ? nul.meanPos : nul.meanNeg))).sort();
+                return { nes, w: setsPerSize.get(K) };
+            });
+            const nullTotal = nulls.reduce((a, n) => a + n.w * n.nes.length, 0);
+            const obs = rows.filter(r => Math.sign(r.es) === sign || (sign > 0 && r.es === 0)).sort((a, b) => Math.abs(b.nes) - Math.abs(a.nes));
+            obs.forEach((r, i) => {
+                const t = Math.abs(r.nes);
+                let nullBeyond = 0;
+                nulls.forEach(n => {
+                    let lo = 0, hi = n.nes.length;
+                    while (lo < hi) { const mid = (lo + hi) >> 1; if (n.nes[mid] < t) lo = mid + 1; else hi = mid; }
+                    nullBeyond += n.w * (n.nes.length - lo);
+                });
+                const nullFrac = (nullBeyond + 1) / (nullTotal + 1);
+                r.fdr = isFinite(r.nes) ? Math.min(1, nullFrac / ((i + 1) / obs.length)) : NaN;
+            });
+        });
+
+        return { rows, ranked: list };
+    }
+
+    renderGseaTable() {
+        const g = this._gsea;
+        const out = document.getElementById('gseaResults');
+        if (!g?.results) return;
+        if (g.results.length === 0) {
+            out.innerHTML = `<div style="padding:40px; text-align:center; color:#6b7280;">No gene sets with ${g.opts.minSize}–${g.opts.maxSize} genes in this ranking.</div>`;
+            return;
+        }
+        const DISPLAY_CAP = 500;
+        const fmt = (v, d) => isFinite(v) ? v.toFixed(d) : '—';
+        const pv = (v) => !isFinite(v) ? '—' : v >= 1 ? '1' : this.formatPValue(v);
+        const nSig = g.results.filter(r => r.fdr < 0.25).length;
+        let html = `<div style="font-size:11px; color:#6b7280; padding:6px 8px;">${g.results.length} sets tested, ${nSig} at FDR &lt; 0.25 — ${g.ranking.title}; ${g.ranked.length} ranked genes, ${g.opts.nPerm} permutations. Click a row for its enrichment plot.</div>`;
+        html += '<table style="width:100%; border-collapse:collapse; font-size:11px;"><thead style="background:#f9fafb; position:sticky; top:0;"><tr>';
+        ['Library', 'Gene set', 'Size', 'ES', 'NES', 'p', 'FDR q', 'Leading edge'].forEach((h, i) => {
+            html += `<th style="padding:5px 6px; border-bottom:2px solid #d1d5db; text-align:${i < 2 ? 'left' : 'center'}; white-space:nowrap;">${h}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        g.results.slice(0, DISPLAY_CAP).forEach((r, i) => {
+            const active = g.active === i;
+            html += `<tr class="gsea-row" data-idx="${i}" style="cursor:pointer; border-bottom:1px solid #f3f4f6;${active ? ' background:#f0fdf4;' : ''}">
+                <td style="padding:4px 6px; color:#6b7280;">${r.library}</td>
+                <td style="padding:4px 6px; max-width:280px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;" title="${r.term.replace(/"/g, '&quot;')}">${r.term}</td>
+                <td style="padding:4px 6px; text-align:center;">${r.size}</td>
+                <td style="padding:4px 6px; text-align:center;">${fmt(r.es, 3)}</td>
+                <td style="padding:4px 6px; text-align:center; font-weight:600; color:${r.nes < 0 ? '#dc2626' : '#16a34a'};">${fmt(r.nes, 2)}</td>
+                <td style="padding:4px 6px; text-align:center; font-family:monospace;">${pv(r.p)}</td>
+                <td style="padding:4px 6px; text-align:center; font-family:monospace;${r.fdr < 0.25 ? ' font-weight:700;' : ''}">${pv(r.fdr)}</td>
+                <td style="padding:4px 6px; text-align:center;" title="${r.leadingEdge.join(', ')}">${r.leadingEdge.length}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        if (g.results.length > DISPLAY_CAP) html += `<div style="font-size:11px; color:#9ca3af; padding:6px 8px;">Showing the top ${DISPLAY_CAP}; the CSV has all ${g.results.length}.</div>`;
+        out.innerHTML = html;
+        out.querySelectorAll('.gsea-row').forEach(tr => {
+            tr.addEventListener('click', () => this.renderGseaPlot(parseInt(tr.dataset.idx, 10)));
+        });
+    }
+
+    // Classic three-panel enrichment plot: running ES, hit positions
+    // (leading edge highlighted) and the ranked metric.
+    renderGseaPlot(idx) {
+        const g = this._gsea;
+        const r = g?.results?.[idx];
+        if (!r) return;
+        if (g.active !== idx) {
+            g.active = idx;
+            this.renderGseaTable();
+        }
+        const N = g.ranked.length, K = r.size;
+        let sumW = 0;
+        r.positions.forEach(p => { sumW += Math.abs(g.ranked[p].x); });
+        // The running sum is linear between hits, so two points per hit draw it exactly
+        const esX = [1], esY = [0];
+        let run = 0, prev = -1;
+        r.positions.forEach(p => {
+            run -= (p - prev - 1) / (N - K);
+            esX.push(p + 1); esY.push(run);
+            run += sumW > 0 ? Math.abs(g.ranked[p].x) / sumW : 1 / K;
+            esX.push(p + 1); esY.push(run);
+            prev = p;
+        });
+        esX.push(N); esY.push(0);
+
+        const leading = new Set(r.leadingEdge);
+        const tickTrace = (inLeading) => {
+            const x = [], y = [];
+            r.positions.forEach(p => {
+                if (leading.has(g.ranked[p].gene) !== inLeading) return;
+                x.push(p + 1, p + 1, null); y.push(0, 1, null);
+            });
+            return { type: 'scatter', mode: 'lines', x, y, xaxis: 'x', yaxis: 'y2', line: { color: inLeading ? '#16a34a' : '#111827', width: 1 }, hoverinfo: 'skip', showlegend: false };
+        };
+        const step = Math.max(1, Math.ceil(N / 2000));
+        const metricX = [], metricY = [];
+        for (let i = 0; i < N; i += step) { metricX.push(i + 1); metricY.push(g.ranked[i].x); }
+        metricX.push(N); metricY.push(g.ranked[N - 1].x);
+
+        const plotEl = document.getElementById('gseaPlot');
+        const prevLayout = plotEl.layout;
+        const prevAnn = (role) => prevLayout?.annotations?.find(a => a._tsRole === role);
+        const L = r.leadingEdge.length;
+        const peak = L === 0 ? 1 : r.es >= 0 ? r.positions[L - 1] + 1 : r.positions[K - L] + 1;
+        const traces = [
+            { type: 'scatter', mode: 'lines', x: esX, y: esY, xaxis: 'x', yaxis: 'y', line: { color: '#16a34a', width: 2 }, hovertemplate: 'Rank %{x}<br>ES %{y:.3f}<extra></extra>', showlegend: false },
+            tickTrace(false),
+            tickTrace(true),
+            { type: 'scatter', mode: 'lines', x: metricX, y: metricY, xaxis: 'x', yaxis: 'y3', fill: 'tozeroy', line: { color: '#9ca3af', width: 1 }, fillcolor: 'rgba(156,163,175,0.5)', hovertemplate: `Rank %{x}<br>${g.ranking.metricLabel} %{y:.3f}<extra></extra>`, showlegend: false }
+        ];
+        const annotations = [
+            {
+                text: `<b>${r.term}</b><br><span style="font-size:11px;color:#6b7280;">${g.ranking.title} | NES ${isFinite(r.nes) ? r.nes.toFixed(2) : '—'}, p ${r.p >= 1 ? '1' : this.formatPValue(r.p)}, FDR ${!isFinite(r.fdr) ? '—' : r.fdr >= 1 ? '1' : this.formatPValue(r.fdr)}</span>`,
+                xref: 'paper', yref: 'paper', x: 0.5, y: 1.02, xanchor: 'center', yanchor: 'bottom',
+                showarrow: false, font: prevAnn('title')?.font || { size: 15 }, visible: prevAnn('title')?.visible, _tsRole: 'title'
+            },
+            {
+                text: `Rank in ordered list (${g.ranking.metricLabel}, high → low)`, xref: 'paper', yref: 'paper', x: 0.5, y: -0.08, xanchor: 'center', yanchor: 'top',
+                showarrow: false, font: prevAnn('xlabel')?.font || { size: 14 }, _tsRole: 'xlabel'
+            },
+            {
+                text: 'Enrichment score (ES)', xref: 'paper', yref: 'paper', x: -0.07, y: 0.72, xanchor: 'center', yanchor: 'middle',
+                textangle: -90, showarrow: false, font: prevAnn('ylabel')?.font || { size: 14 }, _tsRole: 'ylabel'
+            }
+        ];
+        const layout = {
+            annotations,
+            shapes: [
+                { type: 'line', xref: 'x', yref: 'y', x0: 1, x1: N, y0: 0, y1: 0, line: { color: '#9ca3af', width: 1 } },
+                { type: 'line', xref: 'x', yref: 'y', x0: peak, x1: peak, y0: 0, y1: r.es, line: { color: '#dc2626', width: 1, dash: 'dash' } }
+            ],
+            xaxis: { anchor: 'y3', range: [1, N], zeroline: false, tickfont: prevLayout?.xaxis?.tickfont || { size: 12 } },
+            yaxis: { domain: [0.45, 1], zeroline: false, tickfont: prevLayout?.yaxis?.tickfont || { size: 12 } },
+            yaxis2: { domain: [0.34, 0.42], range: [0, 1], showticklabels: false, showgrid: false, zeroline: false },
+            yaxis3: { domain: [0, 0.3], zeroline: true, title: { text: g.ranking.metricLabel, font: { size: 12 } }, tickfont: { size: 10 } },
+            font: prevLayout?.font || { family: 'Arial, Helvetica, sans-serif' },
+            margin: { t: 70, r: 30, b: 70, l: 80 },
+            hovermode: 'closest',
+            paper_bgcolor: 'white', plot_bgcolor: 'white'
+        };
+        Plotly.react(plotEl, traces, layout, { responsive: true, displaylogo: false, edits: { annotationPosition: true } });
+
+        document.getElementById('gseaLeadingEdge').style.display = 'flex';
+        document.getElementById('gseaLeadingEdgeInfo').innerHTML = `<b>Leading edge</b> (${r.leadingEdge.length} of ${r.size}): ${r.leadingEdge.join(', ')}`;
+    }
+
+    gseaLeadingEdgeToEnrichr() {
+        const r = this._gsea?.results?.[this._gsea.active];
+        if (!r || r.leadingEdge.length < 2) {
+            this.showCopyNotification('Need at least 2 genes for Enrichr analysis');
+            return;
+        }
+        const genes = r.leadingEdge;
+        const content = document.getElementById('enrichrContent');
+        document.getElementById('enrichrTitle').textContent = `Enrichr — ${genes.length} genes (GSEA leading edge)`;
+        content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Submitting to Enrichr...</div>';
+        document.getElementById('enrichrModal').style.display = 'block';
+        this.submitToEnrichr(genes).catch(err => {
+            content.innerHTML = `<div style="text-align:center; padding:60px; color:#ef4444;">Failed to connect to Enrichr.<br><small style="color:#888;">${err.message}</small></div>`;
+        });
+    }
+
+    gseaLeadingEdgeToGeneInput() {
+        const r = this._gsea?.results?.[this._gsea.active];
+        if (!r) return;
+        document.getElementById('geneTextarea').value = r.leadingEdge.join('\n');
+        this.updateGeneCount();
+        this.showStatus('info', `Gene input set to the leading edge of ${r.term} (${r.leadingEdge.length} genes)`);
+    }
+
+    downloadGseaCSV() {
+        const g = this._gsea;
+        if (!g?.results?.length) return;
+        const pf = (p) => p == null || isNaN(p) ? '' : p >= 1 ? '1' : this.formatPValue(p);
+        let csv = `# Preranked GSEA: ${g.ranking.title} (${g.ranked.length} ranked genes, ranked by ${g.ranking.metricLabel} high to low)\n`;
+        csv += `# ${g.opts.nPerm} gene-set permutations; set size ${g.opts.minSize}-${g.opts.maxSize}; FDR per library\n`;
+        csv += 'Library,GeneSet,Size,ES,NES,pValue,FDR,LeadingEdgeN,LeadingEdgeGenes\n';
+        g.results.forEach(r => {
+            csv += `"${r.library.replace(/"/g, '""')}","${r.term.replace(/"/g, '""')}",${r.size},${r.es.toFixed(4)},${isFinite(r.nes) ? r.nes.toFixed(4) : ''},${pf(r.p)},${pf(r.fdr)},${r.leadingEdge.length},"${r.leadingEdge.join(';')}"\n`;
+        });
+        this.downloadFile(csv, csvName(`gsea_${g.source === 'mutation' ? this.mutationResults?.hotspotGene : g.source}_${g.ranking.key}`), 'text/csv');
+    }
+
+    async exportGseaPlot(format) {
+        const plotEl = document.getElementById('gseaPlot');
+        const g = this._gsea;
+        const r = g?.results?.[g.active];
+        if (!plotEl?.data || !r) return;
+        await this._exportPlotly(plotEl, {
+            w: plotEl._fullLayout?.width || plotEl.offsetWidth,
+            h: plotEl._fullLayout?.height || plotEl.offsetHeight,
+            format,
+            filename: `gsea_${r.term.replace(/[^A-Za-z0-9_-]+/g, '_').slice(0, 60)}`,
+            meta: this._buildExportMetadata('gsea', {
+                source: g.source,
+                ranking: g.ranking.title,
+                geneSet: r.term,
+                library: r.library,
+                nes: r.nes,
+                fdr: r.fdr,
+                permutations: g.opts.nPerm,
+                textSettings: this._capturePlotTextSettings('gseaPlot')
+            })
+        });
+    }
+
     // Phase 3 — exportForAI now opens the shared AI export dialog. Same
     // dialog every other source uses, so the user always sees the cohort
     // size, what data will be exported, the question textarea, and the
@@ -6177,11 +9993,7 @@ class CorrelationExplorer {
         const hotspotGene = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mutationData = isTranslocation
-            ? this.translocations.geneData[hotspotGene]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[hotspotGene]
-                : this.mutations.geneData[hotspotGene];
+        const mutationData = this._mutationResultSource(mr)?.geneData?.[hotspotGene];
         const geneIdx = this.geneIndex.get(gene.toUpperCase());
 
         if (geneIdx === undefined) {
@@ -6241,10 +10053,7 @@ class CorrelationExplorer {
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
 
@@ -6285,6 +10094,7 @@ class CorrelationExplorer {
             const ge = this.geneEffects[geneIdx * this.nCellLines + idx];
             if (isNaN(ge)) return;
 
+            if (this._isUncalled(mutationData, cellLine)) return;
             const mutLevel = isTranslocation
                 ? (mutationData.translocations[cellLine] || 0)
                 : (mutationData.mutations[cellLine] || 0);
@@ -6311,8 +10121,9 @@ class CorrelationExplorer {
         const jitter = (base, spread = 0.15) => base + (Math.random() - 0.5) * spread;
 
         // Labels and colors depend on mutation type
-        const mut1Label = isTranslocation ? '1 fusion partner' : isDamaging ? 'Damaging mutation' : '1 mutation';
-        const mut2Label = isTranslocation ? '2+ fusion partners' : isDamaging ? '' : '2 mutations';
+        const cnDel = mr.cnDirection === 'del';
+        const mut1Label = isTranslocation ? '1 fusion partner' : isDamaging ? 'Damaging mutation' : mr.isCopyNumber ? (cnDel ? 'Loss' : 'Gain') : mr.isBiomarker ? `${hotspotGene} high` : mr.isVariant ? `${mr.variant.variant}, 1 mutation` : '1 mutation';
+        const mut2Label = isTranslocation ? '2+ fusion partners' : isDamaging || mr.isBiomarker ? '' : mr.isCopyNumber ? (cnDel ? 'Deep deletion' : 'Amplification') : mr.isVariant ? `${mr.variant.variant}, 2 mutations` : '2 mutations';
         const color1 = '#3b82f6';
         const color2 = '#dc2626';
 
@@ -6464,7 +10275,7 @@ class CorrelationExplorer {
         }
         if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
             const ll = { '0': 'WT', '1': 'Mut', '2': 'Mut', '1+2': 'Mut' };
-            filterInfo.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || mr.additionalHotspotLevel}`);
+            filterInfo.push(`${mr.additionalHotspot} ${ll[mr.additionalHotspotLevel] || this._hotspotLevelText(mr.additionalHotspotLevel)}`);
         }
         if (mr.additionalTransGene && mr.additionalTransLevel !== 'all') {
             const ll = { '0': 'WT', '1': 'Fused', '2': 'Fused', '1+2': 'Fused' };
@@ -6498,11 +10309,12 @@ class CorrelationExplorer {
         // Combine lineage info and stats in subtitle
         const subtitle = `${lineageText}<br>${statsLine1}<br>${statsLine2}`;
 
-        const statusLabel = isTranslocation ? 'Fusion Status' : isDamaging ? 'Damaging Mutation' : 'Mutation Status';
-        const yAxisTitle = isTranslocation ? `${hotspotGene} Fusions` : isDamaging ? `${hotspotGene} Damaging` : `${hotspotGene} Mutations`;
-        const tick0Label = isTranslocation ? '0 No fusion' : '0 WT';
-        const tick1Label = isTranslocation ? '1 partner' : isDamaging ? '1 Damaging' : '1';
-        const tick2Label = isTranslocation ? '2+ partners' : '2';
+        const markerLayer = mr.biomarker?.layer === 'expr' ? 'Expression' : 'Gene Effect';
+        const statusLabel = isTranslocation ? 'Fusion Status' : isDamaging ? 'Damaging Mutation' : mr.isCopyNumber ? 'Copy Number' : mr.isBiomarker ? `${markerLayer} Group` : mr.isVariant ? `${mr.variant.variant} Status` : 'Mutation Status';
+        const yAxisTitle = isTranslocation ? `${hotspotGene} Fusions` : isDamaging ? `${hotspotGene} Damaging` : mr.isCopyNumber ? `${hotspotGene} Copy Number` : mr.isBiomarker ? `${hotspotGene} ${markerLayer}` : `${hotspotGene} Mutations`;
+        const tick0Label = isTranslocation ? '0 No fusion' : mr.isCopyNumber ? '0 Neutral' : mr.isBiomarker ? 'Low' : mr.variant?.reference === 'other' ? '0 Other mut' : '0 WT';
+        const tick1Label = isTranslocation ? '1 partner' : isDamaging ? '1 Damaging' : mr.isCopyNumber ? (cnDel ? '1 Loss' : '1 Gain') : mr.isBiomarker ? 'High' : '1';
+        const tick2Label = isTranslocation ? '2+ partners' : mr.isCopyNumber ? (cnDel ? '2 Deep del' : '2 Amp') : '2';
 
         const titleText = `${gene} Gene Effect by ${hotspotGene} ${statusLabel}`;
         const subtitleText = subtitle;
@@ -6576,7 +10388,7 @@ class CorrelationExplorer {
 
         // Show modal
         document.getElementById('geneEffectModal').style.display = 'flex';
-        document.getElementById('geneEffectTitle').textContent = `${gene} Gene Effect by ${hotspotGene} ${isTranslocation ? 'Fusion' : isDamaging ? 'Damaging Mutation' : 'Mutation'}`;
+        document.getElementById('geneEffectTitle').textContent = `${gene} Gene Effect by ${hotspotGene} ${isTranslocation ? 'Fusion' : isDamaging ? 'Damaging Mutation' : mr.isCopyNumber ? 'Copy Number' : mr.isBiomarker ? `${mr.biomarker.layer === 'expr' ? 'Expression' : 'GE'} Group` : mr.isVariant ? `${mr.variant.variant} Variant` : 'Mutation'}`;
 
         // Populate tissue filter dropdown with ALL lineages (inspect can override analysis filters)
         const tissueFilterEl = document.getElementById('geTissueFilter');
@@ -6653,12 +10465,8 @@ class CorrelationExplorer {
         // so the user knows whether a gene has enough samples to stratify by.
         const hotspotGeneSelectEl = document.getElementById('geHotspotGeneSelect');
         if (hotspotGeneSelectEl) {
-            const geneList = isTranslocation
-                ? (this.translocations?.genes || [])
-                : isDamaging
-                    ? (this.damagingMutations?.genes || [])
-                    : (this.mutations?.genes || []);
-            const src = isTranslocation ? this.translocations : (isDamaging ? this.damagingMutations : this.mutations);
+            const src = this._mutationResultSource(mr);
+            const geneList = src?.genes || [];
             const innerKey = isTranslocation ? 'translocations' : 'mutations';
             // Pre-build a set of cell lines that pass mutation-analysis filters.
             const eligibleCL = new Set();
@@ -6879,6 +10687,12 @@ class CorrelationExplorer {
                 hotspotGene: this.mutationResults?.hotspotGene,
                 isTranslocation: this.mutationResults?.isTranslocation || false,
                 isDamaging: this.mutationResults?.isDamaging || false,
+                isCopyNumber: this.mutationResults?.isCopyNumber || false,
+                cnDirection: this.mutationResults?.cnDirection || null,
+                cnThresholds: this.mutationResults?.cnThresholds || null,
+                biomarker: this.mutationResults?.biomarker || null,
+                variant: this.mutationResults?.variant || null,
+                lineageMeta: this.mutationResults?.lineageMeta || null,
                 lineageFilter: this.mutationResults?.lineageFilter || '',
                 subLineageFilter: this.mutationResults?.subLineageFilter || '',
                 textSettings: this._capturePlotTextSettings('geneEffectPlot'),
@@ -6930,70 +10744,71 @@ class CorrelationExplorer {
         this.downloadFile(csv, filename, 'text/csv');
     }
 
-    calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork = false, includeGrowthRate = false) {
+    // adjustBy: 'none' | 'lineage' | 'sublineage'. When set, every vector is
+    // centred within its lineage (or lineage + subtype) group first, the cutoff
+    // applies to that partial correlation, and each edge carries both
+    // rawCorrelation and adjustedCorrelation (correlation = the displayed one).
+    // Every edge also gets pValue and a BH qValue over all pairs tested with
+    // n >= minN; maxQ (1 = off) drops edges above that FDR.
+    // queryLayer / targetLayer ('ge' | 'expr') pick the data behind the input
+    // genes and the genes they are scanned against; expression nodes carry
+    // EXPR_NODE_SUFFIX. Across layers every input × target pair is tested.
+    calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork = false, includeGrowthRate = false, adjustBy = 'none', maxQ = 1, queryLayer = 'ge', targetLayer = 'ge') {
         const correlations = [];
+        const pValues = [];
+        const crossLayer = queryLayer !== targetLayer;
         let targetGenes;
 
         if (mode === 'analysis') {
             // Analysis mode: correlate genes within the list
-            targetGenes = geneList;
+            targetGenes = this._layerNodes(targetLayer, geneList);
         } else {
-            // Design mode: correlate against all genes
-            targetGenes = Array.from(this.geneIndex.keys());
-        }
-
-        // Get gene data for input genes
-        const inputData = new Map();
-        geneList.forEach(gene => {
-            const idx = this.geneIndex.get(gene);
-            const fullData = this.getGeneData(idx);
-            const filteredData = cellLineIndices.map(i => fullData[i]);
-            inputData.set(gene, filteredData);
-        });
-
-        // If growth rate is included, build its pseudo-gene vector and add to input
-        const GROWTH_RATE_LABEL = '⚡ Growth Rate';
-        if (includeGrowthRate && this.growthRateData) {
-            const growthData = cellLineIndices.map(i => {
-                const cl = this.metadata.cellLines[i];
-                const v = this.growthRateData[cl];
-                return v !== undefined ? v : NaN;
-            });
-            inputData.set(GROWTH_RATE_LABEL, growthData);
-            geneList = [...geneList, GROWTH_RATE_LABEL];
-        }
+            // Design mode: correlate against all genes of the target layer
+            targetGenes = this._layerNodes(targetLayer);
+        }
+
+        const method = this.correlationMethod;
+
+        // Get gene data for input genes (plus the growth-rate pseudo-gene if requested)
+        const inputData = this._buildCorrelationInputData(geneList, cellLineIndices, includeGrowthRate, queryLayer);
+        geneList = Array.from(inputData.keys());
+
+        // Lineage adjustment: residuals of the input vectors are reused for every target
+        const covariates = adjustBy !== 'none' ? this._covariateGroups(cellLineIndices, adjustBy) : null;
+        const residualize = covariates ? (data) => residualizeByGroup(data, covariates.groups, covariates.nGroups) : null;
+        const inputResiduals = new Map();
+        if (residualize) inputData.forEach((data, gene) => inputResiduals.set(gene, residualize(data)));
+        const nCovariates = covariates ? covariates.nGroups - 1 : 0;
+        // countTest = false for the reverse of an input–input pair already tested
+        const testPair = (gene1, data1, resid1, gene2, data2, resid2, countTest = true) => {
+            const result = this._evaluateCorrelationPair(data1, data2, resid1, resid2, method, minN, cutoff, minSlope, countTest ? pValues : null, nCovariates);
+            if (result) correlations.push(this._correlationEdge(gene1, gene2, result));
+        };
 
         // Calculate correlations (first pass: input genes vs target genes)
         for (let i = 0; i < geneList.length; i++) {
             const gene1 = geneList[i];
             const data1 = inputData.get(gene1);
+            const resid1 = inputResiduals.get(gene1);
 
-            const startJ = mode === 'analysis' ? i + 1 : 0;
+            const startJ = mode === 'analysis' && !crossLayer ? i + 1 : 0;
             for (let j = startJ; j < targetGenes.length; j++) {
                 const gene2 = targetGenes[j];
                 if (gene1 === gene2) continue;
                 // In analysis mode, startJ = i+1 already prevents duplicates
 
-                let data2;
+                let data2, resid2, countTest = true;
                 if (inputData.has(gene2)) {
                     data2 = inputData.get(gene2);
+                    resid2 = inputResiduals.get(gene2);
+                    countTest = geneList.indexOf(gene2) > i;
                 } else {
-                    const idx = this.geneIndex.get(gene2);
-                    const fullData = this.getGeneData(idx);
+                    const fullData = this.getNodeData(gene2);
                     data2 = cellLineIndices.map(i => fullData[i]);
+                    resid2 = residualize ? residualize(data2) : null;
                 }
 
-                const result = this.pearsonWithSlope(data1, data2);
-                if (result.n >= minN && Math.abs(result.correlation) >= cutoff && Math.abs(result.slope) >= minSlope) {
-                    correlations.push({
-                        gene1: gene1,
-                        gene2: gene2,
-                        correlation: Math.round(result.correlation * 1000) / 1000,
-                        slope: Math.round(result.slope * 1000) / 1000,
-                        n: result.n,
-                        cluster: 0
-                    });
-                }
+                testPair(gene1, data1, resid1, gene2, data2, resid2, countTest);
             }
         }
 
@@ -7007,12 +10822,14 @@ class CorrelationExplorer {
 
             const discoveredArray = Array.from(discoveredGenes);
             if (discoveredArray.length > 1) {
-                // Cache gene data for discovered genes
+                // Cache gene data (and residuals) for discovered genes
                 const discoveredData = new Map();
+                const discoveredResiduals = new Map();
                 discoveredArray.forEach(gene => {
-                    const idx = this.geneIndex.get(gene);
-                    const fullData = this.getGeneData(idx);
-                    discoveredData.set(gene, cellLineIndices.map(i => fullData[i]));
+                    const fullData = this.getNodeData(gene);
+                    const data = cellLineIndices.map(i => fullData[i]);
+                    discoveredData.set(gene, data);
+                    if (residualize) discoveredResiduals.set(gene, residualize(data));
                 });
 
                 // Find correlations between discovered genes (pairwise)
@@ -7022,30 +10839,132 @@ class CorrelationExplorer {
 
                     for (let j = i + 1; j < discoveredArray.length; j++) {
                         const gene2 = discoveredArray[j];
-                        const data2 = discoveredData.get(gene2);
-
-                        const result = this.pearsonWithSlope(data1, data2);
-                        if (result.n >= minN && Math.abs(result.correlation) >= cutoff && Math.abs(result.slope) >= minSlope) {
-                            correlations.push({
-                                gene1: gene1,
-                                gene2: gene2,
-                                correlation: Math.round(result.correlation * 1000) / 1000,
-                                slope: Math.round(result.slope * 1000) / 1000,
-                                n: result.n,
-                                cluster: 0
-                            });
-                        }
+                        testPair(gene1, data1, discoveredResiduals.get(gene1), gene2, discoveredData.get(gene2), discoveredResiduals.get(gene2));
                     }
                 }
             }
         }
 
+        return this._finalizeCorrelationResults(correlations, geneList, mode, cutoff, minN, minSlope, cellLineIndices, method, adjustBy, covariates, pValues, maxQ, queryLayer, targetLayer);
+    }
+
+    // One pair against the run thresholds. Without residuals this is the plain
+    // method correlation; with them the cutoff applies to the adjusted value and
+    // the raw r / slope are reported alongside. The p-value of every pair with
+    // n >= minN goes into pValues (for BH). Returns null when the pair fails.
+    _evaluateCorrelationPair(data1, data2, resid1, resid2, method, minN, cutoff, minSlope, pValues = null, nCovariates = 0) {
+        const isAdjusted = !!(resid1 && resid2);
+        const result = this.correlateWithSlope(isAdjusted ? resid1 : data1, isAdjusted ? resid2 : data2, method);
+        if (result.n < minN || isNaN(result.correlation)) return null;
+        const pValue = correlationPValue(result.correlation, result.n, isAdjusted ? nCovariates : 0);
+        if (pValues && !isNaN(pValue)) pValues.push(pValue);
+        if (!(Math.abs(result.correlation) >= cutoff)) return null;
+        if (!isAdjusted) return Math.abs(result.slope) >= minSlope ? { ...result, pValue } : null;
+        const raw = this.correlateWithSlope(data1, data2, method);
+        if (!(Math.abs(raw.slope) >= minSlope)) return null;
+        return { correlation: result.correlation, adjustedCorrelation: result.correlation, rawCorrelation: raw.correlation, slope: raw.slope, n: result.n, pValue };
+    }
+
+    // Rounded edge record as stored in results.correlations.
+    _correlationEdge(gene1, gene2, result) {
+        const round3 = v => Math.round(v * 1000) / 1000;
+        const edge = {
+            gene1: gene1,
+            gene2: gene2,
+            correlation: round3(result.correlation),
+            slope: round3(result.slope),
+            n: result.n,
+            pValue: result.pValue,
+            cluster: 0
+        };
+        if (result.adjustedCorrelation !== undefined) {
+            edge.rawCorrelation = round3(result.rawCorrelation);
+            edge.adjustedCorrelation = round3(result.adjustedCorrelation);
+        }
+        return edge;
+    }
+
+    // Benjamini–Hochberg q for each edge, ranked among all tested p-values
+    // (allP may be far larger than the edge list, so ranks come from a binary
+    // search of the sorted p-values rather than adjusting the edges alone).
+    _assignEdgeQValues(correlations, allP) {
+        const sorted = Float64Array.from(allP).sort();
+        const m = sorted.length;
+        const q = new Float64Array(m);
+        let running = 1;
+        for (let i = m - 1; i >= 0; i--) {
+            running = Math.min(running, sorted[i] * m / (i + 1));
+            q[i] = running;
+        }
+        correlations.forEach(c => {
+            if (c.pValue === undefined || isNaN(c.pValue)) { c.qValue = NaN; return; }
+            // Last index with p <= c.pValue — ties share the largest rank
+            let lo = 0, hi = m;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sorted[mid] <= c.pValue) lo = mid + 1; else hi = mid;
+            }
+            c.qValue = lo > 0 ? q[lo - 1] : Math.min(1, c.pValue * m);
+        });
+    }
+
+    // Covariate group index per filtered cell line for lineage adjustment:
+    // lineage, or lineage + subtype (primary disease). Unannotated lines share
+    // an 'Unknown' group.
+    _covariateGroups(cellLineIndices, adjustBy) {
+        const keys = new Map();
+        const groups = new Int32Array(cellLineIndices.length);
+        cellLineIndices.forEach((idx, k) => {
+            const cl = this.metadata.cellLines[idx];
+            let key = this.cellLineMetadata?.lineage?.[cl] || 'Unknown';
+            if (adjustBy === 'sublineage') key += '|' + (this.cellLineMetadata?.primaryDisease?.[cl] || 'Unknown');
+            if (!keys.has(key)) keys.set(key, keys.size);
+            groups[k] = keys.get(key);
+        });
+        return { groups, nGroups: keys.size };
+    }
+
+    // Filtered input-gene vectors keyed by node id, in input order, from the
+    // given data layer. The growth-rate pseudo-gene is appended last when
+    // requested and available.
+    _buildCorrelationInputData(geneList, cellLineIndices, includeGrowthRate, layer = 'ge') {
+        const inputData = new Map();
+        this._layerNodes(layer, geneList).forEach(node => {
+            const fullData = this.getNodeData(node);
+            const filteredData = cellLineIndices.map(i => fullData[i]);
+            inputData.set(node, filteredData);
+        });
+
+        if (includeGrowthRate && this.growthRateData) {
+            const growthData = cellLineIndices.map(i => {
+                const cl = this.metadata.cellLines[i];
+                const v = this.growthRateData[cl];
+                return v !== undefined ? v : NaN;
+            });
+            inputData.set(CorrelationExplorer.GROWTH_RATE_LABEL, growthData);
+        }
+        return inputData;
+    }
+
+    // Shared tail of calculateCorrelations / calculateCorrelationsInWorkers:
+    // clusters the passing edges and builds the per-gene summary rows.
+    _finalizeCorrelationResults(correlations, geneList, mode, cutoff, minN, minSlope, cellLineIndices, method = 'pearson', adjustBy = 'none', covariates = null, pValues = null, maxQ = 1, queryLayer = 'ge', targetLayer = 'ge') {
+        const GROWTH_RATE_LABEL = CorrelationExplorer.GROWTH_RATE_LABEL;
+
+        // BH over every test performed, not just the edges that passed the cutoff
+        const nTests = pValues ? pValues.length : 0;
+        if (pValues) {
+            this._assignEdgeQValues(correlations, pValues);
+            if (maxQ < 1) correlations = correlations.filter(c => c.qValue <= maxQ);
+        }
+
         if (correlations.length === 0) {
-            return { success: false, error: `No correlations found (cutoff: ${cutoff}, min slope: ${minSlope}, min cells: ${minN}). Try lowering thresholds or adjusting filters.` };
+            const qText = maxQ < 1 ? `, max q: ${maxQ}` : '';
+            return { success: false, error: `No correlations found (cutoff: ${cutoff}, min slope: ${minSlope}, min cells: ${minN}${qText}). Try lowering thresholds or adjusting filters.` };
         }
 
-        // Assign clusters using simple connected components
-        const clusters = this.findClusters(correlations);
+        // Assign clusters (connected components or Louvain communities)
+        const { genes: clusters, clusterOf, modularity } = this.findClusters(correlations, this.clusterMethod, this.clusterResolution);
 
         // Calculate mean effect for each gene (both all cells and filtered cells)
         const clusterData = clusters.map(gene => {
@@ -7059,8 +10978,7 @@ class CorrelationExplorer {
                     return this.growthRateData[cl] ?? NaN;
                 }).filter(v => !isNaN(v));
             } else {
-                const idx = this.geneIndex.get(gene);
-                fullData = this.getGeneData(idx);
+                fullData = this.getNodeData(gene);
                 allValidData = Array.from(fullData).filter(v => !isNaN(v));
                 filteredData = cellLineIndices.map(i => fullData[i]).filter(v => !isNaN(v));
             }
@@ -7077,7 +10995,7 @@ class CorrelationExplorer {
 
             return {
                 gene: gene,
-                cluster: correlations.find(c => c.gene1 === gene || c.gene2 === gene)?.cluster || 0,
+                cluster: clusterOf.get(gene) || 0,
                 meanEffect: Math.round(allMean * 100) / 100,
                 sdEffect: Math.round(allSd * 100) / 100,
                 meanEffectFiltered: Math.round(filtMean * 100) / 100,
@@ -7091,7 +11009,7 @@ class CorrelationExplorer {
         // Add uncorrelated input genes so they appear in the clusters table
         const correlatedGenes = new Set(clusterData.map(c => c.gene));
         geneList.forEach(gene => {
-            if (!correlatedGenes.has(gene) && (this.geneIndex.has(gene) || gene === GROWTH_RATE_LABEL)) {
+            if (!correlatedGenes.has(gene) && (this.geneIndex.has(gene) || this.isExpressionNode(gene) || gene === GROWTH_RATE_LABEL)) {
                 let allValidData, filteredData2;
                 if (gene === GROWTH_RATE_LABEL && this.growthRateData) {
                     allValidData = Object.values(this.growthRateData).filter(v => !isNaN(v));
@@ -7100,8 +11018,7 @@ class CorrelationExplorer {
                         return this.growthRateData[cl] ?? NaN;
                     }).filter(v => !isNaN(v));
                 } else {
-                    const idx = this.geneIndex.get(gene);
-                    const fullData = this.getGeneData(idx);
+                    const fullData = this.getNodeData(gene);
                     allValidData = Array.from(fullData).filter(v => !isNaN(v));
                     filteredData2 = cellLineIndices.map(i => fullData[i]).filter(v => !isNaN(v));
                 }
@@ -7141,11 +11058,210 @@ class CorrelationExplorer {
             geneList: geneList,
             mode: mode,
             cutoff: cutoff,
+            method: method,
+            adjustBy: adjustBy,
+            nCovariateGroups: covariates ? covariates.nGroups : 0,
+            nTests: nTests,
+            maxQ: maxQ,
+            minN: minN,
+            cellLineIndices: cellLineIndices,
+            queryLayer: queryLayer,
+            targetLayer: targetLayer,
+            clusterMethod: this.clusterMethod,
+            clusterResolution: this.clusterResolution,
+            modularity: modularity,
             nCellLines: cellLineIndices.length,
             isFiltered: isFiltered
         };
     }
 
+    /**
+     * Design-mode scan on a pool of Web Workers. Same arguments and result
+     * shape as calculateCorrelations(..., 'design', ...), but the input × all-genes
+     * pass and the expanded-network pass run off the UI thread. The filtered
+     * gene-effect matrix is built once and either shared (SharedArrayBuffer,
+     * when the page is cross-origin isolated) or split into per-worker row
+     * slices that are transferred, never copied.
+     * onProgress(done, total, phase) is called as rows complete. Rejects with
+     * an Error named 'AbortError' if cancelCorrelationScan() is called.
+     * Falls back to the synchronous scan when workers are unavailable.
+     */
+    async calculateCorrelationsInWorkers(geneList, cutoff, minN, minSlope, cellLineIndices, expandNetwork = false, includeGrowthRate = false, adjustBy = 'none', maxQ = 1, queryLayer = 'ge', targetLayer = 'ge', onProgress = null) {
+        const workerUrl = this._getCorrelationWorkerUrl();
+        if (!workerUrl) {
+            await new Promise(r => setTimeout(r, 50));
+            return this.calculateCorrelations(geneList, 'design', cutoff, minN, minSlope, cellLineIndices, expandNetwork, includeGrowthRate, adjustBy, maxQ, queryLayer, targetLayer);
+        }
+
+        const scan = this._startCorrelationScan(workerUrl);
+        const nCols = cellLineIndices.length;
+        const method = this.correlationMethod;
+        const covariates = adjustBy !== 'none' ? this._covariateGroups(cellLineIndices, adjustBy) : null;
+        const thresholds = { method, minN, cutoff, minSlope, groups: covariates?.groups || null, nGroups: covariates?.nGroups || 0 };
+        const shared = window.crossOriginIsolated && typeof SharedArrayBuffer !== 'undefined';
+
+        try {
+            const inputData = this._buildCorrelationInputData(geneList, cellLineIndices, includeGrowthRate, queryLayer);
+            const queryList = Array.from(inputData.keys());
+            const targetGenes = this._layerNodes(targetLayer);
+            const nWorkers = scan.workers.length;
+
+            // Pass 1: every input gene vs every gene, targets split into contiguous row ranges
+            const queries = new Float32Array(queryList.length * nCols);
+            queryList.forEach((gene, q) => queries.set(inputData.get(gene), q * nCols));
+            const sharedMatrix = shared ? this._buildFilteredMatrix(targetGenes, cellLineIndices, true) : null;
+            const chunk = Math.ceil(targetGenes.length / nWorkers);
+            const scanJobs = [];
+            for (let w = 0; w < nWorkers; w++) {
+                const start = Math.min(w * chunk, targetGenes.length);
+                const end = Math.min(start + chunk, targetGenes.length);
+                const names = targetGenes.slice(start, end);
+                const matrix = sharedMatrix || this._buildFilteredMatrix(names, cellLineIndices, false);
+                const q = queries.slice();
+                scanJobs.push({
+                    message: {
+                        type: 'scan', matrix: matrix.buffer, nCols,
+                        rowStart: sharedMatrix ? start : 0, rowEnd: sharedMatrix ? end : names.length,
+                        targetNames: names, queries: q.buffer, queryNames: queryList, ...thresholds
+                    },
+                    transfer: sharedMatrix ? [q.buffer] : [matrix.buffer, q.buffer]
+                });
+            }
+            const scanResults = await this._runCorrelationJobs(scan, scanJobs, targetGenes.length, 'scan', onProgress);
+
+            const correlations = [];
+            const pValueChunks = scanResults.map(r => r.pValues);
+            const pushHit = (h) => correlations.push(this._correlationEdge(h.gene1, h.gene2, h));
+            // Merge in the same order as the synchronous loop: input gene, then target row
+            queryList.forEach((_, q) => scanResults.forEach(r => r.hits[q].forEach(pushHit)));
+
+            // Pass 2 (expanded network): all pairs among discovered genes, rows interleaved across workers
+            if (expandNetwork && correlations.length > 0) {
+                const discovered = [...new Set(correlations.map(c => c.gene2).filter(g => !queryList.includes(g)))];
+                if (discovered.length > 1) {
+                    const discoveredMatrix = this._buildFilteredMatrix(discovered, cellLineIndices, shared);
+                    const pairJobs = [];
+                    for (let w = 0; w < nWorkers; w++) {
+                        const rows = [];
+                        for (let i = w; i < discovered.length; i += nWorkers) rows.push(i);
+                        const matrix = shared ? discoveredMatrix : discoveredMatrix.slice();
+                        pairJobs.push({
+                            message: { type: 'pairs', matrix: matrix.buffer, nCols, names: discovered, rows, ...thresholds },
+                            transfer: shared ? [] : [matrix.buffer]
+                        });
+                    }
+                    const pairResults = await this._runCorrelationJobs(scan, pairJobs, discovered.length, 'expand', onProgress);
+                    pairResults.forEach(r => pValueChunks.push(r.pValues));
+                    for (let i = 0; i < discovered.length; i++) {
+                        pairResults[i % nWorkers].hits[Math.floor(i / nWorkers)].forEach(pushHit);
+                    }
+                }
+            }
+
+            const pValues = new Float64Array(pValueChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+            pValueChunks.reduce((offset, chunk) => { pValues.set(chunk, offset); return offset + chunk.length; }, 0);
+            return this._finalizeCorrelationResults(correlations, queryList, 'design', cutoff, minN, minSlope, cellLineIndices, method, adjustBy, covariates, pValues, maxQ, queryLayer, targetLayer);
+        } finally {
+            scan.workers.forEach(w => w.terminate());
+            if (this._correlationScan === scan) this._correlationScan = null;
+        }
+    }
+
+    // Cancel the running worker scan (if any); its promise rejects with AbortError.
+    cancelCorrelationScan() {
+        const scan = this._correlationScan;
+        if (!scan) return;
+        this._correlationScan = null;
+        this._abortWorkerPool(scan, 'Correlation scan cancelled');
+    }
+
+    // Terminate a worker pool; its pending jobs reject with an AbortError.
+    _abortWorkerPool(pool, message) {
+        pool.workers.forEach(w => w.terminate());
+        const err = new Error(message);
+        err.name = 'AbortError';
+        pool.rejectors.forEach(reject => reject(err));
+    }
+
+    // Blob URL for correlationScanWorker, created once. Null when this browser
+    // cannot run workers from a Blob (the caller then scans synchronously).
+    _getCorrelationWorkerUrl() {
+        if (this._correlationWorkerUrl !== undefined) return this._correlationWorkerUrl;
+        try {
+            if (typeof Worker === 'undefined') throw new Error('Web Workers not supported');
+            const source = [correlationScores, scoreCosine, correlateVectors, residualizeByGroup, correlationPValue, regularizedIncompleteBeta].map(fn => fn.toString()).join('\n');
+            const blob = new Blob([`${source}\n(${correlationScanWorker.toString()})();`], { type: 'text/javascript' });
+            this._correlationWorkerUrl = URL.createObjectURL(blob);
+            new Worker(this._correlationWorkerUrl).terminate();
+        } catch (e) {
+            console.warn('Correlation workers unavailable, scanning on the main thread:', e.message);
+            this._correlationWorkerUrl = null;
+        }
+        return this._correlationWorkerUrl;
+    }
+
+    // Spin up a fresh worker pool, cancelling any scan that is still running.
+    _startCorrelationScan(workerUrl) {
+        this.cancelCorrelationScan();
+        const scan = this._startWorkerPool(workerUrl);
+        this._correlationScan = scan;
+        return scan;
+    }
+
+    // Worker pool for analyses other than the network scan (screen triage,
+    // differential correlation), so they neither cancel nor get cancelled by
+    // it. The caller terminates the workers when done.
+    _startWorkerPool(workerUrl) {
+        const nWorkers = Math.max(1, Math.min(8, (navigator.hardwareConcurrency || 4) - 1));
+        const pool = { workers: [], rejectors: [] };
+        for (let i = 0; i < nWorkers; i++) pool.workers.push(new Worker(workerUrl));
+        return pool;
+    }
+
+    // Post one job per worker and resolve with each worker's {hits, pValues}, in worker order.
+    _runCorrelationJobs(scan, jobs, total, phase, onProgress) {
+        let done = 0;
+        return Promise.all(jobs.map((job, w) => new Promise((resolve, reject) => {
+            const worker = scan.workers[w];
+            scan.rejectors.push(reject);
+            worker.onmessage = (e) => {
+                if (e.data.type === 'progress') {
+                    done += e.data.done;
+                    if (onProgress) onProgress(done, total, phase);
+                } else if (e.data.type === 'done') {
+                    resolve(e.data);
+                }
+            };
+            worker.onerror = (e) => reject(new Error(e.message || 'Correlation worker failed'));
+            worker.postMessage(job.message, job.transfer);
+        })));
+    }
+
+    // Row-major [genes × cellLineIndices] copy of the gene-effect matrix.
+    _buildFilteredMatrix(genes, cellLineIndices, shared) {
+        const nCols = cellLineIndices.length;
+        const bytes = genes.length * nCols * Float32Array.BYTES_PER_ELEMENT;
+        const out = new Float32Array(shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes));
+        genes.forEach((gene, r) => {
+            const src = this.getNodeData(gene);
+            const off = r * nCols;
+            for (let c = 0; c < nCols; c++) out[off + c] = src[cellLineIndices[c]];
+        });
+        return out;
+    }
+
+    // Status-box progress bar with a Cancel button for worker scans.
+    _showScanProgress(done, total, phase) {
+        const pct = total ? Math.min(100, Math.round(100 * done / total)) : 0;
+        if (pct === this._scanProgressPct && phase === this._scanProgressPhase) return;
+        this._scanProgressPct = pct;
+        this._scanProgressPhase = phase;
+        const label = phase === 'expand' ? 'Expanding network' : 'Scanning all genes';
+        this.showStatus('info', `${label}... ${pct}%
+            <div style="background:#e5e7eb; border-radius:3px; height:6px; margin:4px 0;"><div style="background:#5a9f4a; height:100%; width:${pct}%; border-radius:3px;"></div></div>
+            <button class="btn btn-outline btn-sm" onclick="app.cancelCorrelationScan()" style="font-size:10px; padding:1px 8px;">Cancel</button>`);
+    }
+
     pearsonWithSlope(x, y) {
         let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0, n = 0;
 
@@ -7174,6 +11290,19 @@ class CorrelationExplorer {
         return { correlation, slope, n };
     }
 
+    // {correlation, slope, n} using the app-wide correlation method (Set
+    // Parameters → Correlation method). Drop-in for pearsonWithSlope; the slope
+    // stays the raw least-squares slope whatever the method.
+    correlateWithSlope(x, y, method = this.correlationMethod) {
+        if (method === 'pearson') return this.pearsonWithSlope(x, y);
+        return correlateVectors(x, y, method);
+    }
+
+    // Symbol printed for a correlation coefficient ('r', 'ρ' or 'bicor').
+    _corrSymbol(method = this.correlationMethod) {
+        return (CORRELATION_METHODS[method] || CORRELATION_METHODS.pearson).symbol;
+    }
+
     median(arr) {
         if (!arr || arr.length === 0) return NaN;
         const sorted = [...arr].filter(v => !isNaN(v)).sort((a, b) => a - b);
@@ -7181,7 +11310,11 @@ class CorrelationExplorer {
         return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     }
 
-    findClusters(correlations) {
+    // Cluster the network's genes. 'components' is plain connected components
+    // (union-find); 'louvain' is |r|-weighted modularity communities at the
+    // given resolution (higher = more, smaller communities). Every edge's
+    // .cluster is its gene1's cluster; returns { genes, clusterOf, modularity }.
+    findClusters(correlations, method = 'components', resolution = 1) {
         const genes = new Set();
         correlations.forEach(c => {
             genes.add(c.gene1);
@@ -7189,36 +11322,135 @@ class CorrelationExplorer {
         });
 
         const geneArray = Array.from(genes);
-        const parent = {};
-        geneArray.forEach(g => parent[g] = g);
+        const clusterOf = new Map();
+        let modularity = null;
+
+        if (method === 'louvain') {
+            const index = new Map(geneArray.map((g, i) => [g, i]));
+            const edges = correlations.map(c => [index.get(c.gene1), index.get(c.gene2), Math.abs(c.correlation)]);
+            const result = this._louvainCommunities(geneArray.length, edges, resolution);
+            // Number communities by size (largest = 1), ties by first gene
+            const sizes = new Map();
+            result.community.forEach(k => sizes.set(k, (sizes.get(k) || 0) + 1));
+            const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+            const rank = new Map(order.map((k, i) => [k, i + 1]));
+            geneArray.forEach((g, i) => clusterOf.set(g, rank.get(result.community[i])));
+            modularity = result.modularity;
+        } else {
+            const parent = {};
+            geneArray.forEach(g => parent[g] = g);
 
-        const find = (x) => {
-            if (parent[x] !== x) parent[x] = find(parent[x]);
-            return parent[x];
-        };
+            const find = (x) => {
+                if (parent[x] !== x) parent[x] = find(parent[x]);
+                return parent[x];
+            };
 
-        const union = (x, y) => {
-            const px = find(x), py = find(y);
-            if (px !== py) parent[px] = py;
-        };
+            const union = (x, y) => {
+                const px = find(x), py = find(y);
+                if (px !== py) parent[px] = py;
+            };
 
-        correlations.forEach(c => union(c.gene1, c.gene2));
+            correlations.forEach(c => union(c.gene1, c.gene2));
 
-        // Assign cluster numbers
-        const clusterMap = {};
-        let clusterNum = 1;
-        geneArray.forEach(g => {
-            const root = find(g);
-            if (!(root in clusterMap)) {
-                clusterMap[root] = clusterNum++;
-            }
-        });
+            // Assign cluster numbers
+            const clusterMap = {};
+            let clusterNum = 1;
+            geneArray.forEach(g => {
+                const root = find(g);
+                if (!(root in clusterMap)) {
+                    clusterMap[root] = clusterNum++;
+                }
+                clusterOf.set(g, clusterMap[root]);
+            });
+        }
 
         correlations.forEach(c => {
-            c.cluster = clusterMap[find(c.gene1)];
+            c.cluster = clusterOf.get(c.gene1);
+        });
+
+        return { genes: geneArray, clusterOf, modularity };
+    }
+
+    // Re-cluster the current results with the Network Clusters setting and
+    // refresh everything that shows cluster numbers.
+    reclusterResults() {
+        if (!this.results?.success) return;
+        const { clusterOf, modularity } = this.findClusters(this.results.correlations, this.clusterMethod, this.clusterResolution);
+        this.results.clusters.forEach(c => {
+            if (c.hasCorrelation !== false) c.cluster = clusterOf.get(c.gene) || 0;
         });
+        Object.assign(this.results, { clusterMethod: this.clusterMethod, clusterResolution: this.clusterResolution, modularity });
+        this.displayCorrelationsTable();
+        this.displayClustersTable();
+        this.displaySummary();
+        this.updateNetworkColors();
+    }
+
+    // Louvain modularity optimisation (Blondel et al. 2008) on an undirected
+    // weighted graph of n nodes given as [i, j, w] edges. Nodes are visited
+    // in index order, so the result is deterministic for a given edge list.
+    // Returns { community: Int32Array (0-based ids), modularity }.
+    _louvainCommunities(n, edges, resolution = 1) {
+        const buildAdj = (size) => Array.from({ length: size }, () => new Map());
+        const addWeight = (adj, i, j, w) => adj[i].set(j, (adj[i].get(j) || 0) + w);
+
+        const original = buildAdj(n);
+        edges.forEach(([i, j, w]) => {
+            if (i === j) { addWeight(original, i, i, 2 * w); return; }
+            addWeight(original, i, j, w);
+            addWeight(original, j, i, w);
+        });
+
+        const membership = Int32Array.from({ length: n }, (_, i) => i);
+        let adj = original;
+        const m2 = original.reduce((sum, row) => { row.forEach(w => { sum += w; }); return sum; }, 0);
+        if (m2 === 0) return { community: membership, modularity: 0 };
+
+        for (let level = 0; level < 50; level++) {
+            const size = adj.length;
+            const k = adj.map(row => { let d = 0; row.forEach(w => { d += w; }); return d; });
+            const comm = Int32Array.from({ length: size }, (_, i) => i);
+            const tot = Float64Array.from(k);
+            let improved = false;
+            let moved = true;
+            for (let pass = 0; moved && pass < 100; pass++) {
+                moved = false;
+                for (let i = 0; i < size; i++) {
+                    const ci = comm[i];
+                    const neighW = new Map();
+                    adj[i].forEach((w, j) => { if (j !== i) neighW.set(comm[j], (neighW.get(comm[j]) || 0) + w); });
+                    tot[ci] -= k[i];
+                    let best = ci;
+                    let bestGain = (neighW.get(ci) || 0) - resolution * tot[ci] * k[i] / m2;
+                    neighW.forEach((w, c) => {
+                        const gain = w - resolution * tot[c] * k[i] / m2;
+                        if (gain > bestGain + 1e-12) { best = c; bestGain = gain; }
+                    });
+                    tot[best] += k[i];
+                    if (best !== ci) { comm[i] = best; moved = true; improved = true; }
+                }
+            }
+            if (!improved) break;
 
-        return geneArray;
+            // Renumber and fold each community into one node for the next level
+            const renum = new Map();
+            comm.forEach(c => { if (!renum.has(c)) renum.set(c, renum.size); });
+            for (let v = 0; v < n; v++) membership[v] = renum.get(comm[membership[v]]);
+            const next = buildAdj(renum.size);
+            adj.forEach((row, i) => row.forEach((w, j) => addWeight(next, renum.get(comm[i]), renum.get(comm[j]), w)));
+            adj = next;
+        }
+
+        // Q = Σ_c [ in_c / 2m − γ (tot_c / 2m)² ] on the original graph
+        const inW = new Map(), totW = new Map();
+        original.forEach((row, i) => row.forEach((w, j) => {
+            const c = membership[i];
+            totW.set(c, (totW.get(c) || 0) + w);
+            if (membership[j] === c) inW.set(c, (inW.get(c) || 0) + w);
+        }));
+        let modularity = 0;
+        totW.forEach((t, c) => { modularity += (inW.get(c) || 0) / m2 - resolution * (t / m2) ** 2; });
+        return { community: membership, modularity };
     }
 
     showStatus(type, message) {
@@ -7237,6 +11469,9 @@ class CorrelationExplorer {
         document.getElementById('tab-network').classList.add('active');
 
         // Display all results
+        this._heatmapState = null;
+        if (this.diffNetResults) this._clearDifferentialNetwork();
+        this._syncCorrelationDisplayControls();
         this.displayNetwork();
         this.displayCorrelationsTable();
         this.displayClustersTable();
@@ -7256,6 +11491,7 @@ class CorrelationExplorer {
         document.getElementById('showGeneEffect').checked = false;
         document.getElementById('showGeneEffectSD').checked = false;
         document.getElementById('colorByGeneEffect').checked = false;
+        document.getElementById('colorByCluster').checked = false;
         document.getElementById('colorAbsoluteGE').checked = false;
         document.getElementById('colorByLFC').checked = false;
         document.getElementById('colorByFDR').checked = false;
@@ -7283,15 +11519,11 @@ class CorrelationExplorer {
             geneSet.add(c.gene1);
             geneSet.add(c.gene2);
 
-            const width = 1 + (Math.abs(c.correlation) - cutoff) / (1 - cutoff) * (edgeWidthBase * 3);
             edges.push({
                 id: `edge_${idx}`,
                 from: c.gene1,
                 to: c.gene2,
-                width: width,
-                color: { color: c.correlation > 0 ? '#3182ce' : '#e53e3e', highlight: c.correlation > 0 ? '#3182ce' : '#e53e3e', hover: c.correlation > 0 ? '#3182ce' : '#e53e3e', inherit: false },
-                title: `r = ${c.correlation.toFixed(3)}`,
-                correlation: c.correlation
+                ...this._edgeCorrelationStyle(c, cutoff, edgeWidthBase)
             });
         });
 
@@ -7309,11 +11541,11 @@ class CorrelationExplorer {
             const isInput = this.results.geneList.includes(gene);
 
             // Check if this gene is a synonym replacement
-            const originalName = synonymLookup.get(gene.toUpperCase());
+            const originalName = synonymLookup.get(this.nodeGene(gene).toUpperCase());
             const isSynonym = !!originalName;
 
             // Look up stats - try replacement name first, then original name
-            let geneStat = this.geneStats?.get(gene);
+            let geneStat = this.geneStats?.get(this.nodeGene(gene));
             if (!geneStat && originalName) {
                 geneStat = this.geneStats?.get(originalName);
             }
@@ -7323,8 +11555,9 @@ class CorrelationExplorer {
             if (isSynonym) {
                 titleLines.push(`(synonym of ${originalName})`);
             }
-            titleLines.push(`GE mean: ${cluster?.meanEffect || 'N/A'}`);
-            titleLines.push(`GE SD: ${cluster?.sdEffect || 'N/A'}`);
+            const isExpr = this.isExpressionNode(gene);
+            titleLines.push(`${isExpr ? 'Expression' : 'GE'} mean: ${cluster?.meanEffect || 'N/A'}`);
+            titleLines.push(`${isExpr ? 'Expression' : 'GE'} SD: ${cluster?.sdEffect || 'N/A'}`);
             if (geneStat?.lfc !== undefined && geneStat?.lfc !== null) {
                 titleLines.push(`LFC: ${geneStat.lfc.toFixed(3)}`);
             }
@@ -7334,13 +11567,13 @@ class CorrelationExplorer {
 
             // Add * to label if synonym
             const isGrowthRate = gene === '⚡ Growth Rate';
-            const label = isGrowthRate ? 'Growth Rate' : isSynonym ? `${gene}*` : gene;
+            const label = isGrowthRate ? 'Growth Rate' : isExpr ? this.nodeGene(gene) : isSynonym ? `${gene}*` : gene;
 
             nodes.push({
                 id: gene,
                 label: label,
                 size: nodeSize,
-                shape: isGrowthRate ? 'diamond' : 'dot',
+                shape: isGrowthRate ? 'diamond' : isExpr ? 'square' : 'dot',
                 font: { size: fontSize, color: this._netLabelColor || '#333', face: this._netFontFamily || 'Arial, sans-serif' },
                 color: {
                     background: isGrowthRate ? '#9333ea' : this._netNodeColor || (this.results.mode === 'design' ?
@@ -7580,7 +11813,7 @@ class CorrelationExplorer {
             }
             clearTimeout(this._networkTooltipTimer);
             this._networkTooltipTimer = setTimeout(() => {
-                this.showGeneTooltip(domEvent, nodeId);
+                this.showGeneTooltip(domEvent, this.nodeGene(nodeId));
             }, 400);
         });
         this.network.on('blurNode', () => {
@@ -7593,9 +11826,11 @@ class CorrelationExplorer {
             clearTimeout(this._networkTooltipTimer);
             this.hideGeneTooltip();
             if (params.nodes.length > 0) {
-                // Node double-clicked - open Gene Effect analysis
+                // Node double-clicked - open Gene Effect analysis, or the
+                // expression inspect for an expression-layer node
                 const nodeId = params.nodes[0];
-                this.openGeneEffectFromNetwork(nodeId);
+                if (this.isExpressionNode(nodeId)) this.openExpressionFromNetwork(nodeId);
+                else this.openGeneEffectFromNetwork(nodeId);
             } else if (params.edges.length > 0) {
                 // Edge double-clicked - open correlation inspect
                 const edgeId = params.edges[0];
@@ -7639,8 +11874,8 @@ class CorrelationExplorer {
                         });
                     }
                     this.updateSelectedNodesList();
-                    // Update gene textarea with only selected genes
-                    document.getElementById('geneTextarea').value = Array.from(this.selectedNodes).join('\n');
+                    // Update gene textarea with only selected genes (one line per gene across layers)
+                    document.getElementById('geneTextarea').value = this._nodeGenes(this.selectedNodes).join('\n');
                     this.updateGeneCount();
                     return;
                 }
@@ -7655,7 +11890,7 @@ class CorrelationExplorer {
                         // Also remove gene from input list
                         const textarea = document.getElementById('geneTextarea');
                         const genes = textarea.value.split(/[\n\r]+/).map(g => g.trim()).filter(g => g);
-                        const remaining = genes.filter(g => g.toUpperCase() !== nodeId.toUpperCase());
+                        const remaining = genes.filter(g => g.toUpperCase() !== this.nodeGene(nodeId).toUpperCase());
                         textarea.value = remaining.join('\n');
                         this.updateGeneCount();
                     }
@@ -7673,12 +11908,21 @@ class CorrelationExplorer {
         const legendNodeType = document.getElementById('legendNodeType');
         const _colorByGEActive = document.getElementById('colorByGeneEffect')?.checked;
         const _colorByStatsActive = document.getElementById('colorByStats')?.checked;
-        if (this.results.mode === 'design' && !_colorByGEActive && !_colorByStatsActive) {
+        const _colorByClusterActive = document.getElementById('colorByCluster')?.checked;
+        const layerLegend = this._hasExpressionLayer() ? `
+                <strong>Layer:</strong>
+                <span class="legend-item"><span class="legend-dot" style="background: #9ca3af;"></span> Gene effect</span>
+                <span class="legend-item"><span class="legend-dot" style="background: #9ca3af; border-radius: 1px;"></span> Expression</span>
+            ` : '';
+        if (this.results.mode === 'design' && !_colorByGEActive && !_colorByStatsActive && !_colorByClusterActive) {
             legendNodeType.innerHTML = `
                 <strong>Node Type:</strong>
                 <span class="legend-item"><span class="legend-dot" style="background: #5a9f4a;"></span> Input</span>
                 <span class="legend-item"><span class="legend-dot" style="background: #a8d89a;"></span> Correlated</span>
-            `;
+            ` + layerLegend;
+            legendNodeType.style.display = 'block';
+        } else if (layerLegend) {
+            legendNodeType.innerHTML = layerLegend;
             legendNodeType.style.display = 'block';
         } else {
             legendNodeType.innerHTML = '';
@@ -7996,16 +12240,95 @@ class CorrelationExplorer {
 
         legendEl.innerHTML = `
             <strong>Edge Thickness:</strong>${zoomHint}
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMin)}px;"></span> r=${minCorr.toFixed(1)}</div>
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMid)}px;"></span> r=${midCorr.toFixed(1)}</div>
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMax)}px;"></span> r=${maxCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMin)}px;"></span> ${this._corrSymbol(this.results?.method)}=${minCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMid)}px;"></span> ${this._corrSymbol(this.results?.method)}=${midCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${scaled(widthMax)}px;"></span> ${this._corrSymbol(this.results?.method)}=${maxCorr.toFixed(1)}</div>
         `;
     }
 
+    // Width / colour / tooltip of a network edge from its current correlation.
+    // Raw values of a lineage-adjusted run can sit below the cutoff, hence the floor on width.
+    _edgeCorrelationStyle(c, cutoff, edgeWidthBase) {
+        const width = 1 + (Math.abs(c.correlation) - cutoff) / (1 - cutoff) * (edgeWidthBase * 3);
+        const color = c.correlation > 0 ? '#3182ce' : '#e53e3e';
+        return {
+            width: Math.max(1, width),
+            color: { color: color, highlight: color, hover: color, inherit: false },
+            title: this._correlationTitle(c),
+            correlation: c.correlation
+        };
+    }
+
+    _correlationTitle(c) {
+        const sym = this._corrSymbol(this.results?.method);
+        const lines = c.adjustedCorrelation === undefined
+            ? [`${sym} = ${c.correlation.toFixed(3)}`]
+            : [`${sym} adjusted = ${c.adjustedCorrelation.toFixed(3)}`, `${sym} raw = ${c.rawCorrelation.toFixed(3)}`];
+        const of = c.adjustedCorrelation === undefined ? '' : ' (adjusted)';
+        if (c.pValue !== undefined) lines.push(`p${of} = ${this.formatPValue(c.pValue)}`, `q${of} = ${this.formatPValue(c.qValue)}`);
+        return lines.join('\n');
+    }
+
+    // Lineage-adjusted runs keep both values per edge; switch which one the
+    // network, table and legend show. Edges stay the ones that passed on adjusted r.
+    setCorrelationDisplay(which) {
+        if (!this.results?.correlations || (this.results.adjustBy || 'none') === 'none') return;
+        which = which === 'raw' ? 'raw' : 'adjusted';
+        this.results.correlationDisplay = which;
+        this.results.correlations.forEach(c => {
+            c.correlation = which === 'raw' ? c.rawCorrelation : c.adjustedCorrelation;
+        });
+
+        const tableSelect = document.getElementById('corrTableDisplay');
+        if (tableSelect) tableSelect.value = which;
+        document.querySelectorAll('input[name="edgeCorrDisplay"]').forEach(radio => { radio.checked = radio.value === which; });
+
+        if (this.network && this.networkData) {
+            const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value);
+            const updates = [];
+            this.results.correlations.forEach((c, idx) => {
+                if (this.networkData.edges.get(`edge_${idx}`)) {
+                    updates.push({ id: `edge_${idx}`, ...this._edgeCorrelationStyle(c, this.results.cutoff, edgeWidthBase) });
+                }
+            });
+            this.networkData.edges.update(updates);
+        }
+        this.displayCorrelationsTable();
+    }
+
+    // Show the adjusted/raw toggles only for lineage-adjusted runs
+    _syncCorrelationDisplayControls() {
+        const adjusted = (this.results?.adjustBy || 'none') !== 'none';
+        const which = this.results?.correlationDisplay || 'adjusted';
+        const group = document.getElementById('edgeCorrDisplayGroup');
+        if (group) group.style.display = adjusted ? '' : 'none';
+        document.querySelectorAll('input[name="edgeCorrDisplay"]').forEach(radio => { radio.checked = radio.value === which; });
+        const tableSelect = document.getElementById('corrTableDisplay');
+        if (tableSelect) {
+            tableSelect.style.display = adjusted ? '' : 'none';
+            tableSelect.value = which;
+        }
+    }
+
     displayCorrelationsTable() {
         const tbody = document.getElementById('correlationsBody');
         tbody.innerHTML = '';
 
+        const method = this.results.method || 'pearson';
+        const corrHeader = document.querySelector('#correlationsTable th[data-sort="correlation"]');
+        if (corrHeader) {
+            const label = method === 'pearson' ? 'Correlation' : `Correlation (${this._corrSymbol(method)})`;
+            const isAdjusted = (this.results.adjustBy || 'none') !== 'none';
+            corrHeader.textContent = !isAdjusted ? label : `${label}, ${this.results.correlationDisplay === 'raw' ? 'raw' : 'adjusted'}`;
+        }
+        // p and q always test the adjusted r (the one the cutoff and BH ran on);
+        // say so while the raw r is on display
+        const showingRaw = (this.results.adjustBy || 'none') !== 'none' && this.results.correlationDisplay === 'raw';
+        const pHeader = document.querySelector('#correlationsTable th[data-sort="pValue"]');
+        const qHeader = document.querySelector('#correlationsTable th[data-sort="qValue"]');
+        if (pHeader) pHeader.textContent = showingRaw ? 'P-value (adjusted r)' : 'P-value';
+        if (qHeader) qHeader.textContent = showingRaw ? 'Q (FDR, adjusted r)' : 'Q (FDR)';
+
         // Deduplicate correlations (A-B is same as B-A)
         const seenPairs = new Set();
         const uniqueCorrelations = this.results.correlations.filter(c => {
@@ -8025,9 +12348,11 @@ class CorrelationExplorer {
                 tr.innerHTML = `
                     <td class="gene-hover" data-gene="${c.gene1}" style="cursor: help;">${c.gene1}</td>
                     <td class="gene-hover" data-gene="${c.gene2}" style="cursor: help;">${c.gene2}</td>
-                    <td class="${corrClass}">${c.correlation.toFixed(3)}</td>
+                    <td class="${corrClass}"${c.adjustedCorrelation !== undefined ? ` title="${this._correlationTitle(c).split('\n').slice(0, 2).join(', ')}"` : ''}>${c.correlation.toFixed(3)}</td>
                     <td>${c.slope.toFixed(3)}</td>
                     <td>${c.n}</td>
+                    <td>${this.formatPValue(c.pValue)}</td>
+                    <td>${this.formatPValue(c.qValue)}</td>
                     <td>${c.cluster}</td>
                     <td style="white-space: nowrap;">
                         <button class="btn btn-sm inspect-btn" style="padding: 2px 6px; font-size: 10px; background: #5a9f4a; color: white;" data-gene1="${c.gene1}" data-gene2="${c.gene2}">Scatter</button>
@@ -8176,7 +12501,7 @@ class CorrelationExplorer {
                 if (c.hasCorrelation === false) {
                     tr.style.opacity = '0.7';
                 }
-                const geneStat = this.geneStats?.get(c.gene);
+                const geneStat = this.geneStats?.get(this.nodeGene(c.gene));
 
                 let rowHtml = `
                     <td class="gene-hover" data-gene="${c.gene}" style="cursor: help;">${c.gene}${c.inGeneList && this.results.mode === 'design' ? '*' : ''}</td>
@@ -8232,6 +12557,609 @@ class CorrelationExplorer {
         this.attachGeneTooltips(tbody);
     }
 
+    // ── Clustered correlation heatmap (Analysis mode) ──
+
+    // Gene × gene correlation matrix of the run's input list on the run's
+    // cell lines, with the run's method and lineage adjustment. Pairs with
+    // fewer than minN complete cell lines are NaN.
+    computeCorrelationMatrix(results = this.results) {
+        const genes = results.geneList.filter(g => this.geneIndex.has(g));
+        const inputData = this._buildCorrelationInputData(genes, results.cellLineIndices, false);
+        const covariates = results.adjustBy && results.adjustBy !== 'none' ? this._covariateGroups(results.cellLineIndices, results.adjustBy) : null;
+        const vectors = genes.map(g => {
+            const data = inputData.get(g);
+            return covariates ? residualizeByGroup(data, covariates.groups, covariates.nGroups) : data;
+        });
+        const n = genes.length;
+        const matrix = new Float64Array(n * n);
+        const counts = new Int32Array(n * n);
+        for (let i = 0; i < n; i++) {
+            matrix[i * n + i] = 1;
+            counts[i * n + i] = vectors[i].filter(v => !isNaN(v)).length;
+            for (let j = i + 1; j < n; j++) {
+                const { correlation, n: nPairs } = correlateVectors(vectors[i], vectors[j], results.method || 'pearson');
+                const r = nPairs >= (results.minN || 3) ? correlation : NaN;
+                matrix[i * n + j] = matrix[j * n + i] = r;
+                counts[i * n + j] = counts[j * n + i] = nPairs;
+            }
+        }
+        return { genes, matrix, counts };
+    }
+
+    // Agglomerative clustering from a full n×n distance matrix with
+    // Lance–Williams updates. linkage: 'average' | 'complete' | 'single' |
+    // 'ward' (exact on 1 − r, which is proportional to the squared Euclidean
+    // distance between standardised profiles). Merge ids ≥ n refer to earlier
+    // merges, as in scipy. Returns { merges: [{ left, right, height, size }], order }.
+    hierarchicalCluster(dist, n, linkage = 'average') {
+        const D = Float64Array.from(dist);
+        const active = new Array(n).fill(true);
+        const size = new Array(n).fill(1);
+        const nodeId = Array.from({ length: n }, (_, i) => i);
+        const merges = [];
+        for (let step = 0; step < n - 1; step++) {
+            let bi = -1, bj = -1, best = Infinity;
+            for (let i = 0; i < n; i++) {
+                if (!active[i]) continue;
+                for (let j = i + 1; j < n; j++) {
+                    if (active[j] && D[i * n + j] < best) { best = D[i * n + j]; bi = i; bj = j; }
+                }
+            }
+            const si = size[bi], sj = size[bj];
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || k === bi || k === bj) continue;
+                const dik = D[bi * n + k], djk = D[bj * n + k];
+                let d;
+                if (linkage === 'single') d = Math.min(dik, djk);
+                else if (linkage === 'complete') d = Math.max(dik, djk);
+                else if (linkage === 'ward') d = ((si + size[k]) * dik + (sj + size[k]) * djk - size[k] * best) / (si + sj + size[k]);
+                else d = (si * dik + sj * djk) / (si + sj);
+                D[bi * n + k] = D[k * n + bi] = d;
+            }
+            merges.push({ left: nodeId[bi], right: nodeId[bj], height: best, size: si + sj });
+            nodeId[bi] = n + step;
+            size[bi] = si + sj;
+            active[bj] = false;
+        }
+        const order = [];
+        const visit = (id) => {
+            if (id < n) { order.push(id); return; }
+            visit(merges[id - n].left);
+            visit(merges[id - n].right);
+        };
+        if (n > 0) visit(n > 1 ? 2 * n - 2 : 0);
+        return { merges, order };
+    }
+
+    // Cut a hierarchicalCluster tree into k groups (undo the last k − 1
+    // merges). Groups are numbered 1..k from left to right in leaf order, so
+    // each group is a contiguous block of the heatmap.
+    cutTree(tree, n, k) {
+        k = Math.max(1, Math.min(n, k));
+        const parent = Array.from({ length: 2 * n - 1 }, (_, i) => i);
+        const find = (x) => parent[x] === x ? x : (parent[x] = find(parent[x]));
+        tree.merges.slice(0, n - k).forEach((m, step) => {
+            parent[find(m.left)] = n + step;
+            parent[find(m.right)] = n + step;
+        });
+        const labelOf = new Map();
+        const groups = new Int32Array(n);
+        tree.order.forEach(leaf => {
+            const root = find(leaf);
+            if (!labelOf.has(root)) labelOf.set(root, labelOf.size + 1);
+            groups[leaf] = labelOf.get(root);
+        });
+        return groups;
+    }
+
+    // Dendrogram as one line trace: leaves sit at their heatmap position,
+    // merges at their height. `vertical` draws it along the y axis (left).
+    _dendrogramTrace(tree, n, vertical, xaxis, yaxis) {
+        const pos = new Float64Array(2 * n - 1);
+        const height = new Float64Array(2 * n - 1);
+        tree.order.forEach((leaf, i) => { pos[leaf] = i; });
+        const xs = [], ys = [];
+        const push = (p, h) => { if (vertical) { xs.push(h); ys.push(p); } else { xs.push(p); ys.push(h); } };
+        tree.merges.forEach((m, step) => {
+            const id = n + step;
+            pos[id] = (pos[m.left] + pos[m.right]) / 2;
+            height[id] = m.height;
+            push(pos[m.left], height[m.left]);
+            push(pos[m.left], m.height);
+            push(pos[m.right], m.height);
+            push(pos[m.right], height[m.right]);
+            xs.push(null); ys.push(null);
+        });
+        return { x: xs, y: ys, xaxis, yaxis, type: 'scatter', mode: 'lines', line: { color: '#4b5563', width: 1 }, hoverinfo: 'skip', showlegend: false };
+    }
+
+    renderCorrelationHeatmap() {
+        const status = document.getElementById('heatmapStatus');
+        const plotDiv = document.getElementById('correlationHeatmapPlot');
+        const groupList = document.getElementById('heatmapGroupList');
+        if (!status || !plotDiv) return;
+        const showMessage = (msg) => {
+            status.textContent = msg;
+            status.style.display = 'block';
+            Plotly.purge(plotDiv);
+            plotDiv.innerHTML = '';
+            if (groupList) groupList.innerHTML = '';
+        };
+        if (!this.results?.success || this.results.mode !== 'analysis') {
+            showMessage('Run an Analysis-mode correlation to view the clustered heatmap');
+            return;
+        }
+        if (this._hasExpressionLayer()) {
+            showMessage('The clustered heatmap is available for gene effect → gene effect runs only');
+            return;
+        }
+
+        const linkage = document.getElementById('heatmapLinkage')?.value || 'average';
+        const kInput = parseInt(document.getElementById('heatmapGroups')?.value);
+        let state = this._heatmapState;
+        if (!state || state.results !== this.results) {
+            const genes = this.results.geneList.filter(g => this.geneIndex.has(g));
+            if (genes.length < 3 || genes.length > 300) {
+                showMessage(`The heatmap needs 3–300 genes from the input list (${genes.length} found)`);
+                return;
+            }
+            state = this._heatmapState = { results: this.results, ...this.computeCorrelationMatrix() };
+        }
+        const { genes, matrix } = state;
+        const n = genes.length;
+        if (state.linkage !== linkage) {
+            const dist = Float64Array.from(matrix, r => isNaN(r) ? 1 : 1 - r);
+            state.tree = this.hierarchicalCluster(dist, n, linkage);
+            state.linkage = linkage;
+        }
+        state.k = Math.max(1, Math.min(Math.min(n, 20), kInput > 0 ? kInput : 4));
+        state.groups = this.cutTree(state.tree, n, state.k);
+        status.style.display = 'none';
+
+        const order = state.tree.order;
+        const palette = CorrelationExplorer.CATEGORY_COLORS;
+        const groupColor = (g) => palette[(g - 1) % palette.length];
+        const labels = order.map(i => `<span style="color:${groupColor(state.groups[i])}">${genes[i]}</span>`);
+        const z = order.map(i => order.map(j => matrix[i * n + j]));
+        const text = order.map(i => order.map(j => `${genes[i]} × ${genes[j]}<br>${this._corrSymbol(this.results.method)} = ${isNaN(matrix[i * n + j]) ? 'n/a' : matrix[i * n + j].toFixed(3)}<br>n = ${state.counts[i * n + j]}`));
+        const ticks = Array.from({ length: n }, (_, i) => i);
+        const tickFont = n > 120 ? 6 : n > 60 ? 8 : 10;
+
+        // Group blocks along the diagonal
+        const shapes = [];
+        for (let start = 0; start < n;) {
+            let end = start;
+            while (end + 1 < n && state.groups[order[end + 1]] === state.groups[order[start]]) end++;
+            shapes.push({ type: 'rect', xref: 'x', yref: 'y', x0: start - 0.5, x1: end + 0.5, y0: start - 0.5, y1: end + 0.5, line: { color: groupColor(state.groups[order[start]]), width: 2 } });
+            start = end + 1;
+        }
+
+        const size = Math.max(500, Math.min(plotDiv.parentElement?.offsetWidth || 800, 1000));
+        const traces = [
+            {
+                z, text, x: ticks, y: ticks, type: 'heatmap', hoverinfo: 'text',
+                zmin: -1, zmax: 1, colorscale: [[0, '#2166ac'], [0.5, '#f7f7f7'], [1, '#b2182b']],
+                colorbar: { orientation: 'h', x: 0.08, y: 1.0, len: 0.15, thickness: 10, xanchor: 'center', yanchor: 'bottom', title: { text: this._corrSymbol(this.results.method), side: 'top' }, tickfont: { size: 9 } }
+            },
+            this._dendrogramTrace(state.tree, n, false, 'x', 'y2'),
+            this._dendrogramTrace(state.tree, n, true, 'x2', 'y')
+        ];
+        const layout = {
+            width: size, height: size,
+            margin: { t: 20, b: 100, l: 20, r: 100 },
+            xaxis: { domain: [0.16, 1], range: [-0.5, n - 0.5], tickvals: ticks, ticktext: labels, tickangle: -90, tickfont: { size: tickFont }, showgrid: false, zeroline: false },
+            yaxis: { domain: [0, 0.84], range: [n - 0.5, -0.5], tickvals: ticks, ticktext: labels, side: 'right', tickfont: { size: tickFont }, showgrid: false, zeroline: false },
+            xaxis2: { domain: [0, 0.15], autorange: 'reversed', showticklabels: false, showgrid: false, zeroline: false },
+            yaxis2: { domain: [0.85, 1], showticklabels: false, showgrid: false, zeroline: false },
+            shapes,
+            plot_bgcolor: 'white'
+        };
+        Plotly.newPlot(plotDiv, traces, layout, { displayModeBar: false, responsive: false });
+        plotDiv.removeAllListeners?.('plotly_click');
+        plotDiv.on('plotly_click', (ev) => {
+            const pt = ev.points?.[0];
+            if (!pt || pt.curveNumber !== 0) return;
+            const gene1 = genes[order[pt.x]], gene2 = genes[order[pt.y]];
+            if (gene1 === gene2) return;
+            const r = matrix[order[pt.x] * n + order[pt.y]];
+            this.openInspect({ gene1, gene2, correlation: isNaN(r) ? null : r });
+        });
+        this._renderHeatmapGroups();
+    }
+
+    _heatmapGroupGenes() {
+        const state = this._heatmapState;
+        if (!state?.groups) return [];
+        const byGroup = Array.from({ length: state.k }, () => []);
+        state.tree.order.forEach(i => byGroup[state.groups[i] - 1].push(state.genes[i]));
+        return byGroup;
+    }
+
+    _renderHeatmapGroups() {
+        const el = document.getElementById('heatmapGroupList');
+        if (!el) return;
+        const palette = CorrelationExplorer.CATEGORY_COLORS;
+        el.innerHTML = this._heatmapGroupGenes().map((genes, g) => `
+            <div style="display: flex; align-items: flex-start; gap: 8px; padding: 4px 0; border-bottom: 1px solid #eee; font-size: 12px;">
+                <span style="flex: none; width: 12px; height: 12px; margin-top: 2px; border-radius: 2px; background: ${palette[g % palette.length]};"></span>
+                <span style="flex: none; width: 80px; font-weight: 600;">Group ${g + 1} (${genes.length})</span>
+                <span style="flex: 1; word-break: break-word;">${genes.join(', ')}</span>
+                <button class="btn btn-secondary btn-sm" style="flex: none;" onclick="app.enrichrHeatmapGroup(${g})" title="Submit this group to Enrichr">Enrichr</button>
+                <button class="btn btn-outline btn-sm" style="flex: none;" onclick="app.useHeatmapGroupAsInput(${g})" title="Replace the gene input with this group">Use as input</button>
+            </div>`).join('');
+    }
+
+    enrichrHeatmapGroup(g) {
+        const genes = this._heatmapGroupGenes()[g];
+        if (!genes || genes.length < 2) {
+            this.showCopyNotification('Need at least 2 genes for Enrichr analysis');
+            return;
+        }
+        const modal = document.getElementById('enrichrModal');
+        const content = document.getElementById('enrichrContent');
+        document.getElementById('enrichrTitle').textContent = `Enrichr — Heatmap group ${g + 1} (${genes.length} genes)`;
+        content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Submitting to Enrichr...</div>';
+        modal.style.display = 'block';
+
+        this.submitToEnrichr(genes).catch(err => {
+            content.innerHTML = `<div style="text-align:center; padding:60px; color:#ef4444;">Failed to connect to Enrichr.<br><small style="color:#888;">${err.message}</small></div>`;
+        });
+    }
+
+    useHeatmapGroupAsInput(g) {
+        const genes = this._heatmapGroupGenes()[g];
+        if (!genes?.length) return;
+        document.getElementById('geneTextarea').value = genes.join('\n');
+        this.updateGeneCount();
+        this.showStatus('info', `Gene input set to heatmap group ${g + 1} (${genes.length} genes)`);
+    }
+
+    downloadHeatmapCSV() {
+        const state = this._heatmapState;
+        if (!state?.groups) return;
+        const { genes, matrix } = state;
+        const n = genes.length;
+        const order = state.tree.order;
+        let csv = `# Correlation heatmap: ${CORRELATION_METHODS[this.results.method || 'pearson'].label}`;
+        if ((this.results.adjustBy || 'none') !== 'none') csv += `, ${this._lineageAdjustLabel(this.results.adjustBy)}`;
+        csv += `, ${state.linkage} linkage on 1 - r, k = ${state.k}, ${this.results.nCellLines} cell lines\n`;
+        csv += `Gene,Group,${order.map(i => genes[i]).join(',')}\n`;
+        order.forEach(i => {
+            csv += `${genes[i]},${state.groups[i]},${order.map(j => isNaN(matrix[i * n + j]) ? '' : matrix[i * n + j].toFixed(4)).join(',')}\n`;
+        });
+        this.downloadFile(csv, csvName('correlation_heatmap'), 'text/csv');
+    }
+
+    async exportHeatmap(format) {
+        const plotEl = document.getElementById('correlationHeatmapPlot');
+        if (!plotEl || !plotEl.data || !this._heatmapState) return;
+        await this._exportPlotly(plotEl, {
+            w: plotEl._fullLayout?.width || plotEl.offsetWidth,
+            h: plotEl._fullLayout?.height || plotEl.offsetHeight,
+            format,
+            filename: 'correlation_heatmap',
+            meta: this._buildExportMetadata('correlation_heatmap', {
+                geneList: this._heatmapState.genes,
+                correlationMethod: this.results?.method || 'pearson',
+                lineageAdjust: this.results?.adjustBy || 'none',
+                linkage: this._heatmapState.linkage,
+                k: this._heatmapState.k,
+                nCellLines: this.results?.nCellLines
+            })
+        });
+    }
+
+    // ── Differential co-essentiality network ──
+
+    _syncDiffNetControls() {
+        const splitBy = document.getElementById('diffSplitBy')?.value || 'mutation';
+        document.getElementById('diffMutationControls').style.display = splitBy === 'mutation' ? 'inline-flex' : 'none';
+        document.getElementById('diffLineageControls').style.display = splitBy === 'lineage' ? 'inline-flex' : 'none';
+
+        const datalist = document.getElementById('diffMutGeneList');
+        if (datalist && !datalist.options.length) {
+            const genes = [...new Set(this._gateMutationSources().map(s => s.gene))].sort();
+            datalist.innerHTML = genes.map(g => `<option value="${g}">`).join('');
+        }
+        const selA = document.getElementById('diffLineageA');
+        if (selA && !selA.options.length && this.lineageCounts) {
+            const lineages = Object.keys(this.lineageCounts).sort();
+            selA.innerHTML = lineages.map(l => `<option value="${l}">${l} (${this.lineageCounts[l]})</option>`).join('');
+            document.getElementById('diffLineageB').innerHTML = '<option value="">All other lineages</option>' +
+                lineages.map(l => `<option value="${l}">${l} (${this.lineageCounts[l]})</option>`).join('');
+        }
+    }
+
+    // Cohort A / B cell-line indices within the run's filtered cell lines,
+    // from the Differential tab controls. Returns { idxA, idxB, labelA, labelB }
+    // or { error }.
+    _diffNetCohorts(cellLineIndices) {
+        const splitBy = document.getElementById('diffSplitBy').value;
+        const cellLines = this.metadata.cellLines;
+        if (splitBy === 'lineage') {
+            const linA = document.getElementById('diffLineageA').value;
+            const linB = document.getElementById('diffLineageB').value;
+            if (!linA) return { error: 'Choose a lineage for cohort A' };
+            if (linA === linB) return { error: 'Cohorts A and B must be different lineages' };
+            const lineageOf = (idx) => this.cellLineMetadata?.lineage?.[cellLines[idx]];
+            return {
+                idxA: cellLineIndices.filter(i => lineageOf(i) === linA),
+                idxB: cellLineIndices.filter(i => linB ? lineageOf(i) === linB : lineageOf(i) && lineageOf(i) !== linA),
+                labelA: linA,
+                labelB: linB || `not ${linA}`
+            };
+        }
+        const gene = document.getElementById('diffMutGene').value.trim().toUpperCase();
+        const type = document.getElementById('diffMutType').value;
+        if (!gene) return { error: 'Enter a mutation or fusion gene for cohort A' };
+        const mutationData = this._gateMutationData(gene, type);
+        const calls = mutationData?.mutations;
+        if (!calls) return { error: `No ${type} calls for ${gene}` };
+        const label = type === 'fusion' ? 'fused' : `${type} mut`;
+        return {
+            idxA: cellLineIndices.filter(i => (calls[cellLines[i]] || 0) >= 1),
+            // Lines the source makes no call for are neither mutant nor WT
+            idxB: cellLineIndices.filter(i => !calls[cellLines[i]] && !this._isUncalled(mutationData, cellLines[i])),
+            labelA: `${gene} ${label}`,
+            labelB: type === 'fusion' ? `${gene} no fusion` : `${gene} WT`
+        };
+    }
+
+    // Gene set the differential network is computed over: the input list in
+    // Analysis mode, every gene in the correlation network in Design mode.
+    _diffNetGenes(results = this.results) {
+        const genes = new Set(results.geneList);
+        if (results.mode === 'design') {
+            results.correlations.forEach(c => { genes.add(c.gene1); genes.add(c.gene2); });
+        }
+        return [...genes].filter(g => this.geneIndex.has(g));
+    }
+
+    // All-pairs Δr = r(A) − r(B) over genes with the run's method and lineage
+    // adjustment, tested with the Fisher z-transformation (SE from n − 3 − k,
+    // k = covariate groups − 1 when lineage-adjusted). Pairs with fewer than
+    // minN complete cell lines in either cohort are skipped. The pair
+    // correlations run on a correlation worker pool (rows interleaved across
+    // workers); onProgress(done, total) follows the genes. Resolves to rows
+    // { gene1, gene2, rA, rB, nA, nB, deltaR, pValue, qValue }, or rejects
+    // with an AbortError when a newer run replaces this one.
+    async computeDifferentialCorrelations(genes, idxA, idxB, method = 'pearson', adjustBy = 'none', minN = 3, onProgress = null) {
+        const minPairN = Math.max(minN, 4);
+        const cohort = (indices) => {
+            const covariates = adjustBy !== 'none' ? this._covariateGroups(indices, adjustBy) : null;
+            const nGroups = covariates?.nGroups || 0;
+            // k: covariate columns regressed out, each costing the Fisher z one degree of freedom
+            return { matrix: this._buildFilteredMatrix(genes, indices, false), nCols: indices.length, groups: covariates?.groups || null, nGroups, k: covariates ? nGroups - 1 : 0 };
+        };
+        const A = cohort(idxA);
+        const B = cohort(idxB);
+
+        let pairs = [];
+        const workerUrl = this._getCorrelationWorkerUrl();
+        if (workerUrl) {
+            if (this._diffNetPool) this._abortWorkerPool(this._diffNetPool, 'Differential network superseded');
+            const pool = this._diffNetPool = this._startWorkerPool(workerUrl);
+            try {
+                const nWorkers = pool.workers.length;
+                const jobs = pool.workers.map((_, w) => {
+                    const rows = [];
+                    for (let i = w; i < genes.length; i += nWorkers) rows.push(i);
+                    const matrixA = A.matrix.slice(), matrixB = B.matrix.slice();
+                    return {
+                        message: {
+                            type: 'diff', names: genes, rows, method, minN: minPairN,
+                            matrixA: matrixA.buffer, nColsA: A.nCols, groupsA: A.groups, nGroupsA: A.nGroups,
+                            matrixB: matrixB.buffer, nColsB: B.nCols, groupsB: B.groups, nGroupsB: B.nGroups
+                        },
+                        transfer: [matrixA.buffer, matrixB.buffer]
+                    };
+                });
+                const results = await this._runCorrelationJobs(pool, jobs, genes.length, 'diff', onProgress);
+                for (let i = 0; i < genes.length; i++) {
+                    pairs.push(...results[i % nWorkers].hits[Math.floor(i / nWorkers)]);
+                }
+            } finally {
+                pool.workers.forEach(w => w.terminate());
+                if (this._diffNetPool === pool) this._diffNetPool = null;
+            }
+        } else {
+            const vectors = ({ matrix, nCols, groups, nGroups }) => genes.map((_, i) => {
+                const v = matrix.subarray(i * nCols, (i + 1) * nCols);
+                return groups ? residualizeByGroup(v, groups, nGroups) : v;
+            });
+            const vecA = vectors(A), vecB = vectors(B);
+            for (let i = 0; i < genes.length; i++) {
+                for (let j = i + 1; j < genes.length; j++) {
+                    const a = correlateVectors(vecA[i], vecA[j], method);
+                    const b = correlateVectors(vecB[i], vecB[j], method);
+                    if (a.n < minPairN || b.n < minPairN || isNaN(a.correlation) || isNaN(b.correlation)) continue;
+                    pairs.push({ gene1: genes[i], gene2: genes[j], rA: a.correlation, rB: b.correlation, nA: a.n, nB: b.n });
+                }
+            }
+        }
+
+        const fisherZ = (r) => 0.5 * Math.log((1 + r) / (1 - r));
+        const clip = (r) => Math.max(-0.9999, Math.min(0.9999, r));
+        pairs = pairs.filter(r => r.nA - 3 - A.k >= 1 && r.nB - 3 - B.k >= 1);
+        pairs.forEach(r => {
+            const se = Math.sqrt(1 / (r.nA - 3 - A.k) + 1 / (r.nB - 3 - B.k));
+            const z = (fisherZ(clip(r.rA)) - fisherZ(clip(r.rB))) / se;
+            r.deltaR = r.rA - r.rB;
+            r.pValue = 2 * (1 - this.normalCDF(Math.abs(z)));
+        });
+        const qValues = this.benjaminiHochberg(pairs.map(r => r.pValue));
+        pairs.forEach((r, k) => { r.qValue = qValues[k]; });
+        return pairs;
+    }
+
+    runDifferentialNetwork() {
+        const status = document.getElementById('diffNetStatus');
+        const showMessage = (msg) => {
+            status.textContent = msg;
+            status.style.display = 'block';
+        };
+        if (!this.results?.success || !['analysis', 'design'].includes(this.results.mode)) {
+            showMessage('Run an Analysis- or Design-mode correlation first');
+            return;
+        }
+        if (this._hasExpressionLayer()) {
+            showMessage('The differential network is available for gene effect → gene effect runs only');
+            return;
+        }
+        const genes = this._diffNetGenes();
+        if (genes.length < 2 || genes.length > 500) {
+            showMessage(`The differential network needs 2–500 genes (${genes.length} in this run)`);
+            return;
+        }
+        const cohorts = this._diffNetCohorts(this.results.cellLineIndices);
+        if (cohorts.error) {
+            showMessage(cohorts.error);
+            return;
+        }
+        const minN = Math.max(this.results.minN || 3, 4);
+        if (cohorts.idxA.length < minN || cohorts.idxB.length < minN) {
+            showMessage(`Each cohort needs at least ${minN} cell lines (A: ${cohorts.idxA.length}, B: ${cohorts.idxB.length})`);
+            return;
+        }
+
+        const computing = `Computing ${(genes.length * (genes.length - 1) / 2).toLocaleString()} pairs in ${cohorts.idxA.length} + ${cohorts.idxB.length} cell lines...`;
+        showMessage(computing);
+        setTimeout(async () => {
+            try {
+                const rows = await this.computeDifferentialCorrelations(genes, cohorts.idxA, cohorts.idxB, this.results.method || 'pearson', this.results.adjustBy || 'none', minN,
+                    (done, total) => showMessage(`${computing} ${Math.round(100 * done / total)}%`));
+                const maxQ = this.getInputNum('diffMaxQ');
+                const minDelta = this.getInputNum('diffMinDelta');
+                const edges = rows.filter(r => r.qValue < maxQ && Math.abs(r.deltaR) >= minDelta)
+                    .sort((a, b) => a.pValue - b.pValue);
+                edges.forEach(r => { r.direction = Math.abs(r.rA) > Math.abs(r.rB) ? 'gained' : 'lost'; });
+                this.diffNetResults = {
+                    ...cohorts, nA: cohorts.idxA.length, nB: cohorts.idxB.length,
+                    genes, edges, nTests: rows.length, maxQ, minDelta,
+                    method: this.results.method || 'pearson', adjustBy: this.results.adjustBy || 'none'
+                };
+                this.displayDifferentialNetwork();
+            } catch (error) {
+                // A newer run took over the worker pool and reports its own result
+                if (error.name === 'AbortError') return;
+                console.error('Differential network failed:', error);
+                showMessage('Differential network failed: ' + error.message);
+            }
+        }, 50);
+    }
+
+    displayDifferentialNetwork() {
+        const res = this.diffNetResults;
+        const status = document.getElementById('diffNetStatus');
+        const container = document.getElementById('diffNetworkPlot');
+        const tableEl = document.getElementById('diffNetTable');
+        const sym = this._corrSymbol(res.method);
+        const nGained = res.edges.filter(e => e.direction === 'gained').length;
+        status.innerHTML = `<b>A</b> = ${res.labelA} (${res.nA} lines) vs <b>B</b> = ${res.labelB} (${res.nB} lines): ` +
+            `${res.edges.length} of ${res.nTests.toLocaleString()} pairs with q &lt; ${res.maxQ} and |&Delta;${sym}| &ge; ${res.minDelta} ` +
+            `(<span style="color: #dc2626;">${nGained} gained</span>, <span style="color: #2563eb;">${res.edges.length - nGained} lost</span>)`;
+        status.style.display = 'block';
+
+        if (this.diffNetwork) {
+            this.diffNetwork.destroy();
+            this.diffNetwork = null;
+        }
+        if (!res.edges.length) {
+            container.style.display = 'none';
+            tableEl.innerHTML = '';
+            return;
+        }
+
+        const fmtP = (p) => p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+        const inList = new Set(this.results.geneList);
+        const nodeGenes = new Set();
+        const edges = res.edges.map((e, idx) => {
+            nodeGenes.add(e.gene1);
+            nodeGenes.add(e.gene2);
+            return {
+                id: idx, from: e.gene1, to: e.gene2,
+                width: 1 + 6 * Math.min(1, Math.abs(e.deltaR) / 1.5),
+                color: { color: e.direction === 'gained' ? '#dc2626' : '#2563eb', opacity: 0.8 },
+                dashes: Math.sign(e.rA) !== Math.sign(e.rB),
+                title: `${e.gene1} — ${e.gene2}\n${sym}(A) = ${e.rA.toFixed(3)} (n=${e.nA})\n${sym}(B) = ${e.rB.toFixed(3)} (n=${e.nB})\nΔ${sym} = ${e.deltaR.toFixed(3)}, p = ${fmtP(e.pValue)}, q = ${fmtP(e.qValue)}`
+            };
+        });
+        const nodes = [...nodeGenes].map(g => ({
+            id: g, label: g, value: res.edges.filter(e => e.gene1 === g || e.gene2 === g).length,
+            color: { background: this.results.mode === 'design' && inList.has(g) ? '#fbbf24' : '#d1d5db', border: '#000000' },
+            borderWidth: 2
+        }));
+
+        container.style.display = 'block';
+        this.diffNetwork = new vis.Network(container, { nodes: new vis.DataSet(nodes), edges: new vis.DataSet(edges) }, {
+            nodes: { shape: 'dot', scaling: { min: 10, max: 40, label: { enabled: false } }, font: { size: 14, color: '#333' } },
+            edges: { smooth: false },
+            physics: {
+                enabled: true,
+                solver: 'forceAtlas2Based',
+                forceAtlas2Based: { gravitationalConstant: -50, centralGravity: 0.01, springLength: 100, springConstant: 0.08, damping: 0.4 },
+                stabilization: { enabled: true, iterations: nodes.length > 50 ? 300 : 150, updateInterval: 25 }
+            },
+            interaction: { hover: true, tooltipDelay: 100, navigationButtons: true, keyboard: true }
+        });
+        this.diffNetwork.on('doubleClick', (params) => {
+            if (params.edges.length !== 1 || params.nodes.length) return;
+            const e = res.edges[params.edges[0]];
+            this.openInspect({ gene1: e.gene1, gene2: e.gene2, correlation: e.rA });
+        });
+
+        const td = 'padding: 4px; text-align: center; border-bottom: 1px solid #eee;';
+        tableEl.innerHTML = `
+            <p style="font-size: 11px; color: #666; margin-bottom: 6px;">Dashed edges change sign between cohorts. Double-click an edge (or click a row) to inspect the pair.</p>
+            <table class="data-table" style="width: 100%; font-size: 12px;">
+                <thead><tr>
+                    <th>Gene 1</th><th>Gene 2</th><th>${sym}(A)</th><th>${sym}(B)</th><th>&Delta;${sym}</th><th>p</th><th>q</th><th>Coupling</th>
+                </tr></thead>
+                <tbody>${res.edges.map((e, idx) => `
+                    <tr style="cursor: pointer;" onclick="app.inspectDiffEdge(${idx})">
+                        <td style="${td}">${e.gene1}</td><td style="${td}">${e.gene2}</td>
+                        <td style="${td}">${e.rA.toFixed(3)}</td><td style="${td}">${e.rB.toFixed(3)}</td>
+                        <td style="${td}font-weight: 600; color: ${e.deltaR > 0 ? '#dc2626' : '#2563eb'};">${e.deltaR > 0 ? '+' : ''}${e.deltaR.toFixed(3)}</td>
+                        <td style="${td}">${fmtP(e.pValue)}</td><td style="${td}">${fmtP(e.qValue)}</td>
+                        <td style="${td}color: ${e.direction === 'gained' ? '#dc2626' : '#2563eb'};">${e.direction}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    // A new run invalidates the cohort comparison; drop it rather than show stale edges.
+    _clearDifferentialNetwork() {
+        this.diffNetResults = null;
+        if (this.diffNetwork) {
+            this.diffNetwork.destroy();
+            this.diffNetwork = null;
+        }
+        document.getElementById('diffNetworkPlot').style.display = 'none';
+        document.getElementById('diffNetTable').innerHTML = '';
+        const status = document.getElementById('diffNetStatus');
+        status.textContent = 'Choose two cohorts and click Compute';
+        status.style.display = 'block';
+    }
+
+    inspectDiffEdge(idx) {
+        const e = this.diffNetResults?.edges[idx];
+        if (e) this.openInspect({ gene1: e.gene1, gene2: e.gene2, correlation: e.rA });
+    }
+
+    downloadDiffNetCSV() {
+        const res = this.diffNetResults;
+        if (!res) return;
+        let csv = `# Differential co-essentiality: A = ${res.labelA} (${res.nA} lines), B = ${res.labelB} (${res.nB} lines)\n`;
+        csv += `# ${CORRELATION_METHODS[res.method].label}`;
+        if (res.adjustBy !== 'none') csv += `, ${this._lineageAdjustLabel(res.adjustBy)}`;
+        csv += `; Fisher z-test on r(A) - r(B), BH q over ${res.nTests} pairs; q < ${res.maxQ}, |delta r| >= ${res.minDelta}\n`;
+        csv += 'Gene1,Gene2,r_A,n_A,r_B,n_B,delta_r,p_value,q_value,coupling\n';
+        res.edges.forEach(e => {
+            csv += `${e.gene1},${e.gene2},${e.rA.toFixed(4)},${e.nA},${e.rB.toFixed(4)},${e.nB},${e.deltaR.toFixed(4)},${e.pValue.toExponential(3)},${e.qValue.toExponential(3)},${e.direction}\n`;
+        });
+        this.downloadFile(csv, csvName('differential_network'), 'text/csv');
+    }
+
     displaySummary() {
         const text = document.getElementById('summaryText');
         const lineage = document.getElementById('lineageFilter').value || 'All lineages';
@@ -8255,10 +13183,7 @@ ${this.genesNotFound.join(', ')}
 `;
         }
 
-        // Calculate number of clusters
-        const numClusters = this.results.correlations.length > 0
-            ? Math.max(...this.results.correlations.map(c => c.cluster))
-            : 0;
+        const numClusters = this._countClusters();
 
         // Build lineage filter text
         let lineageText = lineage;
@@ -8299,7 +13224,8 @@ ${this.genesNotFound.join(', ')}
         // P-value threshold (for mutation mode)
         let pValueText = '';
         if (this.results.mode === 'mutation') {
-            pValueText = `\nP-value Threshold: ${document.getElementById('pValueThreshold')?.value || '0.001'}`;
+            const statLabel = document.getElementById('pThresholdStat')?.value === 'q' ? 'q-value (BH FDR)' : 'P-value';
+            pValueText = `\n${statLabel} Threshold: ${document.getElementById('pValueThreshold')?.value || '0.001'}`;
         }
 
         text.textContent = `Gene Correlation Analysis Summary
@@ -8307,7 +13233,12 @@ ${this.genesNotFound.join(', ')}
 Run: ${dateTimeStr}
 
 Analysis Mode: ${this.results.mode === 'analysis' ? 'Analysis (within gene list)' : this.results.mode === 'design' ? 'Design (find correlated genes)' : this.results.mode === 'mutation' ? 'Mutation Analysis' : this.results.mode}
+Correlation Method: ${CORRELATION_METHODS[this.results.method || 'pearson'].label}
+Lineage Adjustment: ${this._lineageAdjustLabel(this.results.adjustBy)}${this.results.nCovariateGroups ? ` (${this.results.nCovariateGroups} groups)` : ''}
+Data Layers: ${this._dataLayerLabel(this.results)}
+Clustering: ${this._clusteringLabel(this.results)}
 Correlation Cutoff: ${this.results.cutoff}
+Max FDR (q): ${this.results.maxQ < 1 ? this.results.maxQ : 'off'}${this.results.nTests ? ` (BH over ${this.results.nTests} tests)` : ''}
 Minimum Cell Lines: ${document.getElementById('minCellLines').value}
 Minimum Slope: ${document.getElementById('minSlope').value}
 Lineage Filter: ${lineageText}
@@ -8342,7 +13273,7 @@ Results:
         const colIndex = Array.from(th.parentNode.children).indexOf(th);
         const sortKey = th.dataset.sort;
         const numericColumns = [
-            'correlation', 'slope', 'n', 'cluster',
+            'correlation', 'slope', 'n', 'pValue', 'qValue', 'cluster',
             'meanEffect', 'sdEffect', 'meanEffectFiltered', 'sdEffectFiltered',
             'lfc', 'fdr'
         ];
@@ -8376,15 +13307,54 @@ Results:
         rows.forEach(row => tbody.appendChild(row));
     }
 
+    // Correlations table as CSV (shared by Download CSV and Download All).
+    // Lineage-adjusted runs add both values; Correlation is whichever is displayed.
+    _correlationsCSV() {
+        const isAdjusted = (this.results.adjustBy || 'none') !== 'none';
+        let csv = `# Correlation method: ${CORRELATION_METHODS[this.results.method || 'pearson'].label}\n`;
+        if (isAdjusted) csv += `# Lineage adjustment: ${this._lineageAdjustLabel(this.results.adjustBy)} (${this.results.nCovariateGroups} groups); cutoff applied to adjusted correlation\n`;
+        if (this.results.nTests) csv += `# P_Value: two-sided t-test of the correlation; Q_Value: Benjamini-Hochberg FDR over ${this.results.nTests} pairs tested${this.results.maxQ < 1 ? ` (edges with q > ${this.results.maxQ} removed)` : ''}${isAdjusted ? '; both test the adjusted correlation' : ''}\n`;
+        csv += 'Gene1,Gene2,Correlation,Slope,N,P_Value,Q_Value,Cluster' + (isAdjusted ? ',Raw_Correlation,Adjusted_Correlation' : '') + '\n';
+        const fmtP = (p) => p === undefined || isNaN(p) ? '' : p.toExponential(3);
+        this.results.correlations.forEach(c => {
+            csv += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${fmtP(c.pValue)},${fmtP(c.qValue)},${c.cluster}`;
+            if (isAdjusted) csv += `,${c.rawCorrelation},${c.adjustedCorrelation}`;
+            csv += '\n';
+        });
+        return csv;
+    }
+
+    _lineageAdjustLabel(adjustBy) {
+        return adjustBy === 'lineage' ? 'Lineage regressed out'
+            : adjustBy === 'sublineage' ? 'Lineage + subtype regressed out'
+            : 'None';
+    }
+
+    _hasExpressionLayer(results = this.results) {
+        return results?.queryLayer === 'expr' || results?.targetLayer === 'expr';
+    }
+
+    _dataLayerLabel(results) {
+        const name = (layer) => layer === 'expr' ? 'Expression' : 'Gene effect';
+        return `${name(results?.queryLayer)} → ${name(results?.targetLayer)}`;
+    }
+
+    _clusteringLabel(results) {
+        if (results?.clusterMethod !== 'louvain') return 'Connected components';
+        const q = results.modularity != null ? `, Q = ${results.modularity.toFixed(3)}` : '';
+        return `Louvain communities (|r|-weighted, resolution ${results.clusterResolution}${q})`;
+    }
+
+    _countClusters() {
+        return new Set(this.results.clusters.map(c => c.cluster).filter(k => typeof k === 'number' && k > 0)).size;
+    }
+
     downloadCSV(type) {
         if (!this.results) return;
 
         let csv, filename;
         if (type === 'correlations') {
-            csv = 'Gene1,Gene2,Correlation,Slope,N,Cluster\n';
-            this.results.correlations.forEach(c => {
-                csv += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${c.cluster}\n`;
-            });
+            csv = this._correlationsCSV();
             filename = csvName('correlations');
         } else {
             const isFiltered = this.results.isFiltered;
@@ -8394,6 +13364,10 @@ Results:
             // Add filter info as comments
             csv = `# Clusters Export\n`;
             csv += `# Analysis mode: ${this.results.mode === 'design' ? 'Design (find correlated genes)' : 'Analysis (within gene list)'}\n`;
+            csv += `# Correlation method: ${CORRELATION_METHODS[this.results.method || 'pearson'].label}\n`;
+            if ((this.results.adjustBy || 'none') !== 'none') csv += `# Lineage adjustment: ${this._lineageAdjustLabel(this.results.adjustBy)}\n`;
+            if (this._hasExpressionLayer()) csv += `# Data layers: ${this._dataLayerLabel(this.results)}\n`;
+            csv += `# Clustering: ${this._clusteringLabel(this.results)}\n`;
             csv += `# Lineage filter: ${lineage}\n`;
             if (subLineage) csv += `# Subtype filter: ${subLineage}\n`;
             csv += `# Filtered cell lines: ${this.results.nCellLines}\n`;
@@ -8421,7 +13395,7 @@ Results:
                 row += `${c.cluster},${hasCorr},${c.meanEffect},${c.sdEffect}`;
                 if (isFiltered) row += `,${c.meanEffectFiltered},${c.sdEffectFiltered}`;
                 if (hasStats) {
-                    const geneStat = this.geneStats.get(c.gene);
+                    const geneStat = this.geneStats.get(this.nodeGene(c.gene));
                     const lfc = geneStat?.lfc !== null && geneStat?.lfc !== undefined ? geneStat.lfc.toFixed(4) : '';
                     const fdr = geneStat?.fdr !== null && geneStat?.fdr !== undefined ? geneStat.fdr.toExponential(2) : '';
                     row += `,${lfc},${fdr}`;
@@ -8469,7 +13443,7 @@ Results:
         const hotspotGene = document.getElementById('paramHotspotGene')?.value;
         const hotspotLevel = document.getElementById('paramHotspotLevel')?.value;
         if (hotspotGene) {
-            const levelLabel = hotspotLevel === '1+2' ? 'mut' : hotspotLevel === '0' ? 'WT' : `level ${hotspotLevel}`;
+            const levelLabel = hotspotLevel === '1+2' ? 'mut' : hotspotLevel === '0' ? 'WT' : hotspotLevel.startsWith('var:') ? hotspotLevel.slice(4) : `level ${hotspotLevel}`;
             parts.push(`${hotspotGene} ${levelLabel}`);
         }
         const translocGene = document.getElementById('paramTranslocationGene')?.value;
@@ -8597,7 +13571,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) totalLegendWidth += 140;
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -8648,7 +13622,7 @@ Results:
         ctx.lineTo(eX + 35, legendY + 22);
         ctx.stroke();
         ctx.fillStyle = '#333';
-        ctx.fillText(`r = ${legendVals.minCorr.toFixed(2)}`, eX + 42, legendY + 27);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.minCorr.toFixed(2)}`, eX + 42, legendY + 27);
 
         // Mid correlation
         ctx.lineWidth = Math.max(1, 1 + (legendVals.midCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
@@ -8656,7 +13630,7 @@ Results:
         ctx.moveTo(eX, legendY + 48);
         ctx.lineTo(eX + 35, legendY + 48);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.midCorr.toFixed(2)}`, eX + 42, legendY + 53);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.midCorr.toFixed(2)}`, eX + 42, legendY + 53);
 
         // Max correlation
         ctx.lineWidth = Math.max(1, 1 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
@@ -8664,12 +13638,12 @@ Results:
         ctx.moveTo(eX, legendY + 74);
         ctx.lineTo(eX + 35, legendY + 74);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.maxCorr.toFixed(2)}`, eX + 42, legendY + 79);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.maxCorr.toFixed(2)}`, eX + 42, legendY + 79);
 
         legendX += 160;
 
         // Node type legend (for design mode, hidden when color by GE/stats)
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) {
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) {
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
             ctx.fillText('Node Type:', legendX, legendY);
@@ -8762,7 +13736,7 @@ Results:
             if (colorScale === 'network') {
                 const networkGenes = [];
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     if (geneStat) networkGenes.push(geneStat);
                 });
                 stats = networkGenes;
@@ -8858,6 +13832,13 @@ Results:
             geneList: this.getGeneList(),
             mode: this.results?.mode,
             cutoff: this.results?.cutoff,
+            correlationMethod: this.results?.method || 'pearson',
+            lineageAdjust: this.results?.adjustBy || 'none',
+            maxQ: this.results?.maxQ ?? 1,
+            clusterMethod: this.results?.clusterMethod || 'components',
+            clusterResolution: this.results?.clusterResolution ?? 1,
+            queryLayer: this.results?.queryLayer || 'ge',
+            targetLayer: this.results?.targetLayer || 'ge',
             nCellLines: this.results?.nCellLines,
             networkSettings: this._captureNetworkSettings(),
             oncoprintFilters: this._activeOncoprintFilters || null
@@ -8978,7 +13959,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) totalLegendWidth += 140;
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -9013,16 +13994,16 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         const width3 = Math.max(1, 1 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
 
         svg += `  <line x1="${legendX}" y1="${legendY + 22}" x2="${legendX + 35}" y2="${legendY + 22}" stroke="#666" stroke-width="${width1}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">r = ${legendVals.minCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.minCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 48}" x2="${legendX + 35}" y2="${legendY + 48}" stroke="#666" stroke-width="${width2}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">r = ${legendVals.midCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.midCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 74}" x2="${legendX + 35}" y2="${legendY + 74}" stroke="#666" stroke-width="${width3}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">r = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
 
         legendX += 160;
 
         // Node type legend (for design mode, hidden when color by GE/stats)
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) {
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) {
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Type:</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 25}" r="10" fill="#5a9f4a"/>\n`;
             svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">Input</text>\n`;
@@ -9074,7 +14055,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
             if (colorScale === 'network') {
                 const networkGenes = [];
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     if (geneStat) networkGenes.push(geneStat);
                 });
                 stats = networkGenes;
@@ -9129,6 +14110,13 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
             geneList: this.getGeneList(),
             mode: this.results?.mode,
             cutoff: this.results?.cutoff,
+            correlationMethod: this.results?.method || 'pearson',
+            lineageAdjust: this.results?.adjustBy || 'none',
+            maxQ: this.results?.maxQ ?? 1,
+            clusterMethod: this.results?.clusterMethod || 'components',
+            clusterResolution: this.results?.clusterResolution ?? 1,
+            queryLayer: this.results?.queryLayer || 'ge',
+            targetLayer: this.results?.targetLayer || 'ge',
             nCellLines: this.results?.nCellLines,
             networkSettings: this._captureNetworkSettings(),
             oncoprintFilters: this._activeOncoprintFilters || null
@@ -9275,8 +14263,8 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
             const cluster = this.results?.clusters?.find(c => c.gene === node.id);
 
             // Look up stats - try replacement name first, then original name
-            let geneStat = this.geneStats?.get(node.id);
-            const originalName = synonymLookup.get(node.id.toUpperCase());
+            let geneStat = this.geneStats?.get(this.nodeGene(node.id));
+            const originalName = synonymLookup.get(this.nodeGene(node.id).toUpperCase());
             if (!geneStat && originalName) {
                 geneStat = this.geneStats?.get(originalName);
             }
@@ -9315,6 +14303,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
 
         const colorByStats = document.getElementById('colorByStats').checked;
         const colorByGeneEffect = document.getElementById('colorByGeneEffect').checked;
+        const colorByCluster = document.getElementById('colorByCluster')?.checked;
         const colorStatType = document.querySelector('input[name="colorStatType"]:checked')?.value || 'signed_lfc';
         const colorGEType = document.querySelector('input[name="colorGEType"]:checked')?.value || 'signed';
         const colorScale = document.querySelector('input[name="colorScale"]:checked')?.value || 'all';
@@ -9327,9 +14316,9 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         if (colorByGeneEffect && this.results?.clusters) {
             if (legendSection) legendSection.style.display = 'block';
 
-            // Build map of gene -> meanEffect
+            // Build map of gene -> meanEffect (expression-layer nodes stay grey)
             const effectMap = new Map();
-            this.results.clusters.forEach(c => effectMap.set(c.gene, c.meanEffect));
+            this.results.clusters.forEach(c => { if (!this.isExpressionNode(c.gene)) effectMap.set(c.gene, c.meanEffect); });
 
             // Use visible network genes for scale (not all clusters)
             const visibleEffects = [];
@@ -9337,7 +14326,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
                 const effect = effectMap.get(node.id);
                 if (effect !== undefined && !isNaN(effect)) visibleEffects.push(effect);
             });
-            const effectValues = visibleEffects.length > 0 ? visibleEffects : this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = visibleEffects.length > 0 ? visibleEffects : [...effectMap.values()].filter(v => !isNaN(v));
 
             if (colorGEType === 'signed') {
                 const minEffect = Math.min(...effectValues);
@@ -9401,6 +14390,33 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
             return;
         }
 
+        // Color by cluster: one categorical colour per cluster / community
+        if (colorByCluster && this.results?.clusters) {
+            if (legendSection) legendSection.style.display = 'block';
+            const palette = CorrelationExplorer.CATEGORY_COLORS;
+            const clusterOf = new Map(this.results.clusters.map(c => [c.gene, c.cluster]));
+            const counts = new Map();
+            this.networkData.nodes.forEach(node => {
+                const k = clusterOf.get(node.id);
+                const inCluster = typeof k === 'number' && k > 0;
+                if (inCluster) counts.set(k, (counts.get(k) || 0) + 1);
+                updates.push({
+                    id: node.id,
+                    color: { background: inCluster ? palette[(k - 1) % palette.length] : '#cccccc', border: '#000000' }
+                });
+            });
+            const shown = [...counts.keys()].sort((a, b) => a - b);
+            if (colorLegend) colorLegend.innerHTML = `
+                <div class="legend-item">${this.results.clusterMethod === 'louvain' ? 'Community' : 'Cluster'}</div>
+                ${shown.slice(0, 10).map(k => `<span class="legend-item"><span class="legend-dot" style="background: ${palette[(k - 1) % palette.length]};"></span> ${k} (${counts.get(k)})</span>`).join('')}
+                ${shown.length > 10 ? `<span class="legend-item">+${shown.length - 10} more</span>` : ''}
+            `;
+            this.networkData.nodes.update(updates);
+            const nt = document.getElementById('legendNodeType');
+            if (nt && this.results.mode === 'design') nt.style.display = 'none';
+            return;
+        }
+
         if (!colorByStats || !this.geneStats || this.geneStats.size === 0) {
             // Reset to default colors
             this.networkData.nodes.forEach(node => {
@@ -9426,7 +14442,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
                 // Only genes in the current network
                 const networkGenes = [];
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     if (geneStat) networkGenes.push(geneStat);
                 });
                 stats = networkGenes;
@@ -9442,7 +14458,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
                 const maxAbs = Math.max(Math.abs(minLfc), Math.abs(maxLfc));
 
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     let bgColor = '#cccccc'; // Gray for missing
 
                     if (geneStat && geneStat.lfc !== null && !isNaN(geneStat.lfc)) {
@@ -9470,7 +14486,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
                 const maxLfc = Math.max(...lfcValues);
 
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     let bgColor = '#cccccc';
 
                     if (geneStat && geneStat.lfc !== null && !isNaN(geneStat.lfc)) {
@@ -9497,7 +14513,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
                 const minFdr = Math.min(...fdrValues);
 
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     let bgColor = '#cccccc';
 
                     if (geneStat && geneStat.fdr !== null && !isNaN(geneStat.fdr) && geneStat.fdr > 0) {
@@ -9658,6 +14674,11 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         });
     }
 
+    // Unique gene symbols behind a set of network node ids, in order
+    _nodeGenes(nodes) {
+        return [...new Set(Array.from(nodes, n => this.nodeGene(n)))];
+    }
+
     updateSelectedNodesList() {
         const listEl = document.getElementById('selectedNodesList');
         const textEl = document.getElementById('selectedNodesText');
@@ -9677,7 +14698,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         this.updateSelectedNodesList();
         // Restore the original gene list in textarea
         if (this.results?.geneList) {
-            document.getElementById('geneTextarea').value = this.results.geneList.join('\n');
+            document.getElementById('geneTextarea').value = this._nodeGenes(this.results.geneList).join('\n');
             this.updateGeneCount();
         }
     }
@@ -9835,10 +14856,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         if (!this.results) return;
 
         // Create correlations CSV
-        let correlationsCSV = 'Gene1,Gene2,Correlation,Slope,N,Cluster\n';
-        this.results.correlations.forEach(c => {
-            correlationsCSV += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${c.cluster}\n`;
-        });
+        const correlationsCSV = this._correlationsCSV();
 
         // Create clusters CSV (matching screen columns)
         const hasStats = this.geneStats && this.geneStats.size > 0;
@@ -9856,7 +14874,7 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
             row += `${c.cluster},${hasCorr},${c.meanEffect},${c.sdEffect}`;
             if (this.results.isFiltered) row += `,${c.meanEffectFiltered},${c.sdEffectFiltered}`;
             if (hasStats) {
-                const geneStat = this.geneStats.get(c.gene);
+                const geneStat = this.geneStats.get(this.nodeGene(c.gene));
                 const lfc = geneStat?.lfc !== null && geneStat?.lfc !== undefined ? geneStat.lfc.toFixed(4) : '';
                 const fdr = geneStat?.fdr !== null && geneStat?.fdr !== undefined ? geneStat.fdr.toExponential(2) : '';
                 row += `,${lfc},${fdr}`;
@@ -9874,7 +14892,12 @@ ${filterText ? `<text x="${width / 2}" y="${headerH / 2}" dominant-baseline="mid
         const summary = `Gene Correlation Analysis Summary
 ================================
 Analysis Mode: ${this.results.mode === 'analysis' ? 'Analysis (within gene list)' : 'Design (find correlated genes)'}
+Correlation Method: ${CORRELATION_METHODS[this.results.method || 'pearson'].label}
+Lineage Adjustment: ${this._lineageAdjustLabel(this.results.adjustBy)}${this.results.nCovariateGroups ? ` (${this.results.nCovariateGroups} groups)` : ''}
+Data Layers: ${this._dataLayerLabel(this.results)}
+Clustering: ${this._clusteringLabel(this.results)}
 Correlation Cutoff: ${this.results.cutoff}
+Max FDR (q): ${this.results.maxQ < 1 ? this.results.maxQ : 'off'}${this.results.nTests ? ` (BH over ${this.results.nTests} tests)` : ''}
 Minimum Cell Lines: ${document.getElementById('minCellLines').value}
 Minimum Slope: ${document.getElementById('minSlope').value}
 Lineage Filter: ${lineageText}
@@ -9885,7 +14908,7 @@ ${this.results.geneList.join(', ')}
 Results:
 - Total correlations found: ${this.results.correlations.length}
 - Genes in network: ${this.results.clusters.length}
-- Number of clusters: ${Math.max(...this.results.correlations.map(c => c.cluster))}
+- Number of clusters: ${this._countClusters()}
 `;
 
         // Create ZIP file using JSZip
@@ -9970,7 +14993,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) totalLegendWidth += 140;
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -10021,7 +15044,7 @@ Results:
         ctx.lineTo(eX + 35, legendY + 22);
         ctx.stroke();
         ctx.fillStyle = '#333';
-        ctx.fillText(`r = ${legendVals.minCorr.toFixed(2)}`, eX + 42, legendY + 27);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.minCorr.toFixed(2)}`, eX + 42, legendY + 27);
 
         // Mid correlation
         ctx.lineWidth = Math.max(1, 1 + (legendVals.midCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
@@ -10029,7 +15052,7 @@ Results:
         ctx.moveTo(eX, legendY + 48);
         ctx.lineTo(eX + 35, legendY + 48);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.midCorr.toFixed(2)}`, eX + 42, legendY + 53);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.midCorr.toFixed(2)}`, eX + 42, legendY + 53);
 
         // Max correlation
         ctx.lineWidth = Math.max(1, 1 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
@@ -10037,12 +15060,12 @@ Results:
         ctx.moveTo(eX, legendY + 74);
         ctx.lineTo(eX + 35, legendY + 74);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.maxCorr.toFixed(2)}`, eX + 42, legendY + 79);
+        ctx.fillText(`${this._corrSymbol(this.results?.method)} = ${legendVals.maxCorr.toFixed(2)}`, eX + 42, legendY + 79);
 
         legendX += 160;
 
         // Node type legend (for design mode, hidden when color by GE/stats)
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) {
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) {
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
             ctx.fillText('Node Type:', legendX, legendY);
@@ -10135,7 +15158,7 @@ Results:
             if (colorScale === 'network') {
                 const networkGenes = [];
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     if (geneStat) networkGenes.push(geneStat);
                 });
                 stats = networkGenes;
@@ -10316,7 +15339,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) totalLegendWidth += 140;
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -10346,16 +15369,16 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const width3 = Math.max(1, 1 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 3));
 
         svg += `  <line x1="${legendX}" y1="${legendY + 22}" x2="${legendX + 35}" y2="${legendY + 22}" stroke="#666" stroke-width="${width1}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">r = ${legendVals.minCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.minCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 48}" x2="${legendX + 35}" y2="${legendY + 48}" stroke="#666" stroke-width="${width2}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">r = ${legendVals.midCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.midCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 74}" x2="${legendX + 35}" y2="${legendY + 74}" stroke="#666" stroke-width="${width3}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">r = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">${this._corrSymbol(this.results?.method)} = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
 
         legendX += 160;
 
         // Node type legend (for design mode, hidden when color by GE/stats)
-        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked) {
+        if (this.results?.mode === 'design' && !document.getElementById('colorByGeneEffect')?.checked && !document.getElementById('colorByStats')?.checked && !document.getElementById('colorByCluster')?.checked) {
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Type:</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 25}" r="10" fill="#5a9f4a"/>\n`;
             svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">Input</text>\n`;
@@ -10407,7 +15430,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (colorScale === 'network') {
                 const networkGenes = [];
                 this.networkData.nodes.forEach(node => {
-                    const geneStat = this.geneStats.get(node.id);
+                    const geneStat = this.geneStats.get(this.nodeGene(node.id));
                     if (geneStat) networkGenes.push(geneStat);
                 });
                 stats = networkGenes;
@@ -10728,6 +15751,21 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const isPseudo = (g) => g === GR_LABEL || g?.startsWith('📊');
         if (c.gene1 === GR_LABEL) { xType = 'growth'; document.getElementById('xAxisDataType').value = 'growth'; }
         if (c.gene2 === GR_LABEL) { yType = 'growth'; document.getElementById('yAxisDataType').value = 'growth'; }
+        // Cross-modality edges set both axes from the node layers
+        if (this.isExpressionNode(c.gene1) || this.isExpressionNode(c.gene2)) {
+            xType = this.isExpressionNode(c.gene1) ? 'expr' : 'ge';
+            yType = this.isExpressionNode(c.gene2) ? 'expr' : 'ge';
+            document.getElementById('xAxisDataType').value = xType;
+            document.getElementById('yAxisDataType').value = yType;
+            c = { ...c, gene1: this.nodeGene(c.gene1), gene2: this.nodeGene(c.gene2) };
+        }
+        // CN / drug / signature axes left selected from an earlier pair fall back
+        // to GE when the new pair doesn't name a loaded gene, compound or signature
+        const axisUsable = (type, name) => type === 'cn' ? this.cnLoaded
+            : type === 'drug' ? !!this._findDrugCompound(name)
+            : type === 'signature' ? !!this._resolveSignatureAxis(name) : true;
+        if (!axisUsable(xType, c.gene1)) { xType = 'ge'; document.getElementById('xAxisDataType').value = 'ge'; }
+        if (!axisUsable(yType, c.gene2)) { yType = 'ge'; document.getElementById('yAxisDataType').value = 'ge'; }
 
         this.currentInspect = {
             gene1: c.gene1,
@@ -10907,12 +15945,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         }
 
         // Calculate stats for ALL cells (unfiltered) for the title
-        const allCellsStats = this.pearsonWithSlope(plotData.map(d => d.x), plotData.map(d => d.y));
-        const xLbl = xType === 'geneset' ? 'Set' : xType === 'growth' ? 'Growth' : xType === 'expr' ? 'Expr' : 'GE';
-        const yLbl = yType === 'geneset' ? 'Set' : yType === 'growth' ? 'Growth' : yType === 'expr' ? 'Expr' : 'GE';
+        const allCellsStats = this.correlateWithSlope(plotData.map(d => d.x), plotData.map(d => d.y));
+        const xLbl = xType === 'ge' ? 'GE' : this.getAxisLabelShort(xType);
+        const yLbl = yType === 'ge' ? 'GE' : this.getAxisLabelShort(yType);
         const typeTag = (xType !== 'ge' || yType !== 'ge') ? ` [${xLbl}/${yLbl}]` : '';
         document.getElementById('inspectTitle').textContent =
-            `${c.gene1} vs ${c.gene2}${typeTag} | r=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${plotData.length} (all cells)`;
+            `${c.gene1} vs ${c.gene2}${typeTag} | ${this._corrSymbol()}=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${plotData.length} (all cells)`;
 
         // Show modal and render plot
         document.getElementById('inspectModal').classList.add('active');
@@ -11265,16 +16303,29 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.renderSinglePanelPlot(filteredData, gene1, gene2, hotspotGene, hotspotMode, searchTerms, fontSize, filterDesc, transOverlayGene, transOverlayMode, colorByCategory);
     }
 
+    // Inspect points grouped for the variant colour-by: WT, each called
+    // variant (largest first), then mutants without a variant call
+    _groupByHotspotVariant(points, gene) {
+        const groups = new Map();
+        points.forEach(d => {
+            const label = this._hotspotVariantOf(gene, d.cellLineId) || (d.mutationLevel > 0 ? 'Other mut' : 'WT');
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(d);
+        });
+        const rank = (k) => k === 'WT' ? 0 : k === 'Other mut' ? 2 : 1;
+        return new Map([...groups].sort((a, b) => (rank(a[0]) - rank(b[0])) || (b[1].length - a[1].length)));
+    }
+
     renderSinglePanelPlot(filteredData, gene1, gene2, hotspotGene, hotspotMode, searchTerms, fontSize, filterDesc = '', transOverlayGene = '', transOverlayMode = 'none', colorByCategory = '') {
         // Calculate stats for each mutation group
         const wt = filteredData.filter(d => d.mutationLevel === 0);
         const mut1 = filteredData.filter(d => d.mutationLevel === 1);
         const mut2 = filteredData.filter(d => d.mutationLevel >= 2);
 
-        const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-        const mut1Stats = this.pearsonWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
-        const mut2Stats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
-        const allStats = this.pearsonWithSlope(filteredData.map(d => d.x), filteredData.map(d => d.y));
+        const wtStats = this.correlateWithSlope(wt.map(d => d.x), wt.map(d => d.y));
+        const mut1Stats = this.correlateWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
+        const mut2Stats = this.correlateWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
+        const allStats = this.correlateWithSlope(filteredData.map(d => d.x), filteredData.map(d => d.y));
 
         // Color-by tracking
         let colorByCategories = null;
@@ -11329,6 +16380,25 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 marker: { color: '#dc2626', size: 10, opacity: 0.8 },
                 name: `2 mut (n=${mut2.length}, ${mut2Pct}%)`
             });
+        } else if (hotspotMode === 'variant' && hotspotGene) {
+            // One trace per specific variant / codon (inferred hotspot calls);
+            // mutants without a variant call are grouped as "Other mut"
+            const groups = this._groupByHotspotVariant(filteredData, hotspotGene);
+            const palette = CorrelationExplorer.CATEGORY_COLORS;
+            let ci = 0;
+            groups.forEach((pts, label) => {
+                const color = label === 'WT' ? '#9ca3af' : label === 'Other mut' ? '#6b7280' : palette[ci++ % palette.length];
+                traces.push({
+                    x: pts.map(d => d.x),
+                    y: pts.map(d => d.y),
+                    mode: 'markers',
+                    type: 'scatter',
+                    text: pts.map(d => `${d.cellLineName}<br>${d.lineage}<br>${hotspotGene} ${label}`),
+                    hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
+                    marker: { color, size: 10, opacity: label === 'WT' ? 0.6 : 0.8 },
+                    name: `${label} (n=${pts.length}, ${(pts.length / filteredData.length * 100).toFixed(1)}%)`
+                });
+            });
         } else if (transOverlayMode === 'color' && transOverlayGene) {
             // Color by translocation/fusion level (purple tones)
             const tWT = filteredData.filter(d => d.translocationLevel === 0);
@@ -11519,17 +16589,24 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         if (filterDesc) {
             titleLines.push(`<span style="font-size:${subSize}px;color:#666;">${filterDesc}</span>`);
         }
-        titleLines.push(`<span style="font-size:${subSize}px;">n=${filteredData.length}, r=${allStats.correlation.toFixed(3)}, slope=${allStats.slope.toFixed(3)}</span>`);
+        titleLines.push(`<span style="font-size:${subSize}px;">n=${filteredData.length}, ${this._corrSymbol()}=${allStats.correlation.toFixed(3)}, slope=${allStats.slope.toFixed(3)}</span>`);
         titleLines.push(`<span style="font-size:${subSize}px;">mean (X: ${meanX.toFixed(2)}, Y: ${meanY.toFixed(2)}) median (X: ${medianX.toFixed(2)}, Y: ${medianY.toFixed(2)})</span>`);
 
         if (hotspotMode === 'color' && hotspotGene) {
-            titleLines.push(`<span style="font-size:${subSize}px;"><b>${hotspotGene}:</b> WT n=${wt.length} r=${wtStats.correlation.toFixed(3)} | 1mut n=${mut1.length} r=${mut1Stats.correlation.toFixed(3)} | 2mut n=${mut2.length} r=${mut2Stats.correlation.toFixed(3)}</span>`);
+            titleLines.push(`<span style="font-size:${subSize}px;"><b>${hotspotGene}:</b> WT n=${wt.length} ${this._corrSymbol()}=${wtStats.correlation.toFixed(3)} | 1mut n=${mut1.length} ${this._corrSymbol()}=${mut1Stats.correlation.toFixed(3)} | 2mut n=${mut2.length} ${this._corrSymbol()}=${mut2Stats.correlation.toFixed(3)}</span>`);
+        } else if (hotspotMode === 'variant' && hotspotGene) {
+            const parts = [];
+            this._groupByHotspotVariant(filteredData, hotspotGene).forEach((pts, label) => {
+                const st = this.correlateWithSlope(pts.map(d => d.x), pts.map(d => d.y));
+                parts.push(`${label} n=${pts.length}${pts.length >= 3 ? ` ${this._corrSymbol()}=${st.correlation.toFixed(3)}` : ''}`);
+            });
+            titleLines.push(`<span style="font-size:${subSize}px;"><b>${hotspotGene}:</b> ${parts.join(' | ')}</span>`);
         } else if (transOverlayMode === 'color' && transOverlayGene) {
             const tWT = filteredData.filter(d => d.translocationLevel === 0);
             const tFused = filteredData.filter(d => d.translocationLevel >= 1);
-            const tWTStats = this.pearsonWithSlope(tWT.map(d => d.x), tWT.map(d => d.y));
-            const tFusedStats = this.pearsonWithSlope(tFused.map(d => d.x), tFused.map(d => d.y));
-            titleLines.push(`<span style="font-size:${subSize}px;">${transOverlayGene}: No fusion n=${tWT.length} r=${tWTStats.correlation.toFixed(3)} | Fused n=${tFused.length} r=${tFusedStats.correlation.toFixed(3)}</span>`);
+            const tWTStats = this.correlateWithSlope(tWT.map(d => d.x), tWT.map(d => d.y));
+            const tFusedStats = this.correlateWithSlope(tFused.map(d => d.x), tFused.map(d => d.y));
+            titleLines.push(`<span style="font-size:${subSize}px;">${transOverlayGene}: No fusion n=${tWT.length} ${this._corrSymbol()}=${tWTStats.correlation.toFixed(3)} | Fused n=${tFused.length} ${this._corrSymbol()}=${tFusedStats.correlation.toFixed(3)}</span>`);
         }
 
         const titleText = titleLines.join('<br>');
@@ -11598,7 +16675,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             },
             hovermode: 'closest',
             margin: { t: topMargin, r: 30, b: colorByCategory ? 100 : 60, l: 80, autoexpand: false },
-            showlegend: (hotspotMode === 'color' && hotspotGene) || (transOverlayMode === 'color' && transOverlayGene) || !!colorByCategory,
+            showlegend: ((hotspotMode === 'color' || hotspotMode === 'variant') && hotspotGene) || (transOverlayMode === 'color' && transOverlayGene) || !!colorByCategory,
             legend: colorByCategory ? {
                 orientation: 'h',
                 x: 0.5,
@@ -11762,9 +16839,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const yRange = [this.getInputNum('scatterYmin'),
                        this.getInputNum('scatterYmax')];
 
-        const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-        const mut1Stats = this.pearsonWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
-        const mut2Stats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
+        const wtStats = this.correlateWithSlope(wt.map(d => d.x), wt.map(d => d.y));
+        const mut1Stats = this.correlateWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
+        const mut2Stats = this.correlateWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
 
         // Calculate means and medians for each group
         const calcGroupStats = (data) => ({
@@ -11960,13 +17037,13 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             annotations: [
                 titleAnnotation,
                 { x: 0.14, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>${annotLabels[0]}</b> n=${wt.length}, r=${wtStats.correlation.toFixed(3)}`,
+                  text: `<b>${annotLabels[0]}</b> n=${wt.length}, ${this._corrSymbol()}=${wtStats.correlation.toFixed(3)}`,
                   showarrow: false, font: { size: 10 } },
                 { x: 0.5, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>${annotLabels[1]}</b> n=${mut1.length}, r=${mut1Stats.correlation.toFixed(3)}`,
+                  text: `<b>${annotLabels[1]}</b> n=${mut1.length}, ${this._corrSymbol()}=${mut1Stats.correlation.toFixed(3)}`,
                   showarrow: false, font: { size: 10 } },
                 { x: 0.86, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>${annotLabels[2]}</b> n=${mut2.length}, r=${mut2Stats.correlation.toFixed(3)}`,
+                  text: `<b>${annotLabels[2]}</b> n=${mut2.length}, ${this._corrSymbol()}=${mut2Stats.correlation.toFixed(3)}`,
                   showarrow: false, font: { size: 10 } },
                 ...threePanelHighlightAnnotations
             ],
@@ -12160,8 +17237,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const tableData = [];
         Object.entries(lineageGroups).forEach(([lineage, groups]) => {
             if (groups.wt.length >= 3 && groups.mut.length >= 3) {
-                const wtStats = this.pearsonWithSlope(groups.wt.map(d => d.x), groups.wt.map(d => d.y));
-                const mutStats = this.pearsonWithSlope(groups.mut.map(d => d.x), groups.mut.map(d => d.y));
+                const wtStats = this.correlateWithSlope(groups.wt.map(d => d.x), groups.wt.map(d => d.y));
+                const mutStats = this.correlateWithSlope(groups.mut.map(d => d.x), groups.mut.map(d => d.y));
 
                 // Calculate delta and p-values using Fisher z-transformation for correlation difference
                 const deltaR = mutStats.correlation - wtStats.correlation;
@@ -12397,8 +17474,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
             // Need at least 3 samples in each group
             if (wt.length >= 3 && mut2.length >= 3) {
-                const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-                const mutStats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
+                const wtStats = this.correlateWithSlope(wt.map(d => d.x), wt.map(d => d.y));
+                const mutStats = this.correlateWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
 
                 const deltaR = mutStats.correlation - wtStats.correlation;
                 const deltaSlope = mutStats.slope - wtStats.slope;
@@ -12629,8 +17706,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             const fused = filteredData.filter(d => (transData[d.cellLineId] || 0) >= 1);
 
             if (wt.length >= 3 && fused.length >= 3) {
-                const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-                const fusedStats = this.pearsonWithSlope(fused.map(d => d.x), fused.map(d => d.y));
+                const wtStats = this.correlateWithSlope(wt.map(d => d.x), wt.map(d => d.y));
+                const fusedStats = this.correlateWithSlope(fused.map(d => d.x), fused.map(d => d.y));
 
                 const deltaR = fusedStats.correlation - wtStats.correlation;
                 const deltaSlope = fusedStats.slope - wtStats.slope;
@@ -12765,8 +17842,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const clIdxs = clIds.map(cl => clIndexOf.get(cl)).filter(i => i !== undefined);
         if (clIdxs.length < 3) { alert('Need ≥ 3 cell lines after filters.'); return; }
 
-        // Build the X-vector from the selected data type.
-        const xIdx = xType === 'ge'
+        // Build the X-vector from the selected data type. CN, drug and
+        // signature axes go through getAxisValue one cell line at a time.
+        const namedX = xType === 'cn' || xType === 'drug' || xType === 'signature';
+        const xName = xType === 'signature' ? this._resolveSignatureAxis(xGene) : xGene;
+        if (namedX && (!xName || (xType === 'cn' && !this.cnLoaded))) { alert('Plot the X axis with Update first.'); return; }
+        const xIdx = namedX ? -1 : xType === 'ge'
             ? this.geneIndex.get(xGene)
             : (this.expressionGeneIndex ? this.expressionGeneIndex.get(xGene) : undefined);
         if (xIdx === undefined) { alert(`Gene "${xGene}" not found in ${xType === 'ge' ? 'gene-effect' : 'expression'} data.`); return; }
@@ -12782,7 +17863,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const xValid = new Uint8Array(n);
         let xN = 0;
         for (let k = 0; k < n; k++) {
-            const v = xSource[xIdx * this.nCellLines + clIdxs[k]];
+            const v = namedX ? this.getAxisValue(xName, clIdxs[k], xType) : xSource[xIdx * this.nCellLines + clIdxs[k]];
             if (!isNaN(v) && v !== -999) { xRaw[k] = v; xValid[k] = 1; xN++; }
         }
         if (xN < 3) { alert('X gene has too few valid values in the filtered cell lines.'); return; }
@@ -12809,6 +17890,23 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             const r = num / Math.sqrt(denX * denY);
             return isFinite(r) ? r : null;
         };
+        // Spearman / bicor: rank or biweight the complete pairs for each Y gene.
+        const method = this.correlationMethod;
+        const xPair = new Float64Array(n), yPair = new Float64Array(n);
+        const pairedRobust = (yArr, yNaNSentinel) => {
+            let nn = 0;
+            for (let k = 0; k < n; k++) {
+                if (!xValid[k]) continue;
+                const y = yArr[k];
+                if (isNaN(y)) continue;
+                if (yNaNSentinel !== undefined && y === yNaNSentinel) continue;
+                xPair[nn] = xRaw[k]; yPair[nn] = y; nn++;
+            }
+            if (nn < 3) return null;
+            const r = scoreCosine(correlationScores(xPair.subarray(0, nn), method), correlationScores(yPair.subarray(0, nn), method));
+            return isFinite(r) ? r : null;
+        };
+        const pairedCorrelation = method === 'pearson' ? pairedPearson : pairedRobust;
 
         // Pass 1: GE correlates.
         const geHits = [];
@@ -12818,7 +17916,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (g === (xType === 'ge' ? xIdx : -1)) continue;
             const off = g * this.nCellLines;
             for (let k = 0; k < n; k++) yBuf[k] = this.geneEffects[off + clIdxs[k]];
-            const r = pairedPearson(yBuf, -999);
+            const r = pairedCorrelation(yBuf, -999);
             if (r !== null) geHits.push({ gene: this.geneNames[g], r });
         }
 
@@ -12832,7 +17930,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 if (eg === undefined) continue;
                 const off = eg * this.nCellLines;
                 for (let k = 0; k < n; k++) yBuf[k] = this.expressionData[off + clIdxs[k]];
-                const r = pairedPearson(yBuf);
+                const r = pairedCorrelation(yBuf);
                 if (r !== null) exprHits.push({ gene, r });
             }
         }
@@ -12844,8 +17942,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         // without re-computing correlations.
         this._inspectCorrelatesState = { geHits, exprHits, xGene, xType, xN, expressionLoaded: this.expressionLoaded };
 
-        document.getElementById('inspectCorrelatesTitle').textContent = `Correlates of ${xGene} (${xType === 'ge' ? 'GE' : 'Expression'})`;
-        document.getElementById('inspectCorrelatesSubtitle').textContent = `n = ${xN} cell lines (after the inspect modal's current filters). Click a gene to put it on the Y axis, or send the filtered list to Enrichr for pathway enrichment.`;
+        document.getElementById('inspectCorrelatesTitle').textContent = `Correlates of ${namedX ? this.getAxisLabel(xName, xType) : xGene} (${xType === 'ge' ? 'GE' : namedX ? this.getAxisLabelShort(xType) : 'Expression'})`;
+        document.getElementById('inspectCorrelatesSubtitle').textContent = `${CORRELATION_METHODS[method].label} correlation, n = ${xN} cell lines (after the inspect modal's current filters). Click a gene to put it on the Y axis, or send the filtered list to Enrichr for pathway enrichment.`;
 
         // Hard display cap guards the DOM when the user drops the threshold
         // near zero — Enrichr still receives the full thresholded list.
@@ -12872,14 +17970,17 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 <div style="flex:1; min-width:0;">
                     <div style="display:flex; justify-content:space-between; align-items:center; gap:8px; margin-bottom:4px;">
                         <div style="font-weight:600; color:#374151;">Top GE correlates <span id="icGeCount" style="font-weight:400; color:#6b7280; font-size:11px;"></span></div>
-                        <button class="btn btn-secondary btn-sm" id="icEnrichrGe" style="font-size:10px; padding:2px 8px;" title="Send the filtered GE-correlate list to Enrichr for pathway enrichment">Enrichr</button>
+                        <span style="display:flex; gap:4px;">
+                            <button class="btn btn-secondary btn-sm" id="icEnrichrGe" style="font-size:10px; padding:2px 8px;" title="Send the filtered GE-correlate list to Enrichr for pathway enrichment">Enrichr</button>
+                            <button class="btn btn-secondary btn-sm" id="icGseaGe" style="font-size:10px; padding:2px 8px;" title="Preranked GSEA on all GE correlates, ranked by r (ignores the |r| cutoff)">GSEA</button>
+                        </span>
                     </div>
                     <div style="font-size:10px; color:#9ca3af; margin-bottom:6px;">Click a gene to set it as the Y axis (GE).</div>
                     <div style="max-height:60vh; overflow-y:auto; border:1px solid #e5e7eb; border-radius:4px;">
                         <table style="width:100%; border-collapse:collapse; font-size:11px;">
                             <thead style="background:#f9fafb; position:sticky; top:0;"><tr>
                                 <th id="icGeHeadGene" style="${thStyle} text-align:left;">Gene<span id="icGeArrowGene"></span></th>
-                                <th id="icGeHeadR" style="${thStyle} text-align:center;">r<span id="icGeArrowR"></span></th>
+                                <th id="icGeHeadR" style="${thStyle} text-align:center;">${this._corrSymbol(method)}<span id="icGeArrowR"></span></th>
                             </tr></thead>
                             <tbody id="icGeBody"></tbody>
                         </table>
@@ -12888,14 +17989,17 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 <div style="flex:1; min-width:0;">
                     <div style="display:flex; justify-content:space-between; align-items:center; gap:8px; margin-bottom:4px;">
                         <div style="font-weight:600; color:#374151;">Top Expression correlates <span id="icExprCount" style="font-weight:400; color:#6b7280; font-size:11px;"></span></div>
-                        <button class="btn btn-secondary btn-sm" id="icEnrichrExpr" style="font-size:10px; padding:2px 8px;" ${this.expressionLoaded ? '' : 'disabled'} title="Send the filtered Expression-correlate list to Enrichr for pathway enrichment">Enrichr</button>
+                        <span style="display:flex; gap:4px;">
+                            <button class="btn btn-secondary btn-sm" id="icEnrichrExpr" style="font-size:10px; padding:2px 8px;" ${this.expressionLoaded ? '' : 'disabled'} title="Send the filtered Expression-correlate list to Enrichr for pathway enrichment">Enrichr</button>
+                            <button class="btn btn-secondary btn-sm" id="icGseaExpr" style="font-size:10px; padding:2px 8px;" ${this.expressionLoaded ? '' : 'disabled'} title="Preranked GSEA on all Expression correlates, ranked by r (ignores the |r| cutoff)">GSEA</button>
+                        </span>
                     </div>
                     <div style="font-size:10px; color:#9ca3af; margin-bottom:6px;">${this.expressionLoaded ? 'Click a gene to set it as the Y axis (Expression).' : 'Expression data not loaded.'}</div>
                     <div style="max-height:60vh; overflow-y:auto; border:1px solid #e5e7eb; border-radius:4px;">
                         <table style="width:100%; border-collapse:collapse; font-size:11px;">
                             <thead style="background:#f9fafb; position:sticky; top:0;"><tr>
                                 <th id="icExprHeadGene" style="${thStyle} text-align:left;">Gene<span id="icExprArrowGene"></span></th>
-                                <th id="icExprHeadR" style="${thStyle} text-align:center;">r<span id="icExprArrowR"></span></th>
+                                <th id="icExprHeadR" style="${thStyle} text-align:center;">${this._corrSymbol(method)}<span id="icExprArrowR"></span></th>
                             </tr></thead>
                             <tbody id="icExprBody"></tbody>
                         </table>
@@ -13013,6 +18117,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         document.getElementById('icSearch').addEventListener('input', renderLists);
         document.getElementById('icEnrichrGe').addEventListener('click', () => this._runInspectCorrelatesEnrichr('ge'));
         document.getElementById('icEnrichrExpr').addEventListener('click', () => this._runInspectCorrelatesEnrichr('expr'));
+        document.getElementById('icGseaGe').addEventListener('click', () => this.openGsea('inspectCorrelates', 'ge'));
+        document.getElementById('icGseaExpr').addEventListener('click', () => this.openGsea('inspectCorrelates', 'expr'));
 
         // Header clicks cycle sort direction. The r column toggles between
         // signed r and |r| so the user can see most-positive, most-negative,
@@ -13060,26 +18166,68 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const GR_LABEL = '⚡ Growth Rate';
         const GS_LABEL = this._geneSetLabel ? `📊 ${this._geneSetLabel}` : '📊 Gene Set';
         const noGeneAxis = (t) => t === 'growth' || t === 'geneset';
+        const geAxis = (t) => t === 'ge' || t === 'expr';
 
-        // For growth/geneset axes, use labels; otherwise require a gene
-        const gene1 = xType === 'growth' ? GR_LABEL : xType === 'geneset' ? GS_LABEL : document.getElementById('inspectGeneX').value.trim().toUpperCase();
-        const gene2 = yType === 'growth' ? GR_LABEL : yType === 'geneset' ? GS_LABEL : document.getElementById('inspectGeneY').value.trim().toUpperCase();
+        // For growth/geneset axes, use labels; otherwise require a gene (or compound / signature name)
+        let gene1 = xType === 'growth' ? GR_LABEL : xType === 'geneset' ? GS_LABEL : document.getElementById('inspectGeneX').value.trim().toUpperCase();
+        let gene2 = yType === 'growth' ? GR_LABEL : yType === 'geneset' ? GS_LABEL : document.getElementById('inspectGeneY').value.trim().toUpperCase();
 
         if ((!gene1 && !noGeneAxis(xType)) || (!gene2 && !noGeneAxis(yType))) {
-            alert('Please enter genes for GE/Expr axes.');
+            alert('Please enter a gene, compound or signature for each axis.');
             return;
         }
 
-        // Validate genes exist in GE data (not needed for growth/geneset axis)
-        if (!noGeneAxis(xType) && !this.geneIndex.has(gene1)) {
+        // Validate genes exist in GE data (GE and expression axes)
+        if (geAxis(xType) && !this.geneIndex.has(gene1)) {
             alert(`Gene "${gene1}" not found in the gene effect dataset.`);
             return;
         }
-        if (!noGeneAxis(yType) && !this.geneIndex.has(gene2)) {
+        if (geAxis(yType) && !this.geneIndex.has(gene2)) {
             alert(`Gene "${gene2}" not found in the gene effect dataset.`);
             return;
         }
 
+        // Drug and signature axes carry the canonical compound / signature name
+        const resolveNamed = (type, name) => {
+            if (type === 'drug') {
+                const compound = this._findDrugCompound(name);
+                if (!compound) alert(`Compound "${name}" not found in the PRISM drug response panel.`);
+                return compound?.name || null;
+            }
+            if (type === 'signature') {
+                const sig = this._resolveSignatureAxis(name);
+                if (!sig) alert(`Unknown signature "${name}". Choose one of: ${Object.keys(CorrelationExplorer.SIGNATURE_AXES).join(', ')}.`);
+                return sig;
+            }
+            return name;
+        };
+        if ((xType === 'signature' || yType === 'signature') && !this.globalSignatures?.byCellLine) {
+            alert('Genome signature data not available.');
+            return;
+        }
+        gene1 = resolveNamed(xType, gene1);
+        if (!gene1) return;
+        gene2 = resolveNamed(yType, gene2);
+        if (!gene2) return;
+
+        // If copy number is needed, load the CN matrix and validate genes
+        if (xType === 'cn' || yType === 'cn') {
+            try {
+                await this.loadCnData();
+            } catch (e) {
+                alert('Failed to load copy number data: ' + e.message);
+                return;
+            }
+            if (xType === 'cn' && !this.cnGeneIndex.has(gene1)) {
+                alert(`Gene "${gene1}" not found in copy number data.`);
+                return;
+            }
+            if (yType === 'cn' && !this.cnGeneIndex.has(gene2)) {
+                alert(`Gene "${gene2}" not found in copy number data.`);
+                return;
+            }
+        }
+
         // If growth rate is needed, check data is loaded
         if ((xType === 'growth' || yType === 'growth') && !this.growthRateData) {
             alert('Growth rate data not available.');
@@ -13166,8 +18314,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.openInspect({ gene1, gene2, correlation: null });
 
         // Update title
-        const xLabel = xType === 'geneset' ? 'Set' : xType === 'growth' ? 'Growth' : xType === 'expr' ? 'Expr' : 'GE';
-        const yLabel = yType === 'geneset' ? 'Set' : yType === 'growth' ? 'Growth' : yType === 'expr' ? 'Expr' : 'GE';
+        const xLabel = xType === 'ge' ? 'GE' : this.getAxisLabelShort(xType);
+        const yLabel = yType === 'ge' ? 'GE' : this.getAxisLabelShort(yType);
         const typeInfo = (xType !== 'ge' || yType !== 'ge') ? ` [${xLabel}/${yLabel}]` : '';
         document.getElementById('inspectTitle').textContent = `Correlation: ${gene1} vs ${gene2}${typeInfo}`;
     }
@@ -13236,7 +18384,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (data.length >= 5) { // Need at least 5 samples for meaningful correlation
                 const xVals = data.map(d => d.x);
                 const yVals = data.map(d => d.y);
-                const stats = this.pearsonWithSlope(xVals, yVals);
+                const stats = this.correlateWithSlope(xVals, yVals);
 
                 // Calculate mean gene effects
                 const meanX = xVals.reduce((a, b) => a + b, 0) / xVals.length;
@@ -13637,13 +18785,14 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         gateA.forEach(d => { tissueA[d.lineage || 'Unknown'] = (tissueA[d.lineage || 'Unknown'] || 0) + 1; });
         gateB.forEach(d => { tissueB[d.lineage || 'Unknown'] = (tissueB[d.lineage || 'Unknown'] || 0) + 1; });
         const allTissues = [...new Set([...Object.keys(tissueA), ...Object.keys(tissueB)])].sort();
-        const tissueStats = allTissues.map(t => ({
+        const tissueStats = this._addGateQValues(allTissues.map(t => ({
             tissue: t,
             nA: tissueA[t] || 0,
             pctA: ((tissueA[t] || 0) / gateA.length * 100),
             nB: tissueB[t] || 0,
-            pctB: ((tissueB[t] || 0) / gateB.length * 100)
-        }));
+            pctB: ((tissueB[t] || 0) / gateB.length * 100),
+            ...this._gateEnrichment(tissueA[t] || 0, tissueB[t] || 0, gateA.length, gateB.length)
+        })));
         tissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
         // 1b. Subtissue (primaryDisease) enrichment
@@ -13657,46 +18806,28 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             subtissueB[st] = (subtissueB[st] || 0) + 1;
         });
         const allSubtissues = [...new Set([...Object.keys(subtissueA), ...Object.keys(subtissueB)])].sort();
-        const subtissueStats = allSubtissues.map(st => ({
+        const subtissueStats = this._addGateQValues(allSubtissues.map(st => ({
             tissue: st,
             nA: subtissueA[st] || 0,
             pctA: ((subtissueA[st] || 0) / gateA.length * 100),
             nB: subtissueB[st] || 0,
-            pctB: ((subtissueB[st] || 0) / gateB.length * 100)
-        }));
+            pctB: ((subtissueB[st] || 0) / gateB.length * 100),
+            ...this._gateEnrichment(subtissueA[st] || 0, subtissueB[st] || 0, gateA.length, gateB.length)
+        })));
         subtissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
-        // 2. Mutation enrichment (hotspot + damaging mutations)
+        // 2. Mutation enrichment (hotspot, damaging and fusion calls), Fisher's
+        // exact test per gene with BH across the whole table
         const mutStats = [];
-        const gateMutSources = [];
-        if (this.mutations?.genes) {
-            for (const g of this.mutations.genes) gateMutSources.push({ gene: g, source: this.mutations, type: 'hotspot' });
-        }
-        if (this.damagingMutations?.genes) {
-            const hsSet = new Set(this.mutations?.genes || []);
-            for (const g of this.damagingMutations.genes) {
-                if (!hsSet.has(g)) gateMutSources.push({ gene: g, source: this.damagingMutations, type: 'damaging' });
-            }
-        }
-        gateMutSources.forEach(({ gene, source, type }) => {
-            const mutData = source.geneData?.[gene]?.mutations || {};
-            const mutA = gateA.filter(d => (mutData[d.cellLineId] || 0) > 0).length;
-            const mutB = gateB.filter(d => (mutData[d.cellLineId] || 0) > 0).length;
+        this._gateMutationSources().forEach(({ gene, calls, type }) => {
+            const mutA = gateA.filter(d => (calls[d.cellLineId] || 0) > 0).length;
+            const mutB = gateB.filter(d => (calls[d.cellLineId] || 0) > 0).length;
+            if (mutA === 0 && mutB === 0) return;
             const pctA = mutA / gateA.length * 100;
             const pctB = mutB / gateB.length * 100;
-
-            // Fisher's exact test approximation (chi-squared for 2x2)
-            const a = mutA, b = mutB, c = gateA.length - mutA, d2 = gateB.length - mutB;
-            const n = a + b + c + d2;
-            const chi2 = n > 0 ? Math.pow(a * d2 - b * c, 2) * n / ((a + b) * (c + d2) * (a + c) * (b + d2) || 1) : 0;
-            // Approximate p-value from chi-squared (1 df)
-            const pValue = 1 - this.normalCDF(Math.sqrt(chi2)) * 2 + 1;
-            const pApprox = Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-
-            if (mutA > 0 || mutB > 0) {
-                mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, pValue: pApprox, type });
-            }
+            mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, type, ...this._gateEnrichment(mutA, mutB, gateA.length, gateB.length) });
         });
+        this._addGateQValues(mutStats);
         mutStats.sort((a, b) => a.pValue - b.pValue);
 
         // 3. Differential gene effect (compare GE across all genes)
@@ -13823,11 +18954,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 nA: d => d.nA, pctA: d => d.pctA,
                 nB: d => d.nB, pctB: d => d.pctB,
                 delta: d => d.pctA - d.pctB,
-                absDelta: d => Math.abs(d.pctA - d.pctB)
+                absDelta: d => Math.abs(d.pctA - d.pctB),
+                pValue: d => d.pValue, qValue: d => d.qValue, oddsRatio: d => d.oddsRatio
             });
 
             let html = `<table style="width:100%;border-collapse:collapse;font-size:11px;table-layout:fixed;">
-                <colgroup><col style="width:35%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"></colgroup>
+                <colgroup><col style="width:24%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:9%"><col style="width:9%"><col style="width:18%"></colgroup>
                 <thead><tr style="background:#f3f4f6;">
                     <th style="${thStyle}text-align:left;" onclick="app.sortGateTable('tissue')">Tissue${sortIcon('tissue')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('nA')">Gate A${sortIcon('nA')}</th>
@@ -13835,6 +18967,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('nB')">Gate B${sortIcon('nB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('pctB')">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('absDelta')">|Δ%|${sortIcon('absDelta')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('pValue')" title="Two-sided Fisher's exact test">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('qValue')" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('oddsRatio')" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             data.forEach(t => {
                 const delta = t.pctA - t.pctB;
@@ -13846,6 +18981,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
+                    ${this._gateEnrichmentCells(t)}
                 </tr>`;
             });
             html += '</tbody></table>';
@@ -13857,7 +18993,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 html += `<div style="margin-top:12px;border-top:1px solid #e5e7eb;padding-top:8px;">
                     <div style="font-size:11px;font-weight:600;margin-bottom:6px;color:#374151;">Subtissue (Primary Disease)</div>
                     <table style="width:100%;border-collapse:collapse;font-size:11px;table-layout:fixed;">
-                    <colgroup><col style="width:35%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"></colgroup>
+                    <colgroup><col style="width:24%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:9%"><col style="width:9%"><col style="width:18%"></colgroup>
                     <thead><tr style="background:#f3f4f6;">
                         <th style="padding:5px;text-align:left;">Subtype</th>
                         <th style="padding:5px;text-align:center;">Gate A</th>
@@ -13865,6 +19001,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         <th style="padding:5px;text-align:center;">Gate B</th>
                         <th style="padding:5px;text-align:center;">%B</th>
                         <th style="padding:5px;text-align:center;">|Δ%|</th>
+                        <th style="padding:5px;text-align:center;" title="Two-sided Fisher's exact test">p-value</th>
+                        <th style="padding:5px;text-align:center;" title="Benjamini–Hochberg FDR across this table">q (FDR)</th>
+                        <th style="padding:5px;text-align:center;" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]</th>
                     </tr></thead><tbody>`;
                 subData.forEach(t => {
                     const delta = t.pctA - t.pctB;
@@ -13876,6 +19015,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
+                        ${this._gateEnrichmentCells(t)}
                     </tr>`;
                 });
                 html += '</tbody></table></div>';
@@ -13895,14 +19035,15 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 mutA: d => d.mutA, pctA: d => d.pctA,
                 mutB: d => d.mutB, pctB: d => d.pctB,
                 delta: d => d.pctA - d.pctB,
-                pValue: d => d.pValue
+                pValue: d => d.pValue, qValue: d => d.qValue, oddsRatio: d => d.oddsRatio
             });
 
             const pFilter = this._gatePvalueFilter || '';
             const nHotspot = r.mutStats.filter(m => m.type === 'hotspot').length;
             const nDamaging = r.mutStats.filter(m => m.type === 'damaging').length;
+            const nFusion = r.mutStats.filter(m => m.type === 'fusion').length;
             let html = `<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
-                <p style="font-size:10px;color:#6b7280;margin:0;">Hotspot: ${nHotspot} genes, Damaging: ${nDamaging} genes. Chi-squared test for enrichment. Top 100 shown.</p>
+                <p style="font-size:10px;color:#6b7280;margin:0;">Hotspot: ${nHotspot} genes, Damaging: ${nDamaging}, Fusion: ${nFusion} genes. Two-sided Fisher's exact test, BH q across the table; OR &gt; 1 = enriched in Gate A. Top 100 shown.</p>
                 <div style="display:flex;gap:4px;align-items:center;">
                     <button onclick="app.enrichrGateMutations('A')" style="background:#e8910c;color:white;border:none;border-radius:4px;padding:3px 10px;font-size:11px;cursor:pointer;white-space:nowrap;" title="Submit top genes enriched in Gate A to Enrichr">Enrichr A ↗</button>
                     <button onclick="app.enrichrGateMutations('B')" style="background:#e8910c;color:white;border:none;border-radius:4px;padding:3px 10px;font-size:11px;cursor:pointer;white-space:nowrap;" title="Submit top genes enriched in Gate B to Enrichr">Enrichr B ↗</button>
@@ -13927,17 +19068,17 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('pctB')">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('delta')">Δ%${sortIcon('delta')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('pValue')">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('qValue')" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGateTable('oddsRatio')" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             const filteredMut = pFilter ? data.filter(m => m.pValue < parseFloat(pFilter)) : data;
             filteredMut.slice(0, 100).forEach(m => {
                 const delta = m.pctA - m.pctB;
                 const color = Math.abs(delta) > 10 ? (delta > 0 ? '#2563eb' : '#dc2626') : '';
                 const pStr = m.pValue < 0.001 ? m.pValue.toExponential(1) : m.pValue.toFixed(3);
-                const typeBadge = m.type === 'hotspot'
-                    ? '<span style="background:#f59e0b;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">hotspot</span>'
-                    : '<span style="background:#8b5cf6;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">damaging</span>';
+                const typeBadge = this._gateTypeBadge(m.type);
                 html += `<tr>
-                    <td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showGateGenePlot('${m.gene}','mutation')">${m.gene}</td>
+                    <td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showGateGenePlot('${m.gene}','mutation','${m.type}')">${m.gene}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;">${typeBadge}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.mutA}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.pctA.toFixed(1)}</td>
@@ -13945,6 +19086,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${m.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${m.pValue < 0.05 ? 'font-weight:600;' : ''}">${pStr}</td>
+                    ${this._gateEnrichmentCells(m, false)}
                 </tr>`;
             });
             html += '</tbody></table>';
@@ -14082,7 +19224,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.renderGateTab(this._currentGateTab || 'tissue');
     }
 
-    showGateGenePlot(gene, type) {
+    showGateGenePlot(gene, type, mutType = null) {
         const plotDiv = document.getElementById('gateGenePlot');
         if (!plotDiv) return;
         if (!this._gateA?.length || !this._gateB?.length) return;
@@ -14090,23 +19232,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const gateA = this._gateA;
         const gateB = this._gateB;
         const fmtP = (p) => !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
-        // Chi² p-value used in the gate-compare mutation table; re-used here
-        // so the plot title matches what the user saw in the row.
-        const chi2P = (a, b, c, d) => {
-            const n = a + b + c + d;
-            if (n <= 0) return 1;
-            const chi2 = Math.pow(a * d - b * c, 2) * n / ((a + b) * (c + d) * (a + c) * (b + d) || 1);
-            return Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-        };
 
         if (type === 'mutation') {
             // Stacked bar chart: % mutated vs WT in Gate A vs Gate B
-            let mutData = null;
-            if (this.mutations?.geneData?.[gene]?.mutations) {
-                mutData = this.mutations.geneData[gene].mutations;
-            } else if (this.damagingMutations?.geneData?.[gene]?.mutations) {
-                mutData = this.damagingMutations.geneData[gene].mutations;
-            }
+            const mutData = this._gateMutationCalls(gene, mutType);
             if (!mutData) {
                 plotDiv.innerHTML = '<div style="padding:10px;text-align:center;color:#6b7280;font-size:11px;">No mutation data for ' + gene + '</div>';
                 return;
@@ -14167,14 +19296,13 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 }
             ];
             const deltaPct = pctMutA - pctMutB;
-            const pValue = chi2P(mutA, mutB, wtA, wtB);
             const layout = {
-                title: { text: `${gene} — Mutation Frequency (Δ%=${deltaPct > 0 ? '+' : ''}${deltaPct.toFixed(1)}, p=${fmtP(pValue)})`, font: { size: 13 } },
+                title: { text: `${gene} — ${mutType === 'fusion' ? 'Fusion' : 'Mutation'} Frequency (Δ%=${deltaPct > 0 ? '+' : ''}${deltaPct.toFixed(1)})<br><span style="font-size:9px;color:#9ca3af;">${this._gateEnrichmentTitle(this._gateCompareResults?.mutStats, gene, mutType, mutA, mutB, gateA.length, gateB.length)}</span>`, font: { size: 13 } },
                 barmode: 'stack',
                 yaxis: { title: '% of cells', range: [0, 105] },
                 width: 300,
                 height: 300,
-                margin: { t: 40, b: 60, l: 60, r: 30 },
+                margin: { t: 55, b: 60, l: 60, r: 30 },
                 showlegend: true,
                 legend: { orientation: 'h', y: -0.15, x: 0.5, xanchor: 'center', font: { size: 9 } }
             };
@@ -14554,13 +19682,14 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         gateA.forEach(d => { tissueA[d.lineage || 'Unknown'] = (tissueA[d.lineage || 'Unknown'] || 0) + 1; });
         gateB.forEach(d => { tissueB[d.lineage || 'Unknown'] = (tissueB[d.lineage || 'Unknown'] || 0) + 1; });
         const allTissues = [...new Set([...Object.keys(tissueA), ...Object.keys(tissueB)])].sort();
-        const tissueStats = allTissues.map(t => ({
+        const tissueStats = this._addGateQValues(allTissues.map(t => ({
             tissue: t,
             nA: tissueA[t] || 0,
             pctA: ((tissueA[t] || 0) / gateA.length * 100),
             nB: tissueB[t] || 0,
-            pctB: ((tissueB[t] || 0) / gateB.length * 100)
-        }));
+            pctB: ((tissueB[t] || 0) / gateB.length * 100),
+            ...this._gateEnrichment(tissueA[t] || 0, tissueB[t] || 0, gateA.length, gateB.length)
+        })));
         tissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
         // 1b. Subtissue enrichment
@@ -14574,43 +19703,27 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             subtissueB[st] = (subtissueB[st] || 0) + 1;
         });
         const allSubtissues = [...new Set([...Object.keys(subtissueA), ...Object.keys(subtissueB)])].sort();
-        const subtissueStats = allSubtissues.map(st => ({
+        const subtissueStats = this._addGateQValues(allSubtissues.map(st => ({
             tissue: st,
             nA: subtissueA[st] || 0,
             pctA: ((subtissueA[st] || 0) / gateA.length * 100),
             nB: subtissueB[st] || 0,
-            pctB: ((subtissueB[st] || 0) / gateB.length * 100)
-        }));
+            pctB: ((subtissueB[st] || 0) / gateB.length * 100),
+            ...this._gateEnrichment(subtissueA[st] || 0, subtissueB[st] || 0, gateA.length, gateB.length)
+        })));
         subtissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
-        // 2. Mutation enrichment
+        // 2. Mutation enrichment (Fisher's exact, BH across the table)
         const mutStats = [];
-        const gateMutSources = [];
-        if (this.mutations?.genes) {
-            for (const g of this.mutations.genes) gateMutSources.push({ gene: g, source: this.mutations, type: 'hotspot' });
-        }
-        if (this.damagingMutations?.genes) {
-            const hsSet = new Set(this.mutations?.genes || []);
-            for (const g of this.damagingMutations.genes) {
-                if (!hsSet.has(g)) gateMutSources.push({ gene: g, source: this.damagingMutations, type: 'damaging' });
-            }
-        }
-        gateMutSources.forEach(({ gene, source, type }) => {
-            const mutData = source.geneData?.[gene]?.mutations || {};
-            const mutA = gateA.filter(d => (mutData[d.cellLineId] || 0) > 0).length;
-            const mutB = gateB.filter(d => (mutData[d.cellLineId] || 0) > 0).length;
+        this._gateMutationSources().forEach(({ gene, calls, type }) => {
+            const mutA = gateA.filter(d => (calls[d.cellLineId] || 0) > 0).length;
+            const mutB = gateB.filter(d => (calls[d.cellLineId] || 0) > 0).length;
+            if (mutA === 0 && mutB === 0) return;
             const pctA = mutA / gateA.length * 100;
             const pctB = mutB / gateB.length * 100;
-
-            const a = mutA, b = mutB, c = gateA.length - mutA, d2 = gateB.length - mutB;
-            const n = a + b + c + d2;
-            const chi2 = n > 0 ? Math.pow(a * d2 - b * c, 2) * n / ((a + b) * (c + d2) * (a + c) * (b + d2) || 1) : 0;
-            const pApprox = Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-
-            if (mutA > 0 || mutB > 0) {
-                mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, pValue: pApprox, type });
-            }
+            mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, type, ...this._gateEnrichment(mutA, mutB, gateA.length, gateB.length) });
         });
+        this._addGateQValues(mutStats);
         mutStats.sort((a, b) => a.pValue - b.pValue);
 
         // 3. Differential gene effect
@@ -14718,11 +19831,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 nA: d => d.nA, pctA: d => d.pctA,
                 nB: d => d.nB, pctB: d => d.pctB,
                 delta: d => d.pctA - d.pctB,
-                absDelta: d => Math.abs(d.pctA - d.pctB)
+                absDelta: d => Math.abs(d.pctA - d.pctB),
+                pValue: d => d.pValue, qValue: d => d.qValue, oddsRatio: d => d.oddsRatio
             });
 
             let html = `<table style="width:100%;border-collapse:collapse;font-size:11px;table-layout:fixed;">
-                <colgroup><col style="width:35%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"><col style="width:13%"></colgroup>
+                <colgroup><col style="width:24%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:8%"><col style="width:9%"><col style="width:9%"><col style="width:18%"></colgroup>
                 <thead><tr style="background:#f3f4f6;">
                     <th style="${thStyle}text-align:left;" onclick="app.sortGEGateTable('tissue')">Tissue${sortIcon('tissue')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('nA')">Gate A${sortIcon('nA')}</th>
@@ -14730,6 +19844,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('nB')">Gate B${sortIcon('nB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('pctB')">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('absDelta')">|\u0394%|${sortIcon('absDelta')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('pValue')" title="Two-sided Fisher's exact test">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('qValue')" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('oddsRatio')" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             data.forEach(t => {
                 const delta = t.pctA - t.pctB;
@@ -14741,6 +19858,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
+                    ${this._gateEnrichmentCells(t)}
                 </tr>`;
             });
             html += '</tbody></table>';
@@ -14759,6 +19877,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         <th style="padding:5px;text-align:center;">Gate B</th>
                         <th style="padding:5px;text-align:center;">%B</th>
                         <th style="padding:5px;text-align:center;">|\u0394%|</th>
+                        <th style="padding:5px;text-align:center;" title="Two-sided Fisher's exact test">p-value</th>
+                        <th style="padding:5px;text-align:center;" title="Benjamini–Hochberg FDR across this table">q (FDR)</th>
+                        <th style="padding:5px;text-align:center;" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]</th>
                     </tr></thead><tbody>`;
                 subData.forEach(t => {
                     const delta = t.pctA - t.pctB;
@@ -14770,6 +19891,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
+                        ${this._gateEnrichmentCells(t)}
                     </tr>`;
                 });
                 html += '</tbody></table></div>';
@@ -14789,14 +19911,15 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 mutA: d => d.mutA, pctA: d => d.pctA,
                 mutB: d => d.mutB, pctB: d => d.pctB,
                 delta: d => d.pctA - d.pctB,
-                pValue: d => d.pValue
+                pValue: d => d.pValue, qValue: d => d.qValue, oddsRatio: d => d.oddsRatio
             });
 
             const geGatePFilter = this._geGatePvalueFilter || '';
             const nHotspot = r.mutStats.filter(m => m.type === 'hotspot').length;
             const nDamaging = r.mutStats.filter(m => m.type === 'damaging').length;
+            const nFusion = r.mutStats.filter(m => m.type === 'fusion').length;
             let html = `<div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
-                <p style="font-size:10px;color:#6b7280;margin:0;">Hotspot: ${nHotspot} genes, Damaging: ${nDamaging} genes. Chi-squared test for enrichment. Top 100 shown.</p>
+                <p style="font-size:10px;color:#6b7280;margin:0;">Hotspot: ${nHotspot} genes, Damaging: ${nDamaging}, Fusion: ${nFusion} genes. Two-sided Fisher's exact test, BH q across the table; OR &gt; 1 = enriched in Gate A. Top 100 shown.</p>
                 <div style="display:flex;gap:4px;align-items:center;">
                     <button onclick="app.enrichrGEGateMutations('A')" style="background:#e8910c;color:white;border:none;border-radius:4px;padding:3px 10px;font-size:11px;cursor:pointer;white-space:nowrap;" title="Submit top genes enriched in Gate A to Enrichr">Enrichr A ↗</button>
                     <button onclick="app.enrichrGEGateMutations('B')" style="background:#e8910c;color:white;border:none;border-radius:4px;padding:3px 10px;font-size:11px;cursor:pointer;white-space:nowrap;" title="Submit top genes enriched in Gate B to Enrichr">Enrichr B ↗</button>
@@ -14821,17 +19944,17 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('pctB')">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('delta')">\u0394%${sortIcon('delta')}</th>
                     <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('pValue')">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('qValue')" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="app.sortGEGateTable('oddsRatio')" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             const geFilteredMut = geGatePFilter ? data.filter(m => m.pValue < parseFloat(geGatePFilter)) : data;
             geFilteredMut.slice(0, 100).forEach(m => {
                 const delta = m.pctA - m.pctB;
                 const color = Math.abs(delta) > 10 ? (delta > 0 ? '#2563eb' : '#dc2626') : '';
                 const pStr = m.pValue < 0.001 ? m.pValue.toExponential(1) : m.pValue.toFixed(3);
-                const typeBadge = m.type === 'hotspot'
-                    ? '<span style="background:#f59e0b;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">hotspot</span>'
-                    : '<span style="background:#8b5cf6;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">damaging</span>';
+                const typeBadge = this._gateTypeBadge(m.type);
                 html += `<tr>
-                    <td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showGEGateGenePlot('${m.gene}','mutation')">${m.gene}</td>
+                    <td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showGEGateGenePlot('${m.gene}','mutation','${m.type}')">${m.gene}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;">${typeBadge}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.mutA}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.pctA.toFixed(1)}</td>
@@ -14839,6 +19962,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${m.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${m.pValue < 0.05 ? 'font-weight:600;' : ''}">${pStr}</td>
+                    ${this._gateEnrichmentCells(m, false)}
                 </tr>`;
             });
             html += '</tbody></table>';
@@ -14976,7 +20100,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.renderGEGateTab(this._currentGEGateTab || 'tissue');
     }
 
-    showGEGateGenePlot(gene, type) {
+    showGEGateGenePlot(gene, type, mutType = null) {
         const plotDiv = document.getElementById('geGateGenePlot');
         if (!plotDiv) return;
         if (!this._geGateA?.length || !this._geGateB?.length) return;
@@ -14984,20 +20108,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const gateA = this._geGateA;
         const gateB = this._geGateB;
         const fmtP = (p) => !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
-        const chi2P = (a, b, c, d) => {
-            const n = a + b + c + d;
-            if (n <= 0) return 1;
-            const chi2 = Math.pow(a * d - b * c, 2) * n / ((a + b) * (c + d) * (a + c) * (b + d) || 1);
-            return Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-        };
 
         if (type === 'mutation') {
-            let mutData = null;
-            if (this.mutations?.geneData?.[gene]?.mutations) {
-                mutData = this.mutations.geneData[gene].mutations;
-            } else if (this.damagingMutations?.geneData?.[gene]?.mutations) {
-                mutData = this.damagingMutations.geneData[gene].mutations;
-            }
+            const mutData = this._gateMutationCalls(gene, mutType);
             if (!mutData) {
                 plotDiv.innerHTML = '<div style="padding:10px;text-align:center;color:#6b7280;font-size:11px;">No mutation data for ' + gene + '</div>';
                 return;
@@ -15058,11 +20171,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 }
             ];
             const deltaPct = pctMutA - pctMutB;
-            const pValueMut = chi2P(mutA, mutB, wtA, wtB);
             Plotly.newPlot(plotDiv, traces, {
-                title: { text: `${gene} \u2014 Mutation Frequency (\u0394%=${deltaPct > 0 ? '+' : ''}${deltaPct.toFixed(1)}, p=${fmtP(pValueMut)})`, font: { size: 13 } },
+                title: { text: `${gene} \u2014 ${mutType === 'fusion' ? 'Fusion' : 'Mutation'} Frequency (\u0394%=${deltaPct > 0 ? '+' : ''}${deltaPct.toFixed(1)})<br><span style="font-size:9px;color:#9ca3af;">${this._gateEnrichmentTitle(this._geGateCompareResults?.mutStats, gene, mutType, mutA, mutB, gateA.length, gateB.length)}</span>`, font: { size: 13 } },
                 barmode: 'stack', yaxis: { title: '% of cells', range: [0, 105] },
-                width: 300, height: 300, margin: { t: 40, b: 60, l: 60, r: 30 },
+                width: 300, height: 300, margin: { t: 55, b: 60, l: 60, r: 30 },
                 showlegend: true, legend: { orientation: 'h', y: -0.15, x: 0.5, xanchor: 'center', font: { size: 9 } }
             }, { displayModeBar: false, responsive: true });
 
@@ -15868,6 +20980,28 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
     _handleExportMeta(meta) {
         this._resetForRestore();
 
+        // Exports from before the method setting existed were all Pearson
+        const method = CORRELATION_METHODS[meta.correlationMethod] ? meta.correlationMethod : 'pearson';
+        const methodEl = document.getElementById('correlationMethod');
+        if (methodEl) methodEl.value = method;
+        this.correlationMethod = method;
+        const adjustEl = document.getElementById('lineageAdjust');
+        if (adjustEl) adjustEl.value = ['lineage', 'sublineage'].includes(meta.lineageAdjust) ? meta.lineageAdjust : 'none';
+        const maxQEl = document.getElementById('maxQValue');
+        if (maxQEl) maxQEl.value = meta.maxQ > 0 && meta.maxQ < 1 ? meta.maxQ : 1;
+        this.clusterMethod = meta.clusterMethod === 'louvain' ? 'louvain' : 'components';
+        this.clusterResolution = meta.clusterResolution > 0 ? meta.clusterResolution : 1;
+        const clusterEl = document.getElementById('clusterMethod');
+        if (clusterEl) clusterEl.value = this.clusterMethod;
+        const resolutionEl = document.getElementById('clusterResolution');
+        if (resolutionEl) resolutionEl.value = this.clusterResolution;
+        const resolutionRow = document.getElementById('clusterResolutionRow');
+        if (resolutionRow) resolutionRow.style.display = this.clusterMethod === 'louvain' ? 'block' : 'none';
+        ['queryLayer', 'targetLayer'].forEach(key => {
+            const el = document.getElementById(key);
+            if (el) el.value = meta[key] === 'expr' ? 'expr' : 'ge';
+        });
+
         // Scatter-like exports with gene pair → restore inspect view
         if (meta.gene1 && meta.gene2) {
             return this._restoreFromState(meta);
@@ -15946,6 +21080,24 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 if (radio) { radio.checked = true; this.updateMutationAnalysisType?.(); }
                 const sel = document.getElementById('translocationHotspotSelect');
                 if (sel) sel.value = meta.hotspotGene;
+            } else if (meta.biomarker) {
+                const radio = document.querySelector('input[name="mutAnalysisType"][value="biomarker"]');
+                if (radio) { radio.checked = true; this.updateMutAnalysisTypeUI(); }
+                const b = meta.biomarker;
+                document.getElementById('biomarkerGene').value = b.gene;
+                document.getElementById('biomarkerLayer').value = b.layer;
+                document.getElementById('biomarkerCutMode').value = b.mode;
+                document.getElementById('biomarkerHighCut').value = b.high;
+                document.getElementById('biomarkerLowCut').value = b.low;
+            } else if (meta.isCopyNumber) {
+                const radio = document.querySelector('input[name="mutAnalysisType"][value="cn"]');
+                if (radio) { radio.checked = true; this.updateMutAnalysisTypeUI(); }
+                document.getElementById('cnHotspotSelect').value = meta.hotspotGene;
+                if (meta.cnDirection) document.getElementById('cnDirection').value = meta.cnDirection;
+                const thr = meta.cnThresholds || {};
+                [['cnThrDeepDel', thr.deepDel], ['cnThrLoss', thr.loss], ['cnThrGain', thr.gain], ['cnThrAmp', thr.amp]].forEach(([id, v]) => {
+                    if (v != null) document.getElementById(id).value = v;
+                });
             } else if (meta.isDamaging) {
                 const radio = document.querySelector('input[name="mutAnalysisType"][value="damaging"]');
                 if (radio) { radio.checked = true; this.updateMutationAnalysisType?.(); }
@@ -15958,11 +21110,20 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 this.populateMutationHotspotSelector?.();
                 const sel = document.getElementById('mutationHotspotSelect');
                 if (sel) sel.value = meta.hotspotGene;
+                this._populateMutationVariantSelect();
+                document.getElementById('mutationVariantSelect').value = meta.variant?.variant || '';
+                if (meta.variant) document.getElementById('mutationVariantRef').value = meta.variant.reference;
             }
             // Restore tissue filter if stored
             if (meta.lineageFilter) {
                 document.getElementById('lineageFilter').value = meta.lineageFilter;
             }
+            document.getElementById('mutLineageMeta').checked = !!meta.lineageMeta;
+            document.getElementById('mutLineageMetaOptions').style.display = meta.lineageMeta ? '' : 'none';
+            if (meta.lineageMeta) {
+                document.getElementById('mutMetaMinMut').value = meta.lineageMeta.minMut;
+                document.getElementById('mutMetaMinWT').value = meta.lineageMeta.minWT;
+            }
             // Run mutation analysis, then open gene inspect after results load
             this.runAnalysis();
             const waitForResults = () => {
@@ -16066,6 +21227,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         if ((state.xType === 'expr' || state.yType === 'expr') && !this.expressionLoaded) {
             try { await this.loadExpressionData(); } catch (e) { alert('Failed to load expression data.'); return; }
         }
+        if (state.xType === 'cn' || state.yType === 'cn') {
+            try { await this.loadCnData(); } catch (e) { alert('Failed to load copy number data.'); return; }
+        }
 
         // Open inspect with the genes
         this.openInspect({ gene1: state.gene1, gene2: state.gene2, correlation: null });
@@ -16241,6 +21405,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             version: document.getElementById('versionBadge')?.textContent || '',
             graphType,
             date: new Date().toISOString(),
+            correlationMethod: this.correlationMethod,
             ...extra
         };
     }
@@ -16266,7 +21431,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (points.length >= 3) {
                 const xVals = points.map(d => d.x);
                 const yVals = points.map(d => d.y);
-                const stats = this.pearsonWithSlope(xVals, yVals);
+                const stats = this.correlateWithSlope(xVals, yVals);
                 const meanX = xVals.reduce((a, b) => a + b, 0) / xVals.length;
                 const meanY = yVals.reduce((a, b) => a + b, 0) / yVals.length;
                 const sdX = Math.sqrt(xVals.reduce((a, b) => a + Math.pow(b - meanX, 2), 0) / xVals.length);
@@ -16454,7 +21619,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
         // Compute correlation if not found in results
         if (!c) {
-            const computed = this.pearsonWithSlope(plotData.map(p => p.x), plotData.map(p => p.y));
+            const computed = this.correlateWithSlope(plotData.map(p => p.x), plotData.map(p => p.y));
             c = { gene1: g1, gene2: g2, correlation: computed.correlation, slope: computed.slope };
         }
 
@@ -16595,7 +21760,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         // Update summary with filtered data
         const filteredData = this.getCATissueFilteredData();
         if (filteredData.length >= 3) {
-            const fCorr = this.pearsonWithSlope(filteredData.map(p => p.x), filteredData.map(p => p.y));
+            const fCorr = this.correlateWithSlope(filteredData.map(p => p.x), filteredData.map(p => p.y));
             document.getElementById('caSummaryCorr').textContent = fCorr.correlation.toFixed(3);
             document.getElementById('caSummarySlope').textContent = fCorr.slope.toFixed(3);
         }
@@ -16635,13 +21800,13 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (pts.length >= 3) {
                 const xVals = pts.map(p => p.x);
                 const yVals = pts.map(p => p.y);
-                const s = this.pearsonWithSlope(xVals, yVals);
+                const s = this.correlateWithSlope(xVals, yVals);
 
                 // p-value: Fisher z-test vs all other cell lines
                 const otherPts = data.filter(p => (p.lineage || 'Unknown') !== tissue);
                 let pValue = 1;
                 if (otherPts.length >= 3) {
-                    const otherR = this.pearsonWithSlope(otherPts.map(p => p.x), otherPts.map(p => p.y));
+                    const otherR = this.correlateWithSlope(otherPts.map(p => p.x), otherPts.map(p => p.y));
                     const fisherZ = (r, n) => ({ z: 0.5 * Math.log((1 + r) / (1 - r)), se: 1 / Math.sqrt(n - 3) });
                     const fz1 = fisherZ(s.correlation, pts.length);
                     const fz2 = fisherZ(otherR.correlation, otherPts.length);
@@ -16677,7 +21842,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             type: 'box',
             name: `${s.group} (n=${s.n})`,
             x: s.cellData.map(c => c.x),
-            text: s.cellData.map(c => `${c.cellLineName}<br>${d.gene1}=${c.x.toFixed(3)}, ${d.gene2}=${c.y.toFixed(3)}<br>r=${s.correlation.toFixed(3)}`),
+            text: s.cellData.map(c => `${c.cellLineName}<br>${d.gene1}=${c.x.toFixed(3)}, ${d.gene2}=${c.y.toFixed(3)}<br>${this._corrSymbol()}=${s.correlation.toFixed(3)}`),
             boxpoints: 'all',
             jitter: 0.3,
             pointpos: 0,
@@ -16751,8 +21916,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             });
 
             if (wtPts.length >= 3 && mutPts.length >= 3) {
-                const wtCorr = this.pearsonWithSlope(wtPts.map(p => p.x), wtPts.map(p => p.y));
-                const mutCorr = this.pearsonWithSlope(mutPts.map(p => p.x), mutPts.map(p => p.y));
+                const wtCorr = this.correlateWithSlope(wtPts.map(p => p.x), wtPts.map(p => p.y));
+                const mutCorr = this.correlateWithSlope(mutPts.map(p => p.x), mutPts.map(p => p.y));
 
                 // Fisher z-test
                 const fisherZ = (r, n) => ({ z: 0.5 * Math.log((1 + r) / (1 - r)), se: 1 / Math.sqrt(n - 3) });
@@ -16995,7 +22160,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
             const xVals = pts.map(p => p.x);
             const yVals = pts.map(p => p.y);
-            const s = this.pearsonWithSlope(xVals, yVals);
+            const s = this.correlateWithSlope(xVals, yVals);
 
             plotId = 'corrAnalysisTissuePlot';
             traces = [{
@@ -17006,9 +22171,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 hovertemplate: '<b>%{text}</b><br>%{x:.3f}, %{y:.3f}<extra></extra>'
             }];
             layout = {
-                title: { text: `${d.gene1} vs ${d.gene2} — ${group} (n=${pts.length}, r=${s.correlation.toFixed(3)})`, font: { size: 13 } },
-                xaxis: { title: `${d.gene1} (${this.currentInspect?.xType === 'geneset' ? 'Gene Set Score' : this.currentInspect?.xType === 'growth' ? 'Growth Rate' : this.currentInspect?.xType === 'expr' ? 'Expression' : 'Gene Effect'})` },
-                yaxis: { title: `${d.gene2} (${this.currentInspect?.yType === 'geneset' ? 'Gene Set Score' : this.currentInspect?.yType === 'growth' ? 'Growth Rate' : this.currentInspect?.yType === 'expr' ? 'Expression' : 'Gene Effect'})` },
+                title: { text: `${d.gene1} vs ${d.gene2} — ${group} (n=${pts.length}, ${this._corrSymbol()}=${s.correlation.toFixed(3)})`, font: { size: 13 } },
+                xaxis: { title: this.getAxisLabel(d.gene1, this.currentInspect?.xType || 'ge') },
+                yaxis: { title: this.getAxisLabel(d.gene2, this.currentInspect?.yType || 'ge') },
                 margin: { t: 50, b: 50, l: 60, r: 30 },
                 showlegend: false,
                 paper_bgcolor: 'white',
@@ -17020,8 +22185,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             const wtPts = d.data.filter(p => (mutData[p.cellLineId] || 0) === 0);
             const mutPts = d.data.filter(p => (mutData[p.cellLineId] || 0) > 0);
 
-            const wtR = wtPts.length >= 3 ? this.pearsonWithSlope(wtPts.map(p => p.x), wtPts.map(p => p.y)) : { correlation: NaN };
-            const mutR = mutPts.length >= 3 ? this.pearsonWithSlope(mutPts.map(p => p.x), mutPts.map(p => p.y)) : { correlation: NaN };
+            const wtR = wtPts.length >= 3 ? this.correlateWithSlope(wtPts.map(p => p.x), wtPts.map(p => p.y)) : { correlation: NaN };
+            const mutR = mutPts.length >= 3 ? this.correlateWithSlope(mutPts.map(p => p.x), mutPts.map(p => p.y)) : { correlation: NaN };
 
             plotId = 'corrAnalysisHotspotPlot';
             traces = [
@@ -17043,9 +22208,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 }
             ];
             layout = {
-                title: { text: `${d.gene1} vs ${d.gene2} — ${group}<br><span style="font-size:11px">WT r=${isNaN(wtR.correlation) ? '-' : wtR.correlation.toFixed(3)}, Mut r=${isNaN(mutR.correlation) ? '-' : mutR.correlation.toFixed(3)}</span>`, font: { size: 13 } },
-                xaxis: { title: `${d.gene1} (${this.currentInspect?.xType === 'geneset' ? 'Gene Set Score' : this.currentInspect?.xType === 'growth' ? 'Growth Rate' : this.currentInspect?.xType === 'expr' ? 'Expression' : 'Gene Effect'})` },
-                yaxis: { title: `${d.gene2} (${this.currentInspect?.yType === 'geneset' ? 'Gene Set Score' : this.currentInspect?.yType === 'growth' ? 'Growth Rate' : this.currentInspect?.yType === 'expr' ? 'Expression' : 'Gene Effect'})` },
+                title: { text: `${d.gene1} vs ${d.gene2} — ${group}<br><span style="font-size:11px">WT ${this._corrSymbol()}=${isNaN(wtR.correlation) ? '-' : wtR.correlation.toFixed(3)}, Mut ${this._corrSymbol()}=${isNaN(mutR.correlation) ? '-' : mutR.correlation.toFixed(3)}</span>`, font: { size: 13 } },
+                xaxis: { title: this.getAxisLabel(d.gene1, this.currentInspect?.xType || 'ge') },
+                yaxis: { title: this.getAxisLabel(d.gene2, this.currentInspect?.yType || 'ge') },
                 margin: { t: 60, b: 50, l: 60, r: 30 },
                 showlegend: true,
                 legend: { x: 0.02, y: 0.98, bgcolor: 'white', font: { size: 10 } },
@@ -17253,9 +22418,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         document.getElementById('mutationFilterLevel').value = 'all';
 
         // Calculate stats for ALL cells (unfiltered) for the title
-        const allCellsStats = this.pearsonWithSlope(data.map(d => d.x), data.map(d => d.y));
+        const allCellsStats = this.correlateWithSlope(data.map(d => d.x), data.map(d => d.y));
         document.getElementById('inspectTitle').textContent =
-            `${gene1} vs ${gene2} | r=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${data.length} (all cells)`;
+            `${gene1} vs ${gene2} | ${this._corrSymbol()}=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${data.length} (all cells)`;
 
         // Show the scatter plot and hide compareTable
         document.getElementById('scatterPlot').style.display = 'block';
@@ -17660,6 +22825,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.mutationResults = {
             hotspotGene,
             pThreshold: 0.05,
+            thresholdStat: 'p',
             minN: 3,
             lineageFilter: '',
             subLineageFilter: '',
@@ -18610,6 +23776,18 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this._applyParamFiltersToGEModal();
     }
 
+    // Expression-layer node: inspect the gene's expression against its own
+    // gene effect (expression on x), with the network filters carried over
+    openExpressionFromNetwork(node) {
+        const gene = this.nodeGene(node);
+        if (!this.geneIndex.has(gene)) {
+            alert(`${gene} has no gene effect data to plot its expression against.`);
+            return;
+        }
+        this.openInspect({ gene1: this.layerNode(gene, 'expr'), gene2: gene, correlation: null });
+        this._applyNetworkFiltersToInspect();
+    }
+
     renderGETable(stats, mode) {
         const tbody = document.getElementById('geneEffectTableBody');
         const thead = document.getElementById('geTableHead');
@@ -19604,11 +24782,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             // Cell line groups (#1)
             if (this.geneEffectViewMode === 'mutation' && mr?.hotspotGene) {
                 const hg = mr.hotspotGene;
-                const mData = (mr.isTranslocation ? this.translocations?.geneData?.[hg]?.translocations : mr.isDamaging ? this.damagingMutations?.geneData?.[hg]?.mutations : this.mutations?.geneData?.[hg]?.mutations) || {};
+                const hgData = this._mutationResultSource(mr)?.geneData?.[hg];
+                const mData = (mr.isTranslocation ? hgData?.translocations : hgData?.mutations) || {};
                 cellLineGroups = { WT: [], mut1: [], mut2: [] };
-                cellLines.forEach(cl => { const ml = mData[cl] || 0; if (ml === 0) cellLineGroups.WT.push(cl); else if (ml === 1) cellLineGroups.mut1.push(cl); else cellLineGroups.mut2.push(cl); });
+                cellLines.forEach(cl => { if (this._isUncalled(hgData, cl)) return; const ml = mData[cl] || 0; if (ml === 0) cellLineGroups.WT.push(cl); else if (ml === 1) cellLineGroups.mut1.push(cl); else cellLineGroups.mut2.push(cl); });
                 const filterParts = [tissueF, subtypeF, mutGeneF && mutLevelF !== 'all' ? `${mutGeneF} ${mutLevelF}` : ''].filter(Boolean).join(', ');
-                description = `${gene} gene effect stratified by ${hg} ${mr.isTranslocation ? 'fusion' : mr.isDamaging ? 'damaging mutation' : 'hotspot mutation'} count${filterParts ? ' in ' + filterParts : ''} cell lines.`;
+                description = `${gene} gene effect stratified by ${hg} ${this._mutationResultKind(mr)}${mr.isCopyNumber ? ' level' : mr.isBiomarker ? '' : ' count'}${filterParts ? ' in ' + filterParts : ''} cell lines.`;
             } else {
                 description = `${gene} gene effect across ${tissueF || 'all'} cell lines${subtypeF ? ' (' + subtypeF + ')' : ''}.`;
             }
@@ -19639,7 +24818,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             // produced "Scatter of FAM167A vs FAM167A" when both axes were
             // the same gene with different types (GE vs expr), which read
             // as a redundant tautology rather than the actual analysis.
-            const typeLabel = (t) => t === 'expr' ? 'expression' : t === 'ge' ? 'gene effect' : (t || 'gene effect');
+            const typeLabel = (t) => ({ expr: 'expression', ge: 'gene effect', cn: 'copy number', drug: 'AUC', signature: 'signature' })[t] || (t || 'gene effect');
             const xLabel = `${ci?.gene1 || '?'} ${typeLabel(ci?.xType)}`;
             const yLabel = `${ci?.gene2 || '?'} ${typeLabel(ci?.yType)}`;
             const parts = [
@@ -19655,24 +24834,25 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             context = {
                 type: 'mutation_analysis', hotspotGene: mr?.hotspotGene,
                 isTranslocation: mr?.isTranslocation || false, isDamaging: mr?.isDamaging || false,
-                nWT: mr?.nWT, nMutated: mr?.nMut, pValueThreshold: mr?.pThreshold,
+                nWT: mr?.nWT, nMutated: mr?.nMut, pValueThreshold: mr?.pThreshold, thresholdStat: mr?.thresholdStat || 'p',
                 plotType: 'mutation_table', stratification: mr?.hotspotGene,
                 lineageFilter: mr?.lineageFilter || '', subLineageFilter: mr?.subLineageFilter || '',
                 excludedTissues: excludedList,
                 additionalHotspot: mr?.additionalHotspot && mr?.additionalHotspotLevel !== 'all'
-                    ? `${mr.additionalHotspot} ${mr.additionalHotspotLevel}` : '',
+                    ? `${mr.additionalHotspot} ${this._hotspotLevelText(mr.additionalHotspotLevel)}` : '',
                 oncoprintFilters: this._activeOncoprintFilters?.map(f => `${f.gene} ${f.state}`) || [],
                 customCellLineListCount: this._customCellLineFilter?.size || 0
             };
             // Cell line groups for mutation analysis
             if (mr?.hotspotGene) {
                 const hg = mr.hotspotGene;
-                const mData = (mr.isTranslocation ? this.translocations?.geneData?.[hg]?.translocations : mr.isDamaging ? this.damagingMutations?.geneData?.[hg]?.mutations : this.mutations?.geneData?.[hg]?.mutations) || {};
+                const hgData = this._mutationResultSource(mr)?.geneData?.[hg];
+                const mData = (mr.isTranslocation ? hgData?.translocations : hgData?.mutations) || {};
                 cellLineGroups = { WT: [], mut1: [], mut2: [] };
-                cellLines.forEach(cl => { const ml = mData[cl] || 0; if (ml === 0) cellLineGroups.WT.push(cl); else if (ml === 1) cellLineGroups.mut1.push(cl); else cellLineGroups.mut2.push(cl); });
+                cellLines.forEach(cl => { if (this._isUncalled(hgData, cl)) return; const ml = mData[cl] || 0; if (ml === 0) cellLineGroups.WT.push(cl); else if (ml === 1) cellLineGroups.mut1.push(cl); else cellLineGroups.mut2.push(cl); });
             }
             const filterParts = [mr?.lineageFilter, mr?.subLineageFilter].filter(Boolean).join(', ');
-            description = `Differential gene effect analysis for ${mr?.hotspotGene} ${mr?.isTranslocation ? 'fusion' : mr?.isDamaging ? 'damaging mutation' : 'hotspot mutation'}${filterParts ? ' in ' + filterParts : ''}.`;
+            description = `Differential gene effect analysis for ${mr?.hotspotGene} ${this._mutationResultKind(mr)}${filterParts ? ' in ' + filterParts : ''}.`;
             // Source-specific extras: per-gene differential analysis results.
             if (mr?.allResults) {
                 extras = {
@@ -19680,7 +24860,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         gene: r.gene,
                         n_wt: r.n_wt, n_mut: r.n_mut,
                         delta_ge: parseFloat((r.diff_mut ?? 0).toFixed(3)),
+                        delta_ge_ci95: isNaN(r.ci_mut_lo) ? null : [parseFloat(r.ci_mut_lo.toFixed(3)), parseFloat(r.ci_mut_hi.toFixed(3))],
+                        hedges_g: isNaN(r.g_mut) ? null : parseFloat(r.g_mut.toFixed(3)),
                         p_value: r.p_mut,
+                        q_value: r.q_mut,
                         compositeScore: r.p_mut > 0 ? parseFloat((r.diff_mut * -Math.log10(r.p_mut)).toFixed(3)) : 0
                     }))
                 };
@@ -19739,7 +24922,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (this.excludedTissues?.size > 0) filterParts.push(`Excluded tissues: ${[...this.excludedTissues].join(', ')}`);
             const hotspotGene = document.getElementById('paramHotspotGene')?.value;
             const hotspotLevel = document.getElementById('paramHotspotLevel')?.value;
-            if (hotspotGene) filterParts.push(`Hotspot: ${hotspotGene} ${hotspotLevel === '1+2' ? 'Mut' : hotspotLevel === '0' ? 'WT' : `level ${hotspotLevel}`}`);
+            if (hotspotGene) filterParts.push(`Hotspot: ${hotspotGene} ${hotspotLevel === '1+2' ? 'Mut' : hotspotLevel === '0' ? 'WT' : hotspotLevel.startsWith('var:') ? hotspotLevel.slice(4) : `level ${hotspotLevel}`}`);
             const transGene = document.getElementById('paramTranslocationGene')?.value;
             const transLevel = document.getElementById('paramTranslocationLevel')?.value;
             if (transGene) filterParts.push(`Fusion: ${transGene} ${transLevel === '1+2' ? 'Fused' : transLevel === '0' ? 'Not fused' : `level ${transLevel}`}`);
@@ -19762,13 +24945,19 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 : `Cluster network from correlation analysis (${this.results?.clusters?.length || 0} genes).`;
             // Source-specific extras
             if (source === 'correlations' && this.results?.correlations) {
+                // r in correlationPairs (and the stratified breakdown below) is
+                // whichever method the run used — Pearson, Spearman or bicor.
                 extras = {
+                    correlationMethod: this.results.method || 'pearson',
                     correlationPairs: this.results.correlations.map(c => ({
                         gene1: c.gene1, gene2: c.gene2,
                         r: parseFloat((c.correlation ?? 0).toFixed(3)),
                         slope: parseFloat((c.slope ?? 0).toFixed(3)),
-                        n: c.n
-                    }))
+                        n: c.n,
+                        p: c.pValue ?? null,
+                        q: c.qValue ?? null
+                    })),
+                    fdrTests: this.results.nTests || 0
                 };
                 // Tissue-stratified breakdown for the top 20 correlation pairs.
                 // Catches lineage-driven artifacts: if the cross-cohort r is
@@ -19798,7 +24987,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                             if (!isNaN(v1) && !isNaN(v2)) { x.push(v1); y.push(v2); }
                         }
                         if (x.length < 5) continue;
-                        const stats = this.pearsonWithSlope(x, y);
+                        const stats = this.correlateWithSlope(x, y, this.results.method || 'pearson');
                         if (!isNaN(stats.correlation)) {
                             byTissue.push({ tissue, r: parseFloat(stats.correlation.toFixed(3)), n: x.length });
                         }
@@ -19819,7 +25008,15 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                         inInputList: c.inGeneList || false,
                         meanEffect: parseFloat((c.meanEffect ?? 0).toFixed(3)),
                         sdEffect: parseFloat((c.sdEffect ?? 0).toFixed(3))
-                    }))
+                    })),
+                    dataLayers: { query: this.results.queryLayer || 'ge', target: this.results.targetLayer || 'ge' },
+                    clustering: {
+                        method: this.results.clusterMethod || 'components',
+                        ...(this.results.clusterMethod === 'louvain' ? {
+                            resolution: this.results.clusterResolution,
+                            modularity: parseFloat((this.results.modularity ?? 0).toFixed(3))
+                        } : {})
+                    }
                 };
                 // Per-cluster pathway annotation. For each cluster, list the
                 // wiki cancer pathways and CORUM / Reactome complexes whose
@@ -19829,10 +25026,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 // coherent or a grab-bag.
                 const wikiPathways = this._WIKI_PATHWAYS ? this._WIKI_PATHWAYS() : {};
                 const clusterMembers = {};
-                for (const c of this.results.clusters) (clusterMembers[c.cluster] = clusterMembers[c.cluster] || []).push(c.gene.toUpperCase());
+                for (const c of this.results.clusters) (clusterMembers[c.cluster] = clusterMembers[c.cluster] || []).push(this.nodeGene(c.gene).toUpperCase());
                 const annotations = [];
-                for (const [clusterId, members] of Object.entries(clusterMembers)) {
-                    const memSet = new Set(members);
+                for (const [clusterId, allMembers] of Object.entries(clusterMembers)) {
+                    // A gene in both layers counts once
+                    const memSet = new Set(allMembers);
+                    const members = [...memSet];
                     // Wiki pathway overlaps (≥2 members shared)
                     const wikiHits = [];
                     for (const [pw, info] of Object.entries(wikiPathways)) {
@@ -20522,6 +25721,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     }
                     return out;
                 }
+                if (type === 'cn' || type === 'drug' || type === 'signature') {
+                    return geCLIndices.map(clIdx => clIdx === -1 ? NaN : this.getAxisValue(gene, clIdx, type));
+                }
                 if (type === 'expr' && this.expressionData && this.expressionMetadata) {
                     const eIdx = this.expressionMetadata.genes.indexOf(G);
                     if (eIdx === -1) return null;
@@ -20610,7 +25812,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 topCoessentials: 'Optional. Top 30 GE-vs-GE co-essentials of the focal gene: { gene, r (Pearson, focal-gene GE vs partner GE across the cohort), n }. Same n-gate as topCorrelates. Every gene named here is also present in the geneEffect matrix (added back if the variance filter dropped it), so the LLM can verify by recomputing. Polarity: positive r means lines that depend more on the partner depend less on the focal gene (classic co-essentiality buffering pattern within a complex). Negative r means partner and focal gene are co-essential — both required by the same lines (same-pathway dependency).',
                 topExpressionCorrelates: 'Optional. Top 30 expression-vs-expression correlates of the focal gene: { gene, r (Pearson, focal-gene expression vs partner expression across the cohort), n }. Same n-gate as topCorrelates. Every gene named here is in the expression matrix (the always-include set carries them through the variance filter). Polarity: positive r means partner expression is co-regulated with focal-gene expression (often shared transcriptional program / phenotype state / lineage marker); negative r means anti-correlated (often a competing program). Note: in homogeneous filtered cohorts, top hits often reflect transcriptional state / phenotype switches rather than direct mechanistic links. Suppressed when the focal gene\'s expression has near-zero variance in the cohort (SD < 0.05).',
                 cellLineGroups: 'Optional. Cell line IDs grouped by analysis stratification (WT/mut1/mut2 for mutation, gateA/gateB for gate comparison, etc.).',
-                extras: 'Optional. Source-specific precomputed analysis results: differentialGeneEffect / differentialExpression / tissueEnrichment / mutationEnrichment (gates, mutation analysis), correlationPairs (correlations), tissueStratifiedCorrelations (correlations — top 20 pairs broken out by tissue, each tissue with n>=10 cell lines reports its own r; flags lineage-driven artifacts where overall r vanishes within tissues), clusterGenes (clusters), clusterAnnotations (clusters — per-cluster wiki cancer-pathway overlaps with >=2 shared genes plus CORUM co-member count; tells the LLM whether a cluster is biologically coherent or a grab-bag), expressionCorrelates (exprCorrelates), focalGeneTissueSummary (per-tissue/subtype mean / sd / n / zVsOverall for the focal gene\'s GE — saves the LLM from scanning the matrix to find tissue-level signals; subtypes gated at n>=5), focalGeneMutationSummary ({ coreDrivers: canonical drivers always shown regardless of effect size with n_mut>=5; topByEffect: top 20 from extended panel ranked by |t| with n_mut>=10 } — Welch\'s t comparing mutated vs WT lines on focal-gene GE), focalGeneVarianceWarning ({ geneEffect: ..., expression: ... } — emitted only when the focal axis sits in cohort noise, e.g. mean GE near 0 with no essential lines, or expression SD < 0.5; warns the LLM not to chase phantom biology in noise-driven correlations), pairCorrelation (scatter views — actual Pearson + Spearman + n + two-sided p between the two scatter axes in the filtered cohort), _method (block documenting how every summary was computed).',
+                extras: 'Optional. Source-specific precomputed analysis results: differentialGeneEffect / differentialExpression / tissueEnrichment / mutationEnrichment (gates, mutation analysis), correlationMethod + correlationPairs (correlations — r is the run\'s method: pearson, spearman or bicor), tissueStratifiedCorrelations (correlations — top 20 pairs broken out by tissue, each tissue with n>=10 cell lines reports its own r; flags lineage-driven artifacts where overall r vanishes within tissues), clusterGenes (clusters; expression-layer nodes end in " (expr)"), dataLayers (clusters — query and target data layers of the run: ge = gene effect, expr = expression), clustering (clusters — how cluster ids were assigned: connected components, or |r|-weighted Louvain communities with resolution and modularity Q), clusterAnnotations (clusters — per-cluster wiki cancer-pathway overlaps with >=2 shared genes plus CORUM co-member count; tells the LLM whether a cluster is biologically coherent or a grab-bag), expressionCorrelates (exprCorrelates), focalGeneTissueSummary (per-tissue/subtype mean / sd / n / zVsOverall for the focal gene\'s GE — saves the LLM from scanning the matrix to find tissue-level signals; subtypes gated at n>=5), focalGeneMutationSummary ({ coreDrivers: canonical drivers always shown regardless of effect size with n_mut>=5; topByEffect: top 20 from extended panel ranked by |t| with n_mut>=10 } — Welch\'s t comparing mutated vs WT lines on focal-gene GE), focalGeneVarianceWarning ({ geneEffect: ..., expression: ... } — emitted only when the focal axis sits in cohort noise, e.g. mean GE near 0 with no essential lines, or expression SD < 0.5; warns the LLM not to chase phantom biology in noise-driven correlations), pairCorrelation (scatter views — actual Pearson + Spearman + n + two-sided p between the two scatter axes in the filtered cohort), _method (block documenting how every summary was computed).',
                 _method: 'Same content as extras._method — duplicated here at schema level so it\'s available even when extras is omitted (e.g. for views without precomputed source-specific extras).'
             },
             _instructions: [
@@ -20631,7 +25833,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             context,
             aiInstructions: (
                 'BEFORE DOING ANY ANALYSIS, open your reply with these two short paragraphs:\n\n' +
-                '1) A one-line description of what the user was looking at. Derive it from the `context` field — `type` tells you the view, `description` is a ready-to-use summary, and `gene1/gene2/xType/yType/filters/gateA/gateB/etc.` give the specifics. xType/yType codes: "ge" = gene effect, "expr" = expression.\n\n' +
+                '1) A one-line description of what the user was looking at. Derive it from the `context` field — `type` tells you the view, `description` is a ready-to-use summary, and `gene1/gene2/xType/yType/filters/gateA/gateB/etc.` give the specifics. xType/yType codes: "ge" = gene effect, "expr" = expression, "cn" = relative copy number, "drug" = PRISM AUC of the named compound, "signature" = genome-wide signature (MSIScore, Ploidy, CIN, LoHFraction, Aneuploidy).\n\n' +
                 '2) "You asked:" followed by a verbatim quote of the `question` field. If `question` is missing or empty, skip this paragraph.\n\n' +
                 'Then proceed with the analysis per `_analysisInstructions`.'
             ),
@@ -20759,7 +25961,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             geneColIndices.forEach(colIdx => {
                 const cell = r.children[colIdx];
                 if (cell) {
-                    const gene = cell.textContent.trim().replace(/\*$/, '');
+                    const gene = this.nodeGene(cell.textContent.trim().replace(/\*$/, ''));
                     if (gene) geneSet.add(gene);
                 }
             });
@@ -20810,15 +26012,17 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         filterRow.style.background = '#f9fafb';
 
         const numericSortKeys = [
-            'correlation', 'slope', 'n', 'cluster',
+            'correlation', 'slope', 'n', 'pValue', 'qValue', 'cluster',
             'meanEffect', 'sdEffect', 'meanEffectFiltered', 'sdEffectFiltered',
             'lfc', 'fdr', 'hasCorrelation',
             'r', 'p'
         ];
         const numericColKeys = [
-            'n_wt', 'mean_wt', 'n_mut', 'mean_mut', 'diff_mut', 'p_mut',
-            'n_2', 'mean_2', 'diff_2', 'p_2', 'diff_2v1', 'p_2v1',
-            'n_fused', 'mean_fused', 'diff_fused', 'p_fused'
+            'n_wt', 'mean_wt', 'n_mut', 'mean_mut', 'diff_mut', 'ci_mut_lo', 'ci_mut_hi', 'p_mut',
+            'g_mut', 'q_mut', 'q_2', 'q_2v1', 'q_fused',
+            'n_2', 'mean_2', 'diff_2', 'ci_2_lo', 'ci_2_hi', 'g_2', 'p_2', 'diff_2v1', 'ci_2v1_lo', 'ci_2v1_hi', 'g_2v1', 'p_2v1',
+            'n_fused', 'mean_fused', 'diff_fused', 'ci_fused_lo', 'ci_fused_hi', 'g_fused', 'p_fused',
+            'diff_meta', 'ci_meta_lo', 'ci_meta_hi', 'p_meta', 'q_meta', 'k_meta', 'I2_meta'
         ];
 
         headers.forEach((th, idx) => {
@@ -21065,11 +26269,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const hotspotGene = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mutationData = isTranslocation
-            ? this.translocations?.geneData?.[hotspotGene]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[hotspotGene]
-                : this.mutations?.geneData?.[hotspotGene];
+        const mutationData = this._mutationResultSource(mr)?.geneData?.[hotspotGene];
         if (!mutationData) return;
 
         const geneIdx = this.geneIndex.get(gene.toUpperCase());
@@ -21106,10 +26306,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations.geneData[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
             if (inspectHotspot) {
@@ -21129,6 +26326,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             const groupKey = groupBySubtype
                 ? (this.cellLineMetadata.primaryDisease[cellLine] || 'Unknown')
                 : (this.cellLineMetadata?.lineage?.[cellLine] || 'Unknown');
+            if (this._isUncalled(mutationData, cellLine)) return;
             const mutLevel = isTranslocation
                 ? (mutationData.translocations[cellLine] || 0)
                 : (mutationData.mutations[cellLine] || 0);
@@ -21180,11 +26378,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const mainHotspot = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mainMutData = isTranslocation
-            ? this.translocations?.geneData?.[mainHotspot]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[mainHotspot]
-                : this.mutations?.geneData?.[mainHotspot];
+        const mainMutData = this._mutationResultSource(mr)?.geneData?.[mainHotspot];
         if (!mainMutData) return;
 
         const geneIdx = this.geneIndex.get(gene.toUpperCase());
@@ -21212,14 +26406,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
             const ge = this.geneEffects[geneIdx * this.nCellLines + idx];
             if (isNaN(ge)) return;
+            if (this._isUncalled(mainMutData, cellLine)) return;
             const mainLevel = isTranslocation
                 ? (mainMutData.translocations[cellLine] || 0)
                 : (mainMutData.mutations[cellLine] || 0);
@@ -21281,11 +26473,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const mainHotspot = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mainMutData = isTranslocation
-            ? this.translocations?.geneData?.[mainHotspot]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[mainHotspot]
-                : this.mutations?.geneData?.[mainHotspot];
+        const mainMutData = this._mutationResultSource(mr)?.geneData?.[mainHotspot];
         if (!mainMutData) return;
 
         const geneIdx = this.geneIndex.get(gene.toUpperCase());
@@ -21313,14 +26501,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
             const ge = this.geneEffects[geneIdx * this.nCellLines + idx];
             if (isNaN(ge)) return;
+            if (this._isUncalled(mainMutData, cellLine)) return;
             const mainLevel = isTranslocation
                 ? (mainMutData.translocations[cellLine] || 0)
                 : (mainMutData.mutations[cellLine] || 0);
@@ -21743,11 +26929,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const hotspotGene = mr?.hotspotGene;
         const isTranslocation = mr?.isTranslocation;
         const isDamaging = mr?.isDamaging;
-        const mutationData = mr ? (isTranslocation
-            ? this.translocations?.geneData?.[hotspotGene]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[hotspotGene]
-                : this.mutations?.geneData?.[hotspotGene]) : null;
+        const mutationData = mr ? this._mutationResultSource(mr)?.geneData?.[hotspotGene] : null;
         const targetGene = this.currentGeneEffectGene.toUpperCase();
         const targetGeneIdx = this.geneIndex.get(targetGene);
 
@@ -21783,13 +26965,12 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations.geneData[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
 
+            if (this._isUncalled(mutationData, cellLine)) return;
+
             // Check mutation/translocation subgroup (only when mutation data is available)
             if (mr && mutationData && subgroup !== 'all') {
                 const mutLevel = isTranslocation
@@ -21826,6 +27007,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const nExprGenes = this.expressionMetadata.nGenes;
         const nExprCellLines = this.expressionMetadata.nCellLines;
         const results = [];
+        const ranking = []; // every gene's r, unthresholded, for GSEA
 
         for (let exprGeneIdx = 0; exprGeneIdx < nExprGenes; exprGeneIdx++) {
             // Extract expression values for the subgroup cell lines
@@ -21842,8 +27024,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             if (validCount < 10) continue;
 
             // Compute Pearson correlation with slope
-            const stats = this.pearsonWithSlope(exprVals, targetGE);
-            if (isNaN(stats.correlation) || Math.abs(stats.correlation) < 0.2) continue;
+            const stats = this.correlateWithSlope(exprVals, targetGE);
+            if (isNaN(stats.correlation)) continue;
+            ranking.push({ gene: this.expressionMetadata.genes[exprGeneIdx], x: stats.correlation });
+            if (Math.abs(stats.correlation) < 0.2) continue;
 
             // Compute p-value from t-statistic: t = r * sqrt((n-2)/(1-r^2))
             const n = stats.n;
@@ -21866,6 +27050,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
         // Limit to top 500
         this.expressionCorrelateResults = results.slice(0, 500);
+        this._exprCorrelateRanking = ranking;
         this.exprCorrelatesSortCol = 'absR';
         this.exprCorrelatesSortAsc = false;
 
@@ -22025,6 +27210,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 if (exprCellIdx === undefined || exprCellIdx === -1) continue;
 
                 const cellLine = cellLines[geCellIdx];
+                if (this._isUncalled(mutationData, cellLine)) continue;
                 const mutLevel = mutationData
                     ? (isTranslocation
                         ? (mutationData.translocations[cellLine] || 0)
@@ -22059,10 +27245,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     const addMutData = this.mutations.geneData[mr.additionalHotspot];
                     if (addMutData) {
                         const addMutLevel = addMutData.mutations[cellLine] || 0;
-                        if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) continue;
-                        if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) continue;
-                        if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) continue;
-                        if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) continue;
+                        if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) continue;
                     }
                 }
 
@@ -22083,7 +27266,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const allExtraPoints = [...extraPoints.wt, ...extraPoints.mut1, ...extraPoints.mut2];
 
         // Compute correlation on core points only
-        const corrStats = this.pearsonWithSlope(allCorePoints.map(p => p.x), allCorePoints.map(p => p.y));
+        const corrStats = this.correlateWithSlope(allCorePoints.map(p => p.x), allCorePoints.map(p => p.y));
 
         // Build traces — extra (background) points first, then core on top
         const traces = [];
@@ -22160,7 +27343,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
 
         const layout = {
             title: {
-                text: `${ctx.targetGene} GE vs ${expressionGene} Expression<br><sub style="font-size:11px;color:#666">r=${this.formatNum(corrStats.correlation)}, slope=${this.formatNum(corrStats.slope)}, n=${corrStats.n}${additionalText} | ${ctx.hotspotGene} ${subgroupLabels[ctx.subgroup]}</sub>`,
+                text: `${ctx.targetGene} GE vs ${expressionGene} Expression<br><sub style="font-size:11px;color:#666">${this._corrSymbol()}=${this.formatNum(corrStats.correlation)}, slope=${this.formatNum(corrStats.slope)}, n=${corrStats.n}${additionalText} | ${ctx.hotspotGene} ${subgroupLabels[ctx.subgroup]}</sub>`,
                 font: { size: 15 }
             },
             xaxis: { title: `${ctx.targetGene} Gene Effect` },
@@ -22271,11 +27454,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const hotspotGene = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mutationData = isTranslocation
-            ? this.translocations?.geneData?.[hotspotGene]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[hotspotGene]
-                : this.mutations?.geneData?.[hotspotGene];
+        const mutationData = this._mutationResultSource(mr)?.geneData?.[hotspotGene];
         if (!mutationData) return;
 
         const cellLines = this.metadata.cellLines;
@@ -22297,15 +27476,13 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
             const groupKey = groupBySubtype
                 ? (this.cellLineMetadata.primaryDisease[cellLine] || 'Unknown')
                 : (this.cellLineMetadata?.lineage?.[cellLine] || 'Unknown');
+            if (this._isUncalled(mutationData, cellLine)) return;
             const mutLevel = isTranslocation
                 ? (mutationData.translocations[cellLine] || 0)
                 : (mutationData.mutations[cellLine] || 0);
@@ -22350,11 +27527,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const mainHotspot = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mainMutData = isTranslocation
-            ? this.translocations?.geneData?.[mainHotspot]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[mainHotspot]
-                : this.mutations?.geneData?.[mainHotspot];
+        const mainMutData = this._mutationResultSource(mr)?.geneData?.[mainHotspot];
         if (!mainMutData) return;
 
         const cellLines = this.metadata.cellLines;
@@ -22372,12 +27545,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
+            if (this._isUncalled(mainMutData, cellLine)) return;
             const mainMut = isTranslocation
                 ? (mainMutData.translocations[cellLine] || 0)
                 : (mainMutData.mutations[cellLine] || 0);
@@ -22426,11 +27597,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const mainHotspot = mr.hotspotGene;
         const isTranslocation = mr.isTranslocation;
         const isDamaging = mr.isDamaging;
-        const mainMutData = isTranslocation
-            ? this.translocations?.geneData?.[mainHotspot]
-            : isDamaging
-                ? this.damagingMutations?.geneData?.[mainHotspot]
-                : this.mutations?.geneData?.[mainHotspot];
+        const mainMutData = this._mutationResultSource(mr)?.geneData?.[mainHotspot];
         if (!mainMutData) return;
 
         const cellLines = this.metadata.cellLines;
@@ -22448,10 +27615,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 const addMutData = this.mutations?.geneData?.[mr.additionalHotspot];
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
-                    if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                    if (mr.additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                    if (mr.additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                    if (mr.additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                    if (!this._passesHotspotLevel(mr.additionalHotspot, cellLine, mr.additionalHotspotLevel, addMutLevel)) return;
                 }
             }
             if (mr.additionalTransGene && mr.additionalTransLevel !== 'all') {
@@ -22464,6 +27628,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                     if (mr.additionalTransLevel === '1+2' && tLevel < 1) return;
                 }
             }
+            if (this._isUncalled(mainMutData, cellLine)) return;
             const mainMut = isTranslocation
                 ? (mainMutData.translocations[cellLine] || 0)
                 : (mainMutData.mutations[cellLine] || 0);
@@ -22718,7 +27883,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             config.geneCols.forEach(colIdx => {
                 const cell = row.cells[colIdx];
                 if (cell) {
-                    const gene = cell.textContent.trim().replace(/\*$/, '');
+                    const gene = this.nodeGene(cell.textContent.trim().replace(/\*$/, ''));
                     if (gene) geneSet.add(gene);
                 }
             });
@@ -22731,6 +27896,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const mr = this.mutationResults;
         if (!mr) return [];
         const pThreshold = mr.pThreshold || 0.05;
+        const stat = (r, key) => this._mutationStat(r, key, mr.thresholdStat);
 
         // "filtered" — use visible rows from table (respects column filters)
         if (filter === 'filtered') {
@@ -22766,11 +27932,11 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         // Filter by specific comparison
         return results.filter(r => {
             switch (filter) {
-                case 'p_mut':    return r.p_mut < pThreshold;
-                case 'p_2':      return r.p_2 < pThreshold;
-                case 'p_2v1':    return r.p_2v1 < pThreshold;
-                case 'diff_neg': return r.p_mut < pThreshold && r.diff_mut < 0;
-                case 'diff_pos': return r.p_mut < pThreshold && r.diff_mut > 0;
+                case 'p_mut':    return stat(r, 'mut') < pThreshold;
+                case 'p_2':      return stat(r, '2') < pThreshold;
+                case 'p_2v1':    return stat(r, '2v1') < pThreshold;
+                case 'diff_neg': return mr.lineageMeta ? stat(r, 'meta') < pThreshold && r.diff_meta < 0 : stat(r, 'mut') < pThreshold && r.diff_mut < 0;
+                case 'diff_pos': return mr.lineageMeta ? stat(r, 'meta') < pThreshold && r.diff_meta > 0 : stat(r, 'mut') < pThreshold && r.diff_mut > 0;
                 default:         return true;
             }
         }).map(r => r.gene);
@@ -22798,6 +27964,11 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
     }
 
     async submitToEnrichr(genes) {
+        this._enrichrLastGenes = genes;
+        if (document.getElementById('enrichmentEngine')?.value === 'local') {
+            return this.runLocalEnrichment(genes);
+        }
+        this._setEnrichmentEngineLabels('enrichr');
         const formData = new FormData();
         formData.append('list', genes.join('\n'));
         formData.append('description', 'Correlate V2');
@@ -22833,6 +28004,136 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         this.renderEnrichrResults(libraries[0].key);
     }
 
+    // Offline over-representation analysis (hypergeometric test) against the
+    // bundled Hallmark / Reactome / CORUM libraries and any uploaded GMTs.
+    // The background is the DepMap gene universe: both the query and every
+    // set are trimmed to genes in the matrix, so genes that could never be
+    // in a hit list don't dilute the expected overlap. BH runs per library
+    // over every set tested (including zero-overlap ones); only sets with at
+    // least one hit are listed. Rows use the Enrichr layout so the results
+    // table and CSV work unchanged, with the odds ratio in the z-score slot.
+    async runLocalEnrichment(genes) {
+        this._setEnrichmentEngineLabels('local');
+        const content = document.getElementById('enrichrContent');
+        content.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;"><div style="font-size:24px; margin-bottom:12px;">⏳</div>Running local enrichment...</div>';
+
+        const universe = new Set(this.geneNames.map(g => String(g).toUpperCase()));
+        const query = [...new Set(genes.map(g => String(g).trim().toUpperCase()).filter(Boolean))];
+        const hits = new Set(query.filter(g => universe.has(g)));
+        const N = universe.size, n = hits.size;
+
+        const libs = await this._enrichmentLibraries();
+        if (libs.length === 0) {
+            content.innerHTML = `<div style="text-align:center; padding:60px; color:#aaa;">${this._enrichmentUnavailableNote()}<br>Upload a GMT file (+ GMT) to run local enrichment.</div>`;
+            return;
+        }
+
+        const libraries = [];
+        const results = {};
+        for (const lib of libs) {
+            const tested = [];
+            lib.sets.forEach(([term, members]) => {
+                const inUniverse = [...new Set(members.map(g => String(g).toUpperCase()))].filter(g => universe.has(g));
+                const K = inUniverse.length;
+                if (K < 2 || K > 1000) return;
+                const overlap = inUniverse.filter(g => hits.has(g));
+                const k = overlap.length;
+                tested.push({ term, overlap, k, K, p: this.hypergeometricUpperTail(k, N, K, n) });
+            });
+            const q = this.benjaminiHochberg(tested.map(t => t.p));
+            results[lib.key] = tested
+                .map((t, i) => ({ ...t, q: q[i] }))
+                .filter(t => t.k > 0)
+                .sort((a, b) => a.p - b.p)
+                .map((t, i) => {
+                    const { oddsRatio } = this.oddsRatioCI(t.k, n - t.k, t.K - t.k, N - t.K - n + t.k);
+                    return [i + 1, t.term, t.p, oddsRatio, oddsRatio * -Math.log(Math.max(t.p, 1e-300)), t.overlap, t.q];
+                });
+            libraries.push({ key: lib.key, label: lib.label });
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        this._enrichrData = { genes, results, libraries, engine: 'local', background: N, nQuery: n, nUnmapped: query.length - n };
+        this._enrichrSortState = {};
+        this.renderEnrichrResults(libraries[0].key);
+    }
+
+    // Gene-set libraries for the local engine, as [{ key, label, sets: [[name, genes]] }].
+    // Bundled libraries are the named-set files written by scripts/process_hallmark.py,
+    // process_reactome.py and process_corum.py. Any not deployed (or built by
+    // an older script without named sets) go into _enrichmentUnavailable so the
+    // UI says so instead of testing a substitute.
+    async _enrichmentLibraries() {
+        if (!this.hallmarkGeneSets) {
+            const res = await fetch('web_data/hallmark_genesets.json').catch(() => null);
+            if (res && res.ok) this.hallmarkGeneSets = await res.json();
+        }
+        const libs = [];
+        const unavailable = [];
+        const bundled = [
+            ['local_hallmark', 'Hallmark', this.hallmarkGeneSets?.sets],
+            ['local_reactome', 'Reactome', this.reactomePartners?.pathways],
+            ['local_corum', 'CORUM', this.corumPartners?.complexes]
+        ];
+        bundled.forEach(([key, label, sets]) => {
+            if (sets?.length) libs.push({ key, label, sets });
+            else unavailable.push(label);
+        });
+        this._enrichmentUnavailable = unavailable;
+        return libs.concat(this.userGeneSetLibraries);
+    }
+
+    // One-line notice naming the bundled libraries missing from this deployment.
+    _enrichmentUnavailableNote() {
+        const missing = this._enrichmentUnavailable || [];
+        if (missing.length === 0) return '';
+        return `${missing.join(', ')} ${missing.length === 1 ? 'library is' : 'libraries are'} unavailable — the gene-set file is not deployed (build it with scripts/process_${missing.length === 1 ? missing[0].toLowerCase() : '*'}.py).`;
+    }
+
+    // GMT: one set per line — name, description, then gene symbols, tab-separated.
+    parseGmt(text) {
+        const sets = [];
+        text.split(/\r?\n/).forEach(line => {
+            const parts = line.split('\t');
+            if (parts.length < 3 || !parts[0].trim()) return;
+            const genes = [...new Set(parts.slice(2).map(g => g.trim().toUpperCase()).filter(Boolean))];
+            if (genes.length) sets.push([parts[0].trim(), genes]);
+        });
+        return sets;
+    }
+
+    async loadUserGmt(file) {
+        const sets = this.parseGmt(await file.text());
+        if (sets.length === 0) {
+            alert(`No gene sets found in ${file.name}. Expected a tab-separated GMT file (name, description, genes...).`);
+            return;
+        }
+        const label = file.name.replace(/\.(gmt|txt)$/i, '');
+        const key = `user_${label}`;
+        this.userGeneSetLibraries = this.userGeneSetLibraries.filter(l => l.key !== key);
+        this.userGeneSetLibraries.push({ key, label, sets });
+        this.showCopyNotification(`Loaded ${sets.length} gene sets from ${file.name}`);
+
+        const engine = document.getElementById('enrichmentEngine');
+        if (engine) engine.value = 'local';
+        if (this._enrichrLastGenes) await this.runLocalEnrichment(this._enrichrLastGenes);
+    }
+
+    // Title prefix and attribution line follow the active engine; callers set
+    // the title as "Enrichr — …" before submitting.
+    _setEnrichmentEngineLabels(engine) {
+        const title = document.getElementById('enrichrTitle');
+        const subtitle = document.getElementById('enrichrSubtitle');
+        if (subtitle && this._enrichrSubtitleHtml === undefined) this._enrichrSubtitleHtml = subtitle.innerHTML;
+        if (engine === 'local') {
+            if (title) title.textContent = title.textContent.replace(/^Enrichr\b/, 'Local enrichment');
+            if (subtitle) subtitle.textContent = 'Hypergeometric test in the browser against the DepMap gene background — no data leaves this page';
+        } else {
+            if (title) title.textContent = title.textContent.replace(/^Local enrichment\b/, 'Enrichr');
+            if (subtitle && this._enrichrSubtitleHtml !== undefined) subtitle.innerHTML = this._enrichrSubtitleHtml;
+        }
+    }
+
     renderEnrichrResults(activeLibrary) {
         const { results, libraries } = this._enrichrData;
         const tabsEl = document.getElementById('enrichrTabs');
@@ -22850,9 +28151,16 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             btn.addEventListener('click', () => this.renderEnrichrResults(btn.dataset.lib));
         });
 
+        const isLocal = this._enrichrData.engine === 'local';
+        const unavailableNote = isLocal ? this._enrichmentUnavailableNote() : '';
+        const note = isLocal
+            ? `<div style="font-size:11px; color:#888; margin-bottom:10px;">${this._enrichrData.nQuery} genes tested against a background of ${this._enrichrData.background.toLocaleString()} DepMap genes${this._enrichrData.nUnmapped ? ` (${this._enrichrData.nUnmapped} not in DepMap, ignored)` : ''}. One-sided hypergeometric p-values, BH-adjusted within this library.</div>` +
+              (unavailableNote ? `<div style="font-size:11px; color:#d97706; margin-bottom:10px;">${unavailableNote}</div>` : '')
+            : '';
+
         const rows = results[activeLibrary] || [];
         if (rows.length === 0) {
-            contentEl.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;">No pathways found for this library.</div>';
+            contentEl.innerHTML = note + '<div style="text-align:center; padding:60px; color:#aaa;">No pathways found for this library.</div>';
             return;
         }
 
@@ -22868,7 +28176,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         })).filter(r => r.adjPValue < 0.05);
 
         if (parsed.length === 0) {
-            contentEl.innerHTML = '<div style="text-align:center; padding:60px; color:#aaa;">No significant pathways (adj p &lt; 0.05)</div>';
+            contentEl.innerHTML = note + '<div style="text-align:center; padding:60px; color:#aaa;">No significant pathways (adj p &lt; 0.05)</div>';
             return;
         }
 
@@ -22888,7 +28196,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             { key: 'term', label: 'Term' },
             { key: 'pValue', label: 'P-value' },
             { key: 'adjPValue', label: 'Adj P-value' },
-            { key: 'zScore', label: 'Z-score' },
+            { key: 'zScore', label: isLocal ? 'Odds ratio' : 'Z-score' },
             { key: 'combinedScore', label: 'Combined' },
             { key: 'genesDisplay', label: 'Genes' },
             { key: 'geneCount', label: '# Genes' }
@@ -22899,7 +28207,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             return sortState.asc ? ' ▲' : ' ▼';
         };
 
-        let html = '<table style="width:100%; border-collapse:collapse; font-size:12px;">';
+        let html = note + '<table style="width:100%; border-collapse:collapse; font-size:12px;">';
         html += '<thead><tr>';
         columns.forEach(c => {
             const sortable = c.key !== 'genesDisplay';
@@ -22972,7 +28280,9 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         const rows = this._enrichrData.results[lib] || [];
         if (rows.length === 0) return;
 
-        let csv = 'Rank,Term,P-value,Adjusted P-value,Z-score,Combined Score,Genes,Num Genes\n';
+        const isLocal = this._enrichrData.engine === 'local';
+        let csv = isLocal ? `# Local enrichment: hypergeometric test, background ${this._enrichrData.background} DepMap genes, BH within library\n` : '';
+        csv += `Rank,Term,P-value,Adjusted P-value,${isLocal ? 'Odds Ratio' : 'Z-score'},Combined Score,Genes,Num Genes\n`;
         rows.forEach(r => {
             const genes = Array.isArray(r[5]) ? r[5].join(';') : String(r[5]);
             const geneCount = Array.isArray(r[5]) ? r[5].length : 0;
@@ -22981,7 +28291,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         });
 
         const libLabel = this._enrichrData.libraries.find(l => l.key === lib)?.label || lib;
-        this.downloadFile(csv, csvName(`enrichr_${libLabel}`), 'text/csv');
+        this.downloadFile(csv, csvName(`${isLocal ? 'enrichment_local' : 'enrichr'}_${libLabel}`), 'text/csv');
     }
 
     openCompareInspect(gene, tissue, hotspot, mode) {
@@ -24732,11 +30042,13 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             // Show direction arrow unless mode is name or (gene sort with empty gene input)
             const showDir = mode !== 'name' && !(needsGene && !clbSortGene.value.trim());
             clbSortDir.style.display = showDir ? '' : 'none';
+            const simGenes = document.getElementById('clbSimilarityGenes');
+            if (simGenes) simGenes.style.display = mode === 'similarity' ? '' : 'none';
             // Default descending for count sorts and expression (highest-first
             // is usually what the user wants for "cells with highest
             // expression of gene X"). Ascending for name and gene-effect
             // (lowest GE = most dependent, typical interest).
-            if (mode === 'hotspot' || mode === 'damaging' || mode === 'fusion' || mode === 'expr' || mode === 'cn') {
+            if (mode === 'hotspot' || mode === 'damaging' || mode === 'fusion' || mode === 'expr' || mode === 'cn' || mode === 'similarity') {
                 this._clbSortAsc = false;
             } else {
                 this._clbSortAsc = true;
@@ -24754,6 +30066,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             updateSortControls();
             this.renderCellLineList();
         });
+        document.getElementById('clbSimilarityGenes')?.addEventListener('change', () => this.renderCellLineList());
         let clbGeneTimer;
         // Helper: dispatch to drug picker, gene picker, or hide based on mode.
         const renderSortDropdown = () => {
@@ -24855,6 +30168,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             const _sortDrugDd = document.getElementById('clbSortDrugDropdown');
             if (_sortDrugDd) _sortDrugDd.style.display = 'none';
             document.getElementById('clbSortDir').style.display = 'none';
+            const _simGenes = document.getElementById('clbSimilarityGenes');
+            if (_simGenes) _simGenes.style.display = 'none';
             this._clbSortMode = 'name';
             this._clbSortAsc = true;
             this._oncoprintFilters = {};
@@ -24996,6 +30311,10 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
         document.getElementById('clbUmapSelectBtn').addEventListener('click', () => this.clbUmapSelectMode());
         document.getElementById('clbUmapCopyBtn').addEventListener('click', () => this.clbUmapCopySelected());
         document.getElementById('clbUmapSelectInListBtn').addEventListener('click', () => this.clbUmapSelectInList());
+        document.getElementById('clbUmapProjectBtn')?.addEventListener('click', () => document.getElementById('clbUmapProjectFile').click());
+        document.getElementById('clbUmapProjectFile')?.addEventListener('change', (e) => this.loadUmapProjectFile(e.target.files[0]));
+        document.getElementById('clbUmapProjectClear')?.addEventListener('click', () => this.clearUmapProjection());
+        document.getElementById('clbUmapProjectCsv')?.addEventListener('click', () => this.downloadUmapProjectionCSV());
         // Component axis selectors
         document.getElementById('clbUmapCompX').addEventListener('change', () => this._onComponentChange());
         document.getElementById('clbUmapCompY').addEventListener('change', () => this._onComponentChange());
@@ -25430,6 +30749,36 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                 if (va === vb) return this.getCellLineName(a).localeCompare(this.getCellLineName(b));
                 return (va - vb) * dir;
             };
+        } else if (mode === 'similarity') {
+            // Spearman rho between the uploaded screen's LFC vector and each
+            // line's gene effects. Computed asynchronously on first use and
+            // again whenever the stats or the gene subset change; the list
+            // re-renders itself once the scores land.
+            const topVar = parseInt(document.getElementById('clbSimilarityGenes')?.value) || 0;
+            const sim = this._screenSimilarity;
+            const fresh = sim && sim.stats === this.geneStats && sim.topVar === topVar;
+            if (this.geneStats?.size && !fresh && !this._screenSimilarityPending) {
+                this._screenSimilarityPending = true;
+                this.computeScreenSimilarity(topVar)
+                    .catch(e => {
+                        console.warn('Screen similarity failed', e);
+                        this._screenSimilarity = { stats: this.geneStats, topVar, rho: new Map(), error: `Similarity could not be computed: ${e.message}` };
+                    })
+                    .finally(() => {
+                        this._screenSimilarityPending = false;
+                        if (this._clbSortMode === 'similarity') this.renderCellLineList();
+                    });
+            }
+            countMap = fresh ? sim.rho : new Map();
+            secondaryCmp = (a, b) => {
+                const va = countMap.get(a);
+                const vb = countMap.get(b);
+                if (va == null && vb == null) return this.getCellLineName(a).localeCompare(this.getCellLineName(b));
+                if (va == null) return 1;
+                if (vb == null) return -1;
+                if (va === vb) return this.getCellLineName(a).localeCompare(this.getCellLineName(b));
+                return (va - vb) * dir;
+            };
         } else if (mode === 'tissue') {
             secondaryCmp = (a, b) => {
                 const ta = this.getCellLineLineage(a) || '';
@@ -25472,6 +30821,8 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
             caption = `<div style="${captionStyle}">
                 Values shown: <b>${fullLabel}</b> for <b>${geGenesLabel}</b>${direction}.
             </div>`;
+        } else if (mode === 'similarity') {
+            caption = `<div style="${captionStyle}">${this._screenSimilarityCaption(countMap)}</div>`;
         } else if (countMap) {
             const cnScope = this.cnLoaded ? 'full DepMap matrix' : 'curated cancer panel only — matrix still loading';
             const lbl = mode === 'hotspot' ? 'Hotspot-mutation count'
@@ -25529,6 +30880,7 @@ ${filterText ? `<text x="${this._netBannerPos ? this._netBannerPos.x : width / 2
                                   : mode === 'cin' ? 'CIN'
                                   : mode === 'cn' ? 'CN'
                                   : mode === 'drug' ? 'AUC'
+                                  : mode === 'similarity' ? '&rho;'
                                   : '';
                     // For drug-response, colour AUC by sensitivity at a glance.
                     // Thresholds match the dropdown's v/p categories and the
@@ -26222,6 +31574,19 @@ These are properties of the cell line itself — not its tumour microenvironment
         top += `<button id="clbWikiBtn" class="btn btn-outline btn-sm" style="width:100%; font-size:11px; padding:5px 8px; color:var(--green-700); border-color:var(--green-400);" title="Open the cell line Wiki (patient origin, classification, mutation profile, fusions, signatures, STR authentication)">Wiki — deep dive on this cell line</button>`;
         top += `</div>`;
 
+        // Match against the uploaded screen, when the similarity sort has
+        // scored this line: rho, rank, and a scatter of screen LFC vs GE.
+        const sim = this._screenSimilarity;
+        if (sim?.stats === this.geneStats && sim.rho?.has(cellLineId)) {
+            const rank = sim.order.indexOf(cellLineId) + 1;
+            top += `<div class="clb-detail-section"><strong>Similarity to uploaded screen</strong>`;
+            top += `<div class="clb-stat-row"><span class="clb-stat-label">Spearman &rho;</span><span class="clb-stat-value">${sim.rho.get(cellLineId).toFixed(3)}</span></div>`;
+            top += `<div class="clb-stat-row"><span class="clb-stat-label">Rank</span><span class="clb-stat-value">${rank} of ${sim.order.length}</span></div>`;
+            top += `<div class="clb-stat-row"><span class="clb-stat-label">Shared genes</span><span class="clb-stat-value">${sim.n.get(cellLineId).toLocaleString()}</span></div>`;
+            top += `<div id="clbSimilarityScatter" style="height:260px; margin-top:6px;"></div>`;
+            top += `</div>`;
+        }
+
         top += `<div class="clb-detail-section"><strong>Hotspot Mutations (${mutGenes.length})</strong>`;
         // Polymorphic loci (HLA / MIC / KIR) are tucked behind "show all"
         // because hotspot calls in those genes are usually allelic divergence
@@ -26384,6 +31749,7 @@ The "⚠ atypical" badge means the cell line tissue isn't the usual disease for
         top += `<div class="clb-stat-row"><span class="clb-stat-label">Range</span><span class="clb-stat-value">${count > 0 ? this.formatNum(min) + ' to ' + this.formatNum(max) : '-'}</span></div>`;
         top += `</div>`;
         document.getElementById('clbDetailTop').innerHTML = top;
+        if (document.getElementById('clbSimilarityScatter')) this._renderScreenSimilarityScatter(cellLineId);
 
         // Wire the deep-dive entry point and gene-list toggles (re-wired on every
         // re-render because the DOM is replaced in place).
@@ -30349,6 +35715,21 @@ ${body}
         if (colorBy) lines.push(`Color by: ${colorBy}`);
         if (this._gateA) lines.push(`Gate A: ${this._gateA.length} cells`);
         if (this._gateB) lines.push(`Gate B: ${this._gateB.length} cells`);
+        lines.push(...this._gateEnrichmentReportLines(this._gateCompareResults));
+        return lines;
+    }
+
+    // Report lines for the strongest FDR-significant tissue, subtissue and
+    // mutation/fusion enrichments of a gate comparison.
+    _gateEnrichmentReportLines(r, maxPerTable = 3) {
+        if (!r) return [];
+        const fmtQ = (q) => q < 0.001 ? q.toExponential(1) : q.toFixed(3);
+        const lines = ["Enrichment: two-sided Fisher's exact test, BH FDR per table (OR > 1 = enriched in Gate A)"];
+        [['Tissue', r.tissueStats, d => d.tissue], ['Subtissue', r.subtissueStats, d => d.tissue], ['Mutation', r.mutStats, d => `${d.gene} (${d.type})`]]
+            .forEach(([label, rows, name]) => {
+                const hits = (rows || []).filter(d => d.qValue < 0.05).sort((a, b) => a.qValue - b.qValue).slice(0, maxPerTable);
+                hits.forEach(d => lines.push(`${label}: ${name(d)} OR=${this._formatOddsRatio(d)}, q=${fmtQ(d.qValue)}`));
+            });
         return lines;
     }
 
@@ -30357,7 +35738,9 @@ ${body}
         const mr = this.mutationResults;
         if (mr) {
             const hotspotGene = mr.hotspotGene;
-            const type = mr.isTranslocation ? 'Translocation' : mr.isDamaging ? 'Damaging mutation' : 'Hotspot mutation';
+            const type = mr.isTranslocation ? 'Translocation' : mr.isDamaging ? 'Damaging mutation' : mr.isCopyNumber ? (mr.cnDirection === 'del' ? 'CN deletion' : 'CN amplification')
+                : mr.isBiomarker ? `${mr.biomarker.layer === 'expr' ? 'Expression' : 'GE'} biomarker (${this._biomarkerGroupText(mr.biomarker)})`
+                : mr.isVariant ? `Hotspot variant (${this._variantGroupText(mr.variant)})` : 'Hotspot mutation';
             lines.push(`${type}: ${hotspotGene}`);
         }
         if (this.currentGeneEffectGene) {
@@ -30371,6 +35754,7 @@ ${body}
         if (hotspot) lines.push(`Additional hotspot filter: ${hotspot}`);
         if (this._geGateA) lines.push(`Gate A: ${this._geGateA.length} cells`);
         if (this._geGateB) lines.push(`Gate B: ${this._geGateB.length} cells`);
+        lines.push(...this._gateEnrichmentReportLines(this._geGateCompareResults));
         return lines;
     }
 
@@ -30650,6 +36034,7 @@ ${body}
 
     _resetUmap() {
         this._clbUmapData = null;
+        document.getElementById('clbUmapProjectPanel').style.display = 'none';
         this._clbUmapAllScores = null;
         this._clbUmapAllExplained = null;
         this._clbUmapAllLoadings = null;
@@ -30695,6 +36080,7 @@ ${body}
         this._resetUmap();
         // Also hide gate panel
         document.getElementById('clbUmapGatePanel').style.display = 'none';
+        this.clearUmapProjection();
     }
 
     // ===== UMAP Gate Comparison =====
@@ -30947,17 +36333,6 @@ ${body}
 
         await new Promise(r => setTimeout(r, 10));
 
-        // 2x2 chi² p-value for (in-category vs not) × (Gate A vs Gate B).
-        // Same approximation used for mutation enrichment so the numbers are
-        // consistent across tabs.
-        const chi2P = (inA, inB, totalA, totalB) => {
-            const a = inA, b = inB, c = totalA - inA, d = totalB - inB;
-            const n = a + b + c + d;
-            if (n <= 0) return 1;
-            const chi2 = Math.pow(a * d - b * c, 2) * n / ((a + b) * (c + d) * (a + c) * (b + d) || 1);
-            return Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-        };
-
         // 1. Tissue enrichment
         const tissueA = {}, tissueB = {};
         this._umapGateA.forEach(cl => { const t = this.getCellLineLineage(cl) || 'Unknown'; tissueA[t] = (tissueA[t] || 0) + 1; });
@@ -30968,9 +36343,10 @@ ${body}
             return {
                 tissue: t, nA: nAt, pctA: nAt / nA * 100,
                 nB: nBt, pctB: nBt / nB * 100,
-                pValue: chi2P(nAt, nBt, nA, nB)
+                ...this._gateEnrichment(nAt, nBt, nA, nB)
             };
         });
+        this._addGateQValues(tissueStats);
         tissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
         // 1b. Subtissue enrichment
@@ -30983,30 +36359,22 @@ ${body}
             return {
                 tissue: st, nA: nAt, pctA: nAt / nA * 100,
                 nB: nBt, pctB: nBt / nB * 100,
-                pValue: chi2P(nAt, nBt, nA, nB)
+                ...this._gateEnrichment(nAt, nBt, nA, nB)
             };
         });
+        this._addGateQValues(subtissueStats);
         subtissueStats.sort((a, b) => Math.abs(b.pctA - b.pctB) - Math.abs(a.pctA - a.pctB));
 
-        // 2. Mutation enrichment
+        // 2. Mutation enrichment (Fisher's exact, BH across the table)
         const mutStats = [];
-        const mutSources = [];
-        if (this.mutations?.genes) this.mutations.genes.forEach(g => mutSources.push({ gene: g, source: this.mutations, type: 'hotspot' }));
-        if (this.damagingMutations?.genes) {
-            const hsSet = new Set(this.mutations?.genes || []);
-            this.damagingMutations.genes.forEach(g => { if (!hsSet.has(g)) mutSources.push({ gene: g, source: this.damagingMutations, type: 'damaging' }); });
-        }
-        mutSources.forEach(({ gene, source, type }) => {
-            const mutData = source.geneData?.[gene]?.mutations || {};
-            const mutA = this._umapGateA.filter(cl => (mutData[cl] || 0) > 0).length;
-            const mutB = this._umapGateB.filter(cl => (mutData[cl] || 0) > 0).length;
+        this._gateMutationSources().forEach(({ gene, calls, type }) => {
+            const mutA = this._umapGateA.filter(cl => (calls[cl] || 0) > 0).length;
+            const mutB = this._umapGateB.filter(cl => (calls[cl] || 0) > 0).length;
+            if (mutA === 0 && mutB === 0) return;
             const pctA = mutA / nA * 100, pctB = mutB / nB * 100;
-            const a = mutA, b = mutB, c = nA - mutA, d2 = nB - mutB;
-            const n = a + b + c + d2;
-            const chi2 = n > 0 ? Math.pow(a * d2 - b * c, 2) * n / ((a + b) * (c + d2) * (a + c) * (b + d2) || 1) : 0;
-            const pValue = Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
-            if (mutA > 0 || mutB > 0) mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, pValue, type });
+            mutStats.push({ gene, mutA, mutB, pctA, pctB, diff: pctA - pctB, type, ...this._gateEnrichment(mutA, mutB, nA, nB) });
         });
+        this._addGateQValues(mutStats);
         mutStats.sort((a, b) => a.pValue - b.pValue);
 
         // 3. Differential gene effect
@@ -31101,9 +36469,8 @@ ${body}
             this._sortUmapGateData(data, {
                 tissue: d => d.tissue.toLowerCase(), nA: d => d.nA, pctA: d => d.pctA,
                 nB: d => d.nB, pctB: d => d.pctB, delta: d => d.pctA - d.pctB, absDelta: d => Math.abs(d.pctA - d.pctB),
-                pValue: d => d.pValue ?? 1
+                pValue: d => d.pValue ?? 1, qValue: d => d.qValue ?? 1, oddsRatio: d => d.oddsRatio
             });
-            const fmtP = (p) => p == null || !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
             let html = `<table style="width:100%;border-collapse:collapse;font-size:11px;table-layout:fixed;">
                 <thead><tr style="background:#f3f4f6;">
                     <th style="${thStyle}text-align:left;" onclick="${sortFn('tissue')}">Tissue${sortIcon('tissue')}</th>
@@ -31112,7 +36479,9 @@ ${body}
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('nB')}">Gate B${sortIcon('nB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('pctB')}">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('absDelta')}">|Δ%|${sortIcon('absDelta')}</th>
-                    <th style="${thStyle}text-align:center;" onclick="${sortFn('pValue')}" title="2×2 χ² test of tissue presence vs gate assignment">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('pValue')}" title="Two-sided Fisher's exact test of tissue presence vs gate assignment">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('qValue')}" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('oddsRatio')}" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             data.forEach(t => {
                 const delta = t.pctA - t.pctB;
@@ -31124,7 +36493,7 @@ ${body}
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
-                    <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${t.pValue != null && t.pValue < 0.05 ? 'font-weight:600;' : ''}">${fmtP(t.pValue)}</td>
+                    ${this._gateEnrichmentCells(t)}
                 </tr>`;
             });
             html += '</tbody></table>';
@@ -31134,7 +36503,7 @@ ${body}
                 html += `<div style="margin-top:12px;border-top:1px solid #e5e7eb;padding-top:8px;">
                     <div style="font-size:11px;font-weight:600;margin-bottom:6px;color:#374151;">Subtissue</div>
                     <table style="width:100%;border-collapse:collapse;font-size:11px;table-layout:fixed;">
-                    <thead><tr style="background:#f3f4f6;"><th style="padding:5px;text-align:left;">Subtype</th><th style="padding:5px;text-align:center;">Gate A</th><th style="padding:5px;text-align:center;">%A</th><th style="padding:5px;text-align:center;">Gate B</th><th style="padding:5px;text-align:center;">%B</th><th style="padding:5px;text-align:center;">|Δ%|</th><th style="padding:5px;text-align:center;" title="2×2 χ² test of subtype presence vs gate assignment">p-value</th></tr></thead><tbody>`;
+                    <thead><tr style="background:#f3f4f6;"><th style="padding:5px;text-align:left;">Subtype</th><th style="padding:5px;text-align:center;">Gate A</th><th style="padding:5px;text-align:center;">%A</th><th style="padding:5px;text-align:center;">Gate B</th><th style="padding:5px;text-align:center;">%B</th><th style="padding:5px;text-align:center;">|Δ%|</th><th style="padding:5px;text-align:center;" title="Two-sided Fisher's exact test of subtype presence vs gate assignment">p-value</th><th style="padding:5px;text-align:center;" title="Benjamini–Hochberg FDR across this table">q (FDR)</th><th style="padding:5px;text-align:center;" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]</th></tr></thead><tbody>`;
                 subData.forEach(t => {
                     const delta = t.pctA - t.pctB;
                     const color = Math.abs(delta) > 10 ? (delta > 0 ? '#2563eb' : '#dc2626') : '';
@@ -31144,7 +36513,7 @@ ${body}
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.nB}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${t.pctB.toFixed(1)}</td>
                         <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
-                        <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${t.pValue != null && t.pValue < 0.05 ? 'font-weight:600;' : ''}">${fmtP(t.pValue)}</td></tr>`;
+                        ${this._gateEnrichmentCells(t)}</tr>`;
                 });
                 html += '</tbody></table></div>';
             }
@@ -31156,7 +36525,8 @@ ${body}
             const data = [...r.mutStats];
             this._sortUmapGateData(data, {
                 gene: d => d.gene.toLowerCase(), type: d => d.type, mutA: d => d.mutA, pctA: d => d.pctA,
-                mutB: d => d.mutB, pctB: d => d.pctB, delta: d => d.pctA - d.pctB, pValue: d => d.pValue
+                mutB: d => d.mutB, pctB: d => d.pctB, delta: d => d.pctA - d.pctB, pValue: d => d.pValue,
+                qValue: d => d.qValue, oddsRatio: d => d.oddsRatio
             });
             const pf = this._umapGatePvalueFilter || '';
             let html = `<div style="display:flex;gap:8px;align-items:center;margin-bottom:4px;">
@@ -31177,24 +36547,25 @@ ${body}
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('mutB')}">Mut B${sortIcon('mutB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('pctB')}">%B${sortIcon('pctB')}</th>
                     <th style="${thStyle}text-align:center;" onclick="${sortFn('delta')}">Δ%${sortIcon('delta')}</th>
-                    <th style="${thStyle}text-align:center;" onclick="${sortFn('pValue')}">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('pValue')}" title="Two-sided Fisher's exact test">p-value${sortIcon('pValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('qValue')}" title="Benjamini–Hochberg FDR across this table">q (FDR)${sortIcon('qValue')}</th>
+                    <th style="${thStyle}text-align:center;" onclick="${sortFn('oddsRatio')}" title="Odds ratio (Gate A vs Gate B) with 95% CI">OR [95% CI]${sortIcon('oddsRatio')}</th>
                 </tr></thead><tbody>`;
             const filtered = pf ? data.filter(m => m.pValue < parseFloat(pf)) : data;
             filtered.slice(0, 100).forEach(m => {
                 const delta = m.pctA - m.pctB;
                 const color = Math.abs(delta) > 10 ? (delta > 0 ? '#2563eb' : '#dc2626') : '';
                 const pStr = m.pValue < 0.001 ? m.pValue.toExponential(1) : m.pValue.toFixed(3);
-                const badge = m.type === 'hotspot'
-                    ? '<span style="background:#f59e0b;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">hotspot</span>'
-                    : '<span style="background:#8b5cf6;color:white;padding:1px 5px;border-radius:3px;font-size:9px;">damaging</span>';
-                html += `<tr><td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showUmapGateGenePlot('${m.gene}','mutation')">${m.gene}</td>
+                const badge = this._gateTypeBadge(m.type);
+                html += `<tr><td style="padding:4px;border-bottom:1px solid #eee;color:#0066cc;cursor:pointer;text-decoration:underline;" onclick="event.stopPropagation();app.showUmapGateGenePlot('${m.gene}','mutation','${m.type}')">${m.gene}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;">${badge}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.mutA}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#2563eb;">${m.pctA.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${m.mutB}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;color:#dc2626;">${m.pctB.toFixed(1)}</td>
                     <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;font-weight:500;${color ? `color:${color}` : ''}">${delta > 0 ? '+' : ''}${delta.toFixed(1)}</td>
-                    <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${m.pValue < 0.05 ? 'font-weight:600;' : ''}">${pStr}</td></tr>`;
+                    <td style="padding:4px;text-align:center;border-bottom:1px solid #eee;${m.pValue < 0.05 ? 'font-weight:600;' : ''}">${pStr}</td>
+                    ${this._gateEnrichmentCells(m, false)}</tr>`;
             });
             html += '</tbody></table>';
             html += `<div style="margin-top:8px;display:flex;gap:6px;">
@@ -31331,7 +36702,7 @@ ${body}
         this.submitToEnrichr(genes);
     }
 
-    showUmapGateGenePlot(gene, type) {
+    showUmapGateGenePlot(gene, type, mutType = null) {
         const plotDiv = document.getElementById('clbUmapGateGenePlot');
         if (!plotDiv || !this._umapGateA?.length || !this._umapGateB?.length) return;
 
@@ -31343,18 +36714,12 @@ ${body}
         const fmtP = (p) => !isFinite(p) ? 'n/a' : p < 0.001 ? p.toExponential(1) : p.toFixed(3);
 
         if (type === 'mutation') {
-            let mutData = this.mutations?.geneData?.[gene]?.mutations || this.damagingMutations?.geneData?.[gene]?.mutations;
+            const mutData = this._gateMutationCalls(gene, mutType);
             if (!mutData) { plotDiv.innerHTML = `<div style="padding:10px;text-align:center;color:#6b7280;font-size:11px;">No mutation data for ${gene}</div>`; return; }
             const mutA = this._umapGateA.filter(cl => (mutData[cl] || 0) > 0).length;
             const mutB = this._umapGateB.filter(cl => (mutData[cl] || 0) > 0).length;
             const nA = this._umapGateA.length, nB = this._umapGateB.length;
             const pctMutA = mutA / nA * 100, pctMutB = mutB / nB * 100;
-            // Same chi² approximation used in compareUmapGates so the plot
-            // title's p-value matches the table's p-value.
-            const a = mutA, b = mutB, c = nA - mutA, d2 = nB - mutB;
-            const n = a + b + c + d2;
-            const chi2 = n > 0 ? Math.pow(a * d2 - b * c, 2) * n / ((a + b) * (c + d2) * (a + c) * (b + d2) || 1) : 0;
-            const pValue = Math.max(0, Math.min(1, Math.exp(-chi2 / 2)));
             const traces = [
                 { x: ['Gate A'], y: [pctMutA], name: 'Mutated', type: 'bar', marker: { color: '#2563eb' },
                   text: [`${mutA}/${nA} (${pctMutA.toFixed(1)}%)`], textposition: pctMutA > 10 ? 'inside' : 'outside', textfont: { color: pctMutA > 10 ? 'white' : '#2563eb', size: 10 } },
@@ -31366,9 +36731,9 @@ ${body}
                   text: [`${nB - mutB} WT`], textposition: 'inside', textfont: { color: '#dc2626', size: 10 } }
             ];
             Plotly.newPlot(plotDiv, traces, {
-                title: { text: `${gene} — Mutation Frequency (Δ%=${(pctMutA - pctMutB > 0 ? '+' : '')}${(pctMutA - pctMutB).toFixed(1)}, p=${fmtP(pValue)})`, font: { size: 13 } },
+                title: { text: `${gene} — ${mutType === 'fusion' ? 'Fusion' : 'Mutation'} Frequency (Δ%=${(pctMutA - pctMutB > 0 ? '+' : '')}${(pctMutA - pctMutB).toFixed(1)})<br><span style="font-size:9px;color:#9ca3af;">${this._gateEnrichmentTitle(this._umapGateCompareResults?.mutStats, gene, mutType, mutA, mutB, nA, nB)}</span>`, font: { size: 13 } },
                 barmode: 'stack', yaxis: { title: '% of cells', range: [0, 105] },
-                width: 300, height: 300, margin: { t: 40, b: 60, l: 60, r: 30 },
+                width: 300, height: 300, margin: { t: 55, b: 60, l: 60, r: 30 },
                 showlegend: true, legend: { orientation: 'h', y: -0.15, x: 0.5, xanchor: 'center', font: { size: 9 } }
             }, { displayModeBar: false, responsive: true });
 
@@ -31464,6 +36829,7 @@ ${body}
             const customGeneList = this._parseUmapGeneList();
             let matrix = [];
             let geneNames = [];
+            let exprFeatures = null;
 
             if (dataType === 'ge' || dataType === 'both') {
                 const result = this._buildVariableGeneMatrix(cellLineIndices, N_TOP_GENES, 'ge', true, customGeneList);
@@ -31472,6 +36838,7 @@ ${body}
             }
             if (dataType === 'expr' || dataType === 'both') {
                 const result = this._buildVariableGeneMatrix(cellLineIndices, N_TOP_GENES, 'expr', true, customGeneList);
+                exprFeatures = { imputeMeans: result.imputeMeans, scaling: result.scaling };
                 if (dataType === 'both' && matrix.length > 0) {
                     for (let i = 0; i < nCL; i++) matrix[i] = matrix[i].concat(result.matrix[i]);
                     geneNames = geneNames.concat(result.geneNames);
@@ -31491,12 +36858,13 @@ ${body}
             }
             this._populateUmapHighlightGeneDropdown(customGeneList && customGeneList.length ? geneNames : null);
 
-            let x, y, axisLabels, pcaLoadings = null;
+            let x, y, axisLabels, pcaLoadings = null, pcaModel = null, umapModel = null;
 
             document.getElementById('clbUmapShowLoadings').checked = false;
 
             if (method === 'pca') {
                 const pca = this._computePCA(matrix, 5);
+                pcaModel = { means: pca.means, loadings: pca.loadings, scoreScale: pca.scoreScale };
                 const nc = pca.scores[0].length;
                 this._clbUmapAllScores = pca.scores;
                 this._clbUmapAllExplained = pca.explained;
@@ -31520,6 +36888,7 @@ ${body}
                 const nDims = nCL >= 30 ? 3 : 2;
                 const umap = new UMAPClass({ nNeighbors: Math.max(5, nNeighbors), minDist: 0.3, nComponents: nDims, spread: 1.5 });
                 const embedding = umap.fit(matrix);
+                umapModel = umap;
                 this._clbUmapAllScores = embedding;
                 this._clbUmapAllExplained = null;
                 this._clbUmapAllLoadings = null;
@@ -31536,7 +36905,9 @@ ${body}
             });
 
             this._clbUmapData = { cellLines, cellLineIndices, x, y, categories, matrix, geneNames,
-                mutStatus: null, splitGene: null, method, axisLabels, pcaLoadings };
+                mutStatus: null, splitGene: null, method, axisLabels, pcaLoadings,
+                dataType, exprFeatures, pcaModel, umapModel, projected: null };
+            if (this._clbProjectSamples) await this.projectUmapSamples(false);
             this._clbUmapSelectedPoints = new Set();
             this._renderUmapPlot(x, y, cellLines, categories, null, colorBy, null);
             document.getElementById('clbUmapSelectionControls').style.display = 'flex';
@@ -31621,6 +36992,7 @@ ${body}
             const customGeneList = this._parseUmapGeneList();
             let matrix = [];
             let geneNames = [];
+            let exprFeatures = null;
 
             if (dataType === 'ge' || dataType === 'both') {
                 const result = this._buildVariableGeneMatrix(cellLineIndices, N_TOP_GENES, 'ge', true, customGeneList);
@@ -31629,6 +37001,7 @@ ${body}
             }
             if (dataType === 'expr' || dataType === 'both') {
                 const result = this._buildVariableGeneMatrix(cellLineIndices, N_TOP_GENES, 'expr', true, customGeneList);
+                exprFeatures = { imputeMeans: result.imputeMeans, scaling: result.scaling };
                 if (dataType === 'both' && matrix.length > 0) {
                     for (let i = 0; i < nCL; i++) matrix[i] = matrix[i].concat(result.matrix[i]);
                     geneNames = geneNames.concat(result.geneNames);
@@ -31650,7 +37023,7 @@ ${body}
                 return;
             }
 
-            let x, y, axisLabels, pcaLoadings = null;
+            let x, y, axisLabels, pcaLoadings = null, pcaModel = null, umapModel = null;
 
             // Clear previous state
             this.clearUmapGates();
@@ -31674,6 +37047,7 @@ ${body}
 
             if (method === 'pca') {
                 const pca = this._computePCA(matrix, 5);
+                pcaModel = { means: pca.means, loadings: pca.loadings, scoreScale: pca.scoreScale };
                 const nc = pca.scores[0].length;
                 // Store all scores for component switching
                 this._clbUmapAllScores = pca.scores;
@@ -31699,6 +37073,7 @@ ${body}
                 const nDims = nCL >= 30 ? 3 : 2;
                 const umap = new UMAPClass({ nNeighbors: Math.max(5, nNeighbors), minDist: 0.3, nComponents: nDims, spread: 1.5 });
                 const embedding = umap.fit(matrix);
+                umapModel = umap;
                 this._clbUmapAllScores = embedding; // [n][nDims]
                 this._clbUmapAllExplained = null;
                 this._clbUmapAllLoadings = null;
@@ -31715,7 +37090,10 @@ ${body}
             });
 
             this._clbUmapData = { cellLines, cellLineIndices, x, y, categories, matrix, geneNames,
-                mutStatus: null, splitGene: null, method, axisLabels, pcaLoadings };
+                mutStatus: null, splitGene: null, method, axisLabels, pcaLoadings,
+                dataType, exprFeatures, pcaModel, umapModel, projected: null };
+            // Uploaded RNA-seq samples follow the embedding across re-runs.
+            if (this._clbProjectSamples) await this.projectUmapSamples(false);
             this._clbUmapSelectedPoints = new Set();
             this._renderUmapPlot(x, y, cellLines, categories, null, colorBy, null);
             document.getElementById('clbUmapSelectionControls').style.display = 'flex';
@@ -31746,6 +37124,230 @@ ${body}
         return out.length ? out : null;
     }
 
+    // ===== Project user RNA-seq into the PCA / UMAP =====
+
+    // Gene x sample expression table: the gene column is a symbol / gene_name
+    // header or else the first column ("SYMBOL (ENSG...)" and Ensembl version
+    // suffixes are stripped); every other mostly-numeric column is a sample.
+    // Samples whose maximum exceeds 50 are treated as TPM and converted to
+    // log2(TPM+1), the DepMap expression scale; duplicate symbols keep the max.
+    parseExpressionProfiles(content) {
+        if (content.charCodeAt(0) === 0xFEFF) content = content.slice(1);
+        const lines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim().split('\n');
+        if (lines.length < 2) return { samples: [], error: 'File must have a header row and at least one gene row.' };
+        const delimiter = lines[0].includes('\t') ? '\t' : (lines[0].includes(';') && !lines[0].includes(',')) ? ';' : ',';
+        const split = (line) => line.split(delimiter).map(c => c.trim().replace(/^"|"$/g, ''));
+        const headers = split(lines[0]);
+        if (lines[1] && split(lines[1]).length === headers.length + 1) headers.unshift('gene');
+        const rows = lines.slice(1).map(split).filter(r => r.length === headers.length);
+
+        let geneCol = headers.findIndex(h => /^(gene[_ ]?name|gene[_ ]?symbol|hgnc[_ ]?symbol|symbol|gene)$/i.test(h));
+        if (geneCol < 0) geneCol = 0;
+        const probe = rows.slice(0, 200);
+        const sampleCols = headers.map((_, j) => j).filter(j => j !== geneCol &&
+            probe.filter(r => r[j] !== '' && Number.isFinite(Number(r[j]))).length >= 0.9 * probe.length);
+        if (sampleCols.length === 0) return { samples: [], error: 'No numeric sample columns found next to the gene column.' };
+
+        let duplicates = 0;
+        const samples = sampleCols.map(j => ({ name: headers[j] || `Sample ${j}`, values: new Map(), max: -Infinity }));
+        rows.forEach(r => {
+            const gene = r[geneCol].replace(/\s*\(.*\)$/, '').replace(/^(ENSG\d+)\.\d+$/, '$1').toUpperCase();
+            if (!gene) return;
+            let dup = false;
+            sampleCols.forEach((j, k) => {
+                const v = Number(r[j]);
+                if (r[j] === '' || !Number.isFinite(v)) return;
+                const s = samples[k];
+                if (s.values.has(gene)) { dup = true; if (v <= s.values.get(gene)) return; }
+                s.values.set(gene, v);
+                if (v > s.max) s.max = v;
+            });
+            if (dup) duplicates++;
+        });
+        samples.forEach(s => {
+            s.isTpm = s.max > 50;
+            if (s.isTpm) for (const [g, v] of s.values) s.values.set(g, Math.log2(Math.max(0, v) + 1));
+        });
+        return { samples, duplicates, nRows: rows.length };
+    }
+
+    async loadUmapProjectFile(file) {
+        if (!file) return;
+        const status = document.getElementById('clbUmapProjectStatus');
+        const parsed = this.parseExpressionProfiles(await file.text());
+        document.getElementById('clbUmapProjectFile').value = '';
+        if (parsed.error) {
+            status.textContent = parsed.error;
+            status.style.color = '#ef4444';
+            return;
+        }
+        this._clbProjectSamples = parsed;
+        parsed.fileName = file.name;
+        document.getElementById('clbUmapProjectClear').style.display = 'inline';
+        await this.projectUmapSamples();
+    }
+
+    // Place every uploaded sample into the current embedding and rank the
+    // embedded DepMap lines by Spearman rho to it. PCA uses the stored means
+    // and loadings; UMAP uses umap-js transform() on the fitted model. Feature
+    // genes the sample lacks get the DepMap column mean, as in the fit.
+    async projectUmapSamples(redraw = true) {
+        const parsed = this._clbProjectSamples;
+        const d = this._clbUmapData;
+        const status = document.getElementById('clbUmapProjectStatus');
+        const panel = document.getElementById('clbUmapProjectPanel');
+        if (!parsed) return;
+        status.style.color = '#6b7280';
+        if (!d || !(d.pcaModel || d.umapModel)) {
+            status.textContent = `${parsed.samples.length} sample(s) loaded — run an Expression PCA / UMAP to place them.`;
+            panel.style.display = 'none';
+            return;
+        }
+        if (d.dataType !== 'expr') {
+            d.projected = null;
+            status.textContent = `${parsed.samples.length} sample(s) loaded — projection needs Data: Expression (re-run with it selected).`;
+            panel.style.display = 'none';
+            if (redraw) this._redrawUmapPlot();
+            return;
+        }
+
+        const feats = d.geneNames;
+        const { imputeMeans, scaling } = d.exprFeatures;
+        const rows = parsed.samples.map(s => feats.map((g, j) => {
+            const v = s.values.has(g) ? s.values.get(g) : imputeMeans[j];
+            if (!scaling) return v;
+            return scaling.sd[j] > 1e-12 ? (v - scaling.mean[j]) / scaling.sd[j] : 0;
+        }));
+        let coords;
+        if (d.pcaModel) {
+            const { means, loadings, scoreScale } = d.pcaModel;
+            const nc = loadings[0].length;
+            coords = rows.map(row => Array.from({ length: nc }, (_, k) => {
+                let s = 0;
+                for (let j = 0; j < row.length; j++) s += (row[j] - means[j]) * loadings[j][k];
+                return s * scoreScale;
+            }));
+        } else {
+            status.textContent = `Placing ${parsed.samples.length} sample(s) in the UMAP...`;
+            await new Promise(r => setTimeout(r, 0));
+            coords = d.umapModel.transform(rows);
+        }
+
+        // Nearest neighbours on the raw log2(TPM+1) values of the feature
+        // genes the sample actually measured (z-scored features would make
+        // the rank correlation depend on the embedded cohort).
+        const nExprCL = this.expressionMetadata.nCellLines;
+        d.projected = parsed.samples.map((s, si) => {
+            const gIdx = [], sv = [];
+            feats.forEach(g => {
+                const eg = this.expressionGeneIndex.get(g);
+                if (s.values.has(g) && eg !== undefined) { gIdx.push(eg); sv.push(s.values.get(g)); }
+            });
+            const x = new Float64Array(gIdx.length), y = new Float64Array(gIdx.length);
+            const neighbours = [];
+            d.cellLines.forEach((cl, i) => {
+                const ei = this.expressionCellLineMap?.[d.cellLineIndices[i]];
+                if (ei === undefined || ei === -1) return;
+                let k = 0;
+                for (let j = 0; j < gIdx.length; j++) {
+                    const v = this.expressionData[gIdx[j] * nExprCL + ei];
+                    if (!isNaN(v)) { x[k] = sv[j]; y[k] = v; k++; }
+                }
+                if (k < 10) return;
+                const rho = scoreCosine(this._centredRanks(x.subarray(0, k)), this._centredRanks(y.subarray(0, k)));
+                if (!isNaN(rho)) neighbours.push({ cl, rho, n: k });
+            });
+            neighbours.sort((a, b) => b.rho - a.rho);
+            return { name: s.name, isTpm: s.isTpm, coords: coords[si], found: gIdx.length, neighbours };
+        });
+
+        const minFound = Math.min(...d.projected.map(p => p.found));
+        status.textContent = `${d.projected.length} sample(s) from ${parsed.fileName} placed · ${minFound} of ${feats.length} feature genes matched`;
+        status.style.color = minFound < 0.5 * feats.length ? '#b45309' : '#111827';
+        this._renderUmapProjectPanel();
+        if (redraw) this._redrawUmapPlot();
+    }
+
+    _renderUmapProjectPanel() {
+        const d = this._clbUmapData;
+        const panel = document.getElementById('clbUmapProjectPanel');
+        const content = document.getElementById('clbUmapProjectContent');
+        if (!d?.projected?.length) { panel.style.display = 'none'; return; }
+        const nFeat = d.geneNames.length;
+        let html = `<div style="font-size:10px; color:#6b7280; margin-bottom:8px; line-height:1.4;">Spearman &rho; between each sample and each embedded DepMap line over the ${nFeat} feature genes of this ${d.method === 'pca' ? 'PCA' : 'UMAP'} (log2(TPM+1) scale). Samples with a maximum above 50 were read as TPM and log-transformed. Missing feature genes are filled with the DepMap mean for the projection, which pulls a sparse sample towards the centre. Click a line to inspect it.</div>`;
+        html += '<div style="display:flex; gap:16px; flex-wrap:wrap;">';
+        d.projected.forEach(p => {
+            const warn = p.found < 0.5 * nFeat ? ' <span style="color:#b45309;" title="Fewer than half of the feature genes were found in this sample">&#9888;</span>' : '';
+            html += `<div style="min-width:260px; flex:1;"><div style="font-size:12px; font-weight:600; margin-bottom:4px;">&#9733; ${p.name}${warn}</div>`;
+            html += `<div style="font-size:10px; color:#6b7280; margin-bottom:4px;">${p.found} / ${nFeat} feature genes · ${p.isTpm ? 'TPM → log2(TPM+1)' : 'log scale as uploaded'}</div>`;
+            html += '<table style="width:100%; border-collapse:collapse; font-size:11px;"><thead><tr style="border-bottom:1px solid #e5e7eb; text-align:left;"><th style="padding:2px 4px;">#</th><th style="padding:2px 4px;">Cell line</th><th style="padding:2px 4px;">Lineage</th><th style="padding:2px 4px; text-align:right;">&rho;</th></tr></thead><tbody>';
+            p.neighbours.slice(0, 10).forEach((nb, i) => {
+                const sub = this.getCellLineSublineage(nb.cl);
+                html += `<tr style="border-bottom:1px solid #f3f4f6;"><td style="padding:2px 4px; color:#9ca3af;">${i + 1}</td>` +
+                    `<td style="padding:2px 4px;"><a href="#" data-project-cl="${nb.cl}" style="color:var(--green-700); text-decoration:none;">${this.getCellLineName(nb.cl)}</a></td>` +
+                    `<td style="padding:2px 4px; color:#4b5563;">${this.getCellLineLineage(nb.cl) || '-'}${sub ? ' · ' + sub : ''}</td>` +
+                    `<td style="padding:2px 4px; text-align:right; font-variant-numeric:tabular-nums;">${nb.rho.toFixed(3)}</td></tr>`;
+            });
+            html += '</tbody></table></div>';
+        });
+        html += '</div>';
+        content.innerHTML = html;
+        content.querySelectorAll('[data-project-cl]').forEach(a => a.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showCellLineDetail(a.dataset.projectCl);
+        }));
+        panel.style.display = '';
+    }
+
+    // Star markers for projected samples, on whichever components are shown.
+    _umapProjectedTraces(showLegend = true) {
+        const d = this._clbUmapData;
+        if (!d?.projected?.length) return [];
+        const cx = d._compX || 0, cy = d._compY || 1;
+        const markerSize = parseInt(document.getElementById('clbUmapMarkerSize')?.value) || 9;
+        return [{
+            x: d.projected.map(p => p.coords[cx]), y: d.projected.map(p => p.coords[cy]),
+            text: d.projected.map(p => p.name),
+            hovertext: d.projected.map(p => `<b>${p.name}</b> (your sample)<br>Nearest: ${p.neighbours.slice(0, 3).map(nb => `${this.getCellLineName(nb.cl)} ${nb.rho.toFixed(2)}`).join(', ')}`),
+            mode: 'markers+text', type: 'scatter', textposition: 'top center', textfont: { size: 11, color: '#111827' },
+            name: `Your samples (${d.projected.length})`,
+            marker: { symbol: 'star', size: markerSize + 9, color: '#111827', line: { width: 1.5, color: '#ffffff' } },
+            hoverinfo: 'text', showlegend: showLegend
+        }];
+    }
+
+    _redrawUmapPlot() {
+        const d = this._clbUmapData;
+        if (!d) return;
+        if (this._clbUmapGeneColorActive) { this.applyUmapGeneColor(); return; }
+        const colorBy = document.getElementById('clbUmapColorBy').value;
+        this._renderUmapPlot(d.x, d.y, d.cellLines, d.categories, d.mutStatus, colorBy, d.splitGene);
+    }
+
+    clearUmapProjection() {
+        this._clbProjectSamples = null;
+        if (this._clbUmapData) this._clbUmapData.projected = null;
+        document.getElementById('clbUmapProjectStatus').textContent = '';
+        document.getElementById('clbUmapProjectClear').style.display = 'none';
+        document.getElementById('clbUmapProjectPanel').style.display = 'none';
+        this._redrawUmapPlot();
+    }
+
+    downloadUmapProjectionCSV() {
+        const d = this._clbUmapData;
+        if (!d?.projected?.length) return;
+        const method = d.method === 'pca' ? 'PCA' : 'UMAP';
+        let csv = `# Nearest DepMap lines to uploaded samples: Spearman rho over ${d.geneNames.length} ${method} feature genes, log2(TPM+1)\n`;
+        csv += `Sample,${method}_X,${method}_Y,Feature_Genes_Found,Rank,Cell_Line_ID,Cell_Line,Lineage,Subtype,Spearman_Rho,N_Genes\n`;
+        const cx = d._compX || 0, cy = d._compY || 1;
+        d.projected.forEach(p => {
+            p.neighbours.slice(0, 25).forEach((nb, i) => {
+                csv += `"${p.name}",${p.coords[cx].toFixed(4)},${p.coords[cy].toFixed(4)},${p.found},${i + 1},${nb.cl},"${this.getCellLineName(nb.cl)}","${this.getCellLineLineage(nb.cl) || ''}","${this.getCellLineSublineage(nb.cl) || ''}",${nb.rho.toFixed(4)},${nb.n}\n`;
+            });
+        });
+        this.downloadFile(csv, csvName(`projected_samples_${method.toLowerCase()}`), 'text/csv');
+    }
+
     _computeUmapClusterStats(groupMode) {
         // Silhouette per point in the current 2D projection, grouped by
         // tissue or subtype. Returns per-group mean silhouette + n.
@@ -31966,7 +37568,10 @@ ${body}
                 }
             }
             const explained = eigenvalues.map(e => e / totalVar);
-            return { scores: scoresT, loadings, explained, eigenvalues };
+            // Loadings are unit vectors, but these scores come out of the
+            // Gram eigenvectors divided by sqrt(n-1); scoreScale puts a
+            // projected row, (x - means) . loadings, on the same scale.
+            return { scores: scoresT, loadings, explained, eigenvalues, means, scoreScale: 1 / Math.sqrt(n - 1) };
         } else {
             // Standard covariance approach
             const cov = Array.from({ length: p }, () => new Float64Array(p));
@@ -31989,7 +37594,7 @@ ${body}
             );
             const loadings = Array.from({ length: p }, (_, j) => eigenvectors.map(ev => ev[j]));
             const explained = eigenvalues.map(e => e / totalVar);
-            return { scores, loadings, explained, eigenvalues };
+            return { scores, loadings, explained, eigenvalues, means, scoreScale: 1 };
         }
     }
 
@@ -32162,6 +37767,7 @@ ${body}
         // Variance-ranked top-gene selection already picks genes with
         // broadly comparable magnitudes, so skip scaling there to keep the
         // previous default behaviour.
+        let scaling = null;
         if (customGeneList && customGeneList.length > 0 && keptIndices.length > 0) {
             const nG = keptIndices.length;
             const colMean2 = new Float64Array(nG);
@@ -32184,11 +37790,14 @@ ${body}
                     matrix[i][k] = colSd[k] > 1e-12 ? (matrix[i][k] - colMean2[k]) / colSd[k] : 0;
                 }
             }
+            scaling = { mean: colMean2, sd: colSd };
         }
 
         if (returnGeneNames) {
             const geneNames = keptIndices.map(j => allGeneNames[topGenes[j]]);
-            return { matrix, geneNames };
+            // imputeMeans / scaling let projectUmapSamples() build a new row
+            // the same way (missing -> column mean, then the same z-score).
+            return { matrix, geneNames, imputeMeans: keptIndices.map(j => colMeans[j]), scaling };
         }
         return matrix;
     }
@@ -32710,6 +38319,7 @@ ${body}
             } else {
                 traces = buildCategoryTraces(allIdx, true);
             }
+            traces.push(...this._umapProjectedTraces());
             const dims = this._getUmapPlotDimensions();
             const method = this._clbUmapData?.method === 'pca' ? 'PCA' : 'UMAP';
             const titleText = `${method} \u2014 ${dataTypeLabel} (${cellLines.length} cell lines)`;
@@ -32916,7 +38526,7 @@ ${body}
             paper_bgcolor: 'white', plot_bgcolor: '#fafafa'
         };
 
-        Plotly.newPlot(plotDiv, [trace], layout, { responsive: true, displayModeBar: true, displaylogo: false, edits: { annotationPosition: true } });
+        Plotly.newPlot(plotDiv, [trace, ...this._umapProjectedTraces(false)], layout, { responsive: true, displayModeBar: true, displaylogo: false, edits: { annotationPosition: true } });
         // Keep labels and click-to-label working in gene-color mode too.
         if (this._clbUmapData) this._clbUmapData.baseAnnotations = [geneColorTitleAnn, geneColorXAnn, geneColorYAnn];
         this._updateUmapLabelAnnotations();
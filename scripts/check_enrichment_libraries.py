@@ -0,0 +1,67 @@
+#!/usr/bin/env python3
+"""
+Check the gene-set libraries bundled for the in-browser enrichment engine.
+
+The local enrichment and preranked GSEA windows read three files from
+web_data/ (the same keys as CorrelationExplorer._enrichmentLibraries):
+
+  hallmark_genesets.json  "sets"       scripts/process_hallmark.py
+  reactome_partners.json  "pathways"   scripts/process_reactome.py
+  corum_partners.json     "complexes"  scripts/process_corum.py
+
+Each library must be a list of [name, [genes...]] pairs. Prints what loads
+and exits non-zero when none does, since the engine would then only work
+on uploaded GMT files.
+
+Usage:
+  python3 scripts/check_enrichment_libraries.py
+"""
+
+import json
+import os
+import sys
+
+
+LIBRARIES = [
+    ("Hallmark", "hallmark_genesets.json", "sets"),
+    ("Reactome", "reactome_partners.json", "pathways"),
+    ("CORUM", "corum_partners.json", "complexes"),
+]
+
+
+def load_sets(path, key):
+    """Return the [name, genes] pairs under key, or an error string."""
+    if not os.path.exists(path):
+        return "file not deployed"
+    try:
+        with open(path) as f:
+            sets = json.load(f).get(key)
+    except (OSError, ValueError) as e:
+        return f"unreadable ({e})"
+    if not isinstance(sets, list) or not sets:
+        return f"no '{key}' list"
+    bad = [s for s in sets if not (isinstance(s, list) and len(s) == 2 and isinstance(s[0], str)
+                                   and isinstance(s[1], list) and s[1])]
+    if bad:
+        return f"{len(bad)} malformed entries (expected [name, [genes]])"
+    return sets
+
+
+def main():
+    web = os.path.join(os.path.dirname(os.path.dirname(os.path.abspath(__file__))), "web_data")
+    loaded = 0
+    for label, filename, key in LIBRARIES:
+        result = load_sets(os.path.join(web, filename), key)
+        if isinstance(result, str):
+            print(f"  {label:9s} unavailable: {result}")
+        else:
+            loaded += 1
+            sizes = sorted(len(genes) for _name, genes in result)
+            print(f"  {label:9s} {len(result)} sets (median size {sizes[len(sizes) // 2]})")
+    if not loaded:
+        sys.exit("No bundled enrichment library loads; only uploaded GMT files would work.")
+    print(f"{loaded} of {len(LIBRARIES)} bundled libraries load.")
+
+
+if __name__ == "__main__":
+    main()
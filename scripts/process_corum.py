@@ -9,7 +9,9 @@ script enumerates all human complexes via the public search endpoint, then
 fetches each complex's full member list and extracts the gene-name partners.
 
 Output: web_data/corum_partners.json mapping each gene to its set of
-co-complex members across all complexes it appears in.
+co-complex members across all complexes it appears in, plus the named
+complexes themselves (used as a gene-set library by the in-browser
+enrichment engine).
 
 Usage
   python scripts/process_corum.py
@@ -17,6 +19,14 @@ Usage
 
   python scripts/process_corum.py /path/to/humanComplexes.txt
       → reads a previously-downloaded TSV instead (kept for offline use)
+
+  python scripts/process_corum.py --from-partners
+      → no download: rebuilds the "complexes" library of an existing
+        web_data/corum_partners.json from its partner map. Every CORUM
+        complex is a clique of the co-complex graph, so the maximal cliques
+        recover the complexes (nested ones fold into the largest). The
+        original complex names are not in the partner map; each set is
+        named after its first members.
 """
 
 import csv
@@ -88,9 +98,10 @@ def list_human_complex_ids():
 
 
 def fetch_complex(cid):
-    """Return (cid, [member_gene_symbols]) for one complex."""
+    """Return (cid, name, [member_gene_symbols]) for one complex."""
     try:
         d = http_get(f"/public/complex?complex_id={cid}")
+        name = (d.get("complex_name") or "").strip() or f"CORUM complex {cid}"
         members = []
         for sub in d.get("subunits", []):
             sw = sub.get("swissprot") or {}
@@ -99,9 +110,9 @@ def fetch_complex(cid):
             if not gn or gn in {"-", "NA", "NONE", "?"} or gn.isdigit():
                 continue
             members.append(gn)
-        return cid, members
+        return cid, name, list(dict.fromkeys(members))
     except Exception as e:
-        return cid, None  # signal failure; caller logs
+        return cid, None, None  # signal failure; caller logs
 
 
 # --------- Legacy TSV path (kept for offline use) ---------
@@ -112,6 +123,7 @@ GENE_COL_CANDIDATES = [
     "gene_name", "GeneName", "subunits(GeneName)", "subunits_gene_name",
 ]
 ORGANISM_COL_CANDIDATES = ["Organism", "organism"]
+NAME_COL_CANDIDATES = ["ComplexName", "complex_name", "Complex name", "ComplexName "]
 
 
 def open_tsv(path):
@@ -164,16 +176,18 @@ def from_tsv(src):
     if not gene_col:
         sys.exit(f"No gene column found in: {cols}")
     organism_col = detect(cols, ORGANISM_COL_CANDIDATES)
+    name_col = detect(cols, NAME_COL_CANDIDATES)
     print(f"  using gene column: {gene_col!r}")
     complexes = []
-    for row in rows:
+    for i, row in enumerate(rows):
         if organism_col:
             org = (row.get(organism_col) or "").strip().lower()
             if org and "human" not in org and "homo sapiens" not in org:
                 continue
-        members = parse_gene_list(row.get(gene_col))
+        members = list(dict.fromkeys(parse_gene_list(row.get(gene_col))))
+        name = ((row.get(name_col) or "").strip() if name_col else "") or f"CORUM complex {i + 1}"
         if len(members) >= 2:
-            complexes.append(members)
+            complexes.append((name, members))
     print(f"  {len(complexes)} human complexes parsed")
     return complexes, f"CORUM TSV ({os.path.basename(src)})"
 
@@ -191,12 +205,12 @@ def from_api():
         futures = {pool.submit(fetch_complex, cid): cid for cid in ids}
         done = 0
         for fut in as_completed(futures):
-            cid, members = fut.result()
+            cid, name, members = fut.result()
             done += 1
             if members is None:
                 failed += 1
             elif len(members) >= 2:
-                complexes.append(members)
+                complexes.append((name, members))
             if done % 500 == 0:
                 rate = done / max(time.time() - t0, 0.01)
                 eta = (len(ids) - done) / max(rate, 0.01)
@@ -207,7 +221,71 @@ def from_api():
     return complexes, f"CORUM REST API (https://mips.helmholtz-muenchen.de/fastapi-corum, {time.strftime('%Y-%m-%d')})"
 
 
+def maximal_cliques(partners):
+    """Maximal cliques (>= 2 genes) of the gene → partners graph.
+
+    Bron–Kerbosch with pivoting, run per vertex in degree order so each
+    clique is reported once.
+    """
+    adj = defaultdict(set)
+    for g, ps in partners.items():
+        for p in ps:
+            if p != g:
+                adj[g].add(p)
+                adj[p].add(g)
+    cliques = []
+
+    def expand(r, p, x):
+        if not p and not x:
+            if len(r) >= 2:
+                cliques.append(sorted(r))
+            return
+        pivot = max(p | x, key=lambda v: len(adj[v] & p))
+        for v in list(p - adj[pivot]):
+            expand(r | {v}, p & adj[v], x & adj[v])
+            p = p - {v}
+            x = x | {v}
+
+    order = sorted(adj, key=lambda v: (len(adj[v]), v))
+    rank = {v: i for i, v in enumerate(order)}
+    for v in order:
+        later = {w for w in adj[v] if rank[w] > rank[v]}
+        earlier = adj[v] - later
+        expand({v}, later, earlier)
+    return cliques
+
+
+def rebuild_complexes_from_partners(out_path):
+    with open(out_path) as f:
+        output = json.load(f)
+    cliques = maximal_cliques(output["partners"])
+    complex_sets = []
+    used = set()
+    for members in sorted(cliques, key=lambda c: (-len(c), c)):
+        name = f"CORUM co-complex {', '.join(members[:3])}{f' +{len(members) - 3}' if len(members) > 3 else ''}"
+        if name in used:
+            name = f"{name} ({len(used) + 1})"
+        used.add(name)
+        complex_sets.append([name, members])
+    complex_sets.sort(key=lambda c: c[0].lower())
+    print(f"{len(complex_sets)} complexes rebuilt from {len(output['partners'])} genes' partners")
+    output["complexes"] = complex_sets
+    output["complexesSource"] = "maximal cliques of the partner map (scripts/process_corum.py --from-partners)"
+    with open(out_path, "w") as f:
+        json.dump(output, f, separators=(",", ":"))
+    size_kb = os.path.getsize(out_path) / 1024
+    print(f"Written {out_path} ({size_kb:.0f} KB)")
+
+
 def main():
+    script_dir = os.path.dirname(os.path.abspath(__file__))
+    project_dir = os.path.dirname(script_dir)
+    web = os.path.join(project_dir, "web_data")
+    out_path = os.path.join(web, "corum_partners.json")
+
+    if len(sys.argv) >= 2 and sys.argv[1] == "--from-partners":
+        rebuild_complexes_from_partners(out_path)
+        return
     if len(sys.argv) >= 2 and sys.argv[1] not in ("--help", "-h"):
         complexes, source = from_tsv(sys.argv[1])
     else:
@@ -215,7 +293,7 @@ def main():
 
     # gene → set of co-complex members
     gene_partners = defaultdict(set)
-    for members in complexes:
+    for _name, members in complexes:
         for g in members:
             for m in members:
                 if m != g:
@@ -224,6 +302,15 @@ def main():
 
     partners = {g: sorted(s) for g, s in sorted(gene_partners.items())}
 
+    # Named complexes for the enrichment engine. Identical member sets are
+    # common (the same complex curated from several papers) — keep the
+    # first name per distinct set.
+    named = {}
+    for name, members in sorted(complexes, key=lambda c: c[0].lower()):
+        named.setdefault(tuple(sorted(members)), name)
+    complex_sets = sorted(([name, list(members)] for members, name in named.items()), key=lambda c: c[0].lower())
+    print(f"{len(complex_sets)} distinct named complexes")
+
     sanity = ["NEDD8", "SMARCA4", "MCM4", "RUVBL1", "BRCA1", "CDK4",
               "TP53", "MYC", "EZH2", "RPL10", "SF3B1", "EGFR"]
     print("\nSanity check (focal gene → partner count):")
@@ -232,21 +319,18 @@ def main():
         sample = ", ".join(partners.get(g, [])[:6])
         print(f"  {g:10s} n={n:3d}  ({sample}{'...' if n > 6 else ''})")
 
-    script_dir = os.path.dirname(os.path.abspath(__file__))
-    project_dir = os.path.dirname(script_dir)
-    web = os.path.join(project_dir, "web_data")
-    out_path = os.path.join(web, "corum_partners.json")
     output = {
         "_description": (
             "Per-gene complex co-members from CORUM. Used by the Correlate "
             "AI export to carry pathway-partner expression through the "
             "variance filter for arbitrary focal genes."
         ),
-        "schemaVersion": "1.0",
+        "schemaVersion": "1.1",
         "source": source,
         "nGenes": len(partners),
         "nComplexes": len(complexes),
         "partners": partners,
+        "complexes": complex_sets,
     }
     with open(out_path, "w") as f:
         json.dump(output, f, separators=(",", ":"))
@@ -0,0 +1,93 @@
+#!/usr/bin/env python3
+"""
+Build web_data/hallmark_genesets.json from the MSigDB Hallmark collection.
+
+The 50 Hallmark gene sets (Liberzon et al. 2015) summarise well-defined
+biological states and processes with low redundancy, which makes them a
+good default library for the in-browser enrichment engine alongside the
+Reactome pathways and CORUM complexes.
+
+Usage:
+  python3 scripts/process_hallmark.py                 # download from MSigDB
+  python3 scripts/process_hallmark.py h.all.v2024.1.Hs.symbols.gmt
+
+Source: https://www.gsea-msigdb.org/gsea/msigdb/human/collections.jsp#H
+(CC BY 4.0)
+
+Output: web_data/hallmark_genesets.json
+"""
+
+import json
+import os
+import ssl
+import sys
+import time
+import urllib.request
+
+
+GMT_URL = (
+    "https://data.broadinstitute.org/gsea-msigdb/msigdb/release/"
+    "2024.1.Hs/h.all.v2024.1.Hs.symbols.gmt"
+)
+USER_AGENT = "correlate-v2/process_hallmark.py"
+
+_SSL_CTX = ssl._create_unverified_context()
+
+
+def parse_gmt(lines):
+    """Return [(name, [genes])] from GMT lines (name, description, genes...)."""
+    sets = []
+    for line in lines:
+        parts = line.rstrip("\n").split("\t")
+        if len(parts) < 3:
+            continue
+        name, _desc, *genes = parts
+        genes = list(dict.fromkeys(g.strip().upper() for g in genes if g.strip()))
+        if genes:
+            sets.append((name.strip(), genes))
+    return sets
+
+
+def fetch_gmt():
+    print(f"Fetching {GMT_URL} ...")
+    req = urllib.request.Request(GMT_URL, headers={"User-Agent": USER_AGENT})
+    with urllib.request.urlopen(req, timeout=60, context=_SSL_CTX) as r:
+        raw = r.read()
+    print(f"  downloaded {len(raw)} bytes")
+    return parse_gmt(raw.decode("utf-8", errors="replace").splitlines())
+
+
+def main():
+    if len(sys.argv) >= 2 and sys.argv[1] not in ("--help", "-h"):
+        print(f"Reading {sys.argv[1]} ...")
+        with open(sys.argv[1], encoding="utf-8", errors="replace") as f:
+            sets = parse_gmt(f)
+        source = f"MSigDB Hallmark GMT ({os.path.basename(sys.argv[1])})"
+    else:
+        sets = fetch_gmt()
+        source = f"MSigDB Hallmark GMT ({GMT_URL}, {time.strftime('%Y-%m-%d')})"
+    print(f"  {len(sets)} gene sets")
+    if not sets:
+        sys.exit("No gene sets parsed — is this a GMT file?")
+
+    script_dir = os.path.dirname(os.path.abspath(__file__))
+    project_dir = os.path.dirname(script_dir)
+    out_path = os.path.join(project_dir, "web_data", "hallmark_genesets.json")
+    output = {
+        "_description": (
+            "MSigDB Hallmark gene sets. Used as a bundled library by the "
+            "in-browser (offline) gene-set enrichment engine."
+        ),
+        "schemaVersion": "1.0",
+        "source": source,
+        "nSets": len(sets),
+        "sets": [[name, genes] for name, genes in sets],
+    }
+    with open(out_path, "w") as f:
+        json.dump(output, f, separators=(",", ":"))
+    size_kb = os.path.getsize(out_path) / 1024
+    print(f"\nWritten {out_path} ({size_kb:.0f} KB)")
+
+
+if __name__ == "__main__":
+    main()
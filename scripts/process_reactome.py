@@ -22,7 +22,8 @@ Filtering:
 
 Source: https://reactome.org/download/current/ReactomePathways.gmt.zip
 
-Output: web_data/reactome_partners.json
+Output: web_data/reactome_partners.json (per-gene partners, plus the kept
+pathways as [name, genes] pairs for the in-browser enrichment engine)
 """
 
 import io
@@ -164,7 +165,7 @@ def main():
             "partner lookup, to catch pathway / signalling-cascade "
             "relationships CORUM doesn't cover (e.g. IL4R → JAK / STAT)."
         ),
-        "schemaVersion": "1.0",
+        "schemaVersion": "1.1",
         "source": f"Reactome GMT (https://reactome.org/, {time.strftime('%Y-%m-%d')})",
         "filter": {
             "minPathwaySize": MIN_PATHWAY_SIZE,
@@ -175,6 +176,7 @@ def main():
         "nGenes": len(partners),
         "nPathways": len(kept),
         "partners": partners,
+        "pathways": [[name, genes] for name, _rid, genes in kept],
     }
     with open(out_path, "w") as f:
         json.dump(output, f, separators=(",", ":"))